@@ -0,0 +1,256 @@
+#!/usr/bin/env node
+/*
+ * Command-line time-zone converter.
+ *
+ *   tz-convert 2025-03-09 14:30 --from America/Santiago --to America/New_York,Europe/Madrid
+ *   tz-convert now --to Asia/Tokyo --format json
+ *   tz-convert 2025-06-01T14:30:00-04:00 --to Europe/Madrid
+ *
+ * The conversion is the one behind `/convert-multi` and `/current`: this
+ * script requires server.js, which only starts listening when it is run
+ * directly.
+ */
+
+const { DEFAULT_ZONES, resolveTimeZoneInput } = require("../static/zones");
+const {
+  DISAMBIGUATION_MODES,
+  getZonedNowDate,
+  parseInstant,
+  convertInstantToZones,
+} = require("../static/tz-core");
+const {
+  convertToZones,
+  instantZone,
+  getCurrentConversion,
+  resolveZones,
+  csvField,
+} = require("../server");
+
+const USAGE = `Usage:
+  tz-convert <date> <time> [options]   Convert a local date and time
+  tz-convert <time> [options]          Convert a time today in the source zone
+  tz-convert <instant> [options]       Convert an ISO 8601 date-time or epoch
+  tz-convert now [options]             Show the current time everywhere
+
+Options:
+  -f, --from <zone>            Source time zone, offset (UTC+05:30) or
+                               abbreviation (default: this machine's zone)
+  -t, --to <zones>             Comma separated time zones to convert into
+                               (default: ${DEFAULT_ZONES.join(",")})
+      --format <format>        table (default), json or csv
+      --disambiguation <mode>  ${DISAMBIGUATION_MODES.join(", ")} (default: compatible)
+  -h, --help                   Show this help
+
+Dates are YYYY-MM-DD and times HH:MM[:SS[.sss]] (24-hour). An instant is
+ISO 8601 (2025-06-01T14:30:00Z) or epoch seconds or milliseconds; without
+--from it is shown in its own offset, or UTC for an epoch.`;
+
+const FORMATS = ["table", "json", "csv"];
+
+const TIME_PATTERN = /^\d{1,2}:\d{2}(?::\d{2}(?:\.\d{1,3})?)?$/;
+
+/**
+ * Thrown for bad command-line usage; reported along with the usage text.
+ */
+class UsageError extends Error {}
+
+/**
+ * Split the command line into positional arguments and options.
+ *
+ * @param {string[]} argv Arguments after the script name
+ * @returns {{positional: string[], options: Record<string, string|boolean>}}
+ * @throws {UsageError} On an unknown option or a missing option value
+ */
+function parseArguments(argv) {
+  const aliases = { f: "from", t: "to", h: "help" };
+  const valued = new Set(["from", "to", "format", "disambiguation"]);
+  const positional = [];
+  const options = {};
+
+  for (let index = 0; index < argv.length; index += 1) {
+    const argument = argv[index];
+    const match = /^(?:--([a-z]+)|-([a-z]))(?:=(.*))?$/.exec(argument);
+    if (!match) {
+      positional.push(argument);
+      continue;
+    }
+
+    const name = match[1] || aliases[match[2]];
+    if (name === "help") {
+      options.help = true;
+    } else if (valued.has(name)) {
+      const value = match[3] ?? argv[(index += 1)];
+      if (value === undefined) {
+        throw new UsageError(`Missing value for ${argument}`);
+      }
+      options[name] = value;
+    } else {
+      throw new UsageError(`Unknown option: ${argument}`);
+    }
+  }
+  return { positional, options };
+}
+
+/**
+ * Render rows as a plain-text table with aligned columns.
+ *
+ * @param {string[]} header Column titles
+ * @param {string[][]} rows Cell values
+ * @returns {string} Table text
+ */
+function formatTable(header, rows) {
+  const widths = header.map((title, column) =>
+    Math.max(title.length, ...rows.map((row) => row[column].length)),
+  );
+  const line = (cells) =>
+    cells
+      .map((cell, column) => cell.padEnd(widths[column]))
+      .join("  ")
+      .trimEnd();
+  return [
+    line(header),
+    line(widths.map((width) => "-".repeat(width))),
+    ...rows.map(line),
+  ].join("\n");
+}
+
+/**
+ * Format a conversion result (the shape `/convert-multi` and `/current`
+ * return) for output.
+ *
+ * @param {ReturnType<typeof convertToZones>} result Conversion to print
+ * @param {string} format One of `FORMATS`
+ * @returns {string} Output text
+ */
+function formatResult(result, format) {
+  if (format === "json") {
+    return JSON.stringify(result, null, 2);
+  }
+
+  const header = [
+    "zone",
+    "date",
+    "time",
+    "utc_offset",
+    "abbreviation",
+    "dst",
+    "day_offset",
+  ];
+  const rows = Object.entries(result.conversions).map(([zone, local]) => [
+    zone,
+    local.date,
+    local.time,
+    local.utcOffset,
+    local.abbreviation,
+    local.isDST ? "yes" : "no",
+    local.dayOffset > 0 ? `+${local.dayOffset}` : String(local.dayOffset),
+  ]);
+
+  if (format === "csv") {
+    return [header, ...rows]
+      .map((row) => row.map(csvField).join(","))
+      .join("\n");
+  }
+  return formatTable(
+    header.map((title) => title.replace("_", " ").toUpperCase()),
+    rows.map((row) => [
+      row[0] === result.timezone ? `* ${row[0]}` : `  ${row[0]}`,
+      ...row.slice(1, 6),
+      row[6] === "0" ? "" : `${row[6]} day`,
+    ]),
+  );
+}
+
+/**
+ * Run the command line and return the process exit code.
+ *
+ * @param {string[]} argv Arguments after the script name
+ * @returns {number} 0 on success, 1 when the conversion fails, 2 on bad usage
+ */
+function main(argv) {
+  try {
+    const { positional, options } = parseArguments(argv);
+    if (options.help) {
+      console.log(USAGE);
+      return 0;
+    }
+
+    const format = options.format || "table";
+    if (!FORMATS.includes(format)) {
+      throw new UsageError(
+        `Unknown format: ${format} (expected one of ${FORMATS.join(", ")})`,
+      );
+    }
+    let source = resolveTimeZoneInput(
+      options.from || Intl.DateTimeFormat().resolvedOptions().timeZone,
+    );
+    const targets = resolveZones({ zones: options.to });
+    // The source zone always comes first in the output
+    const withSource = () => [
+      source,
+      ...targets.filter((zone) => zone !== source),
+    ];
+
+    let result;
+    let [date, time] = positional;
+    if (positional.length === 1 && !TIME_PATTERN.test(positional[0])) {
+      if (positional[0] === "now") {
+        result = getCurrentConversion(source, withSource());
+      } else {
+        const instant = parseInstant(positional[0]);
+        if (instant.epoch === undefined) {
+          ({ date, time } = instant);
+        } else {
+          source = options.from ? source : instantZone(instant);
+          result = convertInstantToZones(instant.epoch, source, withSource());
+        }
+      }
+    } else if (positional.length === 1) {
+      [date, time] = [getZonedNowDate(source), positional[0]];
+    } else if (positional.length !== 2) {
+      throw new UsageError(
+        positional.length === 0
+          ? "Missing date and time"
+          : `Unexpected argument: ${positional[2]}`,
+      );
+    }
+
+    if (!result) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        throw new UsageError(`Invalid date: ${date} (expected YYYY-MM-DD)`);
+      }
+      if (!TIME_PATTERN.test(time)) {
+        throw new UsageError(
+          `Invalid time: ${time} (expected HH:MM[:SS[.sss]])`,
+        );
+      }
+      result = convertToZones(
+        date,
+        /^\d:/.test(time) ? `0${time}` : time,
+        source,
+        withSource(),
+        options.disambiguation || "compatible",
+      );
+    }
+
+    const { resolution } = result;
+    if (resolution && resolution.status !== "valid") {
+      console.error(
+        resolution.status === "nonexistent"
+          ? `Warning: ${result.time} doesn't exist in ${source} on ${result.date} (clocks spring forward). Showing ${resolution.resolved.time}.`
+          : `Warning: ${result.time} happens twice in ${source} on ${result.date} (clocks fall back). Using ${resolution.resolved.utcOffset}.`,
+      );
+    }
+    console.log(formatResult(result, format));
+    return 0;
+  } catch (error) {
+    console.error(`tz-convert: ${error.message}`);
+    if (error instanceof UsageError) {
+      console.error(`\n${USAGE}`);
+      return 2;
+    }
+    return 1;
+  }
+}
+
+process.exitCode = main(process.argv.slice(2));
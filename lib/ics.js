@@ -0,0 +1,1048 @@
+/*
+ * iCalendar (RFC 5545) support.
+ *
+ * Server only: server.js requires it for `/event.ics` and `/import-ics`.
+ *
+ * Export turns a converted moment into a VCALENDAR with a VEVENT in the source
+ * zone and a VTIMEZONE generated from that zone's offset transitions, so
+ * calendar apps do not need to know the IANA identifier to place the event
+ * correctly.  Import parses VEVENTs and expands their recurrence rules into
+ * concrete occurrences.
+ */
+
+const core = require("../static/tz-core");
+const registry = require("../static/zones");
+
+const {
+  getOffset,
+  getZonedParts,
+  isDaylightSavingTime,
+  addDays,
+  calculateEpochFromTimezone,
+  formatUtcOffset,
+} = core;
+const { isValidTimeZone } = registry;
+
+const PRODID = "-//World Time Zone Converter//EN";
+
+/**
+ * Escape a TEXT property value (RFC 5545 §3.3.11).
+ *
+ * @param {string} value Raw text
+ * @returns {string} Escaped text
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Fold a content line so no physical line is longer than 75 octets
+ * (RFC 5545 §3.1).  Continuation lines start with a single space, and
+ * multi-byte characters are never split.
+ *
+ * @param {string} line Unfolded content line
+ * @returns {string} Folded line, joined with CRLF
+ */
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  const folded = [];
+  let current = "";
+  let octets = 0;
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    // Continuation lines lose one octet to the leading space
+    const limit = folded.length === 0 ? 75 : 74;
+    if (octets + size > limit) {
+      folded.push(current);
+      current = "";
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  folded.push(current);
+  return folded.join("\r\n ");
+}
+
+/**
+ * Format a UTC epoch as a DATE-TIME in UTC, e.g. '20250309T070000Z'.
+ *
+ * @param {number} epoch UTC epoch timestamp in milliseconds
+ * @returns {string} iCalendar UTC date-time
+ */
+function formatUtcDateTime(epoch) {
+  return `${new Date(epoch).toISOString().slice(0, 19).replace(/[-:]/g, "")}Z`;
+}
+
+/**
+ * Format an epoch as the local DATE-TIME observed at a fixed UTC offset,
+ * e.g. '20250309T020000'.
+ *
+ * @param {number} epoch UTC epoch timestamp in milliseconds
+ * @param {number} offsetMinutes UTC offset the wall clock shows
+ * @returns {string} iCalendar local date-time (no zone designator)
+ */
+function formatLocalDateTime(epoch, offsetMinutes) {
+  return formatUtcDateTime(epoch + offsetMinutes * 60000).slice(0, -1);
+}
+
+/**
+ * Format an offset in minutes as a UTC-OFFSET value, e.g. '-0500'.
+ *
+ * @param {number} offsetMinutes Offset as returned by `getOffset`
+ * @returns {string} '±HHMM'
+ */
+function formatIcsOffset(offsetMinutes) {
+  const sign = offsetMinutes < 0 ? "-" : "+";
+  const absolute = Math.abs(offsetMinutes);
+  const hours = String(Math.floor(absolute / 60)).padStart(2, "0");
+  const minutes = String(absolute % 60).padStart(2, "0");
+  return `${sign}${hours}${minutes}`;
+}
+
+/**
+ * Build the VTIMEZONE component for a zone.
+ *
+ * The first observance describes the offset in force at `fromEpoch`; each
+ * transition then starts a STANDARD or DAYLIGHT observance whose DTSTART is
+ * the onset read on the clock before the change, as RFC 5545 requires.
+ * Observances are listed individually rather than as RRULEs, so the block is
+ * exact for the range the transitions were found in.
+ *
+ * @param {string} timeZone IANA time zone identifier (used as the TZID)
+ * @param {number} fromEpoch Start of the range the transitions cover, epoch ms
+ * @param {Array<{epoch: number, offsetBefore: number, offsetAfter: number, isDST: boolean}>} transitions Offset changes in the range, oldest first
+ * @returns {string[]} Unfolded content lines
+ */
+function buildVTimezone(timeZone, fromEpoch, transitions) {
+  const observance = (epoch, offsetFrom, offsetTo, isDST) => [
+    `BEGIN:${isDST ? "DAYLIGHT" : "STANDARD"}`,
+    `DTSTART:${formatLocalDateTime(epoch, offsetFrom)}`,
+    `TZOFFSETFROM:${formatIcsOffset(offsetFrom)}`,
+    `TZOFFSETTO:${formatIcsOffset(offsetTo)}`,
+    `TZNAME:${escapeText(getZonedParts(new Date(epoch), timeZone).timeZoneName)}`,
+    `END:${isDST ? "DAYLIGHT" : "STANDARD"}`,
+  ];
+
+  const initialOffset = getOffset(new Date(fromEpoch), timeZone);
+  const lines = [
+    "BEGIN:VTIMEZONE",
+    `TZID:${timeZone}`,
+    ...observance(
+      fromEpoch,
+      initialOffset,
+      initialOffset,
+      isDaylightSavingTime(new Date(fromEpoch), timeZone),
+    ),
+  ];
+  for (const transition of transitions) {
+    lines.push(
+      ...observance(
+        transition.epoch,
+        transition.offsetBefore,
+        transition.offsetAfter,
+        transition.isDST,
+      ),
+    );
+  }
+  lines.push("END:VTIMEZONE");
+  return lines;
+}
+
+/**
+ * Build a complete calendar holding one event.
+ *
+ * DTSTART and DTEND are written as wall times in `timeZone` with a TZID
+ * parameter pointing at the generated VTIMEZONE.
+ *
+ * @param {object} event Event details
+ * @param {string} event.uid Globally unique identifier
+ * @param {string} event.title Summary
+ * @param {string} [event.description] Plain text description
+ * @param {string} event.timeZone IANA identifier of the event's zone
+ * @param {number} event.startEpoch Start, UTC epoch ms
+ * @param {number} event.endEpoch End, UTC epoch ms
+ * @param {number} event.fromEpoch Start of the range `transitions` covers
+ * @param {Array<object>} event.transitions Offset changes of `timeZone`
+ * @param {number} [event.stampEpoch] Creation time (default: now)
+ * @returns {string} The calendar, CRLF separated and folded
+ */
+function buildCalendar(event) {
+  const localIn = (epoch) =>
+    formatLocalDateTime(epoch, getOffset(new Date(epoch), event.timeZone));
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    ...buildVTimezone(event.timeZone, event.fromEpoch, event.transitions),
+    "BEGIN:VEVENT",
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatUtcDateTime(event.stampEpoch ?? Date.now())}`,
+    `DTSTART;TZID=${event.timeZone}:${localIn(event.startEpoch)}`,
+    `DTEND;TZID=${event.timeZone}:${localIn(event.endEpoch)}`,
+    `SUMMARY:${escapeText(event.title)}`,
+  ];
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  lines.push("END:VEVENT", "END:VCALENDAR");
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+}
+
+/**
+ * Common Windows zone names (as written by Outlook and Exchange) mapped to
+ * IANA identifiers, following CLDR's windowsZones table.
+ */
+const WINDOWS_ZONES = {
+  "Dateline Standard Time": "Etc/GMT+12",
+  "Hawaiian Standard Time": "Pacific/Honolulu",
+  "Alaskan Standard Time": "America/Anchorage",
+  "Pacific Standard Time": "America/Los_Angeles",
+  "Mountain Standard Time": "America/Denver",
+  "US Mountain Standard Time": "America/Phoenix",
+  "Central Standard Time": "America/Chicago",
+  "Central Standard Time (Mexico)": "America/Mexico_City",
+  "Eastern Standard Time": "America/New_York",
+  "SA Pacific Standard Time": "America/Bogota",
+  "SA Western Standard Time": "America/La_Paz",
+  "Pacific SA Standard Time": "America/Santiago",
+  "Atlantic Standard Time": "America/Halifax",
+  "Argentina Standard Time": "America/Argentina/Buenos_Aires",
+  "E. South America Standard Time": "America/Sao_Paulo",
+  UTC: "UTC",
+  "GMT Standard Time": "Europe/London",
+  "W. Europe Standard Time": "Europe/Berlin",
+  "Romance Standard Time": "Europe/Paris",
+  "Central European Standard Time": "Europe/Warsaw",
+  "GTB Standard Time": "Europe/Bucharest",
+  "Russian Standard Time": "Europe/Moscow",
+  "India Standard Time": "Asia/Kolkata",
+  "China Standard Time": "Asia/Shanghai",
+  "Singapore Standard Time": "Asia/Singapore",
+  "Tokyo Standard Time": "Asia/Tokyo",
+  "AUS Eastern Standard Time": "Australia/Sydney",
+  "New Zealand Standard Time": "Pacific/Auckland",
+};
+
+const WEEKDAY_CODES = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+/**
+ * Recurrence periods (days, weeks, months or years) scanned for a single
+ * event before giving up, so a rule whose dates never reach the window
+ * cannot run forever.
+ */
+const MAX_RECURRENCE_ITERATIONS = 100000;
+
+/**
+ * Reverse `escapeText`.
+ *
+ * @param {string} value Escaped TEXT value
+ * @returns {string} Plain text
+ */
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, char) =>
+    char === "n" || char === "N" ? "\n" : char,
+  );
+}
+
+/**
+ * Split a content line into its name, parameters and value.  Parameter
+ * values may be quoted, and quoted values may contain ':', ';' and ','.
+ *
+ * @param {string} line Unfolded content line
+ * @returns {{name: string, params: Record<string, string>, value: string}|null} Null for a malformed line
+ */
+function parseContentLine(line) {
+  let inQuotes = false;
+  let colon = -1;
+  const separators = [];
+  for (let index = 0; index < line.length; index += 1) {
+    const char = line[index];
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && char === ";") {
+      separators.push(index);
+    } else if (!inQuotes && char === ":") {
+      colon = index;
+      break;
+    }
+  }
+  if (colon === -1) {
+    return null;
+  }
+
+  const bounds = [...separators, colon];
+  const params = {};
+  for (let index = 0; index < bounds.length - 1; index += 1) {
+    const param = line.slice(bounds[index] + 1, bounds[index + 1]);
+    const equals = param.indexOf("=");
+    if (equals !== -1) {
+      params[param.slice(0, equals).toUpperCase()] = param
+        .slice(equals + 1)
+        .replace(/^"(.*)"$/, "$1");
+    }
+  }
+  return {
+    name: line.slice(0, bounds[0]).toUpperCase(),
+    params,
+    value: line.slice(colon + 1),
+  };
+}
+
+/**
+ * Parse a DATE or DATE-TIME value.
+ *
+ * @param {{params: Record<string, string>, value: string}} property Property holding the value
+ * @returns {{date: string, time: string, seconds: number, isDate: boolean, isUtc: boolean, tzid: string|null}}
+ * @throws {Error} When the value is not a valid date or date-time
+ */
+function parseDateTime(property) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/.exec(
+    property.value.trim(),
+  );
+  if (!match) {
+    throw core.inputError(
+      "invalid_parameter",
+      `Invalid date-time: ${property.value}`,
+    );
+  }
+  const [, year, month, day, hour, minute, second, utc] = match;
+  const isDate = hour === undefined;
+  return {
+    date: `${year}-${month}-${day}`,
+    time: isDate ? "00:00" : `${hour}:${minute}`,
+    seconds: isDate ? 0 : Number(second),
+    isDate,
+    isUtc: utc === "Z",
+    tzid: utc === "Z" ? null : property.params.TZID || null,
+  };
+}
+
+/**
+ * Parse a DURATION value such as 'PT1H30M', 'P1D' or '-P1W'.
+ *
+ * @param {string} value Duration value
+ * @returns {{days: number, milliseconds: number}} Nominal days (weeks
+ *   included) and exact time, both signed
+ * @throws {Error} When the value is not a valid duration
+ */
+function parseDuration(value) {
+  const match =
+    /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(
+      value.trim(),
+    );
+  if (!match || !/\d/.test(value) || value.trim().endsWith("T")) {
+    throw core.inputError("invalid_parameter", `Invalid duration: ${value}`);
+  }
+  const [, sign, weeks, days, hours, minutes, seconds] = match.map(
+    (part, index) => (index > 1 ? Number(part || 0) : part),
+  );
+  const factor = sign === "-" ? -1 : 1;
+  return {
+    days: factor * (weeks * 7 + days),
+    milliseconds: factor * ((hours * 60 + minutes) * 60 + seconds) * 1000,
+  };
+}
+
+/**
+ * Parse an RRULE value.  SECONDLY, MINUTELY and HOURLY rules and BYSETPOS
+ * are not supported.
+ *
+ * @param {string} value RRULE value, e.g. 'FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10'
+ * @returns {{freq: string, interval: number, count: number|null, until: string|null, byDay: Array<{ordinal: number, weekday: number}>, byMonthDay: number[], byMonth: number[], weekStart: number}}
+ * @throws {Error} When the rule is malformed or unsupported
+ */
+function parseRecurrenceRule(value) {
+  const parts = {};
+  for (const part of value.split(";")) {
+    const [key, ...rest] = part.split("=");
+    parts[key.trim().toUpperCase()] = rest.join("=").trim();
+  }
+  if (!["DAILY", "WEEKLY", "MONTHLY", "YEARLY"].includes(parts.FREQ)) {
+    throw core.inputError(
+      "invalid_parameter",
+      `Unsupported recurrence frequency: ${parts.FREQ}`,
+    );
+  }
+  if (parts.BYSETPOS) {
+    throw core.inputError(
+      "invalid_parameter",
+      "Unsupported recurrence rule part: BYSETPOS",
+    );
+  }
+
+  const numbers = (list) =>
+    list ? list.split(",").map((item) => Number(item)) : [];
+  const weekday = (code) => {
+    const index = WEEKDAY_CODES.indexOf(code.toUpperCase());
+    if (index === -1) {
+      throw core.inputError(
+        "invalid_parameter",
+        `Invalid weekday in recurrence rule: ${code}`,
+      );
+    }
+    return index;
+  };
+  const rule = {
+    freq: parts.FREQ,
+    interval: parts.INTERVAL ? Number(parts.INTERVAL) : 1,
+    count: parts.COUNT ? Number(parts.COUNT) : null,
+    until: parts.UNTIL || null,
+    byDay: (parts.BYDAY ? parts.BYDAY.split(",") : []).map((item) => {
+      const match = /^([+-]?\d{1,2})?([A-Za-z]{2})$/.exec(item.trim());
+      if (!match) {
+        throw core.inputError(
+          "invalid_parameter",
+          `Invalid BYDAY value: ${item}`,
+        );
+      }
+      return { ordinal: Number(match[1] || 0), weekday: weekday(match[2]) };
+    }),
+    byMonthDay: numbers(parts.BYMONTHDAY),
+    byMonth: numbers(parts.BYMONTH),
+    weekStart: parts.WKST ? weekday(parts.WKST) : 1,
+  };
+  const invalid = [
+    rule.interval,
+    ...(rule.count === null ? [] : [rule.count]),
+    ...rule.byMonthDay.map(Math.abs),
+    ...rule.byMonth,
+  ].some((number) => !Number.isInteger(number) || number < 1);
+  if (invalid) {
+    throw core.inputError(
+      "invalid_parameter",
+      `Invalid recurrence rule: ${value}`,
+    );
+  }
+  return rule;
+}
+
+/**
+ * Parse the VEVENTs of an iCalendar document.
+ *
+ * Lines are unfolded first; components nested in an event (such as VALARM)
+ * are skipped.  Dates are left as parsed values (see `parseDateTime`)
+ * because their zone can only be resolved once the caller picks a zone for
+ * floating times.  A date whose TZID names one of the document's VTIMEZONEs
+ * also carries that VTIMEZONE (see `parseVTimezone`) in `timezone`, for
+ * TZIDs that are not zone identifiers.  An event that cannot be read (no
+ * DTSTART, a malformed date) keeps its description fields and gives the
+ * reason in `error` instead of its times.
+ *
+ * @param {string} text iCalendar document
+ * @returns {Array<{uid: string|null, summary: string, description: string, location: string, status: string|null, start: ReturnType<typeof parseDateTime>, end: ReturnType<typeof parseDateTime>|null, duration: ReturnType<typeof parseDuration>|null, rrule: string|null, exdates: Array<ReturnType<typeof parseDateTime>>, recurrenceId: ReturnType<typeof parseDateTime>|null, error: string|null}>}
+ * @throws {Error} When the document has no VCALENDAR
+ */
+function parseCalendar(text) {
+  const lines = String(text)
+    .replace(/^\uFEFF/, "")
+    .replace(/\r?\n[ \t]/g, "")
+    .split(/\r?\n/);
+  if (!lines.some((line) => line.trim().toUpperCase() === "BEGIN:VCALENDAR")) {
+    throw core.inputError(
+      "invalid_parameter",
+      "Not an iCalendar file (no BEGIN:VCALENDAR)",
+    );
+  }
+
+  const events = [];
+  const timezones = new Map();
+  let event = null;
+  let depth = 0; // components nested inside the current event
+  let timezone = null; // VTIMEZONE being read
+  let observance = null; // STANDARD or DAYLIGHT being read in it
+  for (const line of lines) {
+    const property = parseContentLine(line);
+    if (!property) continue;
+    const value = property.value.trim().toUpperCase();
+
+    if (timezone) {
+      const isObservance = value === "STANDARD" || value === "DAYLIGHT";
+      if (property.name === "BEGIN" && isObservance) {
+        observance = [];
+      } else if (property.name === "END" && isObservance && observance) {
+        timezone.observances.push(observance);
+        observance = null;
+      } else if (property.name === "END" && value === "VTIMEZONE") {
+        // A VTIMEZONE that cannot be read leaves its TZID unknown
+        try {
+          const parsed = parseVTimezone(timezone);
+          timezones.set(parsed.tzid, parsed);
+        } catch (error) {
+          // Events using it are read as floating, with a warning
+        }
+        timezone = null;
+      } else {
+        (observance || timezone.properties).push(property);
+      }
+      continue;
+    }
+    if (!event) {
+      if (property.name === "BEGIN" && value === "VEVENT") {
+        event = { properties: [] };
+      } else if (property.name === "BEGIN" && value === "VTIMEZONE") {
+        timezone = { properties: [], observances: [] };
+      }
+      continue;
+    }
+    if (property.name === "BEGIN") {
+      depth += 1;
+    } else if (property.name === "END" && depth > 0) {
+      depth -= 1;
+    } else if (property.name === "END" && value === "VEVENT") {
+      events.push(event.properties);
+      event = null;
+    } else if (depth === 0) {
+      event.properties.push(property);
+    }
+  }
+
+  const dateTime = (property) => {
+    const parsed = parseDateTime(property);
+    if (parsed.tzid && timezones.has(parsed.tzid)) {
+      parsed.timezone = timezones.get(parsed.tzid);
+    }
+    return parsed;
+  };
+  return events.map((properties, index) => {
+    const find = (name) =>
+      properties.find((property) => property.name === name) || null;
+    const text = (name) => (find(name) ? unescapeText(find(name).value) : "");
+    const event = {
+      uid: find("UID") ? find("UID").value : null,
+      summary: text("SUMMARY"),
+      description: text("DESCRIPTION"),
+      location: text("LOCATION"),
+      status: find("STATUS") ? find("STATUS").value.toUpperCase() : null,
+      error: null,
+    };
+    try {
+      // DTSTART may be left out when the calendar has a METHOD (RFC 5545
+      // §3.6.1), but there is no time to list the event at then
+      const start = find("DTSTART");
+      if (!start) {
+        throw core.inputError("invalid_parameter", "No DTSTART");
+      }
+      return {
+        ...event,
+        start: dateTime(start),
+        end: find("DTEND") ? dateTime(find("DTEND")) : null,
+        duration: find("DURATION")
+          ? parseDuration(find("DURATION").value)
+          : null,
+        rrule: find("RRULE") ? find("RRULE").value : null,
+        exdates: properties
+          .filter((property) => property.name === "EXDATE")
+          .flatMap((property) =>
+            property.value
+              .split(",")
+              .map((value) => dateTime({ params: property.params, value })),
+          ),
+        recurrenceId: find("RECURRENCE-ID")
+          ? dateTime(find("RECURRENCE-ID"))
+          : null,
+      };
+    } catch (error) {
+      // The other events still import; `expandEvents` reports this one
+      return { ...event, error: error.message };
+    }
+  });
+}
+
+/**
+ * Parse a UTC-OFFSET value such as '-0500' or '+053000'.
+ *
+ * @param {string} value Offset value
+ * @returns {number} Offset in minutes (seconds are rounded away)
+ * @throws {Error} When the value is not a valid offset
+ */
+function parseIcsOffset(value) {
+  const match = /^([+-])(\d{2})(\d{2})(\d{2})?$/.exec(value.trim());
+  if (!match) {
+    throw core.inputError("invalid_parameter", `Invalid UTC offset: ${value}`);
+  }
+  const [, sign, hours, minutes, seconds] = match;
+  const offset =
+    Number(hours) * 60 +
+    Number(minutes) +
+    Math.round(Number(seconds || 0) / 60);
+  return sign === "-" ? -offset : offset;
+}
+
+/**
+ * Read a VTIMEZONE component: its TZID and the STANDARD and DAYLIGHT
+ * observances that make up its history.
+ *
+ * @param {{properties: object[], observances: object[][]}} component Properties of the VTIMEZONE and of each observance
+ * @returns {{tzid: string, observances: Array<{start: ReturnType<typeof parseDateTime>, offsetFrom: number, offsetTo: number, rule: ReturnType<typeof parseRecurrenceRule>|null, dates: Array<ReturnType<typeof parseDateTime>>}>}}
+ * @throws {Error} When the TZID or an observance is missing or malformed
+ */
+function parseVTimezone(component) {
+  const find = (properties, name) =>
+    properties.find((property) => property.name === name) || null;
+  const tzid = find(component.properties, "TZID");
+  if (!tzid || component.observances.length === 0) {
+    throw core.inputError("invalid_parameter", "Incomplete VTIMEZONE");
+  }
+  return {
+    tzid: tzid.value,
+    observances: component.observances.map((properties) => {
+      const start = find(properties, "DTSTART");
+      const offsetFrom = find(properties, "TZOFFSETFROM");
+      const offsetTo = find(properties, "TZOFFSETTO");
+      if (!start || !offsetFrom || !offsetTo) {
+        throw core.inputError(
+          "invalid_parameter",
+          `Incomplete VTIMEZONE observance in ${tzid.value}`,
+        );
+      }
+      const rrule = find(properties, "RRULE");
+      return {
+        start: parseDateTime(start),
+        offsetFrom: parseIcsOffset(offsetFrom.value),
+        offsetTo: parseIcsOffset(offsetTo.value),
+        rule: rrule ? parseRecurrenceRule(rrule.value) : null,
+        dates: properties
+          .filter((property) => property.name === "RDATE")
+          .flatMap((property) =>
+            property.value
+              .split(",")
+              .map((value) =>
+                parseDateTime({ params: property.params, value }),
+              ),
+          ),
+      };
+    }),
+  };
+}
+
+/**
+ * Onsets found so far for each VTIMEZONE, and the instant they cover.
+ *
+ * @type {WeakMap<object, {until: number, onsets: Array<{onset: number, offsetFrom: number, offsetTo: number}>}>}
+ */
+const vtimezoneOnsets = new WeakMap();
+
+/**
+ * Every onset of a VTIMEZONE's observances up to an instant, oldest first.
+ * Onsets are DTSTART and each date its RRULE or RDATEs add, read on the
+ * clock in force before the change (TZOFFSETFROM).
+ *
+ * @param {ReturnType<typeof parseVTimezone>} timezone Parsed VTIMEZONE
+ * @param {number} untilEpoch Last instant to cover, epoch ms
+ * @returns {Array<{onset: number, offsetFrom: number, offsetTo: number}>}
+ */
+function listVTimezoneOnsets(timezone, untilEpoch) {
+  const onsets = [];
+  for (const observance of timezone.observances) {
+    const { offsetFrom, offsetTo, rule } = observance;
+    const onsetOf = (value, date = value.date) =>
+      Date.parse(`${date}T${value.time}Z`) +
+      value.seconds * 1000 -
+      (value.isUtc ? 0 : offsetFrom * 60000);
+    const add = (onset) => onsets.push({ onset, offsetFrom, offsetTo });
+
+    add(onsetOf(observance.start));
+    observance.dates.forEach((value) => add(onsetOf(value)));
+    if (!rule) continue;
+    const ruleUntil = rule.until
+      ? onsetOf(parseDateTime({ params: {}, value: rule.until }))
+      : Infinity;
+    let count = 0;
+    for (const date of recurrenceDates(observance.start.date, rule)) {
+      const onset = onsetOf(observance.start, date);
+      count += 1;
+      if (
+        onset > untilEpoch ||
+        onset > ruleUntil ||
+        (rule.count !== null && count > rule.count)
+      ) {
+        break;
+      }
+      add(onset);
+    }
+  }
+  return onsets.sort((a, b) => a.onset - b.onset);
+}
+
+/**
+ * UTC offset a VTIMEZONE observes at an instant: that of the observance
+ * with the latest onset at or before it.  Before the first onset the
+ * earliest observance's TZOFFSETFROM applies.
+ *
+ * @param {ReturnType<typeof parseVTimezone>} timezone Parsed VTIMEZONE
+ * @param {number} epoch UTC epoch timestamp in milliseconds
+ * @returns {number} Offset in minutes
+ */
+function getVTimezoneOffset(timezone, epoch) {
+  let cached = vtimezoneOnsets.get(timezone);
+  if (!cached || cached.until < epoch) {
+    // Look a decade ahead, so the instants that follow reuse the list
+    const until = epoch + 10 * 366 * 24 * 60 * 60 * 1000;
+    cached = { until, onsets: listVTimezoneOnsets(timezone, until) };
+    vtimezoneOnsets.set(timezone, cached);
+  }
+  const { onsets } = cached;
+  let offset = onsets[0].offsetFrom;
+  for (const { onset, offsetTo } of onsets) {
+    if (onset > epoch) break;
+    offset = offsetTo;
+  }
+  return offset;
+}
+
+/**
+ * Epoch of a wall time in a VTIMEZONE.  Like `calculateEpochFromTimezone`
+ * with the 'compatible' disambiguation, a time repeated when clocks go back
+ * is read before the change and a time skipped when they go forward is
+ * moved past it.
+ *
+ * @param {ReturnType<typeof parseVTimezone>} timezone Parsed VTIMEZONE
+ * @param {string} date Local date, 'YYYY-MM-DD'
+ * @param {string} time Local time, 'HH:MM'
+ * @returns {number} UTC epoch timestamp in milliseconds
+ */
+function getVTimezoneEpoch(timezone, date, time) {
+  const wallClock = Date.parse(`${date}T${time}Z`);
+  const firstOffset = getVTimezoneOffset(timezone, wallClock);
+  const first = wallClock - firstOffset * 60000;
+  const secondOffset = getVTimezoneOffset(timezone, first);
+  if (secondOffset === firstOffset) {
+    return first;
+  }
+  const second = wallClock - secondOffset * 60000;
+  return getVTimezoneOffset(timezone, second) === secondOffset
+    ? second
+    : Math.max(first, second);
+}
+
+/**
+ * Pick the IANA zone a parsed date-time is observed in.
+ *
+ * UTC values use 'UTC' and values without a TZID are floating, i.e. read in
+ * `floatingZone`.  A TZID is used as is when it is an IANA identifier;
+ * otherwise a trailing IANA identifier (as in
+ * '/mozilla.org/20050126_1/America/New_York') or a Windows zone name is
+ * accepted.  Failing those, a TZID the document defines in a VTIMEZONE
+ * follows that VTIMEZONE: `timezone` holds it and `zone` is null.
+ * Anything else is treated as floating, with a warning.
+ *
+ * @param {ReturnType<typeof parseDateTime>} value Parsed date-time
+ * @param {string} floatingZone Zone for floating (and unknown) times
+ * @returns {{zone: string|null, timezone?: ReturnType<typeof parseVTimezone>, floating: boolean, warning: string|null}}
+ */
+function resolveEventZone(value, floatingZone) {
+  if (value.isUtc) {
+    return { zone: "UTC", floating: false, warning: null };
+  }
+  if (!value.tzid) {
+    return { zone: floatingZone, floating: true, warning: null };
+  }
+  const segments = value.tzid.split("/");
+  for (let index = 0; index < segments.length; index += 1) {
+    const candidate = segments.slice(index).join("/");
+    if (candidate && isValidTimeZone(candidate)) {
+      return { zone: candidate, floating: false, warning: null };
+    }
+  }
+  if (WINDOWS_ZONES[value.tzid]) {
+    return {
+      zone: WINDOWS_ZONES[value.tzid],
+      floating: false,
+      warning: null,
+    };
+  }
+  if (value.timezone) {
+    return {
+      zone: null,
+      timezone: value.timezone,
+      floating: false,
+      warning: null,
+    };
+  }
+  return {
+    zone: floatingZone,
+    floating: true,
+    warning: `Unknown TZID ${value.tzid}; read as ${floatingZone} time`,
+  };
+}
+
+/**
+ * Local dates a recurrence rule generates, in order, starting with the
+ * first one on or after `startDate`.  Only the calendar side of the rule is
+ * handled here; COUNT, UNTIL and the window are applied by the caller,
+ * which stops iterating when it has enough.
+ *
+ * @param {string} startDate DTSTART date, 'YYYY-MM-DD'
+ * @param {ReturnType<typeof parseRecurrenceRule>} rule Parsed RRULE
+ * @returns {Generator<string>} Dates in the form 'YYYY-MM-DD'
+ */
+function* recurrenceDates(startDate, rule) {
+  const [startYear, startMonth, startDay] = startDate.split("-").map(Number);
+  const toDate = (year, month, day) =>
+    new Date(Date.UTC(year, month - 1, day)).toISOString().split("T")[0];
+  const weekdayOf = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+  const daysInMonth = (year, month) =>
+    new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+  // Days of one month matching BYMONTHDAY / BYDAY (or DTSTART's day)
+  const monthDays = (year, month) => {
+    const length = daysInMonth(year, month);
+    let days;
+    if (rule.byMonthDay.length > 0) {
+      days = rule.byMonthDay.map((day) => (day > 0 ? day : length + day + 1));
+    } else if (rule.byDay.length > 0) {
+      days = [];
+      for (const { ordinal, weekday } of rule.byDay) {
+        const first =
+          ((weekday - weekdayOf(toDate(year, month, 1)) + 7) % 7) + 1;
+        const matches = [];
+        for (let day = first; day <= length; day += 7) {
+          matches.push(day);
+        }
+        if (ordinal === 0) {
+          days.push(...matches);
+        } else {
+          const day =
+            matches[ordinal > 0 ? ordinal - 1 : matches.length + ordinal];
+          if (day) days.push(day);
+        }
+      }
+    } else {
+      days = [startDay];
+    }
+    return [...new Set(days)]
+      .filter((day) => day >= 1 && day <= length)
+      .filter(
+        (day) =>
+          rule.byMonthDay.length === 0 ||
+          rule.byDay.length === 0 ||
+          rule.byDay.some(
+            ({ weekday }) => weekday === weekdayOf(toDate(year, month, day)),
+          ),
+      )
+      .sort((a, b) => a - b)
+      .map((day) => toDate(year, month, day));
+  };
+
+  const inByMonth = (date) =>
+    rule.byMonth.length === 0 ||
+    rule.byMonth.includes(Number(date.split("-")[1]));
+  const weekStartDate = toDate(
+    startYear,
+    startMonth,
+    startDay - ((weekdayOf(startDate) - rule.weekStart + 7) % 7),
+  );
+
+  for (let period = 0; period < MAX_RECURRENCE_ITERATIONS; period += 1) {
+    const step = period * rule.interval;
+    let dates;
+    if (rule.freq === "DAILY") {
+      dates = [toDate(startYear, startMonth, startDay + step)].filter(
+        (date) =>
+          (rule.byDay.length === 0 ||
+            rule.byDay.some(({ weekday }) => weekday === weekdayOf(date))) &&
+          (rule.byMonthDay.length === 0 ||
+            monthDays(...date.split("-").map(Number)).includes(date)),
+      );
+    } else if (rule.freq === "WEEKLY") {
+      const weekdays =
+        rule.byDay.length > 0
+          ? rule.byDay.map(({ weekday }) => weekday)
+          : [weekdayOf(startDate)];
+      const [year, month, day] = weekStartDate.split("-").map(Number);
+      dates = [...new Set(weekdays)]
+        .map((weekday) => (weekday - rule.weekStart + 7) % 7)
+        .sort((a, b) => a - b)
+        .map((offset) => toDate(year, month, day + step * 7 + offset));
+    } else if (rule.freq === "MONTHLY") {
+      const month = startMonth - 1 + step;
+      dates = monthDays(startYear + Math.floor(month / 12), (month % 12) + 1);
+    } else {
+      const months = rule.byMonth.length > 0 ? rule.byMonth : [startMonth];
+      dates = [...months]
+        .sort((a, b) => a - b)
+        .flatMap((month) => monthDays(startYear + step, month));
+    }
+    for (const date of dates) {
+      if (date >= startDate && inByMonth(date)) {
+        yield date;
+      }
+    }
+  }
+}
+
+/**
+ * Turn parsed events into concrete occurrences (start and end instants).
+ *
+ * Events without an RRULE produce one occurrence wherever they fall.
+ * Recurring events are expanded in the wall time of their own zone, so a
+ * 09:00 meeting stays at 09:00 across DST changes, and only occurrences
+ * starting in [`fromEpoch`, `toEpoch`) are kept.  EXDATEs and instances
+ * overridden by a RECURRENCE-ID event are skipped, and cancelled events are
+ * dropped.  Events that could not be read or expanded are reported in
+ * `warnings`.  Occurrences in a zone the document defines itself (a VTIMEZONE) are
+ * given in the fixed offset in force at their start, e.g. 'UTC-05:00'.
+ *
+ * @param {ReturnType<typeof parseCalendar>} events Parsed events
+ * @param {object} options Expansion options
+ * @param {string} options.floatingZone Zone for floating times
+ * @param {number} options.fromEpoch Window start (inclusive), epoch ms
+ * @param {number} options.toEpoch Window end (exclusive), epoch ms
+ * @param {number} options.limit Most occurrences to return
+ * @returns {{occurrences: Array<{event: object, zone: string, floating: boolean, allDay: boolean, recurring: boolean, startEpoch: number, endEpoch: number}>, warnings: string[], truncated: boolean}}
+ */
+function expandEvents(events, options) {
+  const { floatingZone, fromEpoch, toEpoch, limit } = options;
+  const occurrences = [];
+  const warnings = [];
+  const label = (event, index) =>
+    event.summary ? `"${event.summary}"` : `Event ${index + 1}`;
+  // Epoch of a date-time in the zone `resolveEventZone` picked for it
+  const epochOf = (value, { zone, timezone }, date = value.date) =>
+    (timezone
+      ? getVTimezoneEpoch(timezone, date, value.time)
+      : calculateEpochFromTimezone(date, value.time, zone)) +
+    value.seconds * 1000;
+  const resolve = (value) => resolveEventZone(value, floatingZone);
+
+  // RECURRENCE-ID events replace one instance of their master event
+  const overridden = new Set();
+  for (const event of events) {
+    if (event.recurrenceId && event.uid) {
+      const where = resolve(event.recurrenceId);
+      overridden.add(`${event.uid}@${epochOf(event.recurrenceId, where)}`);
+    }
+  }
+
+  events.forEach((event, index) => {
+    if (event.error) {
+      warnings.push(`${label(event, index)} skipped: ${event.error}`);
+      return;
+    }
+    if (event.status === "CANCELLED") return;
+    try {
+      const where = resolve(event.start);
+      const { floating, warning } = where;
+      if (warning) warnings.push(`${label(event, index)}: ${warning}`);
+
+      // The end is kept as a length: nominal days (which follow the wall
+      // clock) plus exact time.
+      let length = { days: event.start.isDate ? 1 : 0, milliseconds: 0 };
+      if (event.end) {
+        length = {
+          days: 0,
+          milliseconds:
+            epochOf(event.end, resolve(event.end)) -
+            epochOf(event.start, where),
+        };
+      } else if (event.duration) {
+        length = event.duration;
+      }
+      const push = (date) => {
+        const startEpoch = epochOf(event.start, where, date);
+        const endEpoch =
+          (length.days
+            ? epochOf(event.start, where, addDays(date, length.days))
+            : startEpoch) + length.milliseconds;
+        occurrences.push({
+          event,
+          zone: where.timezone
+            ? formatUtcOffset(getVTimezoneOffset(where.timezone, startEpoch))
+            : where.zone,
+          floating,
+          allDay: event.start.isDate,
+          recurring: Boolean(event.rrule),
+          startEpoch,
+          endEpoch,
+        });
+      };
+
+      if (!event.rrule) {
+        push(event.start.date);
+        return;
+      }
+
+      const rule = parseRecurrenceRule(event.rrule);
+      let untilEpoch = Infinity;
+      if (rule.until) {
+        const until = parseDateTime({ params: {}, value: rule.until });
+        untilEpoch = until.isDate
+          ? epochOf(until, where, addDays(until.date, 1)) - 1
+          : epochOf(until, until.isUtc ? resolve(until) : where);
+      }
+      const excluded = new Set(
+        event.exdates.map((value) => epochOf(value, resolve(value))),
+      );
+      // Dates well before the window only need counting, not resolving
+      const skipBefore = addDays(
+        new Date(fromEpoch).toISOString().split("T")[0],
+        -2,
+      );
+      let count = 0;
+      for (const date of recurrenceDates(event.start.date, rule)) {
+        if (date < skipBefore) {
+          count += 1;
+          if (rule.count !== null && count >= rule.count) break;
+          continue;
+        }
+        const startEpoch = epochOf(event.start, where, date);
+        count += 1;
+        if (
+          startEpoch > untilEpoch ||
+          startEpoch >= toEpoch ||
+          (rule.count !== null && count > rule.count)
+        ) {
+          break;
+        }
+        if (
+          startEpoch >= fromEpoch &&
+          !excluded.has(startEpoch) &&
+          !overridden.has(`${event.uid}@${startEpoch}`)
+        ) {
+          push(date);
+        }
+      }
+    } catch (error) {
+      warnings.push(`${label(event, index)} skipped: ${error.message}`);
+    }
+  });
+
+  occurrences.sort((a, b) => a.startEpoch - b.startEpoch);
+  const truncated = occurrences.length > limit;
+  if (truncated) {
+    warnings.push(`Only the first ${limit} occurrences are shown`);
+  }
+  return { occurrences: occurrences.slice(0, limit), warnings, truncated };
+}
+
+module.exports = {
+  escapeText,
+  foldLine,
+  formatUtcDateTime,
+  formatLocalDateTime,
+  formatIcsOffset,
+  buildVTimezone,
+  buildCalendar,
+  WINDOWS_ZONES,
+  unescapeText,
+  parseContentLine,
+  parseDateTime,
+  parseDuration,
+  parseRecurrenceRule,
+  parseCalendar,
+  parseIcsOffset,
+  parseVTimezone,
+  listVTimezoneOnsets,
+  getVTimezoneOffset,
+  getVTimezoneEpoch,
+  resolveEventZone,
+  recurrenceDates,
+  expandEvents,
+};
@@ -0,0 +1,619 @@
+/*
+ * Natural-language time phrases.
+ *
+ * Server only: server.js requires it for `/parse`.  `parsePhrase` turns text
+ * such as "3pm EST next Tuesday", "tomorrow 9:30 in Bogotá" or "noon Santiago
+ * time" into a date, time and source zone.  When a phrase can be read several
+ * ways every reading is returned as a candidate with a confidence between 0
+ * and 1.
+ */
+
+const core = require("../static/tz-core");
+const registry = require("../static/zones");
+const i18n = require("../static/i18n");
+
+const { addDays, getZonedNowDate, resolveLocalDateTime, describeMoment } = core;
+const {
+  ZONE_ABBREVIATIONS,
+  getZoneInfo,
+  listAvailableZones,
+  listCountryZones,
+  listZoneAliases,
+} = registry;
+
+const WEEKDAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+const WEEKDAY_ALIASES = {
+  sun: 0,
+  mon: 1,
+  tue: 2,
+  tues: 2,
+  wed: 3,
+  thu: 4,
+  thur: 4,
+  thurs: 4,
+  fri: 5,
+  sat: 6,
+};
+const MONTHS = [
+  "january",
+  "february",
+  "march",
+  "april",
+  "may",
+  "june",
+  "july",
+  "august",
+  "september",
+  "october",
+  "november",
+  "december",
+];
+
+/**
+ * Nicknames for places, beyond the cities and countries in the zone
+ * dataset, written the way `normalize` leaves them.
+ */
+const PLACE_ALIASES = {
+  nyc: "America/New_York",
+  "new york city": "America/New_York",
+  "washington dc": "America/New_York",
+  sf: "America/Los_Angeles",
+  la: "America/Los_Angeles",
+  "santiago de chile": "America/Santiago",
+  rio: "America/Sao_Paulo",
+  "hong kong": "Asia/Hong_Kong",
+  uk: "Europe/London",
+  usa: "America/New_York",
+};
+
+/**
+ * Words that carry no meaning of their own in a phrase.
+ */
+const FILLER_WORDS = new Set([
+  "at",
+  "in",
+  "on",
+  "the",
+  "time",
+  "of",
+  "for",
+  "local",
+  "around",
+  "about",
+]);
+
+/**
+ * Longest place name, in words, tried when matching.
+ */
+const MAX_PLACE_WORDS = 4;
+
+/**
+ * Most candidates returned for one phrase.
+ */
+const MAX_CANDIDATES = 5;
+
+let placeIndex = null;
+
+/**
+ * Lowercase, strip accents and punctuation, and join "3 p.m." into "3pm".
+ *
+ * @param {string} text Raw text
+ * @returns {string} Normalised text
+ */
+function normalize(text) {
+  return String(text)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\bo'?clock\b/g, "")
+    .replace(/(\d)\s*([ap])\.?\s?m\b\.?/g, "$1$2m")
+    .replace(/[,;!?()"]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Map of normalised place names (zone identifiers and their former names,
+ * the cities and countries of the zone dataset and `PLACE_ALIASES`) to
+ * zones.  A country
+ * maps to the zone covering most of it.  Built on first use.
+ *
+ * @returns {Map<string, string>} Place name to IANA identifier
+ */
+function getPlaceIndex() {
+  if (!placeIndex) {
+    placeIndex = new Map();
+    const add = (name, zone) => {
+      if (!placeIndex.has(normalize(name))) {
+        placeIndex.set(normalize(name), zone);
+      }
+    };
+    const zones = listAvailableZones();
+    zones.forEach((zone) => add(zone, zone));
+    // Main cities first, so "Santiago" is Chile's rather than the
+    // Dominican Republic's "Santiago de los Caballeros" or a namesake
+    zones.forEach((zone) => add(getZoneInfo(zone).location, zone));
+    zones.forEach((zone) =>
+      getZoneInfo(zone).cities.forEach((city) => add(city, zone)),
+    );
+    // Former names: 'Asia/Calcutta' and "Calcutta", 'US/Eastern'
+    zones.forEach((zone) =>
+      listZoneAliases(zone).forEach((alias) => {
+        add(alias, zone);
+        if (alias.split("/")[0] === zone.split("/")[0]) {
+          add(alias.split("/").pop().replace(/_/g, " "), zone);
+        }
+      }),
+    );
+    zones.forEach((zone) => {
+      const info = getZoneInfo(zone);
+      if (info.country) {
+        add(info.name, listCountryZones(info.country)[0]);
+      }
+    });
+    for (const [alias, zone] of Object.entries(PLACE_ALIASES)) {
+      placeIndex.set(alias, zone);
+    }
+  }
+  return placeIndex;
+}
+
+/**
+ * Spread weights over alternatives so they sum to 1, the first one being
+ * the most likely.
+ *
+ * @param {number} count Number of alternatives
+ * @returns {number[]} Weights, halving from one to the next
+ */
+function rankedWeights(count) {
+  const raw = Array.from({ length: count }, (_, index) => 1 / 2 ** index);
+  const total = raw.reduce((sum, weight) => sum + weight, 0);
+  return raw.map((weight) => weight / total);
+}
+
+/**
+ * Build a date option for a calendar date, or null if it does not exist.
+ */
+function calendarDate(year, month, day, weight, note) {
+  const date = `${String(year).padStart(4, "0")}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+  const check = new Date(`${date}T00:00:00Z`);
+  if (
+    Number.isNaN(check.getTime()) ||
+    check.getUTCMonth() !== month - 1 ||
+    check.getUTCDate() !== day
+  ) {
+    return null;
+  }
+  return { resolve: () => date, weight, note };
+}
+
+/**
+ * A date option for a month and day without a year: the next time that day
+ * comes round, counting today.
+ */
+function upcomingDate(month, day, weight, note) {
+  if (month < 1 || month > 12 || day < 1 || day > 31) {
+    return null;
+  }
+  return {
+    weight,
+    note,
+    resolve(today) {
+      const year = Number(today.slice(0, 4));
+      for (const candidate of [year, year + 1, year + 4]) {
+        const option = calendarDate(candidate, month, day);
+        if (option && option.resolve() >= today) {
+          return option.resolve();
+        }
+      }
+      return null;
+    },
+  };
+}
+
+/**
+ * A date option for the next given weekday, `skip` days after today at
+ * the earliest, moved on by `extraDays`.
+ */
+function upcomingWeekday(weekday, skip, weight, note, extraDays = 0) {
+  return {
+    weight,
+    note,
+    resolve(today) {
+      const current = new Date(`${today}T00:00:00Z`).getUTCDay();
+      const ahead = (weekday - current + 7) % 7;
+      return addDays(today, (ahead < skip ? ahead + 7 : ahead) + extraDays);
+    },
+  };
+}
+
+/**
+ * Parse a day of the month such as '9', '9th' or '21st'.
+ */
+function parseDay(token) {
+  const match = /^(\d{1,2})(?:st|nd|rd|th)?$/.exec(token || "");
+  return match && Number(match[1]) >= 1 && Number(match[1]) <= 31
+    ? Number(match[1])
+    : null;
+}
+
+/**
+ * Parse a month name or abbreviation ('mar', 'march', 'sept'), 1-based.
+ */
+function parseMonth(token) {
+  if (!token || token.length < 3) return null;
+  const index = MONTHS.findIndex((month) => month.startsWith(token));
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Parse a weekday name or abbreviation, 0 for Sunday.
+ */
+function parseWeekday(token) {
+  if (Object.hasOwn(WEEKDAY_ALIASES, token)) return WEEKDAY_ALIASES[token];
+  const index = WEEKDAYS.indexOf(token);
+  return index === -1 ? null : index;
+}
+
+/**
+ * Time options for an hour given without am/pm ("at 3"): both readings,
+ * favouring the one in daytime.
+ */
+function bareHour(hour, minute) {
+  const pad = (value) => String(value).padStart(2, "0");
+  if (hour === 0 || hour > 12) {
+    return [{ time: `${pad(hour)}:${pad(minute)}`, weight: 1 }];
+  }
+  if (hour === 12) {
+    return [{ time: `12:${pad(minute)}`, weight: 1 }];
+  }
+  const morning = { time: `${pad(hour)}:${pad(minute)}`, note: "am" };
+  const evening = { time: `${pad(hour + 12)}:${pad(minute)}`, note: "pm" };
+  const [first, second] = hour >= 7 ? [morning, evening] : [evening, morning];
+  return [
+    { ...first, weight: 0.7 },
+    { ...second, weight: 0.3 },
+  ];
+}
+
+/**
+ * Read the date, time and zone parts of a phrase.
+ *
+ * @param {string[]} tokens Normalised words
+ * @returns {{dates: object[]|null, times: object[]|null, zones: object[]|null, unknown: string[]}}
+ */
+function scan(tokens) {
+  const found = { dates: null, times: null, zones: null, unknown: [] };
+  const pad = (value) => String(value).padStart(2, "0");
+  let index = 0;
+
+  while (index < tokens.length) {
+    const token = tokens[index];
+    const next = tokens[index + 1];
+    const previous = tokens[index - 1];
+    let match;
+
+    // Times
+    if ((match = /^(\d{1,2})(?:[:.](\d{2}))?([ap]m)$/.exec(token))) {
+      const hour = Number(match[1]);
+      const minute = Number(match[2] || 0);
+      if (hour >= 1 && hour <= 12 && minute < 60) {
+        const hour24 = (hour % 12) + (match[3] === "pm" ? 12 : 0);
+        found.times = [{ time: `${pad(hour24)}:${pad(minute)}`, weight: 1 }];
+        index += 1;
+        continue;
+      }
+    }
+    if ((match = /^(\d{1,2})[:h.](\d{2})$/.exec(token))) {
+      const hour = Number(match[1]);
+      const minute = Number(match[2]);
+      if (hour < 24 && minute < 60) {
+        found.times =
+          match[0].includes(":") || hour >= 13 || hour === 0
+            ? [{ time: `${pad(hour)}:${pad(minute)}`, weight: 1 }]
+            : bareHour(hour, minute);
+        index += 1;
+        continue;
+      }
+    }
+    if (token === "noon" || token === "midday") {
+      found.times = [{ time: "12:00", weight: 1 }];
+      index += 1;
+      continue;
+    }
+    if (token === "midnight") {
+      found.times = [{ time: "00:00", weight: 1 }];
+      index += 1;
+      continue;
+    }
+    if (/^\d{1,2}$/.test(token) && previous === "at" && Number(token) < 24) {
+      found.times = bareHour(Number(token), 0);
+      index += 1;
+      continue;
+    }
+
+    // Relative dates
+    const relative = { today: 0, tonight: 0, tomorrow: 1, yesterday: -1 };
+    if (Object.hasOwn(relative, token)) {
+      const days = relative[token];
+      found.dates = [{ resolve: (today) => addDays(today, days), weight: 1 }];
+      if (token === "tonight" && !found.times) {
+        found.times = [{ time: "20:00", weight: 0.5, defaulted: true }];
+      }
+      index += 1;
+      continue;
+    }
+    if (
+      token === "day" &&
+      next === "after" &&
+      tokens[index + 2] === "tomorrow"
+    ) {
+      found.dates = [{ resolve: (today) => addDays(today, 2), weight: 1 }];
+      index += 3;
+      continue;
+    }
+    if (
+      token === "in" &&
+      /^\d{1,3}$/.test(next || "") &&
+      /^(day|week)s?$/.test(tokens[index + 2] || "")
+    ) {
+      const days =
+        Number(next) * (tokens[index + 2].startsWith("week") ? 7 : 1);
+      found.dates = [{ resolve: (today) => addDays(today, days), weight: 1 }];
+      index += 3;
+      continue;
+    }
+    if ((token === "next" || token === "this") && parseWeekday(next) !== null) {
+      const weekday = parseWeekday(next);
+      found.dates =
+        token === "this"
+          ? [upcomingWeekday(weekday, 0, 1)]
+          : [
+              upcomingWeekday(weekday, 1, 0.7),
+              upcomingWeekday(weekday, 1, 0.3, "the week after", 7),
+            ];
+      index += 2;
+      continue;
+    }
+    if (parseWeekday(token) !== null) {
+      found.dates = [upcomingWeekday(parseWeekday(token), 0, 1)];
+      index += 1;
+      continue;
+    }
+
+    // Absolute dates
+    if ((match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(token))) {
+      const option = calendarDate(+match[1], +match[2], +match[3], 1);
+      if (option) {
+        found.dates = [option];
+        index += 1;
+        continue;
+      }
+    }
+    if (parseMonth(token) !== null && parseDay(next) !== null) {
+      const year = /^\d{4}$/.test(tokens[index + 2] || "")
+        ? Number(tokens[index + 2])
+        : null;
+      const option = year
+        ? calendarDate(year, parseMonth(token), parseDay(next), 1)
+        : upcomingDate(parseMonth(token), parseDay(next), 1);
+      if (option) {
+        found.dates = [option];
+        index += year ? 3 : 2;
+        continue;
+      }
+    }
+    if (parseDay(token) !== null && parseMonth(next) !== null) {
+      const year = /^\d{4}$/.test(tokens[index + 2] || "")
+        ? Number(tokens[index + 2])
+        : null;
+      const option = year
+        ? calendarDate(year, parseMonth(next), parseDay(token), 1)
+        : upcomingDate(parseMonth(next), parseDay(token), 1);
+      if (option) {
+        found.dates = [option];
+        index += year ? 3 : 2;
+        continue;
+      }
+    }
+    if ((match = /^(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?$/.exec(token))) {
+      // 3/9 is 9 March in most of the world and 3 September in the US
+      const [first, second] = [Number(match[1]), Number(match[2])];
+      const year = match[3]
+        ? Number(match[3].length === 2 ? `20${match[3]}` : match[3])
+        : null;
+      const make = (month, day, weight, note) =>
+        year
+          ? calendarDate(year, month, day, weight, note)
+          : upcomingDate(month, day, weight, note);
+      const options =
+        first === second
+          ? [make(first, second, 1)]
+          : [
+              make(second, first, 0.5, "day/month"),
+              make(first, second, 0.5, "month/day"),
+            ];
+      const valid = options.filter(Boolean);
+      if (valid.length > 0) {
+        found.dates = valid;
+        index += 1;
+        continue;
+      }
+    }
+
+    // Zones: abbreviations, identifiers and place names
+    const abbreviation = ZONE_ABBREVIATIONS[token.toUpperCase()];
+    if (abbreviation) {
+      // Read first at the fixed offset, as resolveTimeZoneInput does, so
+      // "3pm EST" means UTC-05:00 even in July; the places using the
+      // abbreviation follow as weaker readings.
+      const offsets = [...new Set(abbreviation.map((entry) => entry.offset))];
+      const weights = rankedWeights(offsets.length);
+      found.zones = [
+        ...offsets.map((offset, position) => ({
+          zone: core.formatUtcOffset(offset),
+          weight: weights[position],
+        })),
+        ...abbreviation.map((entry) => ({
+          zone: entry.zone,
+          weight: weights[offsets.indexOf(entry.offset)] / 2,
+          abbreviation: { name: token.toUpperCase(), offset: entry.offset },
+        })),
+      ];
+      index += 1;
+      continue;
+    }
+    let place = null;
+    for (let words = MAX_PLACE_WORDS; words >= 1 && !place; words -= 1) {
+      if (index + words > tokens.length) continue;
+      const name = tokens.slice(index, index + words).join(" ");
+      if (getPlaceIndex().has(name)) {
+        place = { zone: getPlaceIndex().get(name), words };
+      }
+    }
+    if (place) {
+      found.zones = [{ zone: place.zone, weight: 1 }];
+      index += place.words;
+      continue;
+    }
+
+    if (!FILLER_WORDS.has(token)) {
+      found.unknown.push(token);
+    }
+    index += 1;
+  }
+  return found;
+}
+
+/**
+ * Resolve a phrase into candidate date, time and zone readings.
+ *
+ * Relative dates are counted from today in the candidate's own zone, so
+ * "tomorrow 9:30 in Bogotá" means tomorrow in Bogotá.  Parts the phrase
+ * leaves out fall back to `defaultZone`, today and 09:00, and every such
+ * fallback, unrecognised word or abbreviation whose offset the zone is not
+ * observing lowers the confidence.
+ *
+ * @param {string} text Phrase to parse
+ * @param {object} [options] Parsing options
+ * @param {string} [options.defaultZone] Zone used when the phrase names none (default: 'UTC')
+ * @param {Date} [options.now] Moment relative dates are counted from (default: now)
+ * @param {string} [options.locale] Locale the labels' weekday and place are written in (default: English)
+ * @returns {Array<{date: string, time: string, timezone: string, confidence: number, label: string, notes: string[]}>} Best first
+ * @throws {Error} When the phrase holds no date, time or place at all
+ */
+function parsePhrase(text, options = {}) {
+  const defaultZone = options.defaultZone || "UTC";
+  const now = options.now || new Date();
+  const locale = options.locale || i18n.DEFAULT_LOCALE;
+  const normalized = normalize(text);
+  const found = scan(normalized ? normalized.split(" ") : []);
+  if (!found.dates && !found.times && !found.zones) {
+    throw core.inputError(
+      "invalid_parameter",
+      `Could not find a date, time or place in "${text}"`,
+    );
+  }
+
+  const notes = [];
+  let penalty = 0.9 ** found.unknown.length;
+  if (found.unknown.length > 0) {
+    notes.push(`Ignored: ${found.unknown.join(" ")}`);
+  }
+  const zones = found.zones || [{ zone: defaultZone, weight: 1 }];
+  if (!found.zones) {
+    notes.push(`No place given; using ${getZoneInfo(defaultZone).location}`);
+    penalty *= 0.9;
+  }
+  const dates = found.dates || [
+    { resolve: (today) => today, weight: 1, note: "today" },
+  ];
+  let times = found.times;
+  if (!times) {
+    times = [{ time: "09:00", weight: 1 }];
+    notes.push("No time given; using 09:00");
+    penalty *= 0.7;
+  } else if (times[0].defaulted) {
+    notes.push(`No time given; using ${times[0].time}`);
+  }
+
+  const candidates = new Map();
+  for (const zoneOption of zones) {
+    const today = getZonedNowDate(zoneOption.zone, now);
+    for (const dateOption of dates) {
+      const date = dateOption.resolve(today);
+      if (!date) continue;
+      for (const timeOption of times) {
+        let resolved;
+        try {
+          resolved = resolveLocalDateTime(
+            date,
+            timeOption.time,
+            zoneOption.zone,
+          );
+        } catch (error) {
+          continue;
+        }
+        const moment = describeMoment(resolved.epoch, zoneOption.zone, date);
+        const location = getZoneInfo(zoneOption.zone).location;
+        const candidateNotes = [...notes];
+        let weight =
+          zoneOption.weight * dateOption.weight * timeOption.weight * penalty;
+        if (dateOption.note && found.dates) {
+          candidateNotes.push(`Read as ${dateOption.note}`);
+        }
+        if (timeOption.note) {
+          candidateNotes.push(`Read as ${timeOption.note}`);
+        }
+        const { abbreviation } = zoneOption;
+        if (abbreviation && abbreviation.offset !== moment.offsetMinutes) {
+          candidateNotes.push(
+            `${abbreviation.name} is ${core.formatUtcOffset(abbreviation.offset)}, but ${location} is on ${moment.utcOffset} then; using ${location} time`,
+          );
+          weight *= 0.9;
+        }
+        if (resolved.status !== "valid") {
+          candidateNotes.push(
+            `${timeOption.time} is ${resolved.status} in ${location} on that date (DST change)`,
+          );
+        }
+
+        const key = `${date}T${timeOption.time}@${zoneOption.zone}`;
+        const existing = candidates.get(key);
+        if (existing) {
+          existing.confidence += weight;
+          continue;
+        }
+        candidates.set(key, {
+          date,
+          time: timeOption.time,
+          timezone: zoneOption.zone,
+          confidence: weight,
+          label: `${i18n.formatDate(date, locale, { weekday: "long" })} ${date} ${timeOption.time} · ${i18n.cityName(location, locale)}`,
+          notes: candidateNotes,
+        });
+      }
+    }
+  }
+
+  return [...candidates.values()]
+    .map((candidate) => ({
+      ...candidate,
+      confidence: Math.round(Math.min(candidate.confidence, 1) * 100) / 100,
+    }))
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, MAX_CANDIDATES);
+}
+
+module.exports = {
+  normalize,
+  parsePhrase,
+};
@@ -2,7 +2,10 @@
  * Simple Node.js HTTP server to serve a static time‑zone converter application.
  *
  * The server exposes three types of resources:
- *   • Static assets under the `static` directory (index.html, script.js, styles.css).
+ *   • Static assets under the `static` directory (index.html, script.js,
+ *     styles.css and the modules shared with the server, such as zones.js).
+ *     They are kept in memory, compressed with Brotli or gzip and revalidated
+ *     with ETags; see `serveStaticFile`.
  *   • A `/convert` endpoint that accepts `date` (YYYY‑MM‑DD) and `time` (HH:MM)
  *     query parameters and returns a JSON object with the equivalent local times
  *     for several target time zones.  The calculation honours daylight saving
@@ -10,372 +13,3085 @@
  *     specified.
  *
  * The conversion logic is intentionally implemented without external
- * dependencies.  It leverages JavaScript's built‑in `Intl.DateTimeFormat`
- * facilities to determine time‑zone offsets dynamically.  See `getOffset`
- * and `convertTime` for the details.
+ * dependencies.  It lives in `static/tz-core.js`, which the browser loads as
+ * well so the page can convert without a round trip; see `getOffset` and
+ * `resolveLocalDateTime` there for the details.
  */
 
 const http = require("http");
+const crypto = require("crypto");
 const fs = require("fs");
 const path = require("path");
 const url = require("url");
+const util = require("util");
+const zlib = require("zlib");
+const {
+  DEFAULT_ZONES,
+  DEFAULT_SOURCE,
+  getZoneInfo,
+  isValidTimeZone,
+  parseZoneList,
+  resolveTimeZoneInput,
+} = require("./static/zones");
+const {
+  DAY_MS,
+  MIN_YEAR,
+  DISAMBIGUATION_MODES,
+  getZonedParts,
+  getOffset,
+  formatUtcOffset,
+  isDaylightSavingTime,
+  describeMoment,
+  getZonedNowDate,
+  addDays,
+  parseClock,
+  parseCalendarDate,
+  calculateEpochFromTimezone,
+  convertToZones,
+  parseInstant,
+  convertInstantToZones,
+} = require("./static/tz-core");
+const {
+  buildCalendar,
+  parseCalendar,
+  parseDuration,
+  parseRecurrenceRule,
+  recurrenceDates,
+  expandEvents,
+} = require("./lib/ics");
+const { parsePhrase } = require("./lib/parse");
+const { listZones, searchZones } = require("./static/catalog");
+const { listHolidays, describeZoneDay } = require("./static/holidays");
+const {
+  SUPPORTED_LOCALES,
+  resolveLocale,
+  negotiateLocale,
+  translate,
+  formatDate,
+  localizeZoneInfo,
+  localizeZone,
+  localizeMoment,
+} = require("./static/i18n");
 
 /**
- * Determine the time‑zone offset (in minutes) for a given moment and zone.
+ * Longest range `findTransitions` will scan, in days.
+ */
+const MAX_TRANSITION_RANGE_DAYS = 3660;
+
+/**
+ * List every UTC offset change a zone goes through between two instants.
+ *
+ * The range is sampled every 12 hours with `getOffset`; whenever two samples
+ * disagree, the exact instant of the change is found by bisection down to the
+ * second.  Each transition reports the offsets either side of it and the wall
+ * clock reading just before and at the change.
+ *
+ * @param {string} timeZone IANA time zone identifier
+ * @param {number} fromEpoch Start of the range (inclusive), epoch ms
+ * @param {number} toEpoch End of the range (exclusive), epoch ms
+ * @returns {Array<{instant: string, epoch: number, offsetBefore: number, offsetAfter: number, utcOffsetBefore: string, utcOffsetAfter: string, localBefore: string, localAfter: string, direction: "forward"|"backward", isDST: boolean}>}
+ */
+function findTransitions(timeZone, fromEpoch, toEpoch) {
+  const step = DAY_MS / 2;
+  const transitions = [];
+  let previousEpoch = fromEpoch;
+  let previousOffset = getOffset(new Date(fromEpoch), timeZone);
+
+  while (previousEpoch < toEpoch) {
+    const nextEpoch = Math.min(previousEpoch + step, toEpoch);
+    const nextOffset = getOffset(new Date(nextEpoch), timeZone);
+    if (nextOffset !== previousOffset) {
+      // Bisect over whole seconds: `low` always has the old offset, `high`
+      // the new one.
+      let low = Math.floor(previousEpoch / 1000);
+      let high = Math.ceil(nextEpoch / 1000);
+      while (high - low > 1) {
+        const middle = Math.floor((low + high) / 2);
+        if (getOffset(new Date(middle * 1000), timeZone) === previousOffset) {
+          low = middle;
+        } else {
+          high = middle;
+        }
+      }
+      const epoch = high * 1000;
+      const offsetAfter = getOffset(new Date(epoch), timeZone);
+      const localAt = (moment) => {
+        const parts = getZonedParts(new Date(moment), timeZone);
+        return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}`;
+      };
+      transitions.push({
+        instant: new Date(epoch).toISOString(),
+        epoch,
+        offsetBefore: previousOffset,
+        offsetAfter,
+        utcOffsetBefore: formatUtcOffset(previousOffset),
+        utcOffsetAfter: formatUtcOffset(offsetAfter),
+        localBefore: localAt(epoch - 1000),
+        localAfter: localAt(epoch),
+        direction: offsetAfter > previousOffset ? "forward" : "backward",
+        isDST: isDaylightSavingTime(new Date(epoch), timeZone),
+      });
+    }
+    previousEpoch = nextEpoch;
+    previousOffset = nextOffset;
+  }
+  return transitions;
+}
+
+/**
+ * Longest event `/event.ics` will export, in minutes (one week).
+ */
+const MAX_EVENT_DURATION_MINUTES = 7 * 24 * 60;
+
+/**
+ * Build the iCalendar export of a converted moment.
+ *
+ * The VTIMEZONE covers a year either side of the event, which is plenty for
+ * a single occurrence.  The description lists the start time in every zone
+ * of `conversion`, in order.
+ *
+ * @param {ReturnType<typeof convertToZones>} conversion Result for the event start
+ * @param {number} durationMinutes Event length
+ * @param {string} title Event summary
+ * @returns {string} VCALENDAR text
+ */
+function buildEventCalendar(conversion, durationMinutes, title) {
+  const timeZone = conversion.timezone;
+  const startEpoch = conversion.resolution.epoch;
+  const fromEpoch = startEpoch - 366 * DAY_MS;
+  const lines = Object.entries(conversion.conversions).map(([zone, local]) => {
+    const info = getZoneInfo(zone);
+    return `${info.location} (${info.name}): ${local.weekday} ${local.date} ${local.time} ${local.utcOffset}`;
+  });
+
+  return buildCalendar({
+    uid: `${crypto.randomUUID()}@timezone-converter`,
+    title,
+    description: `Equivalent times:\n${lines.join("\n")}`,
+    timeZone,
+    startEpoch,
+    endEpoch: startEpoch + durationMinutes * 60000,
+    fromEpoch,
+    transitions: findTransitions(
+      timeZone,
+      fromEpoch,
+      startEpoch + 366 * DAY_MS,
+    ),
+  });
+}
+
+/**
+ * Largest .ics file `/import-ics` accepts, in bytes.
+ */
+const MAX_ICS_BYTES = 1024 * 1024;
+
+/**
+ * Window recurring events are expanded over by default, and at most, in days.
+ */
+const DEFAULT_IMPORT_RANGE_DAYS = 90;
+const MAX_IMPORT_RANGE_DAYS = 366;
+
+/**
+ * Most event occurrences `/import-ics` returns.
+ */
+const MAX_IMPORT_OCCURRENCES = 500;
+
+/**
+ * Describe one endpoint of an imported event: its wall time in the event's
+ * own zone plus its local time in each target zone.  `dayOffset` is counted
+ * from the event's start date so an end past midnight reads as "+1 day".
+ *
+ * @param {number} epoch Instant, UTC epoch ms
+ * @param {string} timeZone The event's zone
+ * @param {string[]} zones Target zones
+ * @param {string} referenceDate The event's start date in `timeZone`
+ * @returns {{epoch: number, date: string, time: string, conversions: Record<string, ReturnType<typeof describeMoment>>}}
+ */
+function describeEventMoment(epoch, timeZone, zones, referenceDate) {
+  const local = describeMoment(epoch, timeZone, referenceDate);
+  const conversions = {};
+  for (const zone of zones) {
+    conversions[zone] = describeMoment(epoch, zone, referenceDate);
+  }
+  return { epoch, date: local.date, time: local.time, conversions };
+}
+
+/**
+ * Read a whole request body as UTF-8 text.
+ *
+ * @param {http.IncomingMessage} req Request
+ * @param {number} maxBytes Largest body accepted
+ * @param {(error: Error|null, body?: string) => void} callback Called once,
+ *   with an error when the body is too large
+ */
+function readBody(req, maxBytes, callback) {
+  const chunks = [];
+  let size = 0;
+  let done = false;
+  req.on("data", (chunk) => {
+    if (done) return;
+    size += chunk.length;
+    if (size > maxBytes) {
+      done = true;
+      req.resume();
+      callback(
+        apiError(
+          413,
+          "payload_too_large",
+          `Body too large (at most ${maxBytes} bytes)`,
+        ),
+      );
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on("end", () => {
+    if (done) return;
+    done = true;
+    callback(null, Buffer.concat(chunks).toString("utf8"));
+  });
+}
+
+/**
+ * Where short links are stored: a JSON object mapping ids to the converter
+ * query string they stand for.
+ */
+const SHORT_LINKS_FILE =
+  process.env.SHORT_LINKS_FILE ||
+  path.join(__dirname, "data", "short-links.json");
+
+/**
+ * Most short links kept, so the file cannot grow without bound.
+ */
+const MAX_SHORT_LINKS = 10000;
+
+let shortLinks = null; // Loaded from SHORT_LINKS_FILE on first use
+let shortLinksWrite = Promise.resolve(); // Serialises writes to the file
+
+/**
+ * The short link store, read from disk the first time it is needed.
+ *
+ * @returns {Record<string, string>} Map of id to query string
+ */
+function getShortLinks() {
+  if (!shortLinks) {
+    try {
+      shortLinks = JSON.parse(fs.readFileSync(SHORT_LINKS_FILE, "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.warn(`Could not read ${SHORT_LINKS_FILE}:`, error.message);
+      }
+      shortLinks = {};
+    }
+  }
+  return shortLinks;
+}
+
+/**
+ * Write the short link store to disk.  The file is replaced atomically and
+ * writes are queued, so concurrent requests never interleave.  A failed
+ * write only fails its own caller; the next one is still attempted.
+ *
+ * @returns {Promise<void>} Resolves once the file is written
+ */
+function saveShortLinks() {
+  const data = JSON.stringify(getShortLinks(), null, 2);
+  const write = async () => {
+    const temporary = `${SHORT_LINKS_FILE}.tmp`;
+    await fs.promises.mkdir(path.dirname(SHORT_LINKS_FILE), {
+      recursive: true,
+    });
+    await fs.promises.writeFile(temporary, data);
+    await fs.promises.rename(temporary, SHORT_LINKS_FILE);
+  };
+  shortLinksWrite = shortLinksWrite.then(write, write);
+  return shortLinksWrite;
+}
+
+/**
+ * Validate a shared converter state and return it in canonical form.
+ *
+ * @param {{date?: string, time?: string, source?: string, zones?: string|string[]}} state Date, time, source zone and (optionally) displayed zones
+ * @returns {{date: string, time: string, source: string, zones: string[]|null, query: string}} The state and its query string
+ * @throws {Error} When any field is missing or invalid
+ */
+function normalizeShareState(state) {
+  const { time, zones } = state || {};
+  const date =
+    readDate(state || {}, "date") || requireParam(state || {}, "date");
+  if (!/^\d{2}:\d{2}$/.test(time || "") || !parseClock(time)) {
+    throw apiError(400, "invalid_time", "`time` must be HH:MM", "time");
+  }
+  const sourceTimezone = readIanaZone(state || {}, "source", DEFAULT_SOURCE);
+  const zoneList = zones && zones.length > 0 ? resolveZones({ zones }) : null;
+  // Make sure the moment actually converts
+  inField("time", () => convertToZones(date, time, sourceTimezone, []));
+
+  const params = new URLSearchParams({ date, time, source: sourceTimezone });
+  if (zoneList) {
+    params.set("zones", zoneList.join(","));
+  }
+  return {
+    date,
+    time,
+    source: sourceTimezone,
+    zones: zoneList,
+    query: params.toString(),
+  };
+}
+
+/**
+ * Store a short link for a query string.  Ids are derived from a hash of the
+ * query, so sharing the same state twice gives the same link.
+ *
+ * @param {string} query Canonical query string (see `normalizeShareState`)
+ * @returns {Promise<string>} The link's id
+ * @throws {Error} When the store is full
+ */
+async function createShortLink(query) {
+  const links = getShortLinks();
+  const hash = crypto.createHash("sha256").update(query).digest("base64url");
+  for (let length = 7; length <= hash.length; length += 1) {
+    const id = hash.slice(0, length);
+    if (links[id] === query) {
+      return id;
+    }
+    if (!Object.hasOwn(links, id)) {
+      if (Object.keys(links).length >= MAX_SHORT_LINKS) {
+        throw apiError(
+          500,
+          "short_link_store_full",
+          "Short link store is full",
+        );
+      }
+      links[id] = query;
+      try {
+        await saveShortLinks();
+      } catch (error) {
+        // Unsaved, the link would vanish on restart; let a retry save it
+        delete links[id];
+        throw error;
+      }
+      return id;
+    }
+  }
+  throw new Error("Could not allocate a short link");
+}
+
+/**
+ * Escape text for use in HTML content or a quoted attribute.
+ *
+ * @param {string} value Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Add the page title, description and Open Graph tags to index.html, in
+ * the visitor's language.  When the query holds a shared state the tags
+ * describe it, so link previews show the converted times; otherwise generic
+ * tags are used.
+ *
+ * @param {string} html index.html
+ * @param {Record<string, string>} query Parsed query string
+ * @param {string} locale Locale negotiated from the request (see `negotiateLocale`)
+ * @returns {string} The page to send
+ */
+function renderIndexPage(html, query, locale) {
+  const siteName = translate(locale, "app.title");
+  let title = siteName;
+  let description = translate(locale, "app.description");
+  if (query.date || query.time) {
+    try {
+      const state = normalizeShareState(query);
+      const zones = state.zones || DEFAULT_ZONES;
+      const result = convertToZones(
+        state.date,
+        state.time,
+        state.source,
+        zones,
+      );
+      const resolved = result.resolution.resolved;
+      title = translate(locale, "app.sharedTitle", {
+        time: resolved.time,
+        place: localizeZoneInfo(getZoneInfo(state.source), locale).location,
+        weekday: formatDate(resolved.date, locale, { weekday: "long" }),
+        date: resolved.date,
+      });
+      description = zones
+        .filter((zone) => zone !== state.source)
+        .map((zone) => {
+          const local = result.conversions[zone];
+          const days = local.dayOffset
+            ? ` (${local.dayOffset > 0 ? "+" : ""}${local.dayOffset}d)`
+            : "";
+          return `${localizeZoneInfo(getZoneInfo(zone), locale).location} ${local.time}${days}`;
+        })
+        .join(" · ");
+    } catch (error) {
+      // An invalid shared state falls back to the generic tags
+    }
+  }
+
+  const meta = [
+    `<meta name="description" content="${escapeHtml(description)}" />`,
+    '<meta property="og:type" content="website" />',
+    `<meta property="og:site_name" content="${escapeHtml(siteName)}" />`,
+    `<meta property="og:locale" content="${locale.replace("-", "_")}" />`,
+    `<meta property="og:title" content="${escapeHtml(title)}" />`,
+    `<meta property="og:description" content="${escapeHtml(description)}" />`,
+    '<meta name="twitter:card" content="summary" />',
+  ];
+  return html
+    .replace(/<html lang="[^"]*"/, `<html lang="${locale}"`)
+    .replace(/<title>[^<]*<\/title>/, `<title>${escapeHtml(title)}</title>`)
+    .replace("</head>", `    ${meta.join("\n        ")}\n    </head>`);
+}
+
+/**
+ * Pages allowed to frame `/embed`, as a CSP `frame-ancestors` source list
+ * (e.g. "https://wiki.example.com").  Any page by default.
+ */
+const EMBED_FRAME_ANCESTORS = process.env.EMBED_FRAME_ANCESTORS || "*";
+
+/**
+ * Colour themes `/embed` accepts.
+ */
+const EMBED_THEMES = ["light", "dark"];
+
+/**
+ * Read the `/embed` options from the query string: the attributes of its
+ * <tz-converter> element, plus the page's language and theme.
+ *
+ * @param {Record<string, string>} query Parsed query string
+ * @param {string} negotiatedLocale Locale negotiated from Accept-Language, used without `locale`
+ * @returns {{locale: string, theme: string, attributes: Record<string, string>}}
+ * @throws {Error} When a parameter is invalid
+ */
+function readEmbedOptions(query, negotiatedLocale) {
+  const zones = resolveZones(query);
+  const { locale } = parseLocaleOptions(query);
+  const theme = query.theme || EMBED_THEMES[0];
+  if (!EMBED_THEMES.includes(theme)) {
+    throw apiError(
+      400,
+      "invalid_parameter",
+      `\`theme\` must be ${EMBED_THEMES.join(" or ")}, not ${theme}`,
+      "theme",
+    );
+  }
+
+  const attributes = {
+    zones: zones.join(","),
+    source: readIanaZone(query, "source", zones[0]),
+    locale: locale || negotiatedLocale,
+    theme,
+  };
+  if (query.hour12 !== undefined) {
+    attributes.hour12 = query.hour12;
+  }
+  if (query.date !== undefined) {
+    attributes.date = readDate(query, "date");
+  }
+  if (query.time !== undefined) {
+    attributes.time = readTime(query, "time");
+  }
+  return { locale: attributes.locale, theme, attributes };
+}
+
+/**
+ * Fill in embed.html: its language and theme, and the attributes of its
+ * <tz-converter> element.
+ *
+ * @param {string} html embed.html
+ * @param {ReturnType<typeof readEmbedOptions>} options Options read from the request
+ * @returns {string} The page to send
+ */
+function renderEmbedPage(html, { locale, theme, attributes }) {
+  const attributeList = Object.entries(attributes)
+    .map(([name, value]) => ` ${name}="${escapeHtml(value)}"`)
+    .join("");
+  return html
+    .replace(
+      /<html lang="[^"]*"/,
+      `<html lang="${locale}" data-theme="${theme}"`,
+    )
+    .replace(
+      /<title>[^<]*<\/title>/,
+      `<title>${escapeHtml(translate(locale, "app.title"))}</title>`,
+    )
+    .replace("<tz-converter>", `<tz-converter${attributeList}>`);
+}
+
+/**
+ * Most zones a `/zones` search may return.
+ */
+const MAX_ZONE_SEARCH_LIMIT = 100;
+
+/**
+ * Longest phrase accepted by `/parse`, in characters.
+ */
+const MAX_PHRASE_LENGTH = 200;
+
+/**
+ * Working hours assumed for a zone when the caller does not give any.
+ */
+const DEFAULT_WORKING_HOURS = "09:00-17:00";
+
+/**
+ * Longest range the meeting planner will scan, in days.
+ */
+const MAX_PLANNER_RANGE_DAYS = 31;
+
+/**
+ * Granularity of the meeting planner scan.  Fifteen minutes covers zones with
+ * :30 and :45 offsets (India, Nepal, Newfoundland…).
+ */
+const PLANNER_STEP_MINUTES = 15;
+
+/**
+ * Parse a working-hours range such as '09:00-17:00'.  Ranges whose end is not
+ * after their start wrap past midnight (e.g. '22:00-06:00').
+ *
+ * @param {string} value Range in the form 'HH:MM-HH:MM'
+ * @returns {{start: number, end: number, label: string}} Minutes after midnight
+ * @throws {Error} When the range is malformed
+ */
+function parseWorkingHours(value) {
+  const match = /^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/.exec(value.trim());
+  if (!match) {
+    throw apiError(
+      400,
+      "invalid_parameter",
+      `Invalid working hours: ${value} (expected HH:MM-HH:MM)`,
+    );
+  }
+  const [startHour, startMinute, endHour, endMinute] = match
+    .slice(1)
+    .map(Number);
+  const start = startHour * 60 + startMinute;
+  const end = endHour * 60 + endMinute;
+  if (start > 24 * 60 || end > 24 * 60 || startMinute > 59 || endMinute > 59) {
+    throw apiError(400, "invalid_parameter", `Invalid working hours: ${value}`);
+  }
+  return { start, end, label: value.trim() };
+}
+
+/**
+ * Resolve the working hours for each zone from the `hours` query parameter:
+ * either a single range applied to every zone or a comma separated list in
+ * the same order as `zones`.
+ *
+ * @param {string|undefined} value Raw `hours` parameter
+ * @param {string[]} zones IANA identifiers
+ * @returns {Record<string, {start: number, end: number, label: string}>}
+ */
+function resolveWorkingHours(value, zones) {
+  const ranges = (value || DEFAULT_WORKING_HOURS).split(",");
+  if (ranges.length !== 1 && ranges.length !== zones.length) {
+    throw apiError(
+      400,
+      "invalid_parameter",
+      `Expected 1 or ${zones.length} working-hour ranges, got ${ranges.length}`,
+    );
+  }
+  const hoursByZone = {};
+  zones.forEach((zone, index) => {
+    hoursByZone[zone] = parseWorkingHours(
+      ranges[ranges.length === 1 ? 0 : index],
+    );
+  });
+  return hoursByZone;
+}
+
+/**
+ * Position of a time of day inside a working-hours range, measured in
+ * minutes from the range start, or -1 when it falls outside the range.
+ *
+ * @param {number} minutes Minutes after midnight
+ * @param {{start: number, end: number}} hours Working hours
+ * @returns {number}
+ */
+function workingMinute(minutes, hours) {
+  const length = (hours.end - hours.start + 1440) % 1440 || 1440;
+  const relative = (minutes - hours.start + 1440) % 1440;
+  return relative < length ? relative : -1;
+}
+
+/**
+ * Find the periods in which every zone is inside its working hours and rank
+ * them by convenience.
+ *
+ * The range is scanned in `PLANNER_STEP_MINUTES` slots; consecutive shared
+ * slots form a window.  A window's score (0–100) weighs how close it sits to
+ * the middle of each zone's working day (70%) against its length, capped at
+ * two hours (30%), so a long window centred in everyone's day ranks first.
+ * Each zone's local start is marked when it falls on a weekend or public
+ * holiday there; such windows are reported, not skipped, but lose up to half
+ * their score in proportion to the zones taking the day off.
+ *
+ * @param {string[]} zones IANA identifiers
+ * @param {Record<string, {start: number, end: number}>} hoursByZone Working hours per zone
+ * @param {number} fromEpoch Start of the range (inclusive), epoch ms
+ * @param {number} toEpoch End of the range (exclusive), epoch ms
+ * @param {number} minDuration Shortest window to report, in minutes
+ * @returns {Array<{start: string, end: string, startEpoch: number, endEpoch: number, durationMinutes: number, score: number, local: Record<string, {date: string, start: string, end: string, weekend: boolean, holiday: object|null}>}>}
+ */
+function findMeetingWindows(
+  zones,
+  hoursByZone,
+  fromEpoch,
+  toEpoch,
+  minDuration,
+) {
+  const step = PLANNER_STEP_MINUTES * 60 * 1000;
+  const windows = [];
+  let windowStart = null;
+
+  const isSharedSlot = (epoch) =>
+    zones.every((zone) => {
+      const parts = getZonedParts(new Date(epoch), zone);
+      const minutes = Number(parts.hour) * 60 + Number(parts.minute);
+      return workingMinute(minutes, hoursByZone[zone]) !== -1;
+    });
+
+  for (let epoch = fromEpoch; epoch <= toEpoch; epoch += step) {
+    const shared = epoch < toEpoch && isSharedSlot(epoch);
+    if (shared && windowStart === null) {
+      windowStart = epoch;
+    } else if (!shared && windowStart !== null) {
+      windows.push({ startEpoch: windowStart, endEpoch: epoch });
+      windowStart = null;
+    }
+  }
+
+  return windows
+    .map(({ startEpoch, endEpoch }) => {
+      const durationMinutes = (endEpoch - startEpoch) / 60000;
+      const local = {};
+      let centrality = 0;
+      let daysOff = 0;
+      for (const zone of zones) {
+        const hours = hoursByZone[zone];
+        const length = (hours.end - hours.start + 1440) % 1440 || 1440;
+        const startParts = getZonedParts(new Date(startEpoch), zone);
+        const endParts = getZonedParts(new Date(endEpoch), zone);
+        const startMinute = workingMinute(
+          Number(startParts.hour) * 60 + Number(startParts.minute),
+          hours,
+        );
+        const middle = startMinute + durationMinutes / 2;
+        centrality += 1 - Math.abs(middle - length / 2) / (length / 2);
+        const date = `${startParts.year}-${startParts.month}-${startParts.day}`;
+        const { weekend, holiday } = describeZoneDay(zone, date);
+        if (weekend || holiday) daysOff += 1;
+        local[zone] = {
+          date,
+          start: `${startParts.hour}:${startParts.minute}`,
+          end: `${endParts.hour}:${endParts.minute}`,
+          weekend,
+          holiday,
+        };
+      }
+      const score = Math.round(
+        100 *
+          (0.7 * (centrality / zones.length) +
+            0.3 * Math.min(durationMinutes / 120, 1)) *
+          (1 - (0.5 * daysOff) / zones.length),
+      );
+      return {
+        start: new Date(startEpoch).toISOString(),
+        end: new Date(endEpoch).toISOString(),
+        startEpoch,
+        endEpoch,
+        durationMinutes,
+        score,
+        local,
+      };
+    })
+    .filter((window) => window.durationMinutes >= minDuration)
+    .sort((a, b) => b.score - a.score || a.startEpoch - b.startEpoch);
+}
+
+/**
+ * Hour-by-hour view of a range for the planner grid: the local time in each
+ * zone, whether it falls inside that zone's working hours and whether that
+ * day is a weekend or public holiday there.
+ *
+ * @param {string[]} zones IANA identifiers
+ * @param {Record<string, {start: number, end: number}>} hoursByZone Working hours per zone
+ * @param {number} fromEpoch Start of the range (inclusive), epoch ms
+ * @param {number} toEpoch End of the range (exclusive), epoch ms
+ * @returns {Array<{start: string, epoch: number, shared: boolean, local: Record<string, {date: string, time: string, working: boolean, weekend: boolean, holiday: object|null}>}>}
+ */
+function buildPlannerSlots(zones, hoursByZone, fromEpoch, toEpoch) {
+  const slots = [];
+  for (let epoch = fromEpoch; epoch < toEpoch; epoch += 60 * 60 * 1000) {
+    const local = {};
+    for (const zone of zones) {
+      const parts = getZonedParts(new Date(epoch), zone);
+      const minutes = Number(parts.hour) * 60 + Number(parts.minute);
+      const date = `${parts.year}-${parts.month}-${parts.day}`;
+      const { weekend, holiday } = describeZoneDay(zone, date);
+      local[zone] = {
+        date,
+        time: `${parts.hour}:${parts.minute}`,
+        working: workingMinute(minutes, hoursByZone[zone]) !== -1,
+        weekend,
+        holiday,
+      };
+    }
+    slots.push({
+      start: new Date(epoch).toISOString(),
+      epoch,
+      shared: zones.every((zone) => local[zone].working),
+      local,
+    });
+  }
+  return slots;
+}
+
+/**
+ * Occurrences `/recurring` returns by default, and at most (two years of a
+ * weekly meeting).
+ */
+const DEFAULT_RECURRING_COUNT = 10;
+const MAX_RECURRING_COUNT = 104;
+
+/**
+ * English weekday names, indexed like `Date.prototype.getDay`.
+ */
+const WEEKDAY_NAMES = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+/**
+ * Build the RRULE for a recurring meeting.  Weekdays may be written as
+ * 'mon', 'monday' or 'MO'; monthly meetings take an ordinal ('2tue' for the
+ * second Tuesday, '-1fri' for the last Friday) or, without weekdays, repeat
+ * on the start date's day of the month.
+ *
+ * @param {string} frequency 'weekly' or 'monthly'
+ * @param {string|undefined} weekdays Comma-separated weekdays
+ * @returns {string} RRULE value, e.g. 'FREQ=WEEKLY;BYDAY=MO,WE'
+ * @throws {Error} On an unknown frequency or weekday
+ */
+function buildRecurrenceRule(frequency, weekdays) {
+  if (frequency !== "weekly" && frequency !== "monthly") {
+    throw apiError(
+      400,
+      "invalid_parameter",
+      `Invalid frequency: ${frequency} (expected weekly or monthly)`,
+    );
+  }
+  const days = (weekdays || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean)
+    .map((item) => {
+      const match = /^([+-]?[1-5])?([A-Za-z]{2,})$/.exec(item);
+      const name = match && match[2].toLowerCase();
+      if (!match || !WEEKDAY_NAMES.some((day) => day.startsWith(name))) {
+        throw apiError(400, "invalid_parameter", `Invalid weekday: ${item}`);
+      }
+      if (frequency === "weekly" && match[1]) {
+        throw apiError(
+          400,
+          "invalid_parameter",
+          `Weekly meetings take plain weekdays: ${item}`,
+        );
+      }
+      if (frequency === "monthly" && !match[1]) {
+        throw apiError(
+          400,
+          "invalid_parameter",
+          `Monthly weekdays need an ordinal, e.g. 2tue or -1fri: ${item}`,
+        );
+      }
+      return `${match[1] || ""}${name.slice(0, 2).toUpperCase()}`;
+    });
+
+  const rule = `FREQ=${frequency.toUpperCase()}`;
+  return days.length > 0
+    ? `${rule};BYDAY=${[...new Set(days)].join(",")}`
+    : rule;
+}
+
+/**
+ * Project a recurring meeting, held at a fixed wall time in its anchor zone,
+ * into other zones.
+ *
+ * Each occurrence is converted like `/convert-multi` would, and reports every
+ * zone's offset relative to the anchor.  Where those differ from the
+ * previous occurrence (one of the zones changed clocks in between, so the
+ * meeting moves for someone), `changes` lists the zones affected.
+ *
+ * @param {string} source Anchor zone, IANA identifier
+ * @param {string} time Wall time in the anchor zone, 'HH:MM'
+ * @param {string} startDate First date considered, 'YYYY-MM-DD'
+ * @param {string} rule RRULE value (see `buildRecurrenceRule`)
+ * @param {number} count Occurrences to return
+ * @param {string[]} zones IANA identifiers to convert into
+ * @param {string} disambiguation How to resolve DST gaps and overlaps
+ * @returns {Array<ReturnType<typeof convertToZones> & {relativeOffsets: Record<string, number>, changes: Array<{zone: string, from: number, to: number}>}>}
+ *   Relative offsets are in minutes, positive when the zone is ahead of the anchor
+ */
+function projectRecurringMeeting(
+  source,
+  time,
+  startDate,
+  rule,
+  count,
+  zones,
+  disambiguation,
+) {
+  const occurrences = [];
+  let previous = null;
+  for (const date of recurrenceDates(startDate, parseRecurrenceRule(rule))) {
+    if (occurrences.length >= count) break;
+    const conversion = convertToZones(
+      date,
+      time,
+      source,
+      zones,
+      disambiguation,
+    );
+    const anchorOffset = conversion.resolution.resolved.offsetMinutes;
+    const relativeOffsets = {};
+    for (const [zone, moment] of Object.entries(conversion.conversions)) {
+      relativeOffsets[zone] = moment.offsetMinutes - anchorOffset;
+    }
+    const changes = previous
+      ? zones
+          .filter((zone) => relativeOffsets[zone] !== previous[zone])
+          .map((zone) => ({
+            zone,
+            from: previous[zone],
+            to: relativeOffsets[zone],
+          }))
+      : [];
+    occurrences.push({ ...conversion, relativeOffsets, changes });
+    previous = relativeOffsets;
+  }
+  return occurrences;
+}
+
+/**
+ * Longest duration `/add` and `/subtract` accept, in days: 10,000 years,
+ * more than the whole span of dates the converter handles.
+ */
+const MAX_DURATION_DAYS = 3652425;
+
+/**
+ * Latest year a duration may land in; `MIN_YEAR` is the earliest.
+ */
+const MAX_DURATION_YEAR = 9999;
+
+/**
+ * Add a duration to a wall time in a zone, the way Temporal's
+ * `ZonedDateTime.add` does: days and weeks move the calendar date and keep
+ * the wall time (re-resolved with `calculateEpochFromTimezone`, so a day
+ * across a DST change lasts 23 or 25 hours), while hours and smaller units
+ * are added as elapsed time.
+ *
+ * @param {string} date Date in the form 'YYYY-MM-DD'
+ * @param {string} time Time in the form 'HH:MM'
+ * @param {string} timeZone IANA identifier the wall time is read in
+ * @param {{days: number, milliseconds: number}} duration From `parseDuration`; negative to subtract
+ * @param {string} disambiguation How to resolve DST gaps and overlaps
+ * @returns {number} The resulting instant, epoch ms
+ * @throws {Error} `out_of_range` when the duration is longer than
+ *   `MAX_DURATION_DAYS` or the result falls outside `MIN_YEAR` to
+ *   `MAX_DURATION_YEAR`
+ */
+function addDuration(date, time, timeZone, duration, disambiguation) {
+  const outOfRange = () =>
+    apiError(
+      400,
+      "out_of_range",
+      `The result must fall between the years ${MIN_YEAR} and ${MAX_DURATION_YEAR}`,
+      "duration",
+    );
+  if (
+    Math.abs(duration.days) > MAX_DURATION_DAYS ||
+    Math.abs(duration.milliseconds) > MAX_DURATION_DAYS * DAY_MS
+  ) {
+    throw outOfRange();
+  }
+  const shiftedDate = addDays(date, duration.days);
+  if (!parseCalendarDate(shiftedDate)) {
+    throw outOfRange();
+  }
+  const epoch =
+    calculateEpochFromTimezone(shiftedDate, time, timeZone, disambiguation) +
+    duration.milliseconds;
+  const year = new Date(epoch).getUTCFullYear();
+  if (year < MIN_YEAR || year > MAX_DURATION_YEAR) {
+    throw outOfRange();
+  }
+  return epoch;
+}
+
+/**
+ * A conversion result without its per-zone `conversions`, for responses that
+ * only describe the moment itself.
+ *
+ * @param {ReturnType<typeof convertToZones>} result Conversion result
+ * @returns {object} A copy without `conversions`
+ */
+function withoutConversions(result) {
+  const moment = { ...result };
+  delete moment.conversions;
+  return moment;
+}
+
+/**
+ * Format an elapsed time as an ISO 8601 duration counted in hours, e.g.
+ * 'PT36H' or '-PT1H30M' (days are left out because they are not always 24
+ * hours long).
+ *
+ * @param {number} milliseconds Elapsed time, possibly negative
+ * @returns {string}
+ */
+function formatElapsed(milliseconds) {
+  const absolute = Math.abs(milliseconds);
+  const hours = Math.floor(absolute / 3600000);
+  const minutes = Math.floor(absolute / 60000) % 60;
+  const seconds = (absolute % 60000) / 1000;
+  let duration = "PT";
+  if (hours) duration += `${hours}H`;
+  if (minutes) duration += `${minutes}M`;
+  if (seconds || duration === "PT") duration += `${seconds}S`;
+  return milliseconds < 0 ? `-${duration}` : duration;
+}
+
+/**
+ * Measure the time between two zoned moments.  `milliseconds` is the real
+ * elapsed time, DST changes included; `wallClock` is how far apart the two
+ * local clock readings are, which differs by the zones' offsets.
+ *
+ * @param {ReturnType<typeof convertToZones>} from Start, e.g. from `convertInputInstant`
+ * @param {ReturnType<typeof convertToZones>} to End
+ * @returns {{milliseconds: number, duration: string, parts: {days: number, hours: number, minutes: number, seconds: number, milliseconds: number}, wallClock: {milliseconds: number, duration: string}}}
+ *   `parts` splits the absolute elapsed time, counting days as 24 hours
+ */
+function measureElapsed(from, to) {
+  const milliseconds = to.epoch - from.epoch;
+  const wallClock =
+    milliseconds +
+    (to.resolution.resolved.offsetMinutes -
+      from.resolution.resolved.offsetMinutes) *
+      60000;
+  const absolute = Math.abs(milliseconds);
+  return {
+    milliseconds,
+    duration: formatElapsed(milliseconds),
+    parts: {
+      days: Math.floor(absolute / DAY_MS),
+      hours: Math.floor(absolute / 3600000) % 24,
+      minutes: Math.floor(absolute / 60000) % 60,
+      seconds: Math.floor(absolute / 1000) % 60,
+      milliseconds: absolute % 1000,
+    },
+    wallClock: { milliseconds: wallClock, duration: formatElapsed(wallClock) },
+  };
+}
+
+/**
+ * Convert a local date/time from any source timezone to multiple other time zones.
+ *
+ * The function expects a calendar date (`YYYY-MM-DD`) and a 24‑hour clock
+ * (`HH:MM`), both interpreted as the local time observed in the specified
+ * source time zone. It first determines the UTC offset for the source timezone
+ * at that moment, then computes the corresponding absolute epoch.
+ * Finally, for each target zone it describes that instant as observed
+ * locally (see `describeMoment`).
+ *
+ * @param {string} dateStr Date in the form 'YYYY-MM-DD'
+ * @param {string} timeStr Time in the form 'HH:MM'
+ * @param {string} sourceTimezone IANA timezone identifier for source (default: 'America/Santiago')
+ * @param {string[]} zones IANA identifiers to convert into (default: the registry's default zones)
+ * @param {string} disambiguation How to resolve DST gaps and overlaps (default: 'compatible')
+ * @returns {Record<string, ReturnType<typeof describeMoment>>} Map of IANA time zone names to local descriptions
+ */
+function convertTime(
+  dateStr,
+  timeStr,
+  sourceTimezone = DEFAULT_SOURCE,
+  zones = DEFAULT_ZONES,
+  disambiguation = "compatible",
+) {
+  const epochUTC = calculateEpochFromTimezone(
+    dateStr,
+    timeStr,
+    sourceTimezone,
+    disambiguation,
+  );
+  // Filter out the source timezone from results to avoid duplication.
+  // We return the IANA names as keys; the presentation layer on the client maps these to human‑friendly labels.
+  const results = {};
+  for (const tz of zones.filter((zone) => zone !== sourceTimezone)) {
+    results[tz] = describeMoment(epochUTC, tz, dateStr);
+  }
+  return results;
+}
+
+/**
+ * Convert an instant given as ISO 8601 or an epoch timestamp (the `at`
+ * parameter of `/convert-multi`).
+ *
+ * The date and time are reported in `source` when given, otherwise in the
+ * offset the ISO text was written with, or UTC for an epoch.  An ISO date and
+ * time without an offset is a wall time in `source` (default: the default
+ * source zone) and goes through the usual DST handling.
+ *
+ * @param {string} at ISO 8601 text, epoch seconds or epoch milliseconds
+ * @param {string|undefined} source Zone as written by the caller (see `resolveTimeZoneInput`)
+ * @param {string[]} zones IANA identifiers to convert into
+ * @param {string|undefined} disambiguation How to resolve DST gaps and overlaps
+ * @returns {ReturnType<typeof convertToZones>}
+ * @throws {Error} On unreadable input or an unknown or ambiguous zone
+ */
+function convertInputInstant(at, source, zones, disambiguation) {
+  const instant = parseInstant(at);
+  if (instant.epoch === undefined) {
+    return convertToZones(
+      instant.date,
+      instant.time,
+      resolveTimeZoneInput(source || DEFAULT_SOURCE),
+      zones,
+      disambiguation || "compatible",
+    );
+  }
+
+  return convertInstantToZones(
+    instant.epoch,
+    source ? resolveTimeZoneInput(source) : instantZone(instant),
+    zones,
+  );
+}
+
+/**
+ * The zone an instant reads naturally in: the fixed offset it was written
+ * with, or UTC for an epoch timestamp.
+ *
+ * @param {{epoch: number, offsetMinutes: number|null}} instant From `parseInstant`
+ * @returns {string} 'UTC' or a fixed offset such as 'UTC-04:00'
+ */
+function instantZone(instant) {
+  return instant.offsetMinutes === null
+    ? "UTC"
+    : formatUtcOffset(instant.offsetMinutes);
+}
+
+/**
+ * Describe the current moment in several zones, as seen from a source zone.
+ *
+ * @param {string} sourceTimezone IANA identifier whose date and time are reported
+ * @param {string[]} zones IANA identifiers to convert into
+ * @param {Date} now Moment to describe (default: the current time)
+ * @returns {{date: string, time: string, timezone: string, conversions: Record<string, ReturnType<typeof describeMoment>>}}
+ */
+function getCurrentConversion(sourceTimezone, zones, now = new Date()) {
+  parseZoneList(sourceTimezone);
+
+  // Get current date and time in the source timezone.  Both come from the
+  // same zoned parts so they agree around midnight.
+  const parts = getZonedParts(now, sourceTimezone);
+  const currentDate = getZonedNowDate(sourceTimezone, now);
+  const sourceTime = `${parts.hour}:${parts.minute}`;
+
+  // Get all timezone conversions from the source.  The current instant
+  // (truncated to the minute) is used directly rather than re-resolved
+  // from the wall time, which would be ambiguous during a fall‑back hour.
+  const epochUTC = Math.floor(now.getTime() / 60000) * 60000;
+  const conversions = {};
+
+  for (const tz of zones) {
+    conversions[tz] = describeMoment(epochUTC, tz, currentDate);
+  }
+
+  return {
+    date: currentDate,
+    time: sourceTime,
+    timezone: sourceTimezone,
+    conversions: conversions,
+  };
+}
+
+/**
+ * Resolve the zone list for a request from its `zones` query parameter,
+ * falling back to the registry defaults when it is absent.
+ *
+ * @param {Record<string, string>} query Parsed query string
+ * @returns {string[]} IANA identifiers
+ * @throws {Error} When an entry is unknown; its `field` points at the entry,
+ *   e.g. 'zones[2]'
+ */
+function resolveZones(query) {
+  if (!query.zones) return DEFAULT_ZONES;
+  try {
+    return parseZoneList(query.zones);
+  } catch (error) {
+    error.field = error.index === undefined ? "zones" : `zones[${error.index}]`;
+    throw error;
+  }
+}
+
+/**
+ * Build the error for a request the API refuses.  Route handlers throw it
+ * and `sendError` answers with it.
+ *
+ * @param {number} status HTTP status code
+ * @param {string} code Machine-readable error code, e.g. 'missing_parameter'
+ * @param {string} message Human-readable explanation
+ * @param {string} [field] Query parameter or body path at fault, e.g. 'zones[1]'
+ * @returns {Error}
+ */
+function apiError(status, code, message, field) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  if (field !== undefined) {
+    error.field = field;
+  }
+  return error;
+}
+
+/**
+ * Run `read`, blaming whatever it throws on a request field (unless the
+ * error already names one).  Lets errors from the shared modules, which
+ * know nothing of query parameters, point at the parameter that caused them.
+ *
+ * @template T
+ * @param {string} field Query parameter or body path
+ * @param {() => T} read Code reading the field
+ * @returns {T} What `read` returns
+ */
+function inField(field, read) {
+  try {
+    return read();
+  } catch (error) {
+    if (error.field === undefined) {
+      error.field = field;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Read a query parameter that must be present and non-blank.
+ *
+ * @param {Record<string, string>} query Parsed query string
+ * @param {string} name Parameter name
+ * @returns {string} Its value
+ * @throws {Error} `missing_parameter` when it is absent
+ */
+function requireParam(query, name) {
+  const value = query[name];
+  if (value === undefined || String(value).trim() === "") {
+    throw apiError(
+      400,
+      "missing_parameter",
+      `Missing ${name} query parameter`,
+      name,
+    );
+  }
+  return value;
+}
+
+/**
+ * Read a 'YYYY-MM-DD' parameter, checking that the day exists.
+ *
+ * @param {Record<string, string>} query Parsed query string
+ * @param {string} name Parameter name
+ * @param {string} [fallback] Used when the parameter is absent
+ * @returns {string|undefined} The date, or `fallback`
+ * @throws {Error} `invalid_date` on anything else, e.g. '2025-02-31'
+ */
+function readDate(query, name, fallback) {
+  const value = query[name] || fallback;
+  if (value !== undefined && !parseCalendarDate(value)) {
+    throw apiError(
+      400,
+      "invalid_date",
+      `\`${name}\` must be an existing YYYY-MM-DD date from ${MIN_YEAR} on, not ${value}`,
+      name,
+    );
+  }
+  return value;
+}
+
+/**
+ * Read a required wall-clock time parameter ('HH:MM', optionally with
+ * seconds and milliseconds).
+ *
+ * @param {Record<string, string>} query Parsed query string
+ * @param {string} name Parameter name
+ * @returns {string} The time
+ * @throws {Error} `missing_parameter`, or `invalid_time` for e.g. '25:99'
+ */
+function readTime(query, name) {
+  const value = requireParam(query, name);
+  if (!parseClock(value)) {
+    throw apiError(
+      400,
+      "invalid_time",
+      `\`${name}\` must be a time from 00:00 to 23:59 (HH:MM, optionally with seconds), not ${value}`,
+      name,
+    );
+  }
+  return value;
+}
+
+/**
+ * Read a zone parameter written any way `resolveTimeZoneInput` understands:
+ * an IANA identifier, a UTC offset or an abbreviation.
+ *
+ * @param {Record<string, string>} query Parsed query string
+ * @param {string} name Parameter name
+ * @param {string} fallback Used when the parameter is absent
+ * @returns {string} IANA identifier, 'UTC' or 'UTC±HH:MM'
+ */
+function readTimeZone(query, name, fallback) {
+  return inField(name, () => resolveTimeZoneInput(query[name] || fallback));
+}
+
+/**
+ * Read a zone parameter that must be an IANA identifier.
+ *
+ * @param {Record<string, string>} query Parsed query string
+ * @param {string} name Parameter name
+ * @param {string} [fallback] Used when the parameter is absent
+ * @returns {string} The identifier
+ * @throws {Error} `unknown_time_zone` when the runtime does not know it
+ */
+function readIanaZone(query, name, fallback) {
+  const value = query[name] || fallback;
+  if (!isValidTimeZone(value)) {
+    throw apiError(
+      400,
+      "unknown_time_zone",
+      `Unknown time zone: ${value}`,
+      name,
+    );
+  }
+  return value;
+}
+
+/**
+ * Read the `disambiguation` parameter (default 'compatible').
+ *
+ * @param {Record<string, string>} query Parsed query string
+ * @returns {string} One of `DISAMBIGUATION_MODES`
+ */
+function readDisambiguation(query) {
+  const value = query.disambiguation || "compatible";
+  if (!DISAMBIGUATION_MODES.includes(value)) {
+    throw apiError(
+      400,
+      "invalid_disambiguation",
+      `Invalid disambiguation: ${value} (expected one of ${DISAMBIGUATION_MODES.join(", ")})`,
+      "disambiguation",
+    );
+  }
+  return value;
+}
+
+/**
+ * Read a whole-number parameter within a range.
+ *
+ * @param {Record<string, string>} query Parsed query string
+ * @param {string} name Parameter name
+ * @param {number|undefined} fallback Used when the parameter is absent
+ * @param {number} min Smallest value accepted
+ * @param {number} max Largest value accepted
+ * @returns {number|undefined} The number, or `fallback`
+ */
+function readInteger(query, name, fallback, min, max) {
+  const value = query[name];
+  if (value === undefined) return fallback;
+  if (!/^\d+$/.test(value) || Number(value) < min || Number(value) > max) {
+    throw apiError(
+      400,
+      "out_of_range",
+      `\`${name}\` must be a whole number from ${min} to ${max}`,
+      name,
+    );
+  }
+  return Number(value);
+}
+
+/**
+ * Turn the `from` and `to` dates of a request (local calendar days in
+ * `timeZone`, both included) into the instants bounding them.
+ *
+ * @param {string} fromDate First day, 'YYYY-MM-DD'
+ * @param {string} toDate Last day, 'YYYY-MM-DD'
+ * @param {string} timeZone Zone the days are read in
+ * @param {number} maxDays Longest range accepted
+ * @returns {{fromEpoch: number, toEpoch: number}}
+ * @throws {Error} `invalid_range` when `to` is before `from` or the range is too long
+ */
+function readDateRange(fromDate, toDate, timeZone, maxDays) {
+  const fromEpoch = calculateEpochFromTimezone(fromDate, "00:00", timeZone);
+  const toEpoch = calculateEpochFromTimezone(
+    addDays(toDate, 1),
+    "00:00",
+    timeZone,
+  );
+  if (toEpoch <= fromEpoch) {
+    throw apiError(
+      400,
+      "invalid_range",
+      "`to` must not be before `from`",
+      "to",
+    );
+  }
+  if (toEpoch - fromEpoch > maxDays * DAY_MS) {
+    throw apiError(
+      400,
+      "invalid_range",
+      `Range too long (at most ${maxDays} days)`,
+      "to",
+    );
+  }
+  return { fromEpoch, toEpoch };
+}
+
+/**
+ * Read the `locale` and `hour12` query parameters that localize a response.
+ *
+ * @param {Record<string, string>} query Parsed query string
+ * @returns {{locale: string|null, hour12: boolean|undefined}} `locale` is null when not requested
+ * @throws {Error} On an unsupported locale or an `hour12` other than true/false
+ */
+function parseLocaleOptions(query) {
+  const { locale, hour12 } = query;
+  if (hour12 !== undefined && hour12 !== "true" && hour12 !== "false") {
+    throw apiError(
+      400,
+      "invalid_parameter",
+      "`hour12` must be true or false",
+      "hour12",
+    );
+  }
+  if (locale === undefined) {
+    return { locale: null, hour12: undefined };
+  }
+  const resolved = resolveLocale(locale);
+  if (!resolved) {
+    throw apiError(
+      400,
+      "unsupported_locale",
+      `Unsupported locale: ${locale} (expected one of ${SUPPORTED_LOCALES.join(", ")})`,
+      "locale",
+    );
+  }
+  return {
+    locale: resolved,
+    hour12: hour12 === undefined ? undefined : hour12 === "true",
+  };
+}
+
+/**
+ * Localize a conversion result (the shape `/convert-multi` and `/current`
+ * return): weekdays in the locale's language and a `formatted` date and
+ * time on every moment.
+ *
+ * @param {{conversions: Record<string, ReturnType<typeof describeMoment>>, resolution?: object}} result Conversion to localize
+ * @param {{locale: string|null, hour12: boolean|undefined}} options From `parseLocaleOptions`
+ * @returns {typeof result} The result itself when no locale was requested
+ */
+function localizeConversion(result, { locale, hour12 }) {
+  if (!locale) return result;
+  const conversions = {};
+  for (const [zone, moment] of Object.entries(result.conversions)) {
+    conversions[zone] = localizeMoment(moment, locale, hour12);
+  }
+  const localized = { ...result, locale, conversions };
+  if (result.resolution) {
+    localized.resolution = {
+      ...result.resolution,
+      resolved: localizeMoment(result.resolution.resolved, locale, hour12),
+    };
+  }
+  return localized;
+}
+
+/**
+ * Mark each moment of a conversion result with whether its local date is a
+ * weekend or a public holiday in the zone's country.
+ *
+ * @param {{conversions: Record<string, ReturnType<typeof describeMoment>>}} result Conversion to mark
+ * @returns {typeof result} A copy whose moments carry `weekend` and `holiday`
+ */
+function markDaysOff(result) {
+  const conversions = {};
+  for (const [zone, moment] of Object.entries(result.conversions)) {
+    const { weekend, holiday } = describeZoneDay(zone, moment.date);
+    conversions[zone] = { ...moment, weekend, holiday };
+  }
+  return { ...result, conversions };
+}
+
+/**
+ * Write a JSON response.
+ *
+ * @param {http.ServerResponse} res Response to write to
+ * @param {number} status HTTP status code
+ * @param {unknown} body Value serialised as the response body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * The error to report for `error`.  Only errors tagged with a `status` (by
+ * `apiError`, or by `inputError` in the shared modules) are the caller's
+ * fault and are reported as they are.  Anything else, such as a TypeError
+ * or a failed disk write, is a fault of the server: it is logged and
+ * reported as a 500 that does not reveal its cause.
+ *
+ * @param {Error} error What went wrong
+ * @returns {Error} An error with a `status` and a `code`
+ */
+function publicError(error) {
+  if (error.status !== undefined) {
+    return error;
+  }
+  console.error(error);
+  return apiError(500, "internal_error", "Internal server error");
+}
+
+/**
+ * Answer a failed request with `{error, code, field?, candidates?}`:
+ * the message, a machine-readable code, the parameter at fault and, for an
+ * ambiguous abbreviation, the zones it may stand for.  See `publicError`
+ * for which errors are reported as they are.
+ *
+ * @param {http.ServerResponse} res Response to write to
+ * @param {Error} error What went wrong
+ */
+function sendError(res, error) {
+  error = publicError(error);
+  if (res.headersSent) {
+    res.end();
+    return;
+  }
+  const body = {
+    error: error.message,
+    code: error.code,
+  };
+  if (error.field !== undefined) {
+    body.field = error.field;
+  }
+  if (error.candidates) {
+    body.candidates = error.candidates;
+  }
+  sendJson(res, error.status, body);
+}
+
+/**
+ * How long a client of `/stream` waits before reconnecting, in ms.
+ */
+const STREAM_RETRY_MS = 5000;
+
+/**
+ * How far back a reconnecting `/stream` client can resume: offset changes
+ * older than this are not replayed.
+ */
+const MAX_STREAM_REPLAY_MS = 7 * DAY_MS;
+
+/**
+ * Handle `GET /stream`: a Server-Sent Events stream for a zone set.
+ *
+ * A `tick` event carries what `/current` would return; one is sent on
+ * connecting and then at every minute boundary.  An `offset` event is sent
+ * at the instant a zone's UTC offset changes, with the zone and the
+ * transition as `/transitions` describes it (found with `getOffset`, like
+ * every conversion).  Event ids are the epoch (ms) each event stands for,
+ * so a client reconnecting with `Last-Event-ID` is first sent the offset
+ * changes it missed (up to `MAX_STREAM_REPLAY_MS` back).
+ *
+ * @param {http.IncomingMessage} req Request
+ * @param {http.ServerResponse} res Response
+ * @param {Record<string, string>} query Parsed query string
+ * @throws {Error} When the query is invalid (before anything is written)
+ */
+function handleStream(req, res, query) {
+  const sourceTimezone = readIanaZone(query, "source", DEFAULT_SOURCE);
+  const zones = resolveZones(query);
+  const localeOptions = parseLocaleOptions(query);
+  const lastEventId = Number(req.headers["last-event-id"]);
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache",
+    // Stop proxies such as nginx from holding events back
+    "X-Accel-Buffering": "no",
+  });
+  res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+
+  const send = (event, epoch, data) => {
+    res.write(
+      `id: ${epoch}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`,
+    );
+  };
+  // Offset changes after `fromEpoch`, up to and including `toEpoch`
+  const sendOffsetChanges = (fromEpoch, toEpoch) => {
+    if (toEpoch <= fromEpoch) return;
+    zones
+      .flatMap((zone) =>
+        findTransitions(zone, fromEpoch, toEpoch).map((transition) => ({
+          zone,
+          ...transition,
+        })),
+      )
+      .sort((a, b) => a.epoch - b.epoch)
+      .forEach((change) => send("offset", change.epoch, change));
+  };
+
+  let checkedUntil = Date.now(); // Offset changes are sent up to here
+  if (
+    Number.isInteger(lastEventId) &&
+    lastEventId < checkedUntil &&
+    checkedUntil - lastEventId <= MAX_STREAM_REPLAY_MS
+  ) {
+    checkedUntil = lastEventId;
+  }
+  let lastTick = null; // Minute (epoch ms) of the last tick sent
+  let timer = null;
+
+  // Send whatever fell due since the last call, in order, then sleep until
+  // the next minute or the next offset change, whichever comes first
+  const catchUp = () => {
+    const now = Date.now();
+    const minute = Math.floor(now / 60000) * 60000;
+    if (minute !== lastTick) {
+      sendOffsetChanges(checkedUntil, minute);
+      checkedUntil = Math.max(checkedUntil, minute);
+      send(
+        "tick",
+        minute,
+        localizeConversion(
+          markDaysOff(
+            getCurrentConversion(sourceTimezone, zones, new Date(minute)),
+          ),
+          localeOptions,
+        ),
+      );
+      lastTick = minute;
+    }
+    sendOffsetChanges(checkedUntil, now);
+    checkedUntil = now;
+
+    const nextMinute = minute + 60000;
+    const nextChange = Math.min(
+      ...zones.flatMap((zone) =>
+        findTransitions(zone, now, nextMinute).map(({ epoch }) => epoch),
+      ),
+    );
+    const due = Math.min(nextMinute, nextChange);
+    timer = setTimeout(catchUp, Math.max(due - Date.now(), 0));
+  };
+
+  req.on("close", () => clearTimeout(timer));
+  catchUp();
+}
+
+/**
+ * Largest JSON array body `/convert-batch` will buffer, in bytes.  CSV and
+ * NDJSON bodies are converted as they arrive, so only each record is held.
+ */
+const MAX_BATCH_JSON_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Longest CSV record or NDJSON line `/convert-batch` will buffer, in bytes.
+ * A real row is a few hundred; this stops a missing newline or unclosed
+ * quote from holding the whole upload in memory.
+ */
+const MAX_BATCH_RECORD_BYTES = 64 * 1024;
+
+/**
+ * Request body types `/convert-batch` accepts, keyed by media type.
+ */
+const BATCH_INPUT_TYPES = {
+  "text/csv": "csv",
+  "application/x-ndjson": "ndjson",
+  "application/json": "json",
+};
+
+/**
+ * Create an incremental RFC 4180 CSV parser.  Chunks may split records (and
+ * quoted fields) anywhere; every complete record is passed to `onRecord` as
+ * an array of strings.  Blank lines are skipped.
+ *
+ * @param {(fields: string[]) => void} onRecord Called once per record
+ * @param {number} [maxRecordLength] Longest record, in characters (default: no limit)
+ * @returns {{write: (chunk: string) => void, end: () => void}}
+ * @throws {Error} From `write`, with status 413, once a record grows past `maxRecordLength`
+ */
+function createCsvParser(onRecord, maxRecordLength = Infinity) {
+  let record = [];
+  let field = "";
+  let length = 0; // characters read into the current record
+  let quoted = false; // the current field started with a quote
+  let inQuotes = false;
+  let quoteSeen = false; // a quote inside quotes: either "" or the closing one
+
+  function endRecord() {
+    if (record.length > 0 || field !== "" || quoted) {
+      record.push(field);
+      onRecord(record);
+    }
+    record = [];
+    field = "";
+    quoted = false;
+    length = 0;
+  }
+
+  return {
+    write(chunk) {
+      for (const char of chunk) {
+        length += 1;
+        if (length > maxRecordLength) {
+          throw apiError(
+            413,
+            "payload_too_large",
+            `CSV record too long (at most ${maxRecordLength} bytes)`,
+          );
+        }
+        if (inQuotes) {
+          if (quoteSeen) {
+            quoteSeen = false;
+            if (char === '"') {
+              field += '"';
+              continue;
+            }
+            inQuotes = false;
+          } else {
+            if (char === '"') {
+              quoteSeen = true;
+            } else {
+              field += char;
+            }
+            continue;
+          }
+        }
+        if (char === '"' && field === "" && !quoted) {
+          inQuotes = true;
+          quoted = true;
+        } else if (char === ",") {
+          record.push(field);
+          field = "";
+          quoted = false;
+        } else if (char === "\n") {
+          endRecord();
+        } else if (char !== "\r") {
+          field += char;
+        }
+      }
+    },
+    end() {
+      inQuotes = false;
+      quoteSeen = false;
+      endRecord();
+    },
+  };
+}
+
+/**
+ * Quote a value for a CSV cell when it contains a delimiter, quote or line
+ * break.
+ *
+ * @param {unknown} value Cell value (null and undefined become empty cells)
+ * @returns {string} CSV-safe cell
+ */
+function csvField(value) {
+  const text = value == null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Convert one batch row with the same logic as `/convert-multi`.
+ *
+ * @param {{date?: string, time?: string, source?: string, disambiguation?: string}} row Input row
+ * @param {string[]} zones IANA identifiers to convert into
+ * @param {{source: string, disambiguation: string}} defaults Used for fields the row leaves empty
+ * @returns {ReturnType<typeof convertToZones>}
+ * @throws {Error} When the row cannot be converted
+ */
+function convertBatchRow(row, zones, defaults) {
+  if (!row || typeof row !== "object" || Array.isArray(row)) {
+    throw apiError(
+      400,
+      "invalid_row",
+      "Row must be an object with date and time",
+    );
+  }
+  const fields = {};
+  for (const name of ["date", "time", "source", "disambiguation"]) {
+    fields[name] = String(row[name] ?? "").trim();
+  }
+  for (const name of ["date", "time"]) {
+    if (!fields[name]) {
+      throw apiError(400, "missing_parameter", `Missing ${name}`, name);
+    }
+  }
+  readDate(fields, "date");
+  readTime(fields, "time");
+  return convertToZones(
+    fields.date,
+    fields.time,
+    readIanaZone(fields, "source", defaults.source),
+    zones,
+    readDisambiguation({
+      disambiguation: fields.disambiguation || defaults.disambiguation,
+    }),
+  );
+}
+
+/**
+ * Create the writer for `/convert-batch` output.  `ndjson` writes one JSON
+ * object per row: the `/convert-multi` result, or `{date, time, timezone,
+ * error, code, field}` for a row that failed; both carry the 1-based `row`
+ * number.  `csv`
+ * repeats the input columns and appends the UTC instant, the resolution
+ * status, the local time in each zone and the error message.
+ *
+ * @param {http.ServerResponse} res Response to stream into
+ * @param {"csv"|"ndjson"} format Output format
+ * @param {string[]} zones Target zones, in column order
+ * @returns {{start: (columns: string[]) => void, write: (row: number, input: Record<string, string>, result: object|null, error: Error|null) => void}}
+ */
+function createBatchWriter(res, format, zones) {
+  let columns = [];
+
+  return {
+    start(inputColumns) {
+      columns = inputColumns;
+      if (format === "csv") {
+        res.writeHead(200, { "Content-Type": "text/csv; charset=utf-8" });
+        const header = [...columns, "utc", "status", ...zones, "error"];
+        res.write(`${header.map(csvField).join(",")}\n`);
+      } else {
+        res.writeHead(200, { "Content-Type": "application/x-ndjson" });
+      }
+    },
+    write(row, input, result, error) {
+      if (format === "ndjson") {
+        const line = error
+          ? {
+              row,
+              date: input.date ?? null,
+              time: input.time ?? null,
+              timezone: input.source || null,
+              error: error.message,
+              code: error.code,
+              field: error.field ?? null,
+            }
+          : { row, ...result };
+        res.write(`${JSON.stringify(line)}\n`);
+        return;
+      }
+
+      const cells = columns.map((column) => input[column]);
+      if (error) {
+        cells.push("", "error", ...zones.map(() => ""), error.message);
+      } else {
+        cells.push(
+          new Date(result.resolution.epoch).toISOString(),
+          result.resolution.status,
+          ...zones.map((zone) => {
+            const local = result.conversions[zone];
+            return `${local.date} ${local.time}`;
+          }),
+          "",
+        );
+      }
+      res.write(`${cells.map(csvField).join(",")}\n`);
+    },
+  };
+}
+
+/**
+ * Handle `POST /convert-batch`.
+ *
+ * CSV (with a header row naming at least `date` and `time`) and NDJSON bodies
+ * are converted row by row as they stream in, and each result is written out
+ * straight away, pausing the upload while the client catches up.  A JSON
+ * array body is buffered (up to `MAX_BATCH_JSON_BYTES`) and then converted
+ * the same way.  Problems with a single row are reported on that row; only a
+ * problem with the request itself (type, zones, header) fails it as a whole.
+ *
+ * @param {http.IncomingMessage} req Request
+ * @param {http.ServerResponse} res Response
+ * @param {Record<string, string>} query Parsed query string
+ */
+function handleBatchConversion(req, res, query) {
+  const mediaType = String(req.headers["content-type"] || "")
+    .split(";")[0]
+    .trim()
+    .toLowerCase();
+  const inputType = BATCH_INPUT_TYPES[mediaType];
+  let zones;
+  let defaults;
+  try {
+    if (!inputType) {
+      throw apiError(
+        415,
+        "unsupported_media_type",
+        `Unsupported content type: ${mediaType || "none"} (expected ${Object.keys(BATCH_INPUT_TYPES).join(", ")})`,
+      );
+    }
+    zones = resolveZones(query);
+    defaults = {
+      source: readIanaZone(query, "source", DEFAULT_SOURCE),
+      disambiguation: readDisambiguation(query),
+    };
+    if (query.format && !["csv", "ndjson"].includes(query.format)) {
+      throw apiError(
+        400,
+        "invalid_parameter",
+        `Invalid format: ${query.format} (expected csv, ndjson)`,
+        "format",
+      );
+    }
+  } catch (error) {
+    req.resume();
+    sendError(res, error);
+    return;
+  }
+
+  const writer = createBatchWriter(
+    res,
+    query.format || (inputType === "csv" ? "csv" : "ndjson"),
+    zones,
+  );
+  let rowNumber = 0;
+  let failed = false;
+
+  function convertRow(row) {
+    rowNumber += 1;
+    const input =
+      row && typeof row === "object" && !Array.isArray(row) ? row : {};
+    try {
+      writer.write(rowNumber, input, convertBatchRow(row, zones, defaults));
+    } catch (error) {
+      writer.write(rowNumber, input, null, publicError(error));
+    }
+  }
+
+  function fail(message, code = "invalid_body", status = 400) {
+    failed = true;
+    req.resume();
+    sendError(res, apiError(status, code, message));
+  }
+
+  // Once rows have gone out the status is sent, so the record that is too
+  // long is reported as the last row instead
+  function failRecord(error) {
+    failed = true;
+    req.resume();
+    if (!res.headersSent) {
+      sendError(res, error);
+      return;
+    }
+    rowNumber += 1;
+    writer.write(rowNumber, {}, null, publicError(error));
+    res.end();
+  }
+
+  req.setEncoding("utf8");
+
+  if (inputType === "json") {
+    let body = "";
+    req.on("data", (chunk) => {
+      if (failed) return;
+      body += chunk;
+      if (body.length > MAX_BATCH_JSON_BYTES) {
+        fail(
+          `JSON body too large (at most ${MAX_BATCH_JSON_BYTES} bytes); send CSV or NDJSON instead`,
+          "payload_too_large",
+          413,
+        );
+      }
+    });
+    req.on("end", () => {
+      if (failed) return;
+      let rows;
+      try {
+        rows = JSON.parse(body.replace(/^\uFEFF/, ""));
+      } catch (error) {
+        fail(`Invalid JSON: ${error.message}`, "invalid_json");
+        return;
+      }
+      if (!Array.isArray(rows)) {
+        fail("JSON body must be an array of {date, time, source} rows");
+        return;
+      }
+      writer.start(["date", "time", "source"]);
+      rows.forEach(convertRow);
+      res.end();
+    });
+    return;
+  }
+
+  // CSV and NDJSON: convert each record as soon as it is complete
+  let columns = null;
+  let pending = "";
+  const csv = createCsvParser((fields) => {
+    if (failed) return;
+    if (!columns) {
+      columns = fields.map((name) => name.trim().toLowerCase());
+      if (!columns.includes("date") || !columns.includes("time")) {
+        fail("CSV header must name date and time columns");
+        return;
+      }
+      writer.start(columns);
+      return;
+    }
+    const input = {};
+    columns.forEach((column, index) => {
+      input[column] = fields[index] ?? "";
+    });
+    convertRow(input);
+  }, MAX_BATCH_RECORD_BYTES);
+
+  // Not before the first chunk is read, so an over-long first line can
+  // still be answered with 413
+  function startNdjson() {
+    if (!res.headersSent) {
+      writer.start(["date", "time", "source"]);
+    }
+  }
+
+  function parseLines(text) {
+    for (const line of text.split("\n")) {
+      if (!line.trim()) continue;
+      let row;
+      try {
+        row = JSON.parse(line);
+      } catch (error) {
+        rowNumber += 1;
+        writer.write(
+          rowNumber,
+          {},
+          null,
+          apiError(400, "invalid_json", "Invalid JSON line"),
+        );
+        continue;
+      }
+      convertRow(row);
+    }
+  }
+
+  let first = true;
+  req.on("data", (chunk) => {
+    if (failed) return;
+    if (first) {
+      chunk = chunk.replace(/^\uFEFF/, "");
+      first = false;
+    }
+    try {
+      if (inputType === "csv") {
+        csv.write(chunk);
+      } else {
+        const lines = (pending + chunk).split("\n");
+        pending = lines.pop();
+        if (lines.length > 0) {
+          startNdjson();
+          parseLines(lines.join("\n"));
+        }
+        if (pending.length > MAX_BATCH_RECORD_BYTES) {
+          throw apiError(
+            413,
+            "payload_too_large",
+            `NDJSON line too long (at most ${MAX_BATCH_RECORD_BYTES} bytes)`,
+          );
+        }
+      }
+    } catch (error) {
+      failRecord(error);
+      return;
+    }
+    if (!failed && res.writableNeedDrain) {
+      req.pause();
+      res.once("drain", () => req.resume());
+    }
+  });
+  req.on("end", () => {
+    if (failed) return;
+    if (inputType === "csv") {
+      csv.end();
+      if (failed) return;
+      if (!columns) {
+        fail("CSV body is empty");
+        return;
+      }
+    } else {
+      startNdjson();
+      parseLines(pending);
+    }
+    res.end();
+  });
+}
+
+/**
+ * Methods each route answers, for the `Allow` header of 405 responses.
+ * Short links (`/s/:id`) are matched by prefix.
+ */
+const ROUTE_METHODS = {
+  "/": ["GET", "HEAD"],
+  "/openapi.json": ["GET", "HEAD"],
+  "/embed": ["GET", "HEAD"],
+  "/s": ["POST"],
+  "/s/": ["GET"],
+  "/current": ["GET"],
+  "/stream": ["GET"],
+  "/convert-multi": ["GET"],
+  "/zones": ["GET"],
+  "/parse": ["GET"],
+  "/transitions": ["GET"],
+  "/add": ["GET"],
+  "/subtract": ["GET"],
+  "/difference": ["GET"],
+  "/holidays": ["GET"],
+  "/meeting-planner": ["GET"],
+  "/recurring": ["GET"],
+  "/convert-batch": ["POST"],
+  "/event.ics": ["GET"],
+  "/import-ics": ["POST"],
+  "/convert": ["GET"],
+};
+
+/**
+ * Directory the page and its assets are served from.  Nothing outside it is
+ * ever sent as a static file.
+ */
+const STATIC_DIR = path.join(__dirname, "static");
+
+/**
+ * Content types of static files, keyed by extension.  Anything else is sent
+ * as `application/octet-stream`.
+ */
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".mjs": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".map": "application/json; charset=utf-8",
+  ".webmanifest": "application/manifest+json; charset=utf-8",
+  ".txt": "text/plain; charset=utf-8",
+  ".xml": "application/xml; charset=utf-8",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".avif": "image/avif",
+  ".svg": "image/svg+xml; charset=utf-8",
+  ".ico": "image/x-icon",
+  ".woff": "font/woff",
+  ".woff2": "font/woff2",
+  ".ttf": "font/ttf",
+  ".otf": "font/otf",
+};
+
+/**
+ * Content types worth compressing.  Images other than SVG, and WOFF fonts,
+ * are compressed already.
+ */
+const COMPRESSIBLE_TYPE =
+  /^(text\/|application\/(json|manifest\+json|xml)|image\/svg\+xml|image\/x-icon|font\/(ttf|otf))/;
+
+/**
+ * Smallest body sent compressed, in bytes; below it the saving is lost in
+ * the overhead.
+ */
+const MIN_COMPRESSED_BYTES = 1024;
+
+/**
+ * How long browsers may reuse an asset without asking again.  Asset URLs are
+ * not versioned, so this is kept short; after it the ETag makes revalidation
+ * cheap.  Pages are always revalidated.
+ */
+const ASSET_MAX_AGE_SECONDS = 5 * 60;
+
+/**
+ * The Content Security Policy: the page loads its scripts and stylesheet
+ * from this server and its font from Google Fonts, and nothing else.
  *
- * This helper computes the difference between UTC and local time in the
- * specified time zone at the provided moment.  The returned value is the
- * conventional offset used in programming: negative numbers denote zones
- * west of UTC (e.g. UTC‑5 → ‑300), while positive numbers denote zones
- * east of UTC.  The calculation uses `Intl.DateTimeFormat` to format
- * `date` in the target zone and then reconstructs an equivalent UTC date
- * from its parts.
+ * @param {string} frameAncestors Pages allowed to frame the response
+ * @returns {string} Value of the Content-Security-Policy header
+ */
+function contentSecurityPolicy(frameAncestors) {
+  return [
+    "default-src 'self'",
+    "script-src 'self'",
+    "style-src 'self' https://fonts.googleapis.com",
+    "font-src 'self' https://fonts.gstatic.com",
+    "img-src 'self' data:",
+    "connect-src 'self'",
+    "object-src 'none'",
+    "base-uri 'self'",
+    "form-action 'self'",
+    `frame-ancestors ${frameAncestors}`,
+  ].join("; ");
+}
+
+/**
+ * Headers sent with every response.  Nothing but `/embed` may be framed.
+ */
+const SECURITY_HEADERS = {
+  "Content-Security-Policy": contentSecurityPolicy("'none'"),
+  "X-Content-Type-Options": "nosniff",
+  "X-Frame-Options": "DENY",
+  "Referrer-Policy": "strict-origin-when-cross-origin",
+  "Cross-Origin-Opener-Policy": "same-origin",
+};
+
+const staticFiles = new Map(); // Path to the file's representation, see loadStaticFile
+
+/**
+ * Describe a body for sending: its content type, validators and, filled in
+ * on demand by `encodeBody`, its compressed forms.
  *
- * @param {Date} date Moment in time (interpreted as absolute, not local)
- * @param {string} timeZone IANA time zone identifier (e.g. 'America/Santiago')
- * @returns {number} Offset in minutes relative to UTC
+ * @param {Buffer} body Response body
+ * @param {string} contentType Value of the Content-Type header
+ * @param {Date|null} modified When the body last changed, if known
+ * @param {boolean} [kept] Whether it is kept and sent again, so worth
+ *   compressing as tightly as possible (default: true)
+ * @returns {{body: Buffer, contentType: string, etag: string, modified: Date|null, kept: boolean, encoded: Record<string, Promise<Buffer>>}}
  */
-function getOffset(date, timeZone) {
-  const dtf = new Intl.DateTimeFormat("en-US", {
-    timeZone,
-    hour12: false,
-    year: "numeric",
-    month: "2-digit",
-    day: "2-digit",
-    hour: "2-digit",
-    minute: "2-digit",
-    second: "2-digit",
-  });
-  const parts = dtf.formatToParts(date);
-  const values = {};
-  for (const part of parts) {
-    if (part.type !== "literal") {
-      values[part.type] = part.value;
-    }
-  }
-  // Construct a UTC timestamp for the same calendar components as observed in the
-  // target time zone.  For example, if the formatted time in the zone is
-  // 2025-09-04 11:00:00, this UTC date corresponds to 11:00 UTC.
-  const asUTC = Date.UTC(
-    Number(values.year),
-    Number(values.month) - 1,
-    Number(values.day),
-    Number(values.hour),
-    Number(values.minute),
-    Number(values.second),
-  );
-  // The difference between the supplied moment (in UTC) and the reconstructed
-  // UTC date yields the offset.  A negative result means the zone is behind UTC.
-  return -((date.getTime() - asUTC) / 60000);
+function createRepresentation(body, contentType, modified, kept = true) {
+  const hash = crypto.createHash("sha1").update(body).digest("base64url");
+  return {
+    body,
+    contentType,
+    // Weak, so it holds for the compressed forms too
+    etag: `W/"${body.length.toString(16)}-${hash.slice(0, 16)}"`,
+    modified,
+    kept,
+    encoded: {},
+  };
 }
 
 /**
- * Convert a local date/time from any source timezone to multiple other time zones.
+ * Read a file into a representation, reusing the one from an earlier
+ * request while the file's size and modification time are unchanged.
  *
- * The function expects a calendar date (`YYYY-MM-DD`) and a 24‑hour clock
- * (`HH:MM`), both interpreted as the local time observed in the specified
- * source time zone. It first determines the UTC offset for the source timezone
- * at that moment, then computes the corresponding absolute epoch.
- * Finally, for each target zone it determines its offset at that instant
- * and constructs a human‑readable time.
+ * @param {string} filePath File to read
+ * @returns {Promise<ReturnType<typeof createRepresentation>|null>} Null when there is no such file
+ */
+async function loadStaticFile(filePath) {
+  let stats;
+  try {
+    stats = await fs.promises.stat(filePath);
+  } catch (error) {
+    if (error.code === "ENOENT" || error.code === "ENOTDIR") return null;
+    throw error;
+  }
+  if (!stats.isFile()) return null;
+
+  const cached = staticFiles.get(filePath);
+  if (
+    cached &&
+    cached.mtimeMs === stats.mtimeMs &&
+    cached.body.length === stats.size
+  ) {
+    return cached;
+  }
+  const body = await fs.promises.readFile(filePath);
+  const contentType =
+    MIME_TYPES[path.extname(filePath).toLowerCase()] ||
+    "application/octet-stream";
+  const file = {
+    ...createRepresentation(body, contentType, stats.mtime),
+    mtimeMs: stats.mtimeMs,
+  };
+  staticFiles.set(filePath, file);
+  return file;
+}
+
+/**
+ * Map a request path onto a file in `STATIC_DIR`.  Paths that are malformed,
+ * contain a NUL byte or have a segment starting with "." (parent directory
+ * references and hidden files alike) are refused.
  *
- * @param {string} dateStr Date in the form 'YYYY-MM-DD'
- * @param {string} timeStr Time in the form 'HH:MM'
- * @param {string} sourceTimezone IANA timezone identifier for source (default: 'America/Santiago')
- * @returns {Record<string, string>} Map of IANA time zone names to 'HH:MM' strings
+ * @param {string} pathname Request path, still percent-encoded
+ * @returns {string|null} The file's path, or null when the path is refused
  */
-function convertTime(dateStr, timeStr, sourceTimezone = "America/Santiago") {
-  const [year, month, day] = dateStr.split("-").map(Number);
-  const [hour, minute] = timeStr.split(":").map(Number);
+function resolveStaticPath(pathname) {
+  let relative;
+  try {
+    relative = decodeURIComponent(pathname);
+  } catch (error) {
+    return null;
+  }
   if (
-    !year ||
-    !month ||
-    !day ||
-    hour == null ||
-    minute == null ||
-    Number.isNaN(year) ||
-    Number.isNaN(month) ||
-    Number.isNaN(day) ||
-    Number.isNaN(hour) ||
-    Number.isNaN(minute)
+    relative.includes("\0") ||
+    relative.split(/[\\/]/).some((segment) => segment.startsWith("."))
   ) {
-    throw new Error("Invalid date or time format");
-  }
-  // Create a UTC date for the specified calendar components.  This object
-  // represents midnight UTC plus the provided hours and minutes.  We use
-  // this as an anchor to calculate the offsets; the actual moment will be
-  // adjusted below.
-  const anchorUTC = new Date(Date.UTC(year, month - 1, day, hour, minute, 0));
-  // Determine the offset (in minutes) for the source timezone at that moment.
-  const offsetSource = getOffset(anchorUTC, sourceTimezone);
-  // Compute the epoch time (milliseconds since 1970-01-01 UTC) for the
-  // specified local time in the source timezone. The offset is subtracted
-  // to get the correct UTC timestamp.
-  const epochUTC =
-    Date.UTC(year, month - 1, day, hour, minute) - offsetSource * 60 * 1000;
-  // List of all supported time zones including the source.
-  // We return the IANA names as keys; the presentation layer on the client maps these to human‑friendly labels.
-  const allZones = [
-    "America/Santiago",
-    "America/New_York",
-    "America/Argentina/Buenos_Aires",
-    "America/Bogota",
-    "America/Santo_Domingo",
-  ];
+    return null;
+  }
+  const filePath = path.join(STATIC_DIR, relative);
+  return filePath.startsWith(STATIC_DIR + path.sep) ? filePath : null;
+}
 
-  // Filter out the source timezone from results to avoid duplication
-  const zones = allZones.filter((tz) => tz !== sourceTimezone);
-  const results = {};
-  const dateUTC = new Date(epochUTC);
-  // For each zone, format the UTC moment into the local time.  The
-  // Intl.DateTimeFormat API applies the correct DST rules for the target
-  // region, so no manual offset calculation is needed beyond the Chilean
-  // adjustment already performed.
-  for (const tz of zones) {
-    const formatted = new Intl.DateTimeFormat("en-US", {
-      timeZone: tz,
-      hour: "2-digit",
-      minute: "2-digit",
-      hour12: false,
-    }).format(dateUTC);
-    results[tz] = formatted;
+/**
+ * Pick the compression for a response from the Accept-Encoding header:
+ * Brotli or gzip, whichever the client ranks higher (Brotli on a tie).
+ *
+ * @param {string|undefined} accepted Accept-Encoding header
+ * @returns {"br"|"gzip"|null} Null when the client accepts neither
+ */
+function negotiateEncoding(accepted) {
+  const qualities = {};
+  for (const entry of String(accepted || "").split(",")) {
+    const [coding, ...params] = entry.trim().toLowerCase().split(";");
+    const quality = params
+      .map((param) => /^\s*q=([\d.]+)\s*$/.exec(param))
+      .find(Boolean);
+    if (coding) qualities[coding] = quality ? Number(quality[1]) : 1;
   }
-  return results;
+  const qualityOf = (coding) => qualities[coding] ?? qualities["*"] ?? 0;
+  const best = ["br", "gzip"]
+    .filter((coding) => qualityOf(coding) > 0)
+    .sort((a, b) => qualityOf(b) - qualityOf(a));
+  return best[0] || null;
 }
 
+const brotliCompress = util.promisify(zlib.brotliCompress);
+const gzip = util.promisify(zlib.gzip);
+
 /**
- * HTTP server instance.
+ * A representation's body compressed with `encoding`, compressed the first
+ * time it is asked for.  Bodies built for a single response are compressed
+ * at a faster, lower setting.  Compression runs on libuv's thread pool, so
+ * squeezing a large script at the highest quality does not hold up other
+ * requests; concurrent requests share the one pending result.
  *
- * The server serves static files from the `static` directory.  When a request
- * targets `/convert`, it returns a JSON object with converted times.  All
- * other requests fall back to static file resolution and return 404 if the
- * file does not exist.
+ * @param {ReturnType<typeof createRepresentation>} representation What to compress
+ * @param {"br"|"gzip"} encoding Compression
+ * @returns {Promise<Buffer>} Compressed body
  */
-const server = http.createServer((req, res) => {
+function encodeBody(representation, encoding) {
+  if (!representation.encoded[encoding]) {
+    const encoded =
+      encoding === "br"
+        ? brotliCompress(representation.body, {
+            params: {
+              [zlib.constants.BROTLI_PARAM_MODE]:
+                zlib.constants.BROTLI_MODE_TEXT,
+              [zlib.constants.BROTLI_PARAM_QUALITY]: representation.kept
+                ? zlib.constants.BROTLI_MAX_QUALITY
+                : 5,
+              [zlib.constants.BROTLI_PARAM_SIZE_HINT]:
+                representation.body.length,
+            },
+          })
+        : gzip(representation.body, {
+            level: representation.kept ? 9 : 6,
+          });
+    // A failure is not cached, so the next request tries again
+    encoded.catch(() => {
+      delete representation.encoded[encoding];
+    });
+    representation.encoded[encoding] = encoded;
+  }
+  return representation.encoded[encoding];
+}
+
+/**
+ * Whether the client's cached copy is still current, going by
+ * If-None-Match or, when that is absent, If-Modified-Since.
+ *
+ * @param {http.IncomingMessage} req Request
+ * @param {ReturnType<typeof createRepresentation>} representation What would be sent
+ * @returns {boolean}
+ */
+function isNotModified(req, representation) {
+  const ifNoneMatch = req.headers["if-none-match"];
+  if (ifNoneMatch !== undefined) {
+    const opaque = (tag) => tag.trim().replace(/^W\//, "");
+    return (
+      ifNoneMatch.trim() === "*" ||
+      ifNoneMatch
+        .split(",")
+        .some((tag) => opaque(tag) === opaque(representation.etag))
+    );
+  }
+  const since = Date.parse(req.headers["if-modified-since"]);
+  return (
+    representation.modified !== null &&
+    !Number.isNaN(since) &&
+    Math.floor(representation.modified.getTime() / 1000) * 1000 <= since
+  );
+}
+
+/**
+ * Send a representation, answering conditional requests with 304 and HEAD
+ * requests with the headers alone, and compressing the body when the
+ * client accepts it.
+ *
+ * @param {http.IncomingMessage} req Request
+ * @param {http.ServerResponse} res Response to write to
+ * @param {ReturnType<typeof createRepresentation>} representation What to send
+ * @param {Record<string, string>} [extraHeaders] Further headers, such as Content-Language
+ * @returns {Promise<void>} Settles once the response is written
+ */
+async function sendRepresentation(req, res, representation, extraHeaders = {}) {
+  const isPage = representation.contentType.startsWith("text/html");
+  const compressible =
+    COMPRESSIBLE_TYPE.test(representation.contentType) &&
+    representation.body.length >= MIN_COMPRESSED_BYTES;
+  const vary = [extraHeaders.Vary, compressible && "Accept-Encoding"]
+    .filter(Boolean)
+    .join(", ");
+  const headers = {
+    ...extraHeaders,
+    "Cache-Control": isPage
+      ? "no-cache"
+      : `public, max-age=${ASSET_MAX_AGE_SECONDS}`,
+    ETag: representation.etag,
+  };
+  if (representation.modified) {
+    headers["Last-Modified"] = representation.modified.toUTCString();
+  }
+  if (vary) {
+    headers.Vary = vary;
+  }
+  if (isNotModified(req, representation)) {
+    res.writeHead(304, headers);
+    res.end();
+    return;
+  }
+
+  const encoding = compressible
+    ? negotiateEncoding(req.headers["accept-encoding"])
+    : null;
+  const body = encoding
+    ? await encodeBody(representation, encoding)
+    : representation.body;
+  headers["Content-Type"] = representation.contentType;
+  headers["Content-Length"] = body.length;
+  if (encoding) {
+    headers["Content-Encoding"] = encoding;
+  }
+  res.writeHead(200, headers);
+  res.end(req.method === "HEAD" ? undefined : body);
+}
+
+/**
+ * Serve a file with `sendRepresentation`.  A missing file is a 404; a file
+ * asked for with a method other than GET or HEAD is a 405.
+ *
+ * @param {http.IncomingMessage} req Request
+ * @param {http.ServerResponse} res Response to write to
+ * @param {string|null} filePath File to send (null for a refused path)
+ * @param {string} pathname Request path, for error messages
+ * @returns {Promise<void>} Settles once the response is written
+ */
+async function serveStaticFile(req, res, filePath, pathname) {
+  const file = filePath && (await loadStaticFile(filePath));
+  if (!file) {
+    throw apiError(404, "not_found", `Not found: ${pathname}`);
+  }
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    res.setHeader("Allow", "GET, HEAD");
+    throw apiError(
+      405,
+      "method_not_allowed",
+      `${req.method} is not allowed on ${pathname} (use GET or HEAD)`,
+    );
+  }
+  await sendRepresentation(req, res, file);
+}
+
+/**
+ * Route a request.  Every failure is answered by `sendError`, so all routes
+ * share the same error format.
+ *
+ * @param {http.IncomingMessage} req Request
+ * @param {http.ServerResponse} res Response
+ */
+function handleRequest(req, res) {
   const parsedUrl = url.parse(req.url, true);
   const pathname = parsedUrl.pathname;
-  if (req.method === "GET" && pathname === "/") {
-    // Serve the landing page
-    fs.readFile(path.join(__dirname, "static", "index.html"), (err, data) => {
-      if (err) {
-        res.writeHead(500, { "Content-Type": "text/plain" });
-        res.end("Error loading index.html");
-        return;
-      }
-      res.writeHead(200, { "Content-Type": "text/html" });
-      res.end(data);
-    });
+  const query = parsedUrl.query;
+  const isRead = req.method === "GET" || req.method === "HEAD";
+  if (isRead && pathname === "/") {
+    // Serve the landing page, with its tags in the visitor's language
+    loadStaticFile(path.join(STATIC_DIR, "index.html"))
+      .then((file) => {
+        const locale = negotiateLocale(req.headers["accept-language"]);
+        const page = renderIndexPage(file.body.toString("utf8"), query, locale);
+        return sendRepresentation(
+          req,
+          res,
+          createRepresentation(
+            Buffer.from(page),
+            file.contentType,
+            null,
+            false,
+          ),
+          { "Content-Language": locale, Vary: "Accept-Language" },
+        );
+      })
+      .catch((error) => sendError(res, error));
     return;
   }
-  // Serve client‑side JavaScript
-  if (req.method === "GET" && pathname === "/script.js") {
-    fs.readFile(path.join(__dirname, "static", "script.js"), (err, data) => {
-      if (err) {
-        res.writeHead(500, { "Content-Type": "text/plain" });
-        res.end("Error loading script.js");
-        return;
-      }
-      res.writeHead(200, { "Content-Type": "application/javascript" });
-      res.end(data);
-    });
+  // Compact view for other sites to frame
+  if (isRead && pathname === "/embed") {
+    let options;
+    try {
+      options = readEmbedOptions(
+        query,
+        negotiateLocale(req.headers["accept-language"]),
+      );
+    } catch (error) {
+      sendError(res, error);
+      return;
+    }
+    loadStaticFile(path.join(STATIC_DIR, "embed.html"))
+      .then((file) => {
+        res.setHeader(
+          "Content-Security-Policy",
+          contentSecurityPolicy(EMBED_FRAME_ANCESTORS),
+        );
+        res.removeHeader("X-Frame-Options");
+        return sendRepresentation(
+          req,
+          res,
+          createRepresentation(
+            Buffer.from(renderEmbedPage(file.body.toString("utf8"), options)),
+            file.contentType,
+            null,
+            false,
+          ),
+          { "Content-Language": options.locale, Vary: "Accept-Language" },
+        );
+      })
+      .catch((error) => sendError(res, error));
+    return;
+  }
+  // OpenAPI description of the API
+  if (isRead && pathname === "/openapi.json") {
+    serveStaticFile(
+      req,
+      res,
+      path.join(__dirname, "openapi.json"),
+      pathname,
+    ).catch((error) => sendError(res, error));
     return;
   }
-  // Serve stylesheet
-  if (req.method === "GET" && pathname === "/styles.css") {
-    fs.readFile(path.join(__dirname, "static", "styles.css"), (err, data) => {
-      if (err) {
-        res.writeHead(500, { "Content-Type": "text/plain" });
-        res.end("Error loading styles.css");
+  // Create a short link for a converter state
+  if (req.method === "POST" && pathname === "/s") {
+    readBody(req, 4096, async (bodyError, body) => {
+      if (bodyError) {
+        sendError(res, bodyError);
         return;
       }
-      res.writeHead(200, { "Content-Type": "text/css" });
-      res.end(data);
+      try {
+        let input;
+        try {
+          input = JSON.parse(body);
+        } catch (error) {
+          throw apiError(400, "invalid_json", `Invalid JSON: ${error.message}`);
+        }
+        const state = normalizeShareState(input);
+        const id = await createShortLink(state.query);
+        sendJson(res, 201, { id, url: `/s/${id}`, path: `/?${state.query}` });
+      } catch (error) {
+        sendError(res, error);
+      }
     });
     return;
   }
+  // Follow a short link
+  if (req.method === "GET" && pathname.startsWith("/s/")) {
+    const links = getShortLinks();
+    const id = pathname.slice(3);
+    const target = Object.hasOwn(links, id) ? links[id] : null;
+    if (!target) {
+      sendError(res, apiError(404, "not_found", "Short link not found"));
+      return;
+    }
+    res.writeHead(302, { Location: `/?${target}` });
+    res.end();
+    return;
+  }
   // Current time endpoint
   if (req.method === "GET" && pathname === "/current") {
-    const now = new Date();
-    const currentDate = now.toISOString().split("T")[0];
+    try {
+      const localeOptions = parseLocaleOptions(query);
+      sendJson(
+        res,
+        200,
+        localizeConversion(
+          markDaysOff(
+            getCurrentConversion(
+              readIanaZone(query, "source", DEFAULT_SOURCE),
+              resolveZones(query),
+            ),
+          ),
+          localeOptions,
+        ),
+      );
+    } catch (error) {
+      sendError(res, error);
+    }
+    return;
+  }
 
-    // Get current time in Chile timezone
-    const chileTime = new Intl.DateTimeFormat("en-US", {
-      timeZone: "America/Santiago",
-      hour: "2-digit",
-      minute: "2-digit",
-      hour12: false,
-    }).format(now);
+  // Clock ticks and offset changes, pushed as Server-Sent Events
+  if (req.method === "GET" && pathname === "/stream") {
+    try {
+      handleStream(req, res, query);
+    } catch (error) {
+      sendError(res, error);
+    }
+    return;
+  }
 
+  // Multi-timezone conversion endpoint
+  if (req.method === "GET" && pathname === "/convert-multi") {
     try {
-      // Get all timezone conversions using Chile as source
-      const allZones = [
-        "America/Santiago",
-        "America/New_York",
-        "America/Argentina/Buenos_Aires",
-        "America/Bogota",
-        "America/Santo_Domingo",
-      ];
+      const zones = resolveZones(query);
+      const localeOptions = parseLocaleOptions(query);
+      const disambiguation = readDisambiguation(query);
+      let result;
+      if (query.at) {
+        result = inField("at", () =>
+          convertInputInstant(
+            query.at,
+            query.source && readTimeZone(query, "source"),
+            zones,
+            disambiguation,
+          ),
+        );
+      } else {
+        if (!query.date && !query.time) {
+          throw apiError(
+            400,
+            "missing_parameter",
+            "Missing date and time (or at) query parameters",
+            "date",
+          );
+        }
+        const date = readDate(query, "date") || requireParam(query, "date");
+        const time = readTime(query, "time");
+        const sourceTimezone = readTimeZone(query, "source", DEFAULT_SOURCE);
+        result = inField("time", () =>
+          convertToZones(date, time, sourceTimezone, zones, disambiguation),
+        );
+      }
+      sendJson(
+        res,
+        200,
+        localizeConversion(markDaysOff(result), localeOptions),
+      );
+    } catch (error) {
+      sendError(res, error);
+    }
+    return;
+  }
 
-      const epochUTC = calculateEpochFromTimezone(
-        currentDate,
-        chileTime,
-        "America/Santiago",
+  // Zone catalog, optionally searched or narrowed to one country
+  if (req.method === "GET" && pathname === "/zones") {
+    const { q, country } = query;
+    try {
+      const { locale } = parseLocaleOptions(query);
+      if (country !== undefined && !/^[A-Za-z]{2}$/.test(country)) {
+        throw apiError(
+          400,
+          "invalid_parameter",
+          "`country` must be a two-letter country code",
+          "country",
+        );
+      }
+      const limit = readInteger(
+        query,
+        "limit",
+        undefined,
+        1,
+        MAX_ZONE_SEARCH_LIMIT,
       );
-      const conversions = {};
-
-      for (const tz of allZones) {
-        const formatted = new Intl.DateTimeFormat("en-US", {
-          timeZone: tz,
-          hour: "2-digit",
-          minute: "2-digit",
-          hour12: false,
-        }).format(new Date(epochUTC));
-        conversions[tz] = formatted;
+
+      let zones = q
+        ? searchZones(q, { limit: MAX_ZONE_SEARCH_LIMIT })
+        : listZones();
+      if (country) {
+        zones = zones.filter((zone) => zone.country === country.toUpperCase());
       }
+      if (q || limit) {
+        zones = zones.slice(0, limit || 20);
+      }
+      if (locale) {
+        zones = zones.map((zone) => localizeZone(zone, locale));
+      }
+      sendJson(res, 200, { count: zones.length, zones });
+    } catch (error) {
+      sendError(res, error);
+    }
+    return;
+  }
 
-      res.writeHead(200, { "Content-Type": "application/json" });
-      res.end(
-        JSON.stringify({
-          date: currentDate,
-          time: chileTime,
-          timezone: "America/Santiago",
-          conversions: conversions,
-        }),
+  // Free-text phrases such as "3pm EST next Tuesday"
+  if (req.method === "GET" && pathname === "/parse") {
+    try {
+      const q = requireParam(query, "q");
+      if (q.length > MAX_PHRASE_LENGTH) {
+        throw apiError(
+          400,
+          "out_of_range",
+          `Phrase too long (at most ${MAX_PHRASE_LENGTH} characters)`,
+          "q",
+        );
+      }
+      const defaultZone = readIanaZone(query, "source", DEFAULT_SOURCE);
+      const { locale } = parseLocaleOptions(query);
+      sendJson(res, 200, {
+        query: q,
+        candidates: inField("q", () => parsePhrase(q, { defaultZone, locale })),
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+    return;
+  }
+
+  // DST / offset transition calendar for one zone
+  if (req.method === "GET" && pathname === "/transitions") {
+    try {
+      requireParam(query, "zone");
+      const zone = readIanaZone(query, "zone");
+      // `from` and `to` are local calendar dates in the zone; the range
+      // covers both days in full.  Defaults to the coming year.
+      const fromDate = readDate(query, "from", getZonedNowDate(zone));
+      const toDate = readDate(query, "to", addDays(fromDate, 365));
+      const { fromEpoch, toEpoch } = readDateRange(
+        fromDate,
+        toDate,
+        zone,
+        MAX_TRANSITION_RANGE_DAYS,
       );
+
+      sendJson(res, 200, {
+        zone,
+        from: fromDate,
+        to: toDate,
+        transitions: findTransitions(zone, fromEpoch, toEpoch),
+      });
     } catch (error) {
-      res.writeHead(500, { "Content-Type": "application/json" });
-      res.end(JSON.stringify({ error: error.message }));
+      sendError(res, error);
     }
     return;
   }
 
-  // Multi-timezone conversion endpoint
-  if (req.method === "GET" && pathname === "/convert-multi") {
-    const { date, time, source } = parsedUrl.query;
-    if (!date || !time) {
-      res.writeHead(400, { "Content-Type": "application/json" });
-      res.end(
-        JSON.stringify({ error: "Missing date or time query parameters" }),
+  // A duration added to (or subtracted from) a zoned moment
+  if (
+    req.method === "GET" &&
+    (pathname === "/add" || pathname === "/subtract")
+  ) {
+    try {
+      const date = readDate(query, "date") || requireParam(query, "date");
+      const time = readTime(query, "time");
+      const duration = requireParam(query, "duration");
+      const sourceTimezone = readTimeZone(query, "source", DEFAULT_SOURCE);
+      const zones = resolveZones(query);
+      const localeOptions = parseLocaleOptions(query);
+      const mode = readDisambiguation(query);
+      const amount = inField("duration", () => parseDuration(duration));
+      const sign = pathname === "/subtract" ? -1 : 1;
+      const start = inField("time", () =>
+        convertToZones(date, time, sourceTimezone, [], mode),
       );
-      return;
+      const epoch = inField("duration", () =>
+        addDuration(
+          date,
+          time,
+          sourceTimezone,
+          {
+            days: sign * amount.days,
+            milliseconds: sign * amount.milliseconds,
+          },
+          mode,
+        ),
+      );
+
+      sendJson(res, 200, {
+        start: withoutConversions(start),
+        operation: sign === 1 ? "add" : "subtract",
+        duration,
+        elapsed: formatElapsed(epoch - start.epoch),
+        ...localizeConversion(
+          markDaysOff(convertInstantToZones(epoch, sourceTimezone, zones)),
+          localeOptions,
+        ),
+      });
+    } catch (error) {
+      sendError(res, error);
     }
+    return;
+  }
 
-    const sourceTimezone = source || "America/Santiago";
+  // Real time elapsed between two zoned moments
+  if (req.method === "GET" && pathname === "/difference") {
     try {
-      const allZones = [
-        "America/Santiago",
-        "America/New_York",
-        "America/Argentina/Buenos_Aires",
-        "America/Bogota",
-        "America/Santo_Domingo",
-      ];
+      const disambiguation = readDisambiguation(query);
+      const [start, end] = ["from", "to"].map((name) => {
+        const value = requireParam(query, name);
+        const zone = query[`${name}Zone`]
+          ? readTimeZone(query, `${name}Zone`)
+          : undefined;
+        return inField(name, () =>
+          convertInputInstant(value, zone, [], disambiguation),
+        );
+      });
+      sendJson(res, 200, {
+        from: withoutConversions(start),
+        to: withoutConversions(end),
+        ...measureElapsed(start, end),
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+    return;
+  }
 
-      const results = {};
+  // Public holidays of a country
+  if (req.method === "GET" && pathname === "/holidays") {
+    try {
+      const country = requireParam(query, "country");
+      const year = readInteger(
+        query,
+        "year",
+        new Date().getUTCFullYear(),
+        MIN_YEAR,
+        9999,
+      );
+      sendJson(res, 200, {
+        country: country.toUpperCase(),
+        year,
+        holidays: inField("country", () => listHolidays(country, year)),
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+    return;
+  }
 
-      // Calculate time for all zones based on the source
-      const epochUTC = calculateEpochFromTimezone(date, time, sourceTimezone);
+  // Meeting planner: shared working hours across zones
+  if (req.method === "GET" && pathname === "/meeting-planner") {
+    try {
+      const zones = resolveZones(query);
+      // Dates are read in the reference zone, which is also the zone the
+      // hourly slots are aligned to.
+      const reference = readIanaZone(query, "source", zones[0]);
+      const hoursByZone = inField("hours", () =>
+        resolveWorkingHours(query.hours, zones),
+      );
+      const minDuration = readInteger(query, "duration", 30, 1, 24 * 60);
+      const fromDate = readDate(query, "from", getZonedNowDate(reference));
+      const toDate = readDate(query, "to", fromDate);
+      const { fromEpoch, toEpoch } = readDateRange(
+        fromDate,
+        toDate,
+        reference,
+        MAX_PLANNER_RANGE_DAYS,
+      );
 
-      for (const tz of allZones) {
-        const formatted = new Intl.DateTimeFormat("en-US", {
-          timeZone: tz,
-          hour: "2-digit",
-          minute: "2-digit",
-          hour12: false,
-        }).format(new Date(epochUTC));
-        results[tz] = formatted;
+      const workingHours = {};
+      for (const zone of zones) {
+        workingHours[zone] = hoursByZone[zone].label;
       }
-
-      res.writeHead(200, { "Content-Type": "application/json" });
-      res.end(JSON.stringify(results));
+      sendJson(res, 200, {
+        reference,
+        from: fromDate,
+        to: toDate,
+        workingHours,
+        windows: findMeetingWindows(
+          zones,
+          hoursByZone,
+          fromEpoch,
+          toEpoch,
+          minDuration,
+        ),
+        slots: buildPlannerSlots(zones, hoursByZone, fromEpoch, toEpoch),
+      });
     } catch (error) {
-      res.writeHead(400, { "Content-Type": "application/json" });
-      res.end(JSON.stringify({ error: error.message }));
+      sendError(res, error);
     }
     return;
   }
 
-  // Conversion endpoint (legacy - maintained for compatibility)
-  if (req.method === "GET" && pathname === "/convert") {
-    const { date, time, source } = parsedUrl.query;
-    if (!date || !time) {
-      res.writeHead(400, { "Content-Type": "application/json" });
-      res.end(
-        JSON.stringify({ error: "Missing date or time query parameters" }),
+  // A recurring meeting projected across its occurrences
+  if (req.method === "GET" && pathname === "/recurring") {
+    try {
+      const time = readTime(query, "time");
+      const anchor = readTimeZone(query, "source", DEFAULT_SOURCE);
+      const zones = [
+        anchor,
+        ...resolveZones(query).filter((zone) => zone !== anchor),
+      ];
+      const localeOptions = parseLocaleOptions(query);
+      const count = readInteger(
+        query,
+        "count",
+        DEFAULT_RECURRING_COUNT,
+        1,
+        MAX_RECURRING_COUNT,
       );
-      return;
+      const startDate = readDate(query, "start", getZonedNowDate(anchor));
+      const disambiguation = readDisambiguation(query);
+      const rule = inField(query.weekdays ? "weekdays" : "frequency", () =>
+        buildRecurrenceRule(query.frequency || "weekly", query.weekdays),
+      );
+      const occurrences = inField("time", () =>
+        projectRecurringMeeting(
+          anchor,
+          time,
+          startDate,
+          rule,
+          count,
+          zones,
+          disambiguation,
+        ),
+      ).map((occurrence) =>
+        localizeConversion(markDaysOff(occurrence), localeOptions),
+      );
+
+      sendJson(res, 200, {
+        source: anchor,
+        time,
+        start: startDate,
+        rule,
+        zones,
+        changeDates: occurrences
+          .filter((occurrence) => occurrence.changes.length > 0)
+          .map((occurrence) => occurrence.date),
+        occurrences,
+      });
+    } catch (error) {
+      sendError(res, error);
     }
+    return;
+  }
+
+  // Batch conversion of uploaded rows (CSV, NDJSON or a JSON array)
+  if (req.method === "POST" && pathname === "/convert-batch") {
+    handleBatchConversion(req, res, query);
+    return;
+  }
+
+  // iCalendar export of a converted moment
+  if (req.method === "GET" && pathname === "/event.ics") {
     try {
-      const sourceTimezone = source || "America/Santiago";
-      const result = convertTime(date, time, sourceTimezone);
-      res.writeHead(200, { "Content-Type": "application/json" });
-      res.end(JSON.stringify(result));
+      const date = readDate(query, "date") || requireParam(query, "date");
+      const time = readTime(query, "time");
+      const sourceTimezone = readIanaZone(query, "source", DEFAULT_SOURCE);
+      const durationMinutes = readInteger(
+        query,
+        "duration",
+        60,
+        1,
+        MAX_EVENT_DURATION_MINUTES,
+      );
+      const zones = resolveZones(query);
+      const disambiguation = readDisambiguation(query);
+      const conversion = inField("time", () =>
+        convertToZones(date, time, sourceTimezone, zones, disambiguation),
+      );
+      res.writeHead(200, {
+        "Content-Type": "text/calendar; charset=utf-8",
+        "Content-Disposition": 'attachment; filename="event.ics"',
+      });
+      res.end(
+        buildEventCalendar(
+          conversion,
+          durationMinutes,
+          (query.title || "").trim() || "Meeting",
+        ),
+      );
     } catch (error) {
-      res.writeHead(400, { "Content-Type": "application/json" });
-      res.end(JSON.stringify({ error: error.message }));
+      sendError(res, error);
     }
     return;
   }
-  // Attempt to serve other static assets (images, fonts, etc.)
-  const filePath = path.join(__dirname, "static", pathname);
-  fs.readFile(filePath, (err, data) => {
-    if (err) {
-      res.writeHead(404, { "Content-Type": "text/plain" });
-      res.end("Not found");
-      return;
-    }
-    const ext = path.extname(filePath).toLowerCase();
-    const mimeTypes = {
-      ".html": "text/html",
-      ".js": "application/javascript",
-      ".css": "text/css",
-      ".png": "image/png",
-      ".jpg": "image/jpeg",
-      ".jpeg": "image/jpeg",
-      ".svg": "image/svg+xml",
-      ".ico": "image/x-icon",
-    };
-    res.writeHead(200, {
-      "Content-Type": mimeTypes[ext] || "application/octet-stream",
+
+  // Import the events of an uploaded .ics file
+  if (req.method === "POST" && pathname === "/import-ics") {
+    readBody(req, MAX_ICS_BYTES, (bodyError, body) => {
+      if (bodyError) {
+        sendError(res, bodyError);
+        return;
+      }
+      try {
+        const zones = resolveZones(query);
+        // Floating times and the window dates are read in the reference zone
+        const reference = readIanaZone(query, "source", DEFAULT_SOURCE);
+        const fromDate = readDate(query, "from", getZonedNowDate(reference));
+        const toDate = readDate(
+          query,
+          "to",
+          addDays(fromDate, DEFAULT_IMPORT_RANGE_DAYS),
+        );
+        const { fromEpoch, toEpoch } = readDateRange(
+          fromDate,
+          toDate,
+          reference,
+          MAX_IMPORT_RANGE_DAYS,
+        );
+
+        const { occurrences, warnings, truncated } = expandEvents(
+          inField("body", () => parseCalendar(body)),
+          {
+            floatingZone: reference,
+            fromEpoch,
+            toEpoch,
+            limit: MAX_IMPORT_OCCURRENCES,
+          },
+        );
+        sendJson(res, 200, {
+          source: reference,
+          from: fromDate,
+          to: toDate,
+          events: occurrences.map((occurrence) => {
+            const { event, zone } = occurrence;
+            const start = describeEventMoment(
+              occurrence.startEpoch,
+              zone,
+              zones,
+              getZonedNowDate(zone, new Date(occurrence.startEpoch)),
+            );
+            return {
+              uid: event.uid,
+              title: event.summary,
+              description: event.description,
+              location: event.location,
+              timezone: zone,
+              floating: occurrence.floating,
+              allDay: occurrence.allDay,
+              recurring: occurrence.recurring,
+              start,
+              end: describeEventMoment(
+                occurrence.endEpoch,
+                zone,
+                zones,
+                start.date,
+              ),
+            };
+          }),
+          warnings,
+          truncated,
+        });
+      } catch (error) {
+        sendError(res, error);
+      }
     });
-    res.end(data);
-  });
-});
+    return;
+  }
 
-// Configure the port via environment variable or fallback to 3000
-/**
- * Helper function to calculate UTC epoch from any timezone
- * @param {string} dateStr Date in 'YYYY-MM-DD' format
- * @param {string} timeStr Time in 'HH:MM' format
- * @param {string} sourceTimezone IANA timezone identifier
- * @returns {number} UTC epoch timestamp in milliseconds
- */
-function calculateEpochFromTimezone(dateStr, timeStr, sourceTimezone) {
-  const [year, month, day] = dateStr.split("-").map(Number);
-  const [hour, minute] = timeStr.split(":").map(Number);
+  // Conversion endpoint (legacy - maintained for compatibility)
+  if (req.method === "GET" && pathname === "/convert") {
+    try {
+      const date = readDate(query, "date") || requireParam(query, "date");
+      const time = readTime(query, "time");
+      const sourceTimezone = readIanaZone(query, "source", DEFAULT_SOURCE);
+      const zones = resolveZones(query);
+      const localeOptions = parseLocaleOptions(query);
+      const disambiguation = readDisambiguation(query);
+      const result = inField("time", () =>
+        convertTime(date, time, sourceTimezone, zones, disambiguation),
+      );
+      sendJson(
+        res,
+        200,
+        localizeConversion(markDaysOff({ conversions: result }), localeOptions)
+          .conversions,
+      );
+    } catch (error) {
+      sendError(res, error);
+    }
+    return;
+  }
 
-  if (
-    !year ||
-    !month ||
-    !day ||
-    hour == null ||
-    minute == null ||
-    Number.isNaN(year) ||
-    Number.isNaN(month) ||
-    Number.isNaN(day) ||
-    Number.isNaN(hour) ||
-    Number.isNaN(minute)
-  ) {
-    throw new Error("Invalid date or time format");
+  // A known route asked with a method it does not answer
+  const route = pathname.startsWith("/s/") ? "/s/" : pathname;
+  if (Object.hasOwn(ROUTE_METHODS, route)) {
+    res.setHeader("Allow", ROUTE_METHODS[route].join(", "));
+    sendError(
+      res,
+      apiError(
+        405,
+        "method_not_allowed",
+        `${req.method} is not allowed on ${pathname} (use ${ROUTE_METHODS[route].join(" or ")})`,
+      ),
+    );
+    return;
   }
 
-  const anchorUTC = new Date(Date.UTC(year, month - 1, day, hour, minute, 0));
-  const offsetSource = getOffset(anchorUTC, sourceTimezone);
-  return (
-    Date.UTC(year, month - 1, day, hour, minute) - offsetSource * 60 * 1000
+  // Everything else is a file under static/
+  serveStaticFile(req, res, resolveStaticPath(pathname), pathname).catch(
+    (error) => sendError(res, error),
   );
 }
 
-const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-  console.log(`Time converter running at http://localhost:${PORT}/`);
+/**
+ * HTTP server instance.
+ *
+ * The server serves static files from the `static` directory.  When a request
+ * targets `/convert`, it returns a JSON object with converted times.  All
+ * other requests fall back to static file resolution and return 404 if the
+ * file does not exist.  Anything a route throws unexpectedly is answered
+ * with a 500.  Every response carries `SECURITY_HEADERS`.
+ */
+const server = http.createServer((req, res) => {
+  for (const [name, value] of Object.entries(SECURITY_HEADERS)) {
+    res.setHeader(name, value);
+  }
+  try {
+    handleRequest(req, res);
+  } catch (error) {
+    sendError(res, error);
+  }
 });
+
+// Only listen when run directly; `require("./server")` (as the CLI does) just
+// gets the conversion functions below.
+if (require.main === module) {
+  // Configure the port via environment variable or fallback to 3000
+  const PORT = process.env.PORT || 3000;
+  server.listen(PORT, () => {
+    console.log(`Time converter running at http://localhost:${PORT}/`);
+  });
+}
+
+module.exports = {
+  server,
+  convertTime,
+  calculateEpochFromTimezone,
+  convertToZones,
+  convertInputInstant,
+  instantZone,
+  getCurrentConversion,
+  resolveZones,
+  csvField,
+};
@@ -0,0 +1,293 @@
+/*
+ * Zone catalog and search.
+ *
+ * Loaded by the Node server (through `require`) and by the browser (as a plain
+ * <script> that exposes `window.TimezoneCatalog`, after zones.js, tz-core.js
+ * and i18n.js).  `describeZone` combines the bundled dataset (country, flag,
+ * cities) with the zone's offset and abbreviation at a given moment, and
+ * `searchZones` finds zones by city, country, abbreviation or identifier,
+ * in any of the interface languages, tolerating missing accents and small
+ * typos.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(
+      require("./tz-core"),
+      require("./zones"),
+      require("./i18n"),
+    );
+  } else {
+    root.TimezoneCatalog = factory(
+      root.TimezoneCore,
+      root.TimezoneRegistry,
+      root.TimezoneI18n,
+    );
+  }
+})(typeof self !== "undefined" ? self : this, function (core, registry, i18n) {
+  const { describeMoment, getZonedNowDate, getZonedParts } = core;
+  const {
+    ZONE_ABBREVIATIONS,
+    getZoneInfo,
+    listAvailableZones,
+    listCountryZones,
+    listZoneAliases,
+  } = registry;
+  const { SUPPORTED_LOCALES, cityAliases, countryName } = i18n;
+
+  /**
+   * Results returned by `searchZones` unless the caller asks for more.
+   */
+  const DEFAULT_SEARCH_LIMIT = 20;
+
+  let searchIndex = null;
+
+  /**
+   * Lowercase, strip accents and turn separators into spaces, so
+   * "America/Bogota", "Bogotá" and "bogota" compare equal.
+   *
+   * @param {string} text Raw text
+   * @returns {string} Folded text
+   */
+  function fold(text) {
+    return String(text)
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .replace(/[^a-z0-9+-]+/g, " ")
+      .trim();
+  }
+
+  /**
+   * Describe a zone for the catalog: its dataset entry plus the offset and
+   * abbreviation it observes at `now`.
+   *
+   * @param {string} timeZone IANA time zone identifier
+   * @param {Date} now Moment the offset is read at (default: now)
+   * @returns {{id: string, country: string|null, countryName: string|null, flag: string, cities: string[], description: string, aliases: string[], utcOffset: string, offsetMinutes: number, abbreviation: string, isDST: boolean}}
+   */
+  function describeZone(timeZone, now = new Date()) {
+    const info = getZoneInfo(timeZone);
+    const moment = describeMoment(
+      now.getTime(),
+      timeZone,
+      getZonedNowDate(timeZone, now),
+    );
+    return {
+      id: timeZone,
+      country: info.country,
+      countryName: info.country ? info.name : null,
+      flag: info.flag,
+      cities: info.cities,
+      description: info.description,
+      aliases: listZoneAliases(timeZone),
+      utcOffset: moment.utcOffset,
+      offsetMinutes: moment.offsetMinutes,
+      abbreviation: moment.abbreviation,
+      isDST: moment.isDST,
+    };
+  }
+
+  /**
+   * Describe every available zone, in identifier order.
+   *
+   * @param {Date} now Moment offsets are read at (default: now)
+   * @returns {Array<ReturnType<typeof describeZone>>}
+   */
+  function listZones(now = new Date()) {
+    return listAvailableZones()
+      .sort()
+      .map((timeZone) => describeZone(timeZone, now));
+  }
+
+  /**
+   * Searchable text per zone, folded, with a weight for each field: cities
+   * count most, then the country and abbreviations, then identifiers and
+   * the tz database's notes.  City and country names are included in every
+   * interface language.  Built on first use.
+   *
+   * @returns {Array<{zone: string, rank: number, fields: Array<{text: string, weight: number, exact?: boolean}>}>}
+   *   `rank` is the zone's place among its country's zones (0 for the main one)
+   */
+  function getSearchIndex() {
+    if (!searchIndex) {
+      // The zone an abbreviation most likely means weighs a little more
+      const abbreviations = new Map();
+      for (const [name, entries] of Object.entries(ZONE_ABBREVIATIONS)) {
+        entries.forEach(({ zone }, position) => {
+          abbreviations.set(zone, [
+            ...(abbreviations.get(zone) || []),
+            {
+              text: fold(name),
+              weight: position === 0 ? 1.05 : 1,
+              exact: true,
+            },
+          ]);
+        });
+      }
+
+      searchIndex = listAvailableZones().map((zone) => {
+        const info = getZoneInfo(zone);
+        const fields = [
+          { text: fold(info.cities[0]), weight: 1.1 },
+          ...info.cities
+            .slice(1)
+            .map((city) => ({ text: fold(city), weight: 1 })),
+          ...info.cities.flatMap(cityAliases).map((city) => ({
+            text: fold(city),
+            weight: 1,
+          })),
+          { text: fold(zone), weight: 0.9 },
+          ...listZoneAliases(zone).map((alias) => ({
+            text: fold(alias),
+            weight: 0.8,
+          })),
+          ...(abbreviations.get(zone) || []),
+        ];
+        if (info.country) {
+          const countryNames = new Set([
+            info.name,
+            ...SUPPORTED_LOCALES.map((locale) =>
+              countryName(info.country, locale, info.name),
+            ),
+          ]);
+          fields.push(
+            ...[...countryNames].map((name) => ({
+              text: fold(name),
+              weight: 1,
+            })),
+            { text: fold(info.country), weight: 1, exact: true },
+          );
+        }
+        if (info.description) {
+          fields.push({ text: fold(info.description), weight: 0.5 });
+        }
+        const rank = info.country
+          ? listCountryZones(info.country).indexOf(zone)
+          : 0;
+        return { zone, rank, fields };
+      });
+    }
+    return searchIndex;
+  }
+
+  /**
+   * Whether two words are at most `limit` edits apart, an edit being an
+   * inserted, deleted or changed letter or two swapped neighbours.
+   */
+  function withinEdits(a, b, limit) {
+    if (Math.abs(a.length - b.length) > limit) return false;
+    let beforePrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i += 1) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j += 1) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+        );
+        if (
+          beforePrevious &&
+          j > 1 &&
+          a[i - 1] === b[j - 2] &&
+          a[i - 2] === b[j - 1]
+        ) {
+          current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+        }
+      }
+      if (Math.min(...current) > limit) return false;
+      beforePrevious = previous;
+      previous = current;
+    }
+    return previous[b.length] <= limit;
+  }
+
+  /**
+   * How well a folded search term matches a folded field, 0 to 100.
+   */
+  function matchScore(term, field) {
+    if (field.text === term) return 100;
+    if (field.exact) return 0;
+    if (field.text.startsWith(term)) return 90;
+    const words = field.text.split(" ");
+    if (` ${field.text}`.includes(` ${term}`)) return 75;
+    if (term.length >= 3 && field.text.includes(term)) return 50;
+    if (term.length >= 4) {
+      const limit = term.length >= 7 ? 2 : 1;
+      const near = words.some(
+        (word) =>
+          withinEdits(term, word, limit) ||
+          (word.length > term.length &&
+            withinEdits(term, word.slice(0, term.length), limit)),
+      );
+      if (near) return 40;
+    }
+    return 0;
+  }
+
+  /**
+   * Score a zone against a folded query: the best field match for the whole
+   * query, or, when every word matches somewhere, the words' average.
+   */
+  function scoreZone(fields, query) {
+    const best = (term) =>
+      Math.max(
+        ...fields.map((field) => matchScore(term, field) * field.weight),
+      );
+    const whole = best(query);
+    const terms = query.split(" ");
+    if (terms.length === 1) return whole;
+    const scores = terms.map(best);
+    const combined = scores.every((score) => score > 0)
+      ? scores.reduce((sum, score) => sum + score, 0) / scores.length
+      : 0;
+    return Math.max(whole, combined);
+  }
+
+  /**
+   * Find zones by city, country (name or code), abbreviation (common ones
+   * such as "CST", and the one each zone shows at `now`) or identifier.
+   * Ties go to the zone covering most of its country, then alphabetically.
+   *
+   * @param {string} query Search text, e.g. "buenos aires", "CST" or "kyoto"
+   * @param {object} [options] Search options
+   * @param {number} [options.limit] Most results to return (default: 20)
+   * @param {Date} [options.now] Moment offsets are read at (default: now)
+   * @returns {Array<ReturnType<typeof describeZone>>} Best match first
+   */
+  function searchZones(query, options = {}) {
+    const folded = fold(query);
+    if (!folded) return [];
+    const limit = options.limit || DEFAULT_SEARCH_LIMIT;
+    const now = options.now || new Date();
+
+    return getSearchIndex()
+      .map((entry) => {
+        const current = {
+          text: fold(getZonedParts(now, entry.zone).timeZoneName),
+          weight: 0.95,
+          exact: true,
+        };
+        return {
+          zone: entry.zone,
+          rank: entry.rank,
+          score: scoreZone([...entry.fields, current], folded),
+        };
+      })
+      .filter((result) => result.score > 0)
+      .sort(
+        (a, b) =>
+          b.score - a.score || a.rank - b.rank || a.zone.localeCompare(b.zone),
+      )
+      .slice(0, limit)
+      .map((result) => describeZone(result.zone, now));
+  }
+
+  return {
+    fold,
+    describeZone,
+    listZones,
+    searchZones,
+  };
+});
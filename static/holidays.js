@@ -0,0 +1,569 @@
+/*
+ * Public holidays and business days.
+ *
+ * Loaded by the Node server (through `require`) and by the browser (as a plain
+ * <script> that exposes `window.TimezoneHolidays`, after zones.js).  National
+ * public holidays are computed offline from rules: fixed dates, dates counted
+ * from Easter, the nth weekday of a month and the laws that move a holiday to
+ * a nearby Monday (Colombia's "Ley Emiliani", Argentina's and the Dominican
+ * Republic's movable holidays, Chile's law 19.668) or to the weekday it is
+ * observed on (US federal holidays).  One-off "bridge" days declared by
+ * decree each year are not included.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./zones"));
+  } else {
+    root.TimezoneHolidays = factory(root.TimezoneRegistry);
+  }
+})(typeof self !== "undefined" ? self : this, function (registry) {
+  const { getZoneInfo } = registry;
+
+  /**
+   * Days a holiday moves by, given the weekday (0 = Sunday) it falls on.
+   */
+  const MOVES = {
+    // Colombia: to the following Monday
+    monday: (weekday) => (8 - weekday) % 7,
+    // Argentina and the Dominican Republic: Tuesday and Wednesday back to
+    // Monday, Thursday and Friday on to the next Monday
+    nearestMonday: (weekday) => [0, 0, -1, -2, 4, 3, 0][weekday],
+    // Chile: Tuesday to Thursday back to that week's Monday, Friday on to
+    // the next Monday
+    chileMonday: (weekday) => [0, 0, -1, -2, -3, 3, 0][weekday],
+    // Chile's Reformation Day: Tuesday back to Friday, Wednesday on to Friday
+    chileFriday: (weekday) => [0, 0, -4, 2, 0, 0, 0][weekday],
+    // US federal holidays: Saturday to Friday, Sunday to Monday
+    observed: (weekday) => [1, 0, 0, 0, 0, 0, -1][weekday],
+  };
+
+  /**
+   * Holiday rules per country (ISO 3166 code).  A rule gives its date as
+   * `month` and `day`, as `easter` (days from Easter Sunday), as the `nth`
+   * `weekday` of `month` (-1 for the last) or as the June `solstice`.
+   * `move` names an entry of MOVES, `since` the first year the holiday was
+   * observed, `onlyOn` the weekdays it applies on and `fixedIn` the years it
+   * is not moved.  `name` is in English, `localName` as the law calls it.
+   */
+  const HOLIDAY_RULES = {
+    AR: [
+      { month: 1, day: 1, name: "New Year's Day", localName: "Año Nuevo" },
+      { easter: -48, name: "Carnival", localName: "Carnaval" },
+      { easter: -47, name: "Carnival", localName: "Carnaval" },
+      {
+        month: 3,
+        day: 24,
+        name: "Day of Remembrance for Truth and Justice",
+        localName: "Día Nacional de la Memoria por la Verdad y la Justicia",
+      },
+      {
+        month: 4,
+        day: 2,
+        name: "Malvinas Day",
+        localName: "Día del Veterano y de los Caídos en la Guerra de Malvinas",
+      },
+      { easter: -2, name: "Good Friday", localName: "Viernes Santo" },
+      { month: 5, day: 1, name: "Labour Day", localName: "Día del Trabajador" },
+      {
+        month: 5,
+        day: 25,
+        name: "May Revolution Day",
+        localName: "Día de la Revolución de Mayo",
+      },
+      {
+        month: 6,
+        day: 17,
+        move: "nearestMonday",
+        name: "Güemes Day",
+        localName:
+          "Paso a la Inmortalidad del General Don Martín Miguel de Güemes",
+      },
+      {
+        month: 6,
+        day: 20,
+        name: "Flag Day",
+        localName: "Paso a la Inmortalidad del General Manuel Belgrano",
+      },
+      {
+        month: 7,
+        day: 9,
+        name: "Independence Day",
+        localName: "Día de la Independencia",
+      },
+      {
+        month: 8,
+        day: 17,
+        move: "nearestMonday",
+        name: "San Martín Day",
+        localName: "Paso a la Inmortalidad del General José de San Martín",
+      },
+      {
+        month: 10,
+        day: 12,
+        move: "nearestMonday",
+        name: "Day of Respect for Cultural Diversity",
+        localName: "Día del Respeto a la Diversidad Cultural",
+      },
+      {
+        month: 11,
+        day: 20,
+        move: "nearestMonday",
+        name: "National Sovereignty Day",
+        localName: "Día de la Soberanía Nacional",
+      },
+      {
+        month: 12,
+        day: 8,
+        name: "Immaculate Conception",
+        localName: "Inmaculada Concepción de María",
+      },
+      { month: 12, day: 25, name: "Christmas Day", localName: "Navidad" },
+    ],
+    CL: [
+      { month: 1, day: 1, name: "New Year's Day", localName: "Año Nuevo" },
+      { easter: -2, name: "Good Friday", localName: "Viernes Santo" },
+      { easter: -1, name: "Holy Saturday", localName: "Sábado Santo" },
+      {
+        month: 5,
+        day: 1,
+        name: "Labour Day",
+        localName: "Día Nacional del Trabajo",
+      },
+      {
+        month: 5,
+        day: 21,
+        name: "Navy Day",
+        localName: "Día de las Glorias Navales",
+      },
+      {
+        solstice: true,
+        since: 2022,
+        name: "National Day of Indigenous Peoples",
+        localName: "Día Nacional de los Pueblos Indígenas",
+      },
+      {
+        month: 6,
+        day: 29,
+        move: "chileMonday",
+        name: "Saint Peter and Saint Paul",
+        localName: "San Pedro y San Pablo",
+      },
+      {
+        month: 7,
+        day: 16,
+        name: "Our Lady of Mount Carmel",
+        localName: "Día de la Virgen del Carmen",
+      },
+      {
+        month: 8,
+        day: 15,
+        name: "Assumption of Mary",
+        localName: "Asunción de la Virgen",
+      },
+      // A Monday before Tuesday the 18th, or a Friday after Thursday the 19th
+      {
+        month: 9,
+        day: 17,
+        onlyOn: [1],
+        since: 2007,
+        name: "National Holiday",
+        localName: "Fiestas Patrias",
+      },
+      {
+        month: 9,
+        day: 18,
+        name: "Independence Day",
+        localName: "Independencia Nacional",
+      },
+      {
+        month: 9,
+        day: 19,
+        name: "Army Day",
+        localName: "Día de las Glorias del Ejército",
+      },
+      {
+        month: 9,
+        day: 20,
+        onlyOn: [5],
+        since: 2017,
+        name: "National Holiday",
+        localName: "Fiestas Patrias",
+      },
+      {
+        month: 10,
+        day: 12,
+        move: "chileMonday",
+        name: "Columbus Day",
+        localName: "Encuentro de Dos Mundos",
+      },
+      {
+        month: 10,
+        day: 31,
+        move: "chileFriday",
+        since: 2008,
+        name: "Reformation Day",
+        localName: "Día de las Iglesias Evangélicas y Protestantes",
+      },
+      {
+        month: 11,
+        day: 1,
+        name: "All Saints' Day",
+        localName: "Día de Todos los Santos",
+      },
+      {
+        month: 12,
+        day: 8,
+        name: "Immaculate Conception",
+        localName: "Inmaculada Concepción",
+      },
+      { month: 12, day: 25, name: "Christmas Day", localName: "Navidad" },
+    ],
+    CO: [
+      { month: 1, day: 1, name: "New Year's Day", localName: "Año Nuevo" },
+      {
+        month: 1,
+        day: 6,
+        move: "monday",
+        name: "Epiphany",
+        localName: "Día de los Reyes Magos",
+      },
+      {
+        month: 3,
+        day: 19,
+        move: "monday",
+        name: "Saint Joseph's Day",
+        localName: "Día de San José",
+      },
+      { easter: -3, name: "Maundy Thursday", localName: "Jueves Santo" },
+      { easter: -2, name: "Good Friday", localName: "Viernes Santo" },
+      { month: 5, day: 1, name: "Labour Day", localName: "Día del Trabajo" },
+      // Moved to the Monday after: Easter + 43, 64 and 71 days
+      { easter: 43, name: "Ascension Day", localName: "Ascensión del Señor" },
+      { easter: 64, name: "Corpus Christi", localName: "Corpus Christi" },
+      { easter: 71, name: "Sacred Heart", localName: "Sagrado Corazón" },
+      {
+        month: 6,
+        day: 29,
+        move: "monday",
+        name: "Saint Peter and Saint Paul",
+        localName: "San Pedro y San Pablo",
+      },
+      {
+        month: 7,
+        day: 20,
+        name: "Independence Day",
+        localName: "Día de la Independencia",
+      },
+      {
+        month: 8,
+        day: 7,
+        name: "Battle of Boyacá",
+        localName: "Batalla de Boyacá",
+      },
+      {
+        month: 8,
+        day: 15,
+        move: "monday",
+        name: "Assumption of Mary",
+        localName: "La Asunción de la Virgen",
+      },
+      {
+        month: 10,
+        day: 12,
+        move: "monday",
+        name: "Columbus Day",
+        localName: "Día de la Raza",
+      },
+      {
+        month: 11,
+        day: 1,
+        move: "monday",
+        name: "All Saints' Day",
+        localName: "Día de Todos los Santos",
+      },
+      {
+        month: 11,
+        day: 11,
+        move: "monday",
+        name: "Independence of Cartagena",
+        localName: "Independencia de Cartagena",
+      },
+      {
+        month: 12,
+        day: 8,
+        name: "Immaculate Conception",
+        localName: "Inmaculada Concepción",
+      },
+      { month: 12, day: 25, name: "Christmas Day", localName: "Navidad" },
+    ],
+    DO: [
+      { month: 1, day: 1, name: "New Year's Day", localName: "Año Nuevo" },
+      {
+        month: 1,
+        day: 6,
+        move: "nearestMonday",
+        name: "Epiphany",
+        localName: "Día de los Santos Reyes",
+      },
+      {
+        month: 1,
+        day: 21,
+        name: "Our Lady of Altagracia",
+        localName: "Día de Nuestra Señora de la Altagracia",
+      },
+      {
+        month: 1,
+        day: 26,
+        move: "nearestMonday",
+        name: "Duarte Day",
+        localName: "Día de Duarte",
+      },
+      {
+        month: 2,
+        day: 27,
+        name: "Independence Day",
+        localName: "Día de la Independencia",
+      },
+      { easter: -2, name: "Good Friday", localName: "Viernes Santo" },
+      {
+        month: 5,
+        day: 1,
+        move: "nearestMonday",
+        name: "Labour Day",
+        localName: "Día del Trabajo",
+      },
+      { easter: 60, name: "Corpus Christi", localName: "Corpus Christi" },
+      // Not moved in the years a president takes office
+      {
+        month: 8,
+        day: 16,
+        move: "nearestMonday",
+        fixedIn: (year) => year % 4 === 0,
+        name: "Restoration Day",
+        localName: "Día de la Restauración",
+      },
+      {
+        month: 9,
+        day: 24,
+        name: "Our Lady of Mercy",
+        localName: "Día de Nuestra Señora de las Mercedes",
+      },
+      {
+        month: 11,
+        day: 6,
+        move: "nearestMonday",
+        name: "Constitution Day",
+        localName: "Día de la Constitución",
+      },
+      { month: 12, day: 25, name: "Christmas Day", localName: "Navidad" },
+    ],
+    US: [
+      { month: 1, day: 1, move: "observed", name: "New Year's Day" },
+      { month: 1, weekday: 1, nth: 3, name: "Martin Luther King Jr. Day" },
+      { month: 2, weekday: 1, nth: 3, name: "Washington's Birthday" },
+      { month: 5, weekday: 1, nth: -1, name: "Memorial Day" },
+      {
+        month: 6,
+        day: 19,
+        move: "observed",
+        since: 2021,
+        name: "Juneteenth National Independence Day",
+      },
+      { month: 7, day: 4, move: "observed", name: "Independence Day" },
+      { month: 9, weekday: 1, nth: 1, name: "Labor Day" },
+      { month: 10, weekday: 1, nth: 2, name: "Columbus Day" },
+      { month: 11, day: 11, move: "observed", name: "Veterans Day" },
+      { month: 11, weekday: 4, nth: 4, name: "Thanksgiving Day" },
+      { month: 12, day: 25, move: "observed", name: "Christmas Day" },
+    ],
+  };
+
+  /**
+   * Countries with holiday rules.
+   */
+  const HOLIDAY_COUNTRIES = Object.keys(HOLIDAY_RULES);
+
+  const holidayCache = new Map(); // `listHolidays` results per country and year
+
+  const toDate = (year, month, day) =>
+    new Date(Date.UTC(year, month - 1, day)).toISOString().split("T")[0];
+
+  const weekdayOf = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+  const shiftDate = (date, days) => {
+    const [year, month, day] = date.split("-").map(Number);
+    return toDate(year, month, day + days);
+  };
+
+  /**
+   * Date of Easter Sunday in the Gregorian calendar (the anonymous
+   * algorithm, also known as Meeus/Jones/Butcher).
+   *
+   * @param {number} year Four-digit year
+   * @returns {string} Date in the form 'YYYY-MM-DD'
+   */
+  function easterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return toDate(year, month, day);
+  }
+
+  /**
+   * Date of the June solstice in Chile (UTC-4 in June), from Meeus' mean
+   * solstice formula, which is within a few minutes of the true instant.
+   *
+   * @param {number} year Four-digit year
+   * @returns {string} Date in the form 'YYYY-MM-DD'
+   */
+  function juneSolstice(year) {
+    const y = (year - 2000) / 1000;
+    const julianDay =
+      2451716.56767 +
+      365241.62603 * y +
+      0.00325 * y ** 2 +
+      0.00888 * y ** 3 -
+      0.0003 * y ** 4;
+    const epoch = (julianDay - 2440587.5) * 86400000 - 4 * 3600000;
+    return new Date(epoch).toISOString().split("T")[0];
+  }
+
+  /**
+   * The date a rule gives in a year, before any move.
+   */
+  function ruleDate(rule, year) {
+    if (rule.easter !== undefined) {
+      return shiftDate(easterSunday(year), rule.easter);
+    }
+    if (rule.solstice) {
+      return juneSolstice(year);
+    }
+    if (rule.nth !== undefined) {
+      const first = toDate(year, rule.month, 1);
+      if (rule.nth > 0) {
+        const offset = (rule.weekday - weekdayOf(first) + 7) % 7;
+        return shiftDate(first, offset + (rule.nth - 1) * 7);
+      }
+      const last = toDate(year, rule.month + 1, 0);
+      const offset = (weekdayOf(last) - rule.weekday + 7) % 7;
+      return shiftDate(last, -offset + (rule.nth + 1) * 7);
+    }
+    return toDate(year, rule.month, rule.day);
+  }
+
+  /**
+   * List a country's public holidays for a year, in date order.  A holiday
+   * moved by law is listed on the day it is observed, with the date it
+   * commemorates as `movedFrom`; US holidays observed on a Friday may fall
+   * on December 31 of the previous year.
+   *
+   * @param {string} country ISO 3166 country code, e.g. 'CL'
+   * @param {number} year Four-digit year
+   * @returns {Array<{date: string, name: string, localName: string, movedFrom?: string}>}
+   * @throws {Error} When there are no rules for the country
+   */
+  function listHolidays(country, year) {
+    const code = String(country).toUpperCase();
+    const rules = HOLIDAY_RULES[code];
+    if (!rules) {
+      const error = new Error(
+        `Unsupported country: ${country} (expected one of ${HOLIDAY_COUNTRIES.join(", ")})`,
+      );
+      error.code = "invalid_parameter";
+      error.status = 400;
+      throw error;
+    }
+    const key = `${code}:${year}`;
+    if (!holidayCache.has(key)) {
+      const holidays = [];
+      for (const rule of rules) {
+        if (rule.since && year < rule.since) continue;
+        const original = ruleDate(rule, year);
+        if (rule.onlyOn && !rule.onlyOn.includes(weekdayOf(original))) {
+          continue;
+        }
+        const moved =
+          rule.move && !(rule.fixedIn && rule.fixedIn(year))
+            ? shiftDate(original, MOVES[rule.move](weekdayOf(original)))
+            : original;
+        const holiday = {
+          date: moved,
+          name: rule.name,
+          localName: rule.localName || rule.name,
+        };
+        if (moved !== original) {
+          holiday.movedFrom = original;
+        }
+        holidays.push(holiday);
+      }
+      holidays.sort((a, b) => a.date.localeCompare(b.date));
+      holidayCache.set(key, holidays);
+    }
+    return holidayCache.get(key);
+  }
+
+  /**
+   * Whether a date falls on a Saturday or Sunday, the weekend in every
+   * country with holiday rules.
+   *
+   * @param {string} date Date in the form 'YYYY-MM-DD'
+   * @returns {boolean}
+   */
+  function isWeekend(date) {
+    const weekday = weekdayOf(date);
+    return weekday === 0 || weekday === 6;
+  }
+
+  /**
+   * The public holiday a country observes on a date, if any.
+   *
+   * @param {string|null} country ISO 3166 country code
+   * @param {string} date Date in the form 'YYYY-MM-DD'
+   * @returns {ReturnType<typeof listHolidays>[number]|null} Null as well for countries without rules
+   */
+  function getHoliday(country, date) {
+    if (!country || !HOLIDAY_RULES[country.toUpperCase()]) return null;
+    const year = Number(date.slice(0, 4));
+    // Next year's New Year's Day may be observed on December 31
+    return (
+      [...listHolidays(country, year), ...listHolidays(country, year + 1)].find(
+        (holiday) => holiday.date === date,
+      ) || null
+    );
+  }
+
+  /**
+   * Describe a date as lived in a zone: whether it is a weekend or a public
+   * holiday of the zone's country, and so whether it is a business day.
+   *
+   * @param {string} timeZone IANA time zone identifier
+   * @param {string} date Date in the form 'YYYY-MM-DD' (local to the zone)
+   * @returns {{weekend: boolean, holiday: ReturnType<typeof getHoliday>, businessDay: boolean}}
+   */
+  function describeZoneDay(timeZone, date) {
+    const weekend = isWeekend(date);
+    const holiday = getHoliday(getZoneInfo(timeZone).country, date);
+    return { weekend, holiday, businessDay: !weekend && !holiday };
+  }
+
+  return {
+    HOLIDAY_COUNTRIES,
+    easterSunday,
+    listHolidays,
+    isWeekend,
+    getHoliday,
+    describeZoneDay,
+  };
+});
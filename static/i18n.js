@@ -0,0 +1,791 @@
+/*
+ * Localization: interface messages in English, Spanish and Portuguese, and
+ * locale-aware names and formatting.
+ *
+ * Loaded by the Node server (through `require`) and by the browser (as a plain
+ * <script> that exposes `window.TimezoneI18n`).  Country names and dates come
+ * from `Intl` (`Intl.DisplayNames`, `Intl.DateTimeFormat`), so any regional
+ * variant of a supported language (es-CL, pt-BR...) formats the way its users
+ * expect, including whether clocks read 12 or 24 hours.  `Intl` has no city
+ * names, so the handful that differ from their English spelling are listed in
+ * `CITY_NAMES`.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TimezoneI18n = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  /**
+   * Languages with a message catalog.  Locale tags may add a region
+   * ('es-CL'), which only changes formatting.
+   */
+  const SUPPORTED_LOCALES = ["en", "es", "pt"];
+
+  const DEFAULT_LOCALE = "en";
+
+  /**
+   * Interface messages by language.  `{name}` placeholders are filled by
+   * `translate`; a message given per plural category (`one`, `other`) is
+   * picked by its `count`.
+   */
+  const MESSAGES = {
+    en: {
+      "app.title": "World Time Zone Converter",
+      "app.description":
+        "Convert a time between time zones, with daylight saving time handled automatically.",
+      "app.sharedTitle": "{time} in {place} on {weekday} {date}",
+      "header.timezone": "Your timezone:",
+      "header.now": "Current date and time:",
+      "header.detecting": "Detecting...",
+      "header.loading": "Loading...",
+      "header.share": "Copy a link to this conversion",
+      "header.theme": "Toggle dark mode",
+      "header.language": "Language",
+      "header.clock": "Clock",
+      "header.date": "Date",
+      "header.live": "Live",
+      "header.liveTitle": "The cards follow the current time",
+      "header.pinned": "Pinned",
+      "header.pinnedTitle": "The cards show a chosen moment",
+      "header.backToNow": "Back to now",
+      "header.offline": "Offline",
+      "header.offlineTitle":
+        "No connection: the cards still convert in your browser, but searches, the planner and file tools need the server",
+      "phrase.label": "Describe a time",
+      "phrase.placeholder":
+        "e.g. 3pm EST next Tuesday, tomorrow 9:30 in Bogotá",
+      "phrase.submit": "Convert",
+      "phrase.others": "Other readings",
+      "phrase.reading": "Reading phrase...",
+      "timeline.label": "Timeline",
+      "timeline.cursor": "Reference time",
+      "timeline.night": "Night",
+      "timeline.working": "Working hours",
+      "timeline.evening": "Evening / off hours",
+      "planner.title": "Meeting planner",
+      "planner.hint":
+        "Shaded hours are working hours; highlighted hours suit everyone. Click an hour to convert it.",
+      "planner.hours": "Working hours (HH:MM-HH:MM)",
+      "planner.window": "{start}–{end} {place} · {hours} h · score {score}",
+      "planner.none": "No shared working hours on this date",
+      "planner.dayOff": "{place}: {reason}",
+      "recurring.title": "Recurring meeting",
+      "recurring.hint":
+        "Repeats the reference time and flags the dates where it moves for someone because a country changes its clocks. Click a date to convert it.",
+      "recurring.frequency": "Repeats",
+      "recurring.weekly": "Weekly",
+      "recurring.monthlyDate": "Monthly, same date",
+      "recurring.monthlyWeekday": "Monthly, same weekday",
+      "recurring.weekdays": "On",
+      "recurring.count": "Occurrences",
+      "recurring.submit": "Show dates",
+      "recurring.date": "Date",
+      "recurring.changes": "Changes",
+      "recurring.shift":
+        "{place} is now {offset} from {anchor} (was {previous})",
+      "recurring.error": "Could not project the meeting: {message}",
+      "calc.title": "Time calculator",
+      "calc.hint":
+        "Add or subtract a duration from the reference time, or measure the real time between two moments in any timezones, DST changes included.",
+      "calc.operation": "Operation",
+      "calc.add": "Add",
+      "calc.subtract": "Subtract",
+      "calc.days": "days",
+      "calc.hours": "hours",
+      "calc.minutes": "minutes",
+      "calc.apply": "Calculate",
+      "calc.result": "{datetime} in {place}",
+      "calc.realTime": "{duration} of real time",
+      "calc.from": "From",
+      "calc.to": "To",
+      "calc.zone": "Timezone",
+      "calc.moment": "Date and time",
+      "calc.measure": "Measure",
+      "calc.elapsed": "{duration} elapsed",
+      "calc.wallClock": "the clocks read {duration} apart",
+      "calc.none": "no time",
+      "calc.error": "Could not calculate: {message}",
+      "zone.label": "Add timezone",
+      "zone.placeholder": "City, country or abbreviation",
+      "zone.matches": "Matching timezones",
+      "zone.add": "Add",
+      "zone.unknown": "Unknown timezone: {zone}",
+      "zone.duplicate": "{zone} is already displayed",
+      "zone.tooMany": "At most {count} zones can be displayed",
+      "card.moveLeft": "Move left",
+      "card.moveRight": "Move right",
+      "card.remove": "Remove timezone",
+      "card.days": { one: "{count} day", other: "{count} days" },
+      "card.dst": "Daylight saving time",
+      "card.standard": "Standard time",
+      "card.weekend": "Weekend",
+      "card.holidayMoved": "Observed instead of {date}",
+      "card.nonexistent":
+        "⚠ {time} doesn't exist on this date (clocks spring forward). Showing {resolved}.",
+      "card.ambiguous":
+        "⚠ {time} happens twice on this date (clocks fall back). Using {offset}.",
+      "transition.forward":
+        "{flag} {name} ({place}): clocks go forward {amount} on {date} at {time}, {when} ({before} → {after})",
+      "transition.back":
+        "{flag} {name} ({place}): clocks go back {amount} on {date} at {time}, {when} ({before} → {after})",
+      "transition.hours": { one: "{count} hour", other: "{count} hours" },
+      "transition.minutes": { one: "{count} minute", other: "{count} minutes" },
+      "transition.today": "on this date",
+      "transition.after": {
+        one: "{count} day after this date",
+        other: "{count} days after this date",
+      },
+      "transition.before": {
+        one: "{count} day before this date",
+        other: "{count} days before this date",
+      },
+      "event.label": "Calendar event",
+      "event.title": "Meeting",
+      "event.duration": "Duration",
+      "event.minutes": "{count} min",
+      "event.hours": { one: "{count} hour", other: "{count} hours" },
+      "event.submit": "Add to calendar",
+      "batch.label": "Convert a file",
+      "batch.title": "Convert a CSV or calendar file",
+      "batch.hint":
+        "Drop a file here, or click to choose one. A CSV with date, time and (optional) source columns is downloaded with a column per timezone; the events of an .ics file are listed in every timezone.",
+      "batch.events": "Imported events",
+      "imported.use": "Use as the converter's reference time",
+      "imported.untitled": "(untitled event)",
+      "imported.allDay": "{date} (all day)",
+      "imported.floating": "{zone} (floating)",
+      "imported.recurring": "recurring",
+      "status.loading": "Loading conversions...",
+      "status.updating": "Updating conversions...",
+      "status.basedOn": "Conversions based on {name}",
+      "status.convertError": "Error converting times: {message}",
+      "status.loadingCurrent": "Loading current times...",
+      "status.error": "Error: {message}",
+      "status.linkCopied": "Link copied: {link}",
+      "status.shareLink": "Share this link: {link}",
+      "status.converting": "Converting {file}...",
+      "status.converted": "Converted {file}",
+      "status.convertFileError": "Error converting {file}: {message}",
+      "status.reading": "Reading {file}...",
+      "status.imported": {
+        one: "{count} event from {file}",
+        other: "{count} events from {file}",
+      },
+      "status.importError": "Error importing {file}: {message}",
+    },
+    es: {
+      "app.title": "Conversor de zonas horarias",
+      "app.description":
+        "Convierte una hora entre zonas horarias, con el horario de verano resuelto automáticamente.",
+      "app.sharedTitle": "{time} en {place} el {weekday} {date}",
+      "header.timezone": "Tu zona horaria:",
+      "header.now": "Fecha y hora actual:",
+      "header.detecting": "Detectando...",
+      "header.loading": "Cargando...",
+      "header.share": "Copiar un enlace a esta conversión",
+      "header.theme": "Cambiar el modo oscuro",
+      "header.language": "Idioma",
+      "header.clock": "Reloj",
+      "header.date": "Fecha",
+      "header.live": "En vivo",
+      "header.liveTitle": "Las tarjetas siguen la hora actual",
+      "header.pinned": "Fijada",
+      "header.pinnedTitle": "Las tarjetas muestran un momento elegido",
+      "header.backToNow": "Volver a ahora",
+      "header.offline": "Sin conexión",
+      "header.offlineTitle":
+        "Sin conexión: las tarjetas siguen convirtiendo en el navegador, pero las búsquedas, el planificador y los archivos necesitan el servidor",
+      "phrase.label": "Describe una hora",
+      "phrase.placeholder":
+        "En inglés, p. ej. 3pm EST next Tuesday, tomorrow 9:30 in Bogotá",
+      "phrase.submit": "Convertir",
+      "phrase.others": "Otras interpretaciones",
+      "phrase.reading": "Leyendo la frase...",
+      "timeline.label": "Línea de tiempo",
+      "timeline.cursor": "Hora de referencia",
+      "timeline.night": "Noche",
+      "timeline.working": "Horario laboral",
+      "timeline.evening": "Fuera de horario",
+      "planner.title": "Planificador de reuniones",
+      "planner.hint":
+        "Las horas sombreadas son laborales; las destacadas les sirven a todos. Haz clic en una hora para convertirla.",
+      "planner.hours": "Horario laboral (HH:MM-HH:MM)",
+      "planner.window": "{start}–{end} {place} · {hours} h · puntaje {score}",
+      "planner.none": "No hay horario laboral en común en esta fecha",
+      "planner.dayOff": "{place}: {reason}",
+      "recurring.title": "Reunión recurrente",
+      "recurring.hint":
+        "Repite la hora de referencia y marca las fechas en que cambia para alguien porque un país cambia la hora. Haz clic en una fecha para convertirla.",
+      "recurring.frequency": "Se repite",
+      "recurring.weekly": "Semanal",
+      "recurring.monthlyDate": "Mensual, mismo día del mes",
+      "recurring.monthlyWeekday": "Mensual, mismo día de la semana",
+      "recurring.weekdays": "Los días",
+      "recurring.count": "Repeticiones",
+      "recurring.submit": "Ver fechas",
+      "recurring.date": "Fecha",
+      "recurring.changes": "Cambios",
+      "recurring.shift":
+        "{place} queda a {offset} de {anchor} (antes {previous})",
+      "recurring.error": "No se pudo proyectar la reunión: {message}",
+      "calc.title": "Calculadora de tiempo",
+      "calc.hint":
+        "Suma o resta una duración a la hora de referencia, o mide el tiempo real entre dos momentos en cualquier zona horaria, con los cambios de horario incluidos.",
+      "calc.operation": "Operación",
+      "calc.add": "Sumar",
+      "calc.subtract": "Restar",
+      "calc.days": "días",
+      "calc.hours": "horas",
+      "calc.minutes": "minutos",
+      "calc.apply": "Calcular",
+      "calc.result": "{datetime} en {place}",
+      "calc.realTime": "{duration} de tiempo real",
+      "calc.from": "Desde",
+      "calc.to": "Hasta",
+      "calc.zone": "Zona horaria",
+      "calc.moment": "Fecha y hora",
+      "calc.measure": "Medir",
+      "calc.elapsed": "Transcurren {duration}",
+      "calc.wallClock": "los relojes marcan {duration} de diferencia",
+      "calc.none": "nada de tiempo",
+      "calc.error": "No se pudo calcular: {message}",
+      "zone.label": "Agregar zona horaria",
+      "zone.placeholder": "Ciudad, país o abreviatura",
+      "zone.matches": "Zonas horarias encontradas",
+      "zone.add": "Agregar",
+      "zone.unknown": "Zona horaria desconocida: {zone}",
+      "zone.duplicate": "{zone} ya se muestra",
+      "zone.tooMany": "Se pueden mostrar como máximo {count} zonas",
+      "card.moveLeft": "Mover a la izquierda",
+      "card.moveRight": "Mover a la derecha",
+      "card.remove": "Quitar zona horaria",
+      "card.days": { one: "{count} día", other: "{count} días" },
+      "card.dst": "Horario de verano",
+      "card.standard": "Horario estándar",
+      "card.weekend": "Fin de semana",
+      "card.holidayMoved": "Se celebra en lugar del {date}",
+      "card.nonexistent":
+        "⚠ {time} no existe en esta fecha (los relojes se adelantan). Se muestra {resolved}.",
+      "card.ambiguous":
+        "⚠ {time} ocurre dos veces en esta fecha (los relojes se atrasan). Se usa {offset}.",
+      "transition.forward":
+        "{flag} {name} ({place}): los relojes se adelantan {amount} el {date} a las {time}, {when} ({before} → {after})",
+      "transition.back":
+        "{flag} {name} ({place}): los relojes se atrasan {amount} el {date} a las {time}, {when} ({before} → {after})",
+      "transition.hours": { one: "{count} hora", other: "{count} horas" },
+      "transition.minutes": { one: "{count} minuto", other: "{count} minutos" },
+      "transition.today": "en esta fecha",
+      "transition.after": {
+        one: "{count} día después de esta fecha",
+        other: "{count} días después de esta fecha",
+      },
+      "transition.before": {
+        one: "{count} día antes de esta fecha",
+        other: "{count} días antes de esta fecha",
+      },
+      "event.label": "Evento de calendario",
+      "event.title": "Reunión",
+      "event.duration": "Duración",
+      "event.minutes": "{count} min",
+      "event.hours": { one: "{count} hora", other: "{count} horas" },
+      "event.submit": "Agregar al calendario",
+      "batch.label": "Convertir un archivo",
+      "batch.title": "Convierte un archivo CSV o de calendario",
+      "batch.hint":
+        "Arrastra un archivo aquí o haz clic para elegirlo. Un CSV con columnas de fecha, hora y (opcionalmente) zona de origen se descarga con una columna por zona horaria; los eventos de un archivo .ics se listan en cada zona horaria.",
+      "batch.events": "Eventos importados",
+      "imported.use": "Usar como hora de referencia del conversor",
+      "imported.untitled": "(evento sin título)",
+      "imported.allDay": "{date} (todo el día)",
+      "imported.floating": "{zone} (flotante)",
+      "imported.recurring": "recurrente",
+      "status.loading": "Cargando conversiones...",
+      "status.updating": "Actualizando conversiones...",
+      "status.basedOn": "Conversiones basadas en {name}",
+      "status.convertError": "Error al convertir las horas: {message}",
+      "status.loadingCurrent": "Cargando las horas actuales...",
+      "status.error": "Error: {message}",
+      "status.linkCopied": "Enlace copiado: {link}",
+      "status.shareLink": "Comparte este enlace: {link}",
+      "status.converting": "Convirtiendo {file}...",
+      "status.converted": "{file} convertido",
+      "status.convertFileError": "Error al convertir {file}: {message}",
+      "status.reading": "Leyendo {file}...",
+      "status.imported": {
+        one: "{count} evento de {file}",
+        other: "{count} eventos de {file}",
+      },
+      "status.importError": "Error al importar {file}: {message}",
+    },
+    pt: {
+      "app.title": "Conversor de fusos horários",
+      "app.description":
+        "Converta um horário entre fusos horários, com o horário de verão tratado automaticamente.",
+      "app.sharedTitle": "{time} em {place}, {weekday}, {date}",
+      "header.timezone": "Seu fuso horário:",
+      "header.now": "Data e hora atuais:",
+      "header.detecting": "Detectando...",
+      "header.loading": "Carregando...",
+      "header.share": "Copiar um link para esta conversão",
+      "header.theme": "Alternar o modo escuro",
+      "header.language": "Idioma",
+      "header.clock": "Relógio",
+      "header.date": "Data",
+      "header.live": "Ao vivo",
+      "header.liveTitle": "Os cartões acompanham a hora atual",
+      "header.pinned": "Fixada",
+      "header.pinnedTitle": "Os cartões mostram um momento escolhido",
+      "header.backToNow": "Voltar para agora",
+      "header.offline": "Offline",
+      "header.offlineTitle":
+        "Sem conexão: os cartões continuam convertendo no navegador, mas as buscas, o planejador e os arquivos precisam do servidor",
+      "phrase.label": "Descreva um horário",
+      "phrase.placeholder":
+        "Em inglês, p. ex. 3pm EST next Tuesday, tomorrow 9:30 in Bogotá",
+      "phrase.submit": "Converter",
+      "phrase.others": "Outras interpretações",
+      "phrase.reading": "Lendo a frase...",
+      "timeline.label": "Linha do tempo",
+      "timeline.cursor": "Horário de referência",
+      "timeline.night": "Noite",
+      "timeline.working": "Horário de expediente",
+      "timeline.evening": "Fora do expediente",
+      "planner.title": "Planejador de reuniões",
+      "planner.hint":
+        "As horas sombreadas são de expediente; as destacadas servem para todos. Clique em uma hora para convertê-la.",
+      "planner.hours": "Horário de expediente (HH:MM-HH:MM)",
+      "planner.window": "{start}–{end} {place} · {hours} h · pontuação {score}",
+      "planner.none": "Nenhum horário de expediente em comum nesta data",
+      "planner.dayOff": "{place}: {reason}",
+      "recurring.title": "Reunião recorrente",
+      "recurring.hint":
+        "Repete o horário de referência e marca as datas em que ele muda para alguém porque um país muda o relógio. Clique em uma data para convertê-la.",
+      "recurring.frequency": "Repete",
+      "recurring.weekly": "Semanal",
+      "recurring.monthlyDate": "Mensal, mesmo dia do mês",
+      "recurring.monthlyWeekday": "Mensal, mesmo dia da semana",
+      "recurring.weekdays": "Nos dias",
+      "recurring.count": "Ocorrências",
+      "recurring.submit": "Ver datas",
+      "recurring.date": "Data",
+      "recurring.changes": "Mudanças",
+      "recurring.shift":
+        "{place} fica a {offset} de {anchor} (antes {previous})",
+      "recurring.error": "Não foi possível projetar a reunião: {message}",
+      "calc.title": "Calculadora de tempo",
+      "calc.hint":
+        "Some ou subtraia uma duração do horário de referência, ou meça o tempo real entre dois momentos em quaisquer fusos horários, com as mudanças de horário incluídas.",
+      "calc.operation": "Operação",
+      "calc.add": "Somar",
+      "calc.subtract": "Subtrair",
+      "calc.days": "dias",
+      "calc.hours": "horas",
+      "calc.minutes": "minutos",
+      "calc.apply": "Calcular",
+      "calc.result": "{datetime} em {place}",
+      "calc.realTime": "{duration} de tempo real",
+      "calc.from": "De",
+      "calc.to": "Até",
+      "calc.zone": "Fuso horário",
+      "calc.moment": "Data e hora",
+      "calc.measure": "Medir",
+      "calc.elapsed": "Passam-se {duration}",
+      "calc.wallClock": "os relógios marcam {duration} de diferença",
+      "calc.none": "nenhum tempo",
+      "calc.error": "Não foi possível calcular: {message}",
+      "zone.label": "Adicionar fuso horário",
+      "zone.placeholder": "Cidade, país ou abreviação",
+      "zone.matches": "Fusos horários encontrados",
+      "zone.add": "Adicionar",
+      "zone.unknown": "Fuso horário desconhecido: {zone}",
+      "zone.duplicate": "{zone} já está sendo exibido",
+      "zone.tooMany": "É possível exibir no máximo {count} fusos",
+      "card.moveLeft": "Mover para a esquerda",
+      "card.moveRight": "Mover para a direita",
+      "card.remove": "Remover fuso horário",
+      "card.days": { one: "{count} dia", other: "{count} dias" },
+      "card.dst": "Horário de verão",
+      "card.standard": "Horário padrão",
+      "card.weekend": "Fim de semana",
+      "card.holidayMoved": "Comemorado no lugar de {date}",
+      "card.nonexistent":
+        "⚠ {time} não existe nesta data (os relógios são adiantados). Mostrando {resolved}.",
+      "card.ambiguous":
+        "⚠ {time} acontece duas vezes nesta data (os relógios são atrasados). Usando {offset}.",
+      "transition.forward":
+        "{flag} {name} ({place}): os relógios são adiantados em {amount} em {date} às {time}, {when} ({before} → {after})",
+      "transition.back":
+        "{flag} {name} ({place}): os relógios são atrasados em {amount} em {date} às {time}, {when} ({before} → {after})",
+      "transition.hours": { one: "{count} hora", other: "{count} horas" },
+      "transition.minutes": { one: "{count} minuto", other: "{count} minutos" },
+      "transition.today": "nesta data",
+      "transition.after": {
+        one: "{count} dia depois desta data",
+        other: "{count} dias depois desta data",
+      },
+      "transition.before": {
+        one: "{count} dia antes desta data",
+        other: "{count} dias antes desta data",
+      },
+      "event.label": "Evento de agenda",
+      "event.title": "Reunião",
+      "event.duration": "Duração",
+      "event.minutes": "{count} min",
+      "event.hours": { one: "{count} hora", other: "{count} horas" },
+      "event.submit": "Adicionar à agenda",
+      "batch.label": "Converter um arquivo",
+      "batch.title": "Converta um arquivo CSV ou de agenda",
+      "batch.hint":
+        "Solte um arquivo aqui ou clique para escolher um. Um CSV com colunas de data, hora e (opcionalmente) fuso de origem é baixado com uma coluna por fuso horário; os eventos de um arquivo .ics são listados em cada fuso horário.",
+      "batch.events": "Eventos importados",
+      "imported.use": "Usar como horário de referência do conversor",
+      "imported.untitled": "(evento sem título)",
+      "imported.allDay": "{date} (dia inteiro)",
+      "imported.floating": "{zone} (flutuante)",
+      "imported.recurring": "recorrente",
+      "status.loading": "Carregando conversões...",
+      "status.updating": "Atualizando conversões...",
+      "status.basedOn": "Conversões baseadas em {name}",
+      "status.convertError": "Erro ao converter os horários: {message}",
+      "status.loadingCurrent": "Carregando os horários atuais...",
+      "status.error": "Erro: {message}",
+      "status.linkCopied": "Link copiado: {link}",
+      "status.shareLink": "Compartilhe este link: {link}",
+      "status.converting": "Convertendo {file}...",
+      "status.converted": "{file} convertido",
+      "status.convertFileError": "Erro ao converter {file}: {message}",
+      "status.reading": "Lendo {file}...",
+      "status.imported": {
+        one: "{count} evento de {file}",
+        other: "{count} eventos de {file}",
+      },
+      "status.importError": "Erro ao importar {file}: {message}",
+    },
+  };
+
+  /**
+   * Cities whose Spanish or Portuguese name differs from the dataset's
+   * (English or local) spelling.
+   */
+  const CITY_NAMES = {
+    Amsterdam: { es: "Ámsterdam", pt: "Amsterdã" },
+    Athens: { es: "Atenas", pt: "Atenas" },
+    Beijing: { es: "Pekín", pt: "Pequim" },
+    Berlin: { es: "Berlín", pt: "Berlim" },
+    Brussels: { es: "Bruselas", pt: "Bruxelas" },
+    Cairo: { es: "El Cairo", pt: "Cairo" },
+    "Cape Town": { es: "Ciudad del Cabo", pt: "Cidade do Cabo" },
+    Copenhagen: { es: "Copenhague", pt: "Copenhague" },
+    Dublin: { es: "Dublín" },
+    Edinburgh: { es: "Edimburgo", pt: "Edimburgo" },
+    Geneva: { es: "Ginebra", pt: "Genebra" },
+    Havana: { es: "La Habana", pt: "Havana" },
+    Istanbul: { es: "Estambul", pt: "Istambul" },
+    Jerusalem: { es: "Jerusalén", pt: "Jerusalém" },
+    Lisbon: { es: "Lisboa", pt: "Lisboa" },
+    London: { es: "Londres", pt: "Londres" },
+    "Mexico City": { es: "Ciudad de México", pt: "Cidade do México" },
+    Moscow: { es: "Moscú", pt: "Moscou" },
+    Munich: { es: "Múnich", pt: "Munique" },
+    "New Delhi": { es: "Nueva Delhi", pt: "Nova Délhi" },
+    "New Orleans": { es: "Nueva Orleans", pt: "Nova Orleans" },
+    "New York": { es: "Nueva York", pt: "Nova York" },
+    Philadelphia: { es: "Filadelfia", pt: "Filadélfia" },
+    Prague: { es: "Praga", pt: "Praga" },
+    Rome: { es: "Roma", pt: "Roma" },
+    "Saint Petersburg": { es: "San Petersburgo", pt: "São Petersburgo" },
+    Seoul: { es: "Seúl", pt: "Seul" },
+    Singapore: { es: "Singapur", pt: "Singapura" },
+    Stockholm: { es: "Estocolmo", pt: "Estocolmo" },
+    Tokyo: { es: "Tokio", pt: "Tóquio" },
+    Vienna: { es: "Viena", pt: "Viena" },
+    Warsaw: { es: "Varsovia", pt: "Varsóvia" },
+    Zurich: { es: "Zúrich", pt: "Zurique" },
+  };
+
+  const displayNames = new Map();
+
+  /**
+   * Canonicalize a locale tag whose language has a message catalog, e.g.
+   * 'PT-br' → 'pt-BR'.
+   *
+   * @param {string} value BCP 47 language tag
+   * @returns {string|null} The tag, or null when unsupported or malformed
+   */
+  function resolveLocale(value) {
+    try {
+      const [tag] = Intl.getCanonicalLocales(String(value).trim());
+      return tag && SUPPORTED_LOCALES.includes(tag.split("-")[0]) ? tag : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Pick the locale to serve from an `Accept-Language` header (or a list such
+   * as `navigator.languages`), honouring quality values.
+   *
+   * @param {string|string[]|undefined} accepted Header value or tags in order of preference
+   * @returns {string} A supported locale tag, `DEFAULT_LOCALE` when none matches
+   */
+  function negotiateLocale(accepted) {
+    const ranges = (
+      Array.isArray(accepted) ? accepted : String(accepted || "").split(",")
+    )
+      .map((entry, index) => {
+        const [tag, ...params] = entry.trim().split(";");
+        const quality = params
+          .map((param) => /^\s*q=([\d.]+)\s*$/.exec(param))
+          .find(Boolean);
+        return { tag, index, quality: quality ? Number(quality[1]) : 1 };
+      })
+      .filter(({ tag, quality }) => tag && quality > 0)
+      .sort((a, b) => b.quality - a.quality || a.index - b.index);
+
+    for (const { tag } of ranges) {
+      const locale = resolveLocale(tag);
+      if (locale) return locale;
+    }
+    return DEFAULT_LOCALE;
+  }
+
+  /**
+   * Look up an interface message and fill in its placeholders.  Numbers are
+   * formatted for the locale.
+   *
+   * @param {string} locale Supported locale tag
+   * @param {string} key Message key, e.g. 'status.basedOn'
+   * @param {Record<string, string|number>} [params] Placeholder values; `count` picks the plural form
+   * @returns {string} The message, the English one if the locale lacks it, or the key itself
+   */
+  function translate(locale, key, params = {}) {
+    const catalog = MESSAGES[String(locale).split("-")[0]] || {};
+    let message = Object.hasOwn(catalog, key)
+      ? catalog[key]
+      : MESSAGES[DEFAULT_LOCALE][key];
+    if (message === undefined) return key;
+    if (typeof message === "object") {
+      const category = new Intl.PluralRules(locale).select(params.count);
+      message = message[category] || message.other;
+    }
+    const numbers = new Intl.NumberFormat(locale);
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      if (!Object.hasOwn(params, name)) return placeholder;
+      const value = params[name];
+      return typeof value === "number" ? numbers.format(value) : value;
+    });
+  }
+
+  /**
+   * Whether a locale's clocks read 12 hours (with a.m./p.m.) by default.
+   *
+   * @param {string} locale Locale tag
+   * @returns {boolean}
+   */
+  function uses12HourClock(locale) {
+    const { hourCycle } = new Intl.DateTimeFormat(locale, {
+      hour: "numeric",
+    }).resolvedOptions();
+    return hourCycle === "h11" || hourCycle === "h12";
+  }
+
+  /**
+   * The UTC instant a calendar date and wall time stand for, so formatters
+   * set to UTC show them unchanged.
+   */
+  function wallClockDate(date, time = "00:00") {
+    const [year, month, day] = date.split("-").map(Number);
+    const [hour, minute] = time.split(":").map(Number);
+    return new Date(Date.UTC(year, month - 1, day, hour, minute));
+  }
+
+  /**
+   * Format a wall time ('HH:MM') for display, e.g. '3:30 p. m.' or '15:30'.
+   *
+   * @param {string} time Time in the form 'HH:MM'
+   * @param {string} locale Locale tag
+   * @param {boolean} [hour12] 12-hour clock (default: the locale's own)
+   * @returns {string}
+   */
+  function formatTime(time, locale, hour12) {
+    return new Intl.DateTimeFormat(locale, {
+      hour: "numeric",
+      minute: "2-digit",
+      hour12,
+      timeZone: "UTC",
+    }).format(wallClockDate("2000-01-01", time));
+  }
+
+  /**
+   * The day-period marker ('AM', 'p. m.') a 12-hour clock shows for a time.
+   *
+   * @param {string} time Time in the form 'HH:MM'
+   * @param {string} locale Locale tag
+   * @returns {string}
+   */
+  function formatDayPeriod(time, locale) {
+    const part = new Intl.DateTimeFormat(locale, {
+      hour: "numeric",
+      hour12: true,
+      timeZone: "UTC",
+    })
+      .formatToParts(wallClockDate("2000-01-01", time))
+      .find(({ type }) => type === "dayPeriod");
+    return part ? part.value : "";
+  }
+
+  /**
+   * Format a calendar date ('YYYY-MM-DD') for display.
+   *
+   * @param {string} date Date in the form 'YYYY-MM-DD'
+   * @param {string} locale Locale tag
+   * @param {Intl.DateTimeFormatOptions} options Fields to show, e.g. `{weekday: "long"}`
+   * @returns {string}
+   */
+  function formatDate(date, locale, options) {
+    return new Intl.DateTimeFormat(locale, {
+      ...options,
+      timeZone: "UTC",
+    }).format(wallClockDate(date));
+  }
+
+  /**
+   * Format a calendar date and wall time in full, e.g. 'domingo, 9 de marzo
+   * de 2025, 10:00 p. m.'.
+   *
+   * @param {string} date Date in the form 'YYYY-MM-DD'
+   * @param {string} time Time in the form 'HH:MM'
+   * @param {string} locale Locale tag
+   * @param {boolean} [hour12] 12-hour clock (default: the locale's own)
+   * @returns {string}
+   */
+  function formatDateTime(date, time, locale, hour12) {
+    return new Intl.DateTimeFormat(locale, {
+      dateStyle: "full",
+      timeStyle: "short",
+      hour12,
+      timeZone: "UTC",
+    }).format(wallClockDate(date, time));
+  }
+
+  /**
+   * A country's name in a locale.
+   *
+   * @param {string} code ISO 3166 alpha-2 code
+   * @param {string} locale Locale tag
+   * @param {string} [fallback] Name to use if `Intl` has none (default: the code)
+   * @returns {string}
+   */
+  function countryName(code, locale, fallback = code) {
+    if (!displayNames.has(locale)) {
+      displayNames.set(
+        locale,
+        new Intl.DisplayNames([locale], { type: "region", fallback: "none" }),
+      );
+    }
+    try {
+      return displayNames.get(locale).of(code) || fallback;
+    } catch (error) {
+      return fallback;
+    }
+  }
+
+  /**
+   * A city's name in a locale, e.g. 'New York' → 'Nueva York'.
+   *
+   * @param {string} city City name as listed in the zone dataset
+   * @param {string} locale Locale tag
+   * @returns {string}
+   */
+  function cityName(city, locale) {
+    const names = Object.hasOwn(CITY_NAMES, city) ? CITY_NAMES[city] : {};
+    return names[String(locale).split("-")[0]] || city;
+  }
+
+  /**
+   * Every other name a city goes by in the supported languages, for search.
+   *
+   * @param {string} city City name as listed in the zone dataset
+   * @returns {string[]}
+   */
+  function cityAliases(city) {
+    return Object.hasOwn(CITY_NAMES, city)
+      ? [...new Set(Object.values(CITY_NAMES[city]))]
+      : [];
+  }
+
+  /**
+   * Translate the names in a registry entry (see `getZoneInfo`): the country
+   * and the cities.
+   *
+   * @param {{name: string, location: string, country: string|null, cities: string[]}} info Zone metadata
+   * @param {string} locale Locale tag
+   * @returns {typeof info} A copy with localized names
+   */
+  function localizeZoneInfo(info, locale) {
+    return {
+      ...info,
+      name: info.country
+        ? countryName(info.country, locale, info.name)
+        : info.name,
+      location: cityName(info.location, locale),
+      cities: info.cities.map((city) => cityName(city, locale)),
+    };
+  }
+
+  /**
+   * Translate the names in a catalog entry (see `describeZone`).
+   *
+   * @param {{country: string|null, countryName: string|null, cities: string[]}} zone Catalog entry
+   * @param {string} locale Locale tag
+   * @returns {typeof zone} A copy with localized names
+   */
+  function localizeZone(zone, locale) {
+    return {
+      ...zone,
+      countryName: zone.country
+        ? countryName(zone.country, locale, zone.countryName)
+        : zone.countryName,
+      cities: zone.cities.map((city) => cityName(city, locale)),
+    };
+  }
+
+  /**
+   * Localize a converted moment (see `describeMoment`): the weekday in the
+   * locale's language, plus the whole date and time as `formatted`.
+   *
+   * @param {{date: string, time: string, weekday: string}} moment Moment from the conversion core
+   * @param {string} locale Locale tag
+   * @param {boolean} [hour12] 12-hour clock (default: the locale's own)
+   * @returns {typeof moment & {formatted: string}}
+   */
+  function localizeMoment(moment, locale, hour12) {
+    return {
+      ...moment,
+      weekday: formatDate(moment.date, locale, { weekday: "long" }),
+      formatted: formatDateTime(moment.date, moment.time, locale, hour12),
+    };
+  }
+
+  return {
+    SUPPORTED_LOCALES,
+    DEFAULT_LOCALE,
+    resolveLocale,
+    negotiateLocale,
+    translate,
+    uses12HourClock,
+    formatTime,
+    formatDayPeriod,
+    formatDate,
+    formatDateTime,
+    countryName,
+    cityName,
+    cityAliases,
+    localizeZoneInfo,
+    localizeZone,
+    localizeMoment,
+  };
+});
@@ -5,391 +5,2521 @@
  * time input field. When any input is changed, it becomes the "source" and all
  * other timezone inputs are updated automatically. The interface highlights
  * which timezone is currently being used as the reference.
+ *
+ * Conversions run in the browser through the shared conversion core
+ * (tz-core.js, the same code the server uses).  If it is unavailable the
+ * page falls back to the `/convert-multi` endpoint, cancelling any request
+ * that a newer edit has superseded.
+ *
+ * The clock runs on the page's own timers, kept on time by the server's
+ * `/stream` events (a tick each minute and one whenever an offset changes).
+ *
+ * Offline (see sw.js, which keeps the page and its scripts cached) the
+ * cards keep converting in the browser and an indicator in the header says
+ * that the server's features are unavailable.
+ *
+ * Interface text comes from i18n.js in the chosen language (English, Spanish
+ * or Portuguese; initially the one the server negotiated from the browser's
+ * Accept-Language), and dates and times are formatted for that locale.
  */
 
-document.addEventListener("DOMContentLoaded", () => {
-  const dateInput = document.getElementById("dateInput");
-  const timeInputs = document.querySelectorAll(".time-input");
-  const userTimezoneSpan = document.getElementById("userTimezone");
-  const currentDateTimeSpan = document.getElementById("currentDateTime");
-  const statusMessage = document.getElementById("statusMessage");
+document.addEventListener("DOMContentLoaded", () => {
+  const {
+    DEFAULT_ZONES,
+    DEFAULT_SOURCE,
+    MAX_ZONES,
+    getZoneInfo,
+    isValidTimeZone,
+  } = window.TimezoneRegistry;
+  const core = window.TimezoneCore || null;
+  const catalog = window.TimezoneCatalog || null;
+  const holidays = window.TimezoneHolidays || null;
+  const i18n = window.TimezoneI18n;
+
+  const dateInput = document.getElementById("dateInput");
+  const timezoneGrid = document.getElementById("timezoneGrid");
+  const zoneForm = document.getElementById("zoneForm");
+  const zoneInput = document.getElementById("zoneInput");
+  const zoneSuggestions = document.getElementById("zoneSuggestions");
+  const userTimezoneSpan = document.getElementById("userTimezone");
+  const currentDateTimeSpan = document.getElementById("currentDateTime");
+  const clockMode = document.getElementById("clockMode");
+  const nowButton = document.getElementById("nowButton");
+  const offlineIndicator = document.getElementById("offlineIndicator");
+  const statusMessage = document.getElementById("statusMessage");
+  const transitionWarning = document.getElementById("transitionWarning");
+  const plannerGrid = document.getElementById("plannerGrid");
+  const plannerWindows = document.getElementById("plannerWindows");
+  const recurringForm = document.getElementById("recurringForm");
+  const recurringFrequency = document.getElementById("recurringFrequency");
+  const recurringWeekdays = document.getElementById("recurringWeekdays");
+  const recurringCount = document.getElementById("recurringCount");
+  const recurringTable = document.getElementById("recurringTable");
+  const durationForm = document.getElementById("durationForm");
+  const durationOperation = document.getElementById("durationOperation");
+  const durationDays = document.getElementById("durationDays");
+  const durationHours = document.getElementById("durationHours");
+  const durationMinutes = document.getElementById("durationMinutes");
+  const durationResult = document.getElementById("durationResult");
+  const elapsedForm = document.getElementById("elapsedForm");
+  const elapsedFromZone = document.getElementById("elapsedFromZone");
+  const elapsedFrom = document.getElementById("elapsedFrom");
+  const elapsedToZone = document.getElementById("elapsedToZone");
+  const elapsedTo = document.getElementById("elapsedTo");
+  const elapsedResult = document.getElementById("elapsedResult");
+  const timelineLabels = document.getElementById("timelineLabels");
+  const timelineTracks = document.getElementById("timelineTracks");
+  const timelineCursor = document.getElementById("timelineCursor");
+  const shareButton = document.getElementById("shareButton");
+  const eventForm = document.getElementById("eventForm");
+  const eventTitle = document.getElementById("eventTitle");
+  const eventDuration = document.getElementById("eventDuration");
+  const batchDrop = document.getElementById("batchDrop");
+  const batchFile = document.getElementById("batchFile");
+  const importedEventList = document.getElementById("importedEvents");
+  const phraseForm = document.getElementById("phraseForm");
+  const phraseInput = document.getElementById("phraseInput");
+  const phraseCandidateList = document.getElementById("phraseCandidates");
+  const languageSelect = document.getElementById("languageSelect");
+  const clockSelect = document.getElementById("clockSelect");
+
+  let isUpdating = false; // Prevent recursive updates
+  let isOffline = !navigator.onLine; // True while the server cannot be reached
+  // In-flight server requests, aborted when a newer one supersedes them
+  let conversionController = null;
+  let transitionController = null;
+  let plannerController = null;
+  let plannerData = null; // Last meeting planner response, used by slot clicks
+  let recurringController = null;
+  let recurringParams = null; // Query of the recurring meeting on display
+  let recurringData = null; // Last `/recurring` response, used by date clicks
+  let durationData = null; // Last `/add` or `/subtract` response
+  let elapsedData = null; // Last `/difference` response
+  let currentEpoch = null; // Instant currently shown on the cards
+  let isScrubbing = false; // True while the timeline cursor is being dragged
+  let lastScrubTime = null; // Reference time last sent while scrubbing
+  let importedEvents = []; // Events from the last imported .ics file
+  let phraseCandidates = []; // Readings of the last free-text phrase
+  let zoneSearchController = null; // In-flight `/zones` search
+  let zoneMatches = []; // Zones listed under the zone picker
+  let activeZoneMatch = -1; // Highlighted entry in `zoneMatches`
+
+  const TIMELINE_STEP_MINUTES = 15;
+
+  const ZONE_SUGGESTION_LIMIT = 8;
+
+  const DEFAULT_WORKING_HOURS = "09:00-17:00";
+
+  // Weekday codes understood by `/recurring`, Monday first
+  const WEEKDAY_CODES = ["mo", "tu", "we", "th", "fr", "sa", "su"];
+
+  // Interface language: the saved choice, else the one the server picked
+  // from Accept-Language for the page's `lang` attribute
+  const negotiatedLocale =
+    i18n.resolveLocale(document.documentElement.lang) || i18n.DEFAULT_LOCALE;
+  let locale =
+    i18n.resolveLocale(localStorage.getItem("locale") || "") ||
+    negotiatedLocale;
+  // 12- or 24-hour clock: the saved choice, else the locale's own
+  let hour12 = loadSavedClock();
+
+  // Get user's timezone
+  const userTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  userTimezoneSpan.textContent = userTimezone;
+
+  // Converter state shared through the page URL, if any
+  const urlState = readUrlState();
+  // Once set, the URL follows the reference time so it can be shared
+  let shareInUrl = Boolean(urlState);
+  // Live mode: the cards follow the current time, to the second, until an
+  // edit pins them to a chosen moment.  Shared links open pinned.
+  let liveMode = !urlState;
+  let clockTimer = null; // Pending tick of the clock
+  let lastClockMinute = null; // Minute (since the epoch) the page last showed
+  let clockStream = null; // `/stream` subscription for the displayed zones
+  let clockStreamZones = null; // Zone list `clockStream` was opened with
+
+  // Zones displayed as cards, in order.  Persisted across reloads, unless
+  // they come from a shared link.
+  let zones = urlState && urlState.zones ? urlState.zones : loadSavedZones();
+
+  // Working hours per zone for the meeting planner, e.g. "09:00-17:00"
+  const workingHours = loadSavedWorkingHours();
+
+  // Determine default timezone - use user's timezone if displayed, otherwise Chile (or the first card)
+  let lastEditedTimezone = zones.includes(userTimezone)
+    ? userTimezone
+    : zones.includes(DEFAULT_SOURCE)
+      ? DEFAULT_SOURCE
+      : zones[0];
+  if (urlState) {
+    if (!zones.includes(urlState.source)) {
+      zones.unshift(urlState.source);
+    }
+    lastEditedTimezone = urlState.source;
+  }
+
+  /**
+   * Interface message in the current language
+   */
+  function t(key, params) {
+    return i18n.translate(locale, key, params);
+  }
+
+  /**
+   * Registry metadata for a zone, with names in the current language
+   */
+  function zoneInfo(timezone) {
+    return i18n.localizeZoneInfo(getZoneInfo(timezone), locale);
+  }
+
+  /**
+   * A public holiday's name: in English for the English interface, otherwise
+   * as the country's law calls it
+   */
+  function holidayName(holiday) {
+    return locale.startsWith("en") ? holiday.name : holiday.localName;
+  }
+
+  /**
+   * Why a day (`{weekend, holiday}`, as the API marks dates) is not a
+   * business day: '🎉' and the holiday's name, or "Weekend"; null otherwise
+   */
+  function describeDayOff(day) {
+    if (!day) return null;
+    if (day.holiday) return `🎉 ${holidayName(day.holiday)}`;
+    return day.weekend ? t("card.weekend") : null;
+  }
+
+  /**
+   * Format an 'HH:MM' time on the chosen clock
+   */
+  function formatClock(time) {
+    return i18n.formatTime(time, locale, hour12);
+  }
+
+  /**
+   * Read the saved clock preference; without one the locale decides
+   */
+  function loadSavedClock() {
+    const saved = localStorage.getItem("clock");
+    return saved ? saved === "12" : i18n.uses12HourClock(locale);
+  }
+
+  /**
+   * Pick the locale for a language chosen in the switcher, keeping the
+   * region of the negotiated or browser locale when the language matches
+   * (so Spanish in Chile stays 'es-CL')
+   */
+  function localeForLanguage(language) {
+    return (
+      [negotiatedLocale, ...(navigator.languages || [])]
+        .map(i18n.resolveLocale)
+        .find((tag) => tag && tag.split("-")[0] === language) || language
+    );
+  }
+
+  /**
+   * Translate the page's static text: `data-i18n` holds the message key for
+   * an element's text, `data-i18n-<attribute>` the key for an attribute
+   */
+  function translatePage() {
+    document.documentElement.lang = locale;
+    if (!urlState) {
+      document.title = t("app.title");
+    }
+    document.querySelectorAll("[data-i18n]").forEach((element) => {
+      element.textContent = t(element.getAttribute("data-i18n"));
+    });
+    ["placeholder", "title", "aria-label"].forEach((attribute) => {
+      document
+        .querySelectorAll(`[data-i18n-${attribute}]`)
+        .forEach((element) => {
+          element.setAttribute(
+            attribute,
+            t(element.getAttribute(`data-i18n-${attribute}`)),
+          );
+        });
+    });
+    eventDuration.querySelectorAll("option").forEach((option) => {
+      const minutes = Number(option.value);
+      option.textContent =
+        minutes < 60
+          ? t("event.minutes", { count: minutes })
+          : t("event.hours", { count: minutes / 60 });
+    });
+    languageSelect.value = locale.split("-")[0];
+    clockSelect.value = hour12 ? "12" : "24";
+  }
+
+  /**
+   * Re-render everything drawn with localized text after a language or
+   * clock change
+   */
+  function refreshLocalizedViews() {
+    translatePage();
+    renderClockMode();
+    showCurrentDateTime(new Date());
+    renderTimezoneCards();
+    refreshConversions();
+    if (plannerData) {
+      renderMeetingPlanner(plannerData);
+      renderTimeline(plannerData);
+    }
+    renderRecurringWeekdays();
+    if (recurringData) {
+      renderRecurringMeeting(recurringData);
+    }
+    if (durationData) {
+      renderDurationResult(durationData);
+    }
+    if (elapsedData) {
+      renderElapsedResult(elapsedData);
+    }
+    checkUpcomingTransitions(dateInput.value);
+    if (importedEvents.length > 0) {
+      renderImportedEvents({ events: importedEvents });
+    }
+  }
+
+  /**
+   * Switch the interface language, remembering the choice
+   */
+  function handleLanguageChange() {
+    locale = localeForLanguage(languageSelect.value);
+    localStorage.setItem("locale", locale);
+    hour12 = loadSavedClock();
+    refreshLocalizedViews();
+  }
+
+  /**
+   * Switch between the 12- and 24-hour clock, remembering the choice
+   */
+  function handleClockChange() {
+    localStorage.setItem("clock", clockSelect.value);
+    hour12 = clockSelect.value === "12";
+    refreshLocalizedViews();
+  }
+
+  /**
+   * Read a shared state (`date`, `time`, `source` and optionally `zones`)
+   * from the page URL; null unless it is complete and valid
+   */
+  function readUrlState() {
+    const params = new URLSearchParams(window.location.search);
+    const date = params.get("date");
+    const time = params.get("time");
+    const source = params.get("source");
+    if (
+      !/^\d{4}-\d{2}-\d{2}$/.test(date || "") ||
+      !/^\d{2}:\d{2}$/.test(time || "") ||
+      !isValidTimeZone(source)
+    ) {
+      return null;
+    }
+    const sharedZones = (params.get("zones") || "")
+      .split(",")
+      .filter(isValidTimeZone);
+    return {
+      date,
+      time,
+      source,
+      zones:
+        sharedZones.length > 0
+          ? [...new Set(sharedZones)].slice(0, MAX_ZONES)
+          : null,
+    };
+  }
+
+  /**
+   * The converter state a link should restore
+   */
+  function getShareState() {
+    const sourceInput = getTimeInput(lastEditedTimezone);
+    return {
+      date: dateInput.value,
+      time: sourceInput ? sourceInput.value : "",
+      source: lastEditedTimezone,
+      zones: zones.join(","),
+    };
+  }
+
+  /**
+   * Mirror the converter state in the page URL (without adding history)
+   */
+  function writeUrlState() {
+    const state = getShareState();
+    if (!state.date || !state.time) return;
+    window.history.replaceState(
+      null,
+      "",
+      `${window.location.pathname}?${new URLSearchParams(state)}`,
+    );
+  }
+
+  /**
+   * Read the saved zone list, discarding anything the browser no longer recognises
+   */
+  function loadSavedZones() {
+    try {
+      const saved = JSON.parse(localStorage.getItem("zones"));
+      if (Array.isArray(saved)) {
+        const valid = saved.filter(isValidTimeZone);
+        if (valid.length > 0) {
+          return valid.slice(0, MAX_ZONES);
+        }
+      }
+    } catch (error) {
+      console.warn("Could not read saved zones:", error);
+    }
+    return [...DEFAULT_ZONES];
+  }
+
+  /**
+   * Read the saved working hours per timezone
+   */
+  function loadSavedWorkingHours() {
+    try {
+      const saved = JSON.parse(localStorage.getItem("workingHours"));
+      if (saved && typeof saved === "object") {
+        return saved;
+      }
+    } catch (error) {
+      console.warn("Could not read saved working hours:", error);
+    }
+    return {};
+  }
+
+  /**
+   * Persist the zone list
+   */
+  function saveZones() {
+    localStorage.setItem("zones", JSON.stringify(zones));
+    if (shareInUrl) {
+      writeUrlState();
+    }
+  }
+
+  /**
+   * Find the time input belonging to a timezone card
+   */
+  function getTimeInput(timezone) {
+    return timezoneGrid.querySelector(
+      `.time-input[data-timezone="${timezone}"]`,
+    );
+  }
+
+  /**
+   * Build the card markup for a single timezone
+   */
+  function createTimezoneCard(timezone, index) {
+    const info = zoneInfo(timezone);
+    const card = document.createElement("div");
+    card.className = "timezone-card";
+    card.setAttribute("data-timezone", timezone);
+    card.innerHTML = `
+      <div class="card-actions">
+        <button type="button" class="card-action" data-action="move-left">‹</button>
+        <button type="button" class="card-action" data-action="remove">×</button>
+        <button type="button" class="card-action" data-action="move-right">›</button>
+      </div>
+      <div class="card-header">
+        <div class="flag-container"></div>
+        <div class="timezone-info">
+          <div class="timezone-name"></div>
+          <div class="timezone-location"></div>
+        </div>
+      </div>
+      <div class="time-section">
+        <div class="time-display">
+          <input type="time" class="time-input" step="60" />
+          <span class="time-seconds"></span>
+        </div>
+        <div class="ampm-display">AM</div>
+        <div class="timezone-date"></div>
+        <div class="day-offset-badge" hidden></div>
+        <div class="card-day" hidden></div>
+        <div class="timezone-offset"></div>
+      </div>
+      <div class="card-warning" hidden></div>
+    `;
+    card.querySelector('[data-action="move-left"]').title = t("card.moveLeft");
+    card.querySelector('[data-action="remove"]').title = t("card.remove");
+    card.querySelector('[data-action="move-right"]').title =
+      t("card.moveRight");
+    card.querySelector(".flag-container").textContent = info.flag;
+    card.querySelector(".timezone-name").textContent = info.name;
+    card.querySelector(".timezone-location").textContent = info.location;
+    card.querySelector(".time-input").setAttribute("data-timezone", timezone);
+    card.querySelector(".time-seconds").hidden = !liveMode;
+    card
+      .querySelector(".timezone-offset")
+      .setAttribute("data-timezone", timezone);
+    card.querySelector('[data-action="move-left"]').disabled = index === 0;
+    card.querySelector('[data-action="move-right"]').disabled =
+      index === zones.length - 1;
+    card.querySelector('[data-action="remove"]').disabled = zones.length === 1;
+    return card;
+  }
+
+  /**
+   * Render one card per displayed timezone, keeping any times already entered
+   */
+  function renderTimezoneCards() {
+    const previousValues = {};
+    timezoneGrid.querySelectorAll(".time-input").forEach((input) => {
+      previousValues[input.getAttribute("data-timezone")] = input.value;
+    });
+
+    timezoneGrid.innerHTML = "";
+    zones.forEach((timezone, index) => {
+      timezoneGrid.appendChild(createTimezoneCard(timezone, index));
+      if (previousValues[timezone]) {
+        getTimeInput(timezone).value = previousValues[timezone];
+        updateAmPmDisplay(timezone, previousValues[timezone]);
+      }
+    });
+    timezoneGrid.style.setProperty("--zone-count", zones.length);
+    // The calculator's zone pickers follow the cards
+    renderCalculatorZones();
+
+    if (dateInput.value) {
+      updateTimezoneOffsets(dateInput.value);
+    }
+    highlightActiveTimezone(lastEditedTimezone);
+    subscribeClockStream();
+  }
+
+  /**
+   * Zones matching the picker's text, searched locally through the shared
+   * catalog or, without it, through `/zones`
+   */
+  async function findZones(query) {
+    if (catalog) {
+      return catalog.searchZones(query, { limit: ZONE_SUGGESTION_LIMIT });
+    }
+
+    zoneSearchController?.abort();
+    const controller = new AbortController();
+    zoneSearchController = controller;
+    try {
+      const response = await fetchFromServer(
+        `/zones?q=${encodeURIComponent(query)}&limit=${ZONE_SUGGESTION_LIMIT}`,
+        { signal: controller.signal },
+      );
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      return (await response.json()).zones;
+    } finally {
+      if (zoneSearchController === controller) {
+        zoneSearchController = null;
+      }
+    }
+  }
+
+  /**
+   * Refresh the suggestions under the zone picker as the user types
+   */
+  async function handleZoneInput() {
+    const query = zoneInput.value.trim();
+    try {
+      zoneMatches = query ? await findZones(query) : [];
+    } catch (error) {
+      if (error.name === "AbortError") return;
+      console.error("Error searching timezones:", error);
+      zoneMatches = [];
+    }
+    // Typing may have moved on while the search ran
+    if (zoneInput.value.trim() !== query) return;
+    activeZoneMatch = zoneMatches.length > 0 ? 0 : -1;
+    renderZoneSuggestions();
+  }
+
+  /**
+   * Render the zone picker's suggestions, highlighting the active one
+   */
+  function renderZoneSuggestions() {
+    zoneSuggestions.innerHTML = "";
+    zoneSuggestions.hidden = zoneMatches.length === 0;
+    zoneInput.setAttribute("aria-expanded", String(zoneMatches.length > 0));
+
+    zoneMatches.forEach((zone, index) => {
+      const option = document.createElement("li");
+      option.id = `zoneSuggestion-${index}`;
+      option.className = "zone-suggestion";
+      option.setAttribute("role", "option");
+      option.setAttribute("aria-selected", String(index === activeZoneMatch));
+      option.dataset.index = index;
+
+      const flag = document.createElement("span");
+      flag.className = "zone-suggestion-flag";
+      flag.textContent = zone.flag;
+      const local = i18n.localizeZone(zone, locale);
+      const place = document.createElement("span");
+      place.className = "zone-suggestion-place";
+      place.textContent = [local.cities[0], local.countryName]
+        .filter(Boolean)
+        .join(", ");
+      const meta = document.createElement("span");
+      meta.className = "zone-suggestion-meta";
+      meta.textContent = [
+        zone.id,
+        zone.description,
+        `${zone.utcOffset} ${zone.abbreviation}`,
+      ]
+        .filter(Boolean)
+        .join(" · ");
+      option.append(flag, place, meta);
+      zoneSuggestions.appendChild(option);
+    });
+
+    if (activeZoneMatch >= 0) {
+      zoneInput.setAttribute(
+        "aria-activedescendant",
+        `zoneSuggestion-${activeZoneMatch}`,
+      );
+    } else {
+      zoneInput.removeAttribute("aria-activedescendant");
+    }
+  }
+
+  /**
+   * Close the zone picker's suggestions
+   */
+  function closeZoneSuggestions() {
+    zoneMatches = [];
+    activeZoneMatch = -1;
+    renderZoneSuggestions();
+  }
+
+  /**
+   * Move through the suggestions with the arrow keys; Escape closes them
+   */
+  function handleZoneKeydown(event) {
+    if (event.key === "Escape") {
+      closeZoneSuggestions();
+      return;
+    }
+    if (zoneMatches.length === 0) return;
+    if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+      event.preventDefault();
+      const step = event.key === "ArrowDown" ? 1 : -1;
+      activeZoneMatch =
+        (activeZoneMatch + step + zoneMatches.length) % zoneMatches.length;
+      renderZoneSuggestions();
+    }
+  }
+
+  /**
+   * Add the zone a suggestion stands for
+   */
+  function pickZoneSuggestion(index) {
+    const zone = zoneMatches[index];
+    if (!zone) return;
+    zoneInput.value = "";
+    closeZoneSuggestions();
+    addZone(zone.id);
+  }
+
+  /**
+   * Add a timezone card and convert the current reference time into it
+   */
+  function addZone(timezone) {
+    if (!isValidTimeZone(timezone)) {
+      statusMessage.textContent = t("zone.unknown", { zone: timezone });
+      statusMessage.className = "status-message status-message--error";
+      return;
+    }
+    if (zones.includes(timezone)) {
+      statusMessage.textContent = t("zone.duplicate", { zone: timezone });
+      statusMessage.className = "status-message status-message--warning";
+      return;
+    }
+    if (zones.length >= MAX_ZONES) {
+      statusMessage.textContent = t("zone.tooMany", { count: MAX_ZONES });
+      statusMessage.className = "status-message status-message--warning";
+      return;
+    }
+
+    zones.push(timezone);
+    saveZones();
+    renderTimezoneCards();
+    refreshConversions();
+    refreshDatePanels();
+    refreshRecurringMeeting();
+  }
+
+  /**
+   * Remove a timezone card, picking a new reference if it was the active one
+   */
+  function removeZone(timezone) {
+    if (zones.length === 1) return;
+
+    zones = zones.filter((zone) => zone !== timezone);
+    saveZones();
+    if (lastEditedTimezone === timezone) {
+      lastEditedTimezone = zones[0];
+    }
+    renderTimezoneCards();
+    refreshConversions();
+    refreshDatePanels();
+    refreshRecurringMeeting();
+  }
+
+  /**
+   * Move a timezone card one position left (-1) or right (+1)
+   */
+  function moveZone(timezone, delta) {
+    const from = zones.indexOf(timezone);
+    const to = from + delta;
+    if (from === -1 || to < 0 || to >= zones.length) return;
+
+    zones.splice(from, 1);
+    zones.splice(to, 0, timezone);
+    saveZones();
+    renderTimezoneCards();
+    if (plannerData) {
+      renderMeetingPlanner(plannerData);
+      renderTimeline(plannerData);
+    }
+    if (recurringData) {
+      renderRecurringMeeting(recurringData);
+    }
+  }
+
+  /**
+   * Re-run the conversion from the current reference card
+   */
+  function refreshConversions() {
+    const sourceInput = getTimeInput(lastEditedTimezone);
+    if (dateInput.value && sourceInput && sourceInput.value) {
+      convertTimes(lastEditedTimezone, dateInput.value, sourceInput.value);
+    }
+  }
+
+  /**
+   * Update AM/PM display for a timezone, in the locale's wording
+   */
+  function updateAmPmDisplay(timezone, time24) {
+    const ampm = i18n.formatDayPeriod(time24, locale);
+
+    const ampmElement = timezoneGrid.querySelector(
+      `.timezone-card[data-timezone="${timezone}"] .ampm-display`,
+    );
+    if (ampmElement) {
+      ampmElement.textContent = ampm;
+    }
+  }
+
+  /**
+   * Update timezone offset display
+   */
+  function updateTimezoneOffsets(date) {
+    const offsetElements = timezoneGrid.querySelectorAll(".timezone-offset");
+
+    offsetElements.forEach((element) => {
+      const timezone = element.getAttribute("data-timezone");
+      try {
+        // Create a date object for the selected date at noon to avoid DST edge cases
+        const testDate = new Date(`${date}T12:00:00`);
+        const formatter = new Intl.DateTimeFormat("en", {
+          timeZone: timezone,
+          timeZoneName: "longOffset",
+        });
+
+        const parts = formatter.formatToParts(testDate);
+        const offsetPart = parts.find((part) => part.type === "timeZoneName");
+
+        if (offsetPart) {
+          element.textContent = offsetPart.value.replace("GMT", "UTC");
+        }
+      } catch (error) {
+        console.warn(`Could not get offset for ${timezone}:`, error);
+      }
+    });
+  }
+
+  /**
+   * Show one zone's converted result on its card: time, local date, day
+   * offset badge and the UTC offset in effect at that moment
+   */
+  function updateTimezoneCard(timezone, result) {
+    const card = timezoneGrid.querySelector(
+      `.timezone-card[data-timezone="${timezone}"]`,
+    );
+    if (!card) return;
+
+    card.querySelector(".time-input").value = result.time;
+    updateAmPmDisplay(timezone, result.time);
+
+    card.querySelector(".timezone-date").textContent = i18n.formatDate(
+      result.date,
+      locale,
+      { weekday: "short", month: "short", day: "numeric" },
+    );
+
+    const badge = card.querySelector(".day-offset-badge");
+    badge.hidden = result.dayOffset === 0;
+    if (result.dayOffset !== 0) {
+      const days = Math.abs(result.dayOffset);
+      badge.textContent = `${result.dayOffset > 0 ? "+" : "−"}${t("card.days", { count: days })}`;
+      badge.classList.toggle("day-offset-badge--behind", result.dayOffset < 0);
+    }
+
+    // Weekends and public holidays of the zone's country
+    const dayNote = card.querySelector(".card-day");
+    const day = holidays && holidays.describeZoneDay(timezone, result.date);
+    dayNote.hidden = !day || day.businessDay;
+    dayNote.textContent = describeDayOff(day) || "";
+    dayNote.classList.toggle("card-day--holiday", Boolean(day && day.holiday));
+    dayNote.title =
+      day && day.holiday && day.holiday.movedFrom
+        ? t("card.holidayMoved", {
+            date: i18n.formatDate(day.holiday.movedFrom, locale, {
+              weekday: "long",
+              month: "long",
+              day: "numeric",
+            }),
+          })
+        : "";
+
+    const offsetElement = card.querySelector(".timezone-offset");
+    // Abbreviations like "GMT-3" only repeat the offset, so show real ones only
+    const hasAbbreviation = !/^(GMT|UTC)/.test(result.abbreviation);
+    offsetElement.textContent = hasAbbreviation
+      ? `${result.utcOffset} · ${result.abbreviation}`
+      : result.utcOffset;
+    offsetElement.title = result.isDST ? t("card.dst") : t("card.standard");
+  }
+
+  /**
+   * Apply a map of zone results (as returned by the API) to the cards
+   */
+  function applyConversions(results) {
+    Object.keys(results).forEach((timezone) => {
+      updateTimezoneCard(timezone, results[timezone]);
+    });
+  }
+
+  /**
+   * Warn on the edited card when its wall time fell in a DST gap or overlap,
+   * and clear any warning left on the other cards
+   */
+  function showResolutionWarning(sourceTimezone, requestedTime, resolution) {
+    timezoneGrid.querySelectorAll(".card-warning").forEach((warning) => {
+      warning.hidden = true;
+      warning.textContent = "";
+    });
+    if (!resolution || resolution.status === "valid") return;
+
+    const warning = timezoneGrid.querySelector(
+      `.timezone-card[data-timezone="${sourceTimezone}"] .card-warning`,
+    );
+    if (!warning) return;
+
+    warning.textContent = describeResolution(requestedTime, resolution);
+    warning.hidden = false;
+  }
+
+  /**
+   * Explain how a wall time in a DST gap or overlap was resolved
+   */
+  function describeResolution(requestedTime, resolution) {
+    return resolution.status === "nonexistent"
+      ? t("card.nonexistent", {
+          time: formatClock(requestedTime),
+          resolved: formatClock(resolution.resolved.time),
+        })
+      : t("card.ambiguous", {
+          time: formatClock(requestedTime),
+          offset: resolution.resolved.utcOffset,
+        });
+  }
+
+  /**
+   * Current date ('YYYY-MM-DD') and time ('HH:MM') as observed in a zone
+   */
+  function getZonedNow(timezone) {
+    return getZonedDateTime(timezone, new Date());
+  }
+
+  /**
+   * Date ('YYYY-MM-DD') and time ('HH:MM') of a moment as observed in a zone
+   */
+  function getZonedDateTime(timezone, now) {
+    const date = new Intl.DateTimeFormat("en-CA", {
+      timeZone: timezone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+    }).format(now);
+    const time = new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    }).format(now);
+    return { date, time };
+  }
+
+  /**
+   * Format a zone's local date and time for display
+   */
+  function formatDateTime(date, time) {
+    try {
+      return i18n.formatDateTime(date, time, locale, hour12);
+    } catch (error) {
+      return `${date} ${time}`;
+    }
+  }
+
+  /**
+   * Highlight the active timezone card
+   */
+  function highlightActiveTimezone(activeTimezone) {
+    // Remove previous highlights
+    timezoneGrid.querySelectorAll(".timezone-card").forEach((card) => {
+      card.classList.remove("timezone-card--active");
+    });
+
+    // Add highlight to active timezone
+    const activeCard = timezoneGrid.querySelector(
+      `.timezone-card[data-timezone="${activeTimezone}"]`,
+    );
+    if (activeCard) {
+      activeCard.classList.add("timezone-card--active");
+    }
+  }
+
+  /**
+   * Get the `/convert-multi` payload for a source time, locally when the
+   * shared conversion core is loaded and from the server otherwise
+   */
+  async function requestConversion(sourceTimezone, date, time) {
+    if (core) {
+      return core.convertToZones(date, time, sourceTimezone, zones);
+    }
+
+    statusMessage.textContent = t("status.updating");
+    statusMessage.className = "status-message status-message--loading";
+
+    conversionController?.abort();
+    const controller = new AbortController();
+    conversionController = controller;
+    try {
+      const response = await fetchFromServer(
+        `/convert-multi?date=${encodeURIComponent(date)}&time=${encodeURIComponent(time)}&source=${encodeURIComponent(sourceTimezone)}&zones=${encodeURIComponent(zones.join(","))}`,
+        { signal: controller.signal },
+      );
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      return await response.json();
+    } finally {
+      if (conversionController === controller) {
+        conversionController = null;
+      }
+    }
+  }
+
+  /**
+   * Convert times from source timezone to all others
+   */
+  async function convertTimes(sourceTimezone, date, time) {
+    if (isUpdating) return;
+
+    try {
+      const data = await requestConversion(sourceTimezone, date, time);
+
+      isUpdating = true;
+
+      // Update all cards with converted times, dates and offsets
+      applyConversions(data.conversions);
+      showResolutionWarning(sourceTimezone, time, data.resolution);
+      currentEpoch = data.resolution.epoch;
+      updateTimelineCursor();
+
+      // Highlight active timezone
+      highlightActiveTimezone(sourceTimezone);
+      if (shareInUrl) {
+        writeUrlState();
+      }
+
+      statusMessage.textContent = t("status.basedOn", {
+        name: zoneInfo(sourceTimezone).name,
+      });
+      statusMessage.className = "status-message status-message--success";
+    } catch (error) {
+      // A newer edit cancelled this request; its own conversion takes over
+      if (error.name === "AbortError") return;
+
+      console.error("Error converting times:", error);
+      statusMessage.textContent = t("status.convertError", {
+        message: error.message,
+      });
+      statusMessage.className = "status-message status-message--error";
+    } finally {
+      isUpdating = false;
+    }
+  }
+
+  /**
+   * Load current time and perform initial conversion
+   */
+  async function loadInitialTimes() {
+    // A shared link restores its own moment instead of "now"
+    if (urlState) {
+      const now = getZonedNow(userTimezone);
+      currentDateTimeSpan.textContent = formatDateTime(now.date, now.time);
+      selectReferenceTime(urlState.date, urlState.time, urlState.source);
+      return;
+    }
+
+    try {
+      statusMessage.textContent = t("status.loadingCurrent");
+      statusMessage.className = "status-message status-message--loading";
+
+      // With the shared conversion core the browser clock is all we need
+      const response = core
+        ? null
+        : await fetchFromServer(
+            `/current?source=${encodeURIComponent(lastEditedTimezone)}&zones=${encodeURIComponent(zones.join(","))}`,
+          );
+
+      if (response && response.ok) {
+        const data = await response.json();
+
+        // Set date input
+        dateInput.value = data.date;
+
+        // Use server's current time data which already includes conversions
+        // Set the user's timezone time from server response (or Chile as fallback)
+        const userTimezoneInput = getTimeInput(lastEditedTimezone);
+        if (userTimezoneInput) {
+          userTimezoneInput.value = data.time;
+          updateAmPmDisplay(lastEditedTimezone, data.time);
+        }
+
+        // Update current date/time display
+        currentDateTimeSpan.textContent = formatDateTime(data.date, data.time);
+
+        // Show all conversions from server response
+        if (data.conversions) {
+          isUpdating = true;
+          applyConversions(data.conversions);
+          isUpdating = false;
+        }
+
+        // Ensure user's timezone time is always visible by converting from its own time
+        await convertTimes(lastEditedTimezone, data.date, data.time);
+
+        highlightActiveTimezone(lastEditedTimezone);
+      } else {
+        await showLocalNow();
+      }
+    } catch (error) {
+      console.error("Error loading initial times:", error);
+      // Every card still converts, in the browser
+      await showLocalNow();
+    }
+
+    refreshDatePanels();
+  }
+
+  /**
+   * Put the current time in the last edited timezone (the user's, or Chile
+   * if not supported) on its card and convert every other card from it
+   */
+  async function showLocalNow() {
+    const { date: currentDate, time: userTime } =
+      getZonedNow(lastEditedTimezone);
+
+    dateInput.value = currentDate;
+
+    const userTimezoneInput = getTimeInput(lastEditedTimezone);
+    if (userTimezoneInput) {
+      userTimezoneInput.value = userTime;
+      updateAmPmDisplay(lastEditedTimezone, userTime);
+    }
+
+    currentDateTimeSpan.textContent = formatDateTime(currentDate, userTime);
+    await convertTimes(lastEditedTimezone, currentDate, userTime);
+  }
+
+  /**
+   * Show or hide the offline indicator
+   */
+  function renderConnection() {
+    offlineIndicator.hidden = !isOffline;
+  }
+
+  /**
+   * Fetch from the server, following the connection: offline when the
+   * request cannot be sent at all (fetch itself rejects, unless it was
+   * aborted), back online as soon as the server answers, whatever the status
+   */
+  async function fetchFromServer(url, options) {
+    let response;
+    try {
+      response = await fetch(url, options);
+    } catch (error) {
+      if (error.name !== "AbortError" && !isOffline) {
+        isOffline = true;
+        renderConnection();
+      }
+      throw error;
+    }
+    if (isOffline) {
+      isOffline = false;
+      renderConnection();
+    }
+    return response;
+  }
+
+  /**
+   * Show the current date and time in the user's timezone in the header
+   */
+  function showCurrentDateTime(now) {
+    const local = getZonedDateTime(userTimezone, now);
+    currentDateTimeSpan.textContent = formatDateTime(local.date, local.time);
+  }
+
+  /**
+   * Show whether the cards are live or pinned, and the way back to now
+   */
+  function renderClockMode() {
+    clockMode.textContent = t(liveMode ? "header.live" : "header.pinned");
+    clockMode.title = t(liveMode ? "header.liveTitle" : "header.pinnedTitle");
+    clockMode.classList.toggle("clock-mode--live", liveMode);
+    nowButton.hidden = liveMode;
+    timezoneGrid.querySelectorAll(".time-seconds").forEach((seconds) => {
+      seconds.hidden = !liveMode;
+    });
+  }
+
+  /**
+   * Leave live mode, keeping the moment on the cards
+   */
+  function pinClock() {
+    if (!liveMode) return;
+    liveMode = false;
+    renderClockMode();
+    scheduleClockTick();
+  }
+
+  /**
+   * Go back to live mode, showing the current time straight away
+   */
+  function returnToNow() {
+    liveMode = true;
+    lastClockMinute = null;
+    renderClockMode();
+    tickClock();
+  }
+
+  /**
+   * Schedule the next tick on the next whole second in live mode, or the
+   * next whole minute when pinned.  Each delay is measured from the clock
+   * rather than the last tick, so timers realign after drifting or after
+   * the tab slept.
+   */
+  function scheduleClockTick() {
+    clearTimeout(clockTimer);
+    const period = liveMode ? 1000 : 60000;
+    clockTimer = setTimeout(tickClock, period - (Date.now() % period));
+  }
+
+  /**
+   * Keep the header on the current time and, in live mode, the cards: each
+   * new minute converts again (dates and offsets may have changed) and
+   * every tick moves the seconds
+   */
+  async function tickClock() {
+    scheduleClockTick();
+    const now = new Date();
+    const minute = Math.floor(now.getTime() / 60000);
+    if (minute !== lastClockMinute) {
+      lastClockMinute = minute;
+      showCurrentDateTime(now);
+      if (liveMode) {
+        const { date, time } = getZonedDateTime(lastEditedTimezone, now);
+        await showReferenceTime(date, time, lastEditedTimezone);
+      }
+    }
+    if (liveMode) {
+      const seconds = `:${String(now.getSeconds()).padStart(2, "0")}`;
+      timezoneGrid.querySelectorAll(".time-seconds").forEach((element) => {
+        element.textContent = seconds;
+      });
+    }
+  }
+
+  /**
+   * Follow `/stream` for the displayed zones: each minute's tick catches the
+   * clock up even when the tab's own timers are throttled, and an offset
+   * change converts again at once, mid-minute as it may be.  Reopened when
+   * the zone list changes; the browser reconnects (resuming from the last
+   * event) by itself.
+   */
+  function subscribeClockStream() {
+    const zoneList = zones.join(",");
+    if (!window.EventSource || zoneList === clockStreamZones) return;
+    clockStream?.close();
+    clockStream = null;
+    clockStreamZones = zoneList;
+    if (!zones.length) return;
+
+    clockStream = new EventSource(
+      `/stream?zones=${encodeURIComponent(zoneList)}`,
+    );
+    clockStream.addEventListener("tick", () => {
+      tickClock();
+    });
+    clockStream.addEventListener("offset", () => {
+      lastClockMinute = null;
+      tickClock();
+      checkUpcomingTransitions(dateInput.value);
+    });
+  }
+
+  /**
+   * Shift a 'YYYY-MM-DD' date by a number of days
+   */
+  function shiftDate(date, days) {
+    const [year, month, day] = date.split("-").map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days))
+      .toISOString()
+      .split("T")[0];
+  }
+
+  /**
+   * Describe one clock change relative to the selected date
+   */
+  function describeTransition(timezone, transition, selectedDate) {
+    const info = zoneInfo(timezone);
+    const changeMinutes = Math.abs(
+      transition.offsetAfter - transition.offsetBefore,
+    );
+    const amount =
+      changeMinutes % 60 === 0
+        ? t("transition.hours", { count: changeMinutes / 60 })
+        : t("transition.minutes", { count: changeMinutes });
+    // The wall clock reads this (in the old offset) at the moment of the change
+    const changeAt = new Date(
+      Date.parse(`${transition.localBefore}Z`) + 1000,
+    ).toISOString();
+    const changeDate = changeAt.slice(0, 10);
+    const days = Math.round(
+      (Date.parse(changeDate) - Date.parse(selectedDate)) / 86400000,
+    );
+    const when =
+      days === 0
+        ? t("transition.today")
+        : days > 0
+          ? t("transition.after", { count: days })
+          : t("transition.before", { count: -days });
+
+    return t(
+      transition.direction === "forward"
+        ? "transition.forward"
+        : "transition.back",
+      {
+        flag: info.flag,
+        name: info.name,
+        place: info.location,
+        amount,
+        date: i18n.formatDate(changeDate, locale, {
+          weekday: "short",
+          month: "short",
+          day: "numeric",
+        }),
+        time: formatClock(changeAt.slice(11, 16)),
+        when,
+        before: transition.utcOffsetBefore,
+        after: transition.utcOffsetAfter,
+      },
+    );
+  }
+
+  /**
+   * Warn when the selected date is within a week of a clock change in any
+   * displayed timezone
+   */
+  async function checkUpcomingTransitions(date) {
+    if (!date) return;
+    transitionController?.abort();
+    const controller = new AbortController();
+    transitionController = controller;
+    const from = shiftDate(date, -7);
+    const to = shiftDate(date, 7);
+
+    try {
+      const results = await Promise.all(
+        zones.map(async (timezone) => {
+          const response = await fetchFromServer(
+            `/transitions?zone=${encodeURIComponent(timezone)}&from=${from}&to=${to}`,
+            { signal: controller.signal },
+          );
+          if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+          }
+          return response.json();
+        }),
+      );
+
+      transitionWarning.innerHTML = "";
+      results.forEach(({ zone, transitions }) => {
+        transitions.forEach((transition) => {
+          const item = document.createElement("li");
+          item.textContent = describeTransition(zone, transition, date);
+          transitionWarning.appendChild(item);
+        });
+      });
+      transitionWarning.hidden = transitionWarning.childElementCount === 0;
+    } catch (error) {
+      if (error.name !== "AbortError") {
+        console.warn("Could not check DST transitions:", error);
+      }
+    }
+  }
+
+  /**
+   * Refresh the panels that depend on the selected date and the zone list
+   */
+  function refreshDatePanels() {
+    checkUpcomingTransitions(dateInput.value);
+    refreshMeetingPlanner(dateInput.value);
+  }
+
+  /**
+   * Working hours for a timezone, falling back to the default range
+   */
+  function getWorkingHours(timezone) {
+    return workingHours[timezone] || DEFAULT_WORKING_HOURS;
+  }
+
+  /**
+   * Fetch shared working hours for the selected date, aligned on the
+   * reference timezone
+   */
+  async function refreshMeetingPlanner(date) {
+    if (!date) return;
+    plannerController?.abort();
+    const controller = new AbortController();
+    plannerController = controller;
+    const hours = zones.map(getWorkingHours).join(",");
+
+    try {
+      const response = await fetchFromServer(
+        `/meeting-planner?zones=${encodeURIComponent(zones.join(","))}&hours=${encodeURIComponent(hours)}&source=${encodeURIComponent(lastEditedTimezone)}&from=${date}`,
+        { signal: controller.signal },
+      );
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      const data = await response.json();
+
+      plannerData = data;
+      renderMeetingPlanner(data);
+      renderTimeline(data);
+    } catch (error) {
+      if (error.name !== "AbortError") {
+        console.warn("Could not load meeting planner:", error);
+      }
+    }
+  }
+
+  /**
+   * Draw the hour grid: one row per timezone, one column per hour of the
+   * reference day.  Working hours are shaded and hours that suit everyone
+   * are highlighted.
+   */
+  function renderMeetingPlanner(data) {
+    plannerGrid.innerHTML = "";
+    plannerGrid.style.setProperty("--slot-count", data.slots.length);
+
+    zones
+      .filter((timezone) => data.workingHours[timezone])
+      .forEach((timezone) => {
+        const info = zoneInfo(timezone);
+        const label = document.createElement("div");
+        label.className = "planner-label";
+        if (timezone === data.reference) {
+          label.classList.add("planner-label--reference");
+        }
+        label.innerHTML = `
+          <span class="planner-zone"></span>
+          <input class="planner-hours" data-timezone="" />
+        `;
+        label.querySelector(".planner-zone").textContent =
+          `${info.flag} ${info.location}`;
+        const hoursInput = label.querySelector(".planner-hours");
+        hoursInput.title = t("planner.hours");
+        hoursInput.value = data.workingHours[timezone];
+        hoursInput.setAttribute("data-timezone", timezone);
+        plannerGrid.appendChild(label);
+
+        data.slots.forEach((slot, index) => {
+          const local = slot.local[timezone];
+          const cell = document.createElement("button");
+          cell.type = "button";
+          cell.className = "planner-cell";
+          cell.setAttribute("data-slot", index);
+          cell.classList.toggle("planner-cell--working", local.working);
+          cell.classList.toggle("planner-cell--shared", slot.shared);
+
+          // Mark midnight with the new date so rollovers stand out
+          const [hour, minute] = local.time.split(":");
+          if (hour === "00") {
+            cell.classList.add("planner-cell--midnight");
+            cell.textContent = i18n.formatDate(local.date, locale, {
+              month: "short",
+              day: "numeric",
+            });
+          } else {
+            cell.textContent = minute === "00" ? hour : `${hour}:${minute}`;
+          }
+          cell.title = `${info.location}: ${local.date} ${local.time}`;
+          const dayOff = describeDayOff(local);
+          if (dayOff) {
+            cell.classList.add("planner-cell--day-off");
+            cell.title += ` · ${dayOff}`;
+          }
+          plannerGrid.appendChild(cell);
+        });
+      });
+
+    plannerWindows.innerHTML = "";
+    data.windows.slice(0, 3).forEach((meetingWindow) => {
+      const local = meetingWindow.local[data.reference];
+      const item = document.createElement("li");
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "planner-window";
+      button.setAttribute("data-epoch", meetingWindow.startEpoch);
+      const daysOff = Object.entries(meetingWindow.local)
+        .filter(([, zoneLocal]) => describeDayOff(zoneLocal))
+        .map(([timezone, zoneLocal]) =>
+          t("planner.dayOff", {
+            place: zoneInfo(timezone).location,
+            reason: describeDayOff(zoneLocal),
+          }),
+        );
+      button.textContent = [
+        t("planner.window", {
+          start: formatClock(local.start),
+          end: formatClock(local.end),
+          place: zoneInfo(data.reference).location,
+          hours: meetingWindow.durationMinutes / 60,
+          score: meetingWindow.score,
+        }),
+        ...daysOff,
+      ].join(" · ");
+      button.classList.toggle("planner-window--day-off", daysOff.length > 0);
+      item.appendChild(button);
+      plannerWindows.appendChild(item);
+    });
+    if (data.windows.length === 0) {
+      const item = document.createElement("li");
+      item.className = "planner-window--none";
+      item.textContent = t("planner.none");
+      plannerWindows.appendChild(item);
+    }
+  }
+
+  /**
+   * Draw the weekday checkboxes of the recurring meeting form, keeping the
+   * current selection.  They only apply to weekly meetings.
+   */
+  function renderRecurringWeekdays() {
+    const selected = getRecurringWeekdays();
+    recurringWeekdays
+      .querySelectorAll(".recurring-weekday")
+      .forEach((label) => label.remove());
+    WEEKDAY_CODES.forEach((code, index) => {
+      const label = document.createElement("label");
+      label.className = "recurring-weekday";
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.value = code;
+      checkbox.checked = selected.includes(code);
+      // 2024-01-01 was a Monday
+      label.append(
+        checkbox,
+        i18n.formatDate(`2024-01-0${index + 1}`, locale, { weekday: "short" }),
+      );
+      recurringWeekdays.appendChild(label);
+    });
+    recurringWeekdays.hidden = recurringFrequency.value !== "weekly";
+  }
+
+  /**
+   * Weekday codes ticked in the recurring meeting form
+   */
+  function getRecurringWeekdays() {
+    return [...recurringWeekdays.querySelectorAll("input:checked")].map(
+      (checkbox) => checkbox.value,
+    );
+  }
+
+  /**
+   * Fetch the occurrences of a recurring meeting in every displayed zone.
+   * Without `params`, the meeting on display is projected again (after the
+   * zone list changed).
+   */
+  async function refreshRecurringMeeting(params = recurringParams) {
+    if (!params) return;
+    recurringController?.abort();
+    const controller = new AbortController();
+    recurringController = controller;
+    recurringParams = params;
+
+    try {
+      const query = new URLSearchParams(params);
+      query.set("zones", zones.join(","));
+      const response = await fetchFromServer(`/recurring?${query}`, {
+        signal: controller.signal,
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
+
+      recurringData = data;
+      renderRecurringMeeting(data);
+    } catch (error) {
+      if (error.name !== "AbortError") {
+        statusMessage.textContent = t("recurring.error", {
+          message: error.message,
+        });
+        statusMessage.className = "status-message status-message--error";
+      }
+    }
+  }
+
+  /**
+   * Format a zone's offset from the meeting's anchor zone, e.g. '−1:00'
+   */
+  function formatRelativeOffset(minutes) {
+    const absolute = Math.abs(minutes);
+    const clock = `${Math.floor(absolute / 60)}:${String(absolute % 60).padStart(2, "0")}`;
+    return `${minutes < 0 ? "−" : "+"}${clock}`;
+  }
+
+  /**
+   * Draw the recurring meeting table: one row per occurrence, one column per
+   * zone.  Rows where a zone's offset from the anchor changed since the
+   * previous occurrence are highlighted, and the changes listed.
+   */
+  function renderRecurringMeeting(data) {
+    const anchor = zoneInfo(data.source).location;
+    const shown = zones.filter((timezone) => data.zones.includes(timezone));
+    const describeShift = (change) =>
+      t("recurring.shift", {
+        place: zoneInfo(change.zone).location,
+        anchor,
+        offset: formatRelativeOffset(change.to),
+        previous: formatRelativeOffset(change.from),
+      });
+
+    recurringTable.innerHTML = "";
+    const head = recurringTable.createTHead().insertRow();
+    [
+      t("recurring.date"),
+      ...shown.map((timezone) => {
+        const info = zoneInfo(timezone);
+        return `${info.flag} ${info.location}`;
+      }),
+      t("recurring.changes"),
+    ].forEach((text) => {
+      const heading = document.createElement("th");
+      heading.scope = "col";
+      heading.textContent = text;
+      head.appendChild(heading);
+    });
+
+    const body = recurringTable.createTBody();
+    data.occurrences.forEach((occurrence, index) => {
+      const row = body.insertRow();
+      row.classList.toggle(
+        "recurring-row--shifted",
+        occurrence.changes.length > 0,
+      );
+
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "recurring-date";
+      button.setAttribute("data-index", index);
+      button.textContent = i18n.formatDate(occurrence.date, locale, {
+        weekday: "short",
+        year: "numeric",
+        month: "short",
+        day: "numeric",
+      });
+      row.insertCell().appendChild(button);
+
+      shown.forEach((timezone) => {
+        const moment = occurrence.conversions[timezone];
+        const cell = row.insertCell();
+        cell.textContent = formatClock(moment.time);
+        if (moment.dayOffset !== 0) {
+          cell.textContent += ` (${moment.dayOffset > 0 ? "+" : "−"}${t("card.days", { count: Math.abs(moment.dayOffset) })})`;
+        }
+        const change = occurrence.changes.find(
+          (candidate) => candidate.zone === timezone,
+        );
+        if (change) {
+          cell.classList.add("recurring-cell--shifted");
+          cell.title = describeShift(change);
+        }
+        const dayOff = describeDayOff(moment);
+        if (dayOff) {
+          cell.classList.add("recurring-cell--day-off");
+          cell.textContent += ` ${dayOff}`;
+        }
+        if (
+          timezone === data.source &&
+          occurrence.resolution.status !== "valid"
+        ) {
+          cell.classList.add("recurring-cell--adjusted");
+          cell.title = describeResolution(data.time, occurrence.resolution);
+        }
+      });
+
+      const changes = row.insertCell();
+      changes.className = "recurring-changes";
+      changes.textContent = occurrence.changes.map(describeShift).join("; ");
+    });
+    recurringTable.hidden = false;
+  }
+
+  /**
+   * Project the reference time as a recurring meeting, as set up in the form
+   */
+  function handleRecurringSubmit(event) {
+    event.preventDefault();
+    const input = getTimeInput(lastEditedTimezone);
+    const date = dateInput.value;
+    if (!date || !input || !input.value) return;
+
+    // Monday is 0, like WEEKDAY_CODES
+    const weekday =
+      WEEKDAY_CODES[(new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7];
+    const params = {
+      source: lastEditedTimezone,
+      time: input.value,
+      start: date,
+      count: recurringCount.value,
+      frequency: recurringFrequency.value === "weekly" ? "weekly" : "monthly",
+    };
+    if (recurringFrequency.value === "weekly") {
+      const selected = getRecurringWeekdays();
+      params.weekdays = (selected.length > 0 ? selected : [weekday]).join(",");
+    } else if (recurringFrequency.value === "monthly-weekday") {
+      // Days 29 to 31 can only be the month's last such weekday
+      const day = Number(date.split("-")[2]);
+      params.weekdays = `${day > 28 ? -1 : Math.ceil(day / 7)}${weekday}`;
+    }
+    refreshRecurringMeeting(params);
+  }
+
+  /**
+   * Load a clicked occurrence of the recurring meeting into the converter
+   */
+  function handleRecurringClick(event) {
+    const button = event.target.closest(".recurring-date");
+    if (!button || !recurringData) return;
+    const occurrence =
+      recurringData.occurrences[Number(button.getAttribute("data-index"))];
+    selectReferenceTime(
+      occurrence.date,
+      recurringData.time,
+      recurringData.source,
+    );
+  }
+
+  /**
+   * Fill the elapsed-time zone pickers with the displayed zones, keeping
+   * their selection while it is still displayed
+   */
+  function renderCalculatorZones() {
+    [elapsedFromZone, elapsedToZone].forEach((select) => {
+      const selected = zones.includes(select.value)
+        ? select.value
+        : lastEditedTimezone;
+      select.innerHTML = "";
+      zones.forEach((timezone) => {
+        const info = zoneInfo(timezone);
+        select.appendChild(
+          new Option(`${info.flag} ${info.location}`, timezone),
+        );
+      });
+      select.value = selected;
+    });
+  }
+
+  /**
+   * Spell out an elapsed time in days, hours and minutes, e.g.
+   * "1 day 12 hours"; negative times get a leading minus sign
+   */
+  function formatElapsedTime(milliseconds) {
+    const totalMinutes = Math.round(Math.abs(milliseconds) / 60000);
+    const parts = [
+      ["card.days", Math.floor(totalMinutes / 1440)],
+      ["transition.hours", Math.floor(totalMinutes / 60) % 24],
+      ["transition.minutes", totalMinutes % 60],
+    ]
+      .filter(([, count]) => count > 0)
+      .map(([key, count]) => t(key, { count }));
+    if (parts.length === 0) return t("calc.none");
+    return `${milliseconds < 0 ? "−" : ""}${parts.join(" ")}`;
+  }
+
+  /**
+   * Fetch a calculator result, reporting failures in the status bar
+   */
+  async function runCalculation(url, onResult) {
+    try {
+      const response = await fetchFromServer(url);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
+      onResult(data);
+    } catch (error) {
+      statusMessage.textContent = t("calc.error", { message: error.message });
+      statusMessage.className = "status-message status-message--error";
+    }
+  }
+
+  /**
+   * Add the duration in the calculator to (or subtract it from) the
+   * reference time
+   */
+  function handleDurationSubmit(event) {
+    event.preventDefault();
+    const input = getTimeInput(lastEditedTimezone);
+    if (!dateInput.value || !input || !input.value) return;
+
+    const amount = (field) => Math.max(0, Math.floor(Number(field.value)) || 0);
+    const params = new URLSearchParams({
+      date: dateInput.value,
+      time: input.value,
+      source: lastEditedTimezone,
+      duration: `P${amount(durationDays)}DT${amount(durationHours)}H${amount(durationMinutes)}M`,
+      zones: zones.join(","),
+    });
+    runCalculation(`/${durationOperation.value}?${params}`, (data) => {
+      durationData = data;
+      renderDurationResult(data);
+    });
+  }
+
+  /**
+   * Show the calculated moment as a button that loads it into the
+   * converter, with the real time it is away from the reference time
+   */
+  function renderDurationResult(data) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "planner-window";
+    button.title = t("imported.use");
+    button.textContent = [
+      t("calc.result", {
+        datetime: i18n.formatDateTime(
+          data.date,
+          data.time.slice(0, 5),
+          locale,
+          hour12,
+        ),
+        place: zoneInfo(data.timezone).location,
+      }),
+      t("calc.realTime", {
+        duration: formatElapsedTime(data.epoch - data.start.epoch),
+      }),
+    ].join(" · ");
+    button.addEventListener("click", () => {
+      selectReferenceTime(data.date, data.time.slice(0, 5), data.timezone);
+    });
+    durationResult.replaceChildren(button);
+  }
+
+  /**
+   * Measure the real time between the two moments of the elapsed-time form
+   */
+  function handleElapsedSubmit(event) {
+    event.preventDefault();
+    const params = new URLSearchParams({
+      from: elapsedFrom.value,
+      fromZone: elapsedFromZone.value,
+      to: elapsedTo.value,
+      toZone: elapsedToZone.value,
+    });
+    runCalculation(`/difference?${params}`, (data) => {
+      elapsedData = data;
+      renderElapsedResult(data);
+    });
+  }
+
+  /**
+   * Show the elapsed time, and how far apart the two clocks read when that
+   * differs (different offsets, or a DST change in between)
+   */
+  function renderElapsedResult(data) {
+    const parts = [
+      t("calc.elapsed", { duration: formatElapsedTime(data.milliseconds) }),
+    ];
+    if (data.wallClock.milliseconds !== data.milliseconds) {
+      parts.push(
+        t("calc.wallClock", {
+          duration: formatElapsedTime(data.wallClock.milliseconds),
+        }),
+      );
+    }
+    elapsedResult.textContent = parts.join(" · ");
+  }
+
+  /**
+   * Start the elapsed-time form from the reference time the first time it
+   * is used
+   */
+  function prefillElapsedForm() {
+    const input = getTimeInput(lastEditedTimezone);
+    if (elapsedFrom.value || !dateInput.value || !input || !input.value) return;
+    elapsedFromZone.value = lastEditedTimezone;
+    elapsedFrom.value = `${dateInput.value}T${input.value}`;
+  }
+
+  /**
+   * Classify a local time of day for timeline shading
+   */
+  function getTimelineCategory(time, working) {
+    if (working) return "working";
+    const hour = Number(time.split(":")[0]);
+    return hour < 7 || hour >= 22 ? "night" : "evening";
+  }
+
+  /**
+   * Draw one timeline row per timezone over the reference day.  Every row
+   * shares the same absolute time axis, so a vertical line through all rows
+   * is a single instant.  Local midnights are marked so date rollovers are
+   * visible.
+   */
+  function renderTimeline(data) {
+    timelineLabels.innerHTML = "";
+    timelineTracks
+      .querySelectorAll(".timeline-track")
+      .forEach((track) => track.remove());
+
+    const slotCount = data.slots.length;
+    zones
+      .filter((timezone) => data.workingHours[timezone])
+      .forEach((timezone) => {
+        const info = zoneInfo(timezone);
+        const label = document.createElement("div");
+        label.className = "timeline-label";
+        label.textContent = `${info.flag} ${info.location}`;
+        timelineLabels.appendChild(label);
+
+        const track = document.createElement("div");
+        track.className = "timeline-track";
+        data.slots.forEach((slot, index) => {
+          const local = slot.local[timezone];
+          const [hour, minute] = local.time.split(":");
+          const segment = document.createElement("div");
+          segment.className = `timeline-hour timeline-hour--${getTimelineCategory(local.time, local.working)}`;
+          segment.textContent = hour;
+          segment.title = `${info.location}: ${local.date} ${local.time}`;
+          track.appendChild(segment);
+
+          // The local date changed since the previous hour: mark where
+          // midnight fell (zones with :30/:45 offsets cross it mid-hour)
+          const previous =
+            index > 0 ? data.slots[index - 1].local[timezone] : null;
+          const isNewDay = previous
+            ? previous.date !== local.date
+            : local.time === "00:00";
+          if (isNewDay) {
+            const minutesPast = hour === "00" ? Number(minute) : 0;
+            addMidnightMarker(
+              track,
+              (index - minutesPast / 60) / slotCount,
+              local.date,
+            );
+          }
+        });
+        timelineTracks.insertBefore(track, timelineCursor);
+      });
+
+    updateTimelineCursor();
+  }
+
+  /**
+   * Add a midnight marker to a timeline track at a fraction of its width
+   */
+  function addMidnightMarker(track, fraction, date) {
+    const marker = document.createElement("div");
+    marker.className = "timeline-midnight";
+    marker.style.left = `${fraction * 100}%`;
+    if (date) {
+      marker.textContent = i18n.formatDate(date, locale, {
+        month: "short",
+        day: "numeric",
+      });
+    }
+    track.appendChild(marker);
+  }
+
+  /**
+   * Place the timeline cursor at the instant shown on the cards
+   */
+  function updateTimelineCursor() {
+    if (!plannerData || currentEpoch === null) {
+      timelineCursor.hidden = true;
+      return;
+    }
+    const start = plannerData.slots[0].epoch;
+    const span = plannerData.slots.length * 60 * 60 * 1000;
+    const fraction = (currentEpoch - start) / span;
+    timelineCursor.hidden = fraction < 0 || fraction >= 1;
+    timelineCursor.style.left = `${fraction * 100}%`;
+
+    const reference = plannerData.reference;
+    const time = formatClock(
+      getZonedDateTime(reference, new Date(currentEpoch)).time,
+    );
+    timelineCursor.querySelector(".timeline-cursor-label").textContent = time;
+    timelineCursor.setAttribute("aria-valuenow", Math.round(fraction * 1440));
+    timelineCursor.setAttribute(
+      "aria-valuetext",
+      `${time} ${zoneInfo(reference).location}`,
+    );
+  }
+
+  /**
+   * Move the converter to an instant on the timeline, snapped to
+   * `TIMELINE_STEP_MINUTES`
+   */
+  function scrubToEpoch(epoch) {
+    const step = TIMELINE_STEP_MINUTES * 60 * 1000;
+    const start = plannerData.slots[0].epoch;
+    const end = start + plannerData.slots.length * 60 * 60 * 1000 - step;
+    const snapped = Math.min(
+      Math.max(start + Math.round((epoch - start) / step) * step, start),
+      end,
+    );
+    const { date, time } = getZonedDateTime(
+      plannerData.reference,
+      new Date(snapped),
+    );
+    currentEpoch = snapped;
+    updateTimelineCursor();
+    if (`${date} ${time}` !== lastScrubTime) {
+      lastScrubTime = `${date} ${time}`;
+      selectReferenceTime(date, time);
+    }
+  }
+
+  /**
+   * Translate a pointer position over the tracks into an instant
+   */
+  function scrubToPointer(event) {
+    const rect = timelineTracks.getBoundingClientRect();
+    if (rect.width === 0) return;
+    const fraction = (event.clientX - rect.left) / rect.width;
+    const start = plannerData.slots[0].epoch;
+    scrubToEpoch(start + fraction * plannerData.slots.length * 60 * 60 * 1000);
+  }
+
+  function handleTimelinePointerDown(event) {
+    if (!plannerData) return;
+    isScrubbing = true;
+    lastScrubTime = null;
+    timelineTracks.setPointerCapture?.(event.pointerId);
+    scrubToPointer(event);
+  }
+
+  function handleTimelinePointerMove(event) {
+    if (isScrubbing) {
+      scrubToPointer(event);
+    }
+  }
+
+  function handleTimelinePointerUp(event) {
+    isScrubbing = false;
+    timelineTracks.releasePointerCapture?.(event.pointerId);
+  }
 
-  let isUpdating = false; // Prevent recursive updates
+  /**
+   * Arrow keys move the cursor by one step, Page Up/Down by an hour
+   */
+  function handleTimelineKeydown(event) {
+    if (!plannerData || currentEpoch === null) return;
+    const steps = {
+      ArrowLeft: -1,
+      ArrowRight: 1,
+      PageDown: -60 / TIMELINE_STEP_MINUTES,
+      PageUp: 60 / TIMELINE_STEP_MINUTES,
+    };
+    if (!(event.key in steps)) return;
+    event.preventDefault();
+    scrubToEpoch(
+      currentEpoch + steps[event.key] * TIMELINE_STEP_MINUTES * 60 * 1000,
+    );
+  }
 
-  // Get user's timezone
-  const userTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
-  userTimezoneSpan.textContent = userTimezone;
+  /**
+   * Pin the converter to a reference-zone date and time chosen by the user
+   */
+  function selectReferenceTime(date, time, reference = plannerData.reference) {
+    shareInUrl = true;
+    pinClock();
+    return showReferenceTime(date, time, reference);
+  }
 
-  // Determine default timezone - use user's timezone if supported, otherwise Chile
-  const supportedTimezones = [
-    "America/Santiago",
-    "America/New_York",
-    "America/Argentina/Buenos_Aires",
-    "America/Bogota",
-    "America/Santo_Domingo",
-  ];
-  let lastEditedTimezone = supportedTimezones.includes(userTimezone)
-    ? userTimezone
-    : "America/Santiago";
-
-  // Timezone information with flag emojis
-  const timezoneData = {
-    "America/Santiago": {
-      name: "Chile",
-      location: "Santiago",
-      country: "CL",
-      flag: "🇨🇱",
-    },
-    "America/New_York": {
-      name: "United States",
-      location: "New York",
-      country: "US",
-      flag: "🇺🇸",
-    },
-    "America/Argentina/Buenos_Aires": {
-      name: "Argentina",
-      location: "Buenos Aires",
-      country: "AR",
-      flag: "🇦🇷",
-    },
-    "America/Bogota": {
-      name: "Colombia",
-      location: "Bogotá",
-      country: "CO",
-      flag: "🇨🇴",
-    },
-    "America/Santo_Domingo": {
-      name: "Dominican Republic",
-      location: "Santo Domingo",
-      country: "DO",
-      flag: "🇩🇴",
-    },
-  };
-
-  /**
-   * Insert flag emojis into their containers
-   */
-  function insertFlags() {
-    Object.keys(timezoneData).forEach((timezone) => {
-      const flagContainer = document.getElementById(`flag-${timezone}`);
-      if (flagContainer && timezoneData[timezone].flag) {
-        flagContainer.textContent = timezoneData[timezone].flag;
-      }
-    });
+  /**
+   * Load a reference-zone date and time into the converter
+   */
+  function showReferenceTime(date, time, reference) {
+    const dateChanged = dateInput.value !== date;
+    lastEditedTimezone = reference;
+    dateInput.value = date;
+    const sourceInput = getTimeInput(reference);
+    if (sourceInput) {
+      sourceInput.value = time;
+      updateAmPmDisplay(reference, time);
+    }
+    const conversion = convertTimes(reference, date, time);
+    if (dateChanged) {
+      refreshDatePanels();
+    }
+    return conversion;
   }
 
   /**
-   * Update AM/PM display for a timezone
+   * Handle clicks on planner slots and suggested windows
    */
-  function updateAmPmDisplay(timezone, time24) {
-    const [hours, minutes] = time24.split(":");
-    const hour = parseInt(hours, 10);
-    const ampm = hour >= 12 ? "PM" : "AM";
+  function handlePlannerClick(event) {
+    if (!plannerData) return;
 
-    const ampmElement = document.querySelector(
-      `[data-timezone="${timezone}"] .ampm-display`,
-    );
-    if (ampmElement) {
-      ampmElement.textContent = ampm;
+    const cell = event.target.closest(".planner-cell");
+    if (cell) {
+      const slot = plannerData.slots[Number(cell.getAttribute("data-slot"))];
+      const local = slot.local[plannerData.reference];
+      selectReferenceTime(local.date, local.time);
+      return;
+    }
+
+    const suggestion = event.target.closest(".planner-window");
+    if (suggestion) {
+      const meetingWindow = plannerData.windows.find(
+        (candidate) =>
+          String(candidate.startEpoch) ===
+          suggestion.getAttribute("data-epoch"),
+      );
+      const local = meetingWindow.local[plannerData.reference];
+      selectReferenceTime(local.date, local.start);
     }
   }
 
   /**
-   * Update timezone offset display
+   * Handle edits to a zone's working hours in the planner
    */
-  function updateTimezoneOffsets(date) {
-    const offsetElements = document.querySelectorAll(".timezone-offset");
+  function handleWorkingHoursChange(event) {
+    const input = event.target;
+    if (!input.classList.contains("planner-hours")) return;
 
-    offsetElements.forEach((element) => {
-      const timezone = element.getAttribute("data-timezone");
-      try {
-        // Create a date object for the selected date at noon to avoid DST edge cases
-        const testDate = new Date(`${date}T12:00:00`);
-        const formatter = new Intl.DateTimeFormat("en", {
-          timeZone: timezone,
-          timeZoneName: "longOffset",
-        });
+    const value = input.value.trim();
+    if (!/^\d{1,2}:\d{2}-\d{1,2}:\d{2}$/.test(value)) {
+      input.classList.add("planner-hours--invalid");
+      return;
+    }
+    input.classList.remove("planner-hours--invalid");
+    workingHours[input.getAttribute("data-timezone")] = value;
+    localStorage.setItem("workingHours", JSON.stringify(workingHours));
+    refreshMeetingPlanner(dateInput.value);
+  }
 
-        const parts = formatter.formatToParts(testDate);
-        const offsetPart = parts.find((part) => part.type === "timeZoneName");
+  /**
+   * Handle time input changes
+   */
+  function handleTimeInputChange(event) {
+    const input = event.target;
+    const timezone = input.getAttribute("data-timezone");
+    const time = input.value;
+    const date = dateInput.value;
 
-        if (offsetPart) {
-          element.textContent = offsetPart.value.replace("GMT", "UTC");
-        }
-      } catch (error) {
-        console.warn(`Could not get offset for ${timezone}:`, error);
+    if (date && time && !isUpdating) {
+      const sourceChanged = timezone !== lastEditedTimezone;
+      shareInUrl = true;
+      pinClock();
+      lastEditedTimezone = timezone;
+      updateAmPmDisplay(timezone, time);
+      convertTimes(timezone, date, time);
+      if (sourceChanged) {
+        // The planner grid is aligned on the reference timezone
+        refreshMeetingPlanner(date);
       }
-    });
+    }
   }
 
   /**
-   * Format date and time for display
+   * Handle date input changes
    */
-  function formatDateTime(date, time, timezone) {
-    try {
-      const [year, month, day] = date.split("-");
-      const [hour, minute] = time.split(":");
-      const dateObj = new Date(year, month - 1, day, hour, minute);
+  function handleDateChange() {
+    const date = dateInput.value;
 
-      return dateObj.toLocaleString("en-US", {
-        weekday: "long",
-        year: "numeric",
-        month: "long",
-        day: "numeric",
-        hour: "2-digit",
-        minute: "2-digit",
-        timeZone: timezone,
-      });
-    } catch (error) {
-      return `${date} ${time}`;
+    if (date && !isUpdating) {
+      shareInUrl = true;
+      pinClock();
+      // Find the last edited time input and use it as source
+      const sourceInput = getTimeInput(lastEditedTimezone);
+      const time = sourceInput ? sourceInput.value : "12:00";
+
+      if (time) {
+        convertTimes(lastEditedTimezone, date, time);
+      }
+      refreshDatePanels();
     }
   }
 
   /**
-   * Highlight the active timezone card
+   * Handle the remove/reorder buttons on each card
    */
-  function highlightActiveTimezone(activeTimezone) {
-    // Remove previous highlights
-    document.querySelectorAll(".timezone-card").forEach((card) => {
-      card.classList.remove("timezone-card--active");
-    });
+  function handleCardAction(event) {
+    const button = event.target.closest(".card-action");
+    if (!button) return;
 
-    // Add highlight to active timezone
-    const activeCard = document.querySelector(
-      `[data-timezone="${activeTimezone}"]`,
-    );
-    if (activeCard) {
-      activeCard.classList.add("timezone-card--active");
+    const timezone = button
+      .closest(".timezone-card")
+      .getAttribute("data-timezone");
+    const action = button.getAttribute("data-action");
+    if (action === "remove") {
+      removeZone(timezone);
+    } else if (action === "move-left") {
+      moveZone(timezone, -1);
+    } else if (action === "move-right") {
+      moveZone(timezone, 1);
     }
   }
 
   /**
-   * Convert times from source timezone to all others
+   * Handle the add-timezone form
    */
-  async function convertTimes(sourceTimezone, date, time) {
-    if (isUpdating) return;
+  function handleZoneFormSubmit(event) {
+    event.preventDefault();
+    // Enter picks the highlighted suggestion; a full identifier typed
+    // without one is added as is
+    if (activeZoneMatch >= 0) {
+      pickZoneSuggestion(activeZoneMatch);
+      return;
+    }
+    const timezone = zoneInput.value.trim();
+    if (timezone) {
+      addZone(timezone);
+      zoneInput.value = "";
+    }
+  }
 
-    try {
-      statusMessage.textContent = "Updating conversions...";
-      statusMessage.className = "status-message status-message--loading";
+  /**
+   * Download the reference time as an iCalendar event in the source zone,
+   * listing the equivalent time in every displayed zone
+   */
+  function handleEventFormSubmit(event) {
+    event.preventDefault();
+    const input = getTimeInput(lastEditedTimezone);
+    if (!dateInput.value || !input || !input.value) return;
 
-      const response = await fetch(
-        `/convert-multi?date=${encodeURIComponent(date)}&time=${encodeURIComponent(time)}&source=${encodeURIComponent(sourceTimezone)}`,
-      );
+    const params = new URLSearchParams({
+      date: dateInput.value,
+      time: input.value,
+      source: lastEditedTimezone,
+      zones: zones.join(","),
+      duration: eventDuration.value,
+      title: eventTitle.value.trim() || t("event.title"),
+    });
+    window.location.href = `/event.ics?${params}`;
+  }
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+  /**
+   * Copy a link to the current conversion, shortened through `/s` when the
+   * server is reachable
+   */
+  async function handleShareClick() {
+    shareInUrl = true;
+    writeUrlState();
+    let link = window.location.href;
+    try {
+      const response = await fetchFromServer("/s", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(getShareState()),
+      });
+      if (response.ok) {
+        const data = await response.json();
+        link = new URL(data.url, window.location.href).href;
       }
+    } catch (error) {
+      console.warn("Could not create a short link:", error);
+    }
 
-      const data = await response.json();
+    try {
+      await navigator.clipboard.writeText(link);
+      statusMessage.textContent = t("status.linkCopied", { link });
+      statusMessage.className = "status-message status-message--success";
+    } catch (error) {
+      statusMessage.textContent = t("status.shareLink", { link });
+      statusMessage.className = "status-message status-message--warning";
+    }
+  }
 
-      isUpdating = true;
+  /**
+   * Send a CSV file to `/convert-batch` and download the converted copy,
+   * with the displayed zones as the target columns
+   */
+  async function convertCsvFile(file) {
+    try {
+      statusMessage.textContent = t("status.converting", { file: file.name });
+      statusMessage.className = "status-message status-message--loading";
 
-      // Update all time inputs with converted times and AM/PM
-      timeInputs.forEach((input) => {
-        const timezone = input.getAttribute("data-timezone");
-        if (data[timezone]) {
-          input.value = data[timezone];
-          updateAmPmDisplay(timezone, data[timezone]);
-        }
-      });
+      const response = await fetchFromServer(
+        `/convert-batch?zones=${encodeURIComponent(zones.join(","))}&source=${encodeURIComponent(lastEditedTimezone)}&format=csv`,
+        {
+          method: "POST",
+          headers: { "Content-Type": "text/csv" },
+          body: file,
+        },
+      );
 
-      // Update current datetime display if using system timezone
-      if (
-        sourceTimezone === userTimezone ||
-        sourceTimezone === "America/Santiago"
-      ) {
-        const displayTimezone =
-          sourceTimezone === userTimezone ? userTimezone : sourceTimezone;
-        currentDateTimeSpan.textContent = formatDateTime(
-          date,
-          time,
-          displayTimezone,
-        );
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
       }
 
-      // Update timezone offsets
-      updateTimezoneOffsets(date);
+      const blob = await response.blob();
+      const link = document.createElement("a");
+      link.href = URL.createObjectURL(blob);
+      link.download = `${file.name.replace(/\.csv$/i, "")}-converted.csv`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(link.href), 0);
 
-      // Highlight active timezone
-      highlightActiveTimezone(sourceTimezone);
-
-      statusMessage.textContent = `Conversions based on ${timezoneData[sourceTimezone]?.name || sourceTimezone}`;
+      statusMessage.textContent = t("status.converted", { file: file.name });
       statusMessage.className = "status-message status-message--success";
     } catch (error) {
-      console.error("Error converting times:", error);
-      statusMessage.textContent = `Error converting times: ${error.message}`;
+      console.error("Error converting file:", error);
+      statusMessage.textContent = t("status.convertFileError", {
+        file: file.name,
+        message: error.message,
+      });
       statusMessage.className = "status-message status-message--error";
-    } finally {
-      isUpdating = false;
     }
   }
 
   /**
-   * Load current time and perform initial conversion
+   * Send an .ics file to `/import-ics` and list its events in every zone
    */
-  async function loadInitialTimes() {
+  async function importIcsFile(file) {
     try {
-      statusMessage.textContent = "Loading current times...";
+      statusMessage.textContent = t("status.reading", { file: file.name });
       statusMessage.className = "status-message status-message--loading";
 
-      const response = await fetch("/current");
+      const response = await fetchFromServer(
+        `/import-ics?zones=${encodeURIComponent(zones.join(","))}&source=${encodeURIComponent(userTimezone)}`,
+        {
+          method: "POST",
+          headers: { "Content-Type": "text/calendar" },
+          body: file,
+        },
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
 
-      if (response.ok) {
-        const data = await response.json();
+      importedEvents = data.events;
+      renderImportedEvents(data);
+      statusMessage.textContent = t("status.imported", {
+        count: data.events.length,
+        file: file.name,
+      });
+      statusMessage.className = data.warnings.length
+        ? "status-message status-message--warning"
+        : "status-message status-message--success";
+      if (data.warnings.length) {
+        statusMessage.textContent += ` (${data.warnings.join("; ")})`;
+      }
+    } catch (error) {
+      console.error("Error importing calendar:", error);
+      statusMessage.textContent = t("status.importError", {
+        file: file.name,
+        message: error.message,
+      });
+      statusMessage.className = "status-message status-message--error";
+    }
+  }
 
-        // Set date input
-        dateInput.value = data.date;
+  /**
+   * Render imported events, each with its start and end in every zone
+   */
+  function renderImportedEvents(data) {
+    importedEventList.innerHTML = "";
+    importedEventList.hidden = data.events.length === 0;
 
-        // Use server's current time data which already includes conversions
-        // Set the user's timezone time from server response (or Chile as fallback)
-        const userTimezoneInput = document.querySelector(
-          `[data-timezone="${lastEditedTimezone}"]`,
-        );
-        if (userTimezoneInput) {
-          userTimezoneInput.value = data.time;
-          updateAmPmDisplay(lastEditedTimezone, data.time);
-        }
+    data.events.forEach((importedEvent, index) => {
+      const item = document.createElement("li");
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "imported-event";
+      button.dataset.index = index;
+      button.title = t("imported.use");
 
-        // Update current date/time display
-        currentDateTimeSpan.textContent = formatDateTime(
-          data.date,
-          data.time,
-          lastEditedTimezone,
-        );
+      const title = document.createElement("span");
+      title.className = "imported-event-title";
+      title.textContent = importedEvent.title || t("imported.untitled");
+      const meta = document.createElement("span");
+      meta.className = "imported-event-meta";
+      const { start, end } = importedEvent;
+      meta.textContent = [
+        importedEvent.allDay
+          ? t("imported.allDay", { date: start.date })
+          : `${start.date} ${formatClock(start.time)}–${formatClock(end.time)}`,
+        importedEvent.floating
+          ? t("imported.floating", { zone: importedEvent.timezone })
+          : importedEvent.timezone,
+        importedEvent.recurring ? t("imported.recurring") : "",
+      ]
+        .filter(Boolean)
+        .join(" · ");
+      button.append(title, meta);
 
-        // Show all conversions from server response
-        if (data.conversions) {
-          isUpdating = true;
-          timeInputs.forEach((input) => {
-            const timezone = input.getAttribute("data-timezone");
-            if (timezone !== "America/Santiago" && data.conversions[timezone]) {
-              input.value = data.conversions[timezone];
-              updateAmPmDisplay(timezone, data.conversions[timezone]);
-            }
-          });
-          isUpdating = false;
-        }
+      zones.forEach((timezone) => {
+        const info = zoneInfo(timezone);
+        const localStart = start.conversions[timezone];
+        const localEnd = end.conversions[timezone];
+        const line = document.createElement("span");
+        line.className = "imported-event-time";
+        const shift = (local) =>
+          local.dayOffset === 0
+            ? ""
+            : ` (${local.dayOffset > 0 ? "+" : "−"}${Math.abs(local.dayOffset)}d)`;
+        const weekday = i18n.formatDate(localStart.date, locale, {
+          weekday: "short",
+        });
+        line.textContent = `${info.flag} ${info.location}: ${weekday} ${formatClock(localStart.time)}${shift(localStart)} – ${formatClock(localEnd.time)}${shift(localEnd)}`;
+        button.appendChild(line);
+      });
 
-        // Ensure user's timezone time is always visible by converting from its own time
-        await convertTimes(lastEditedTimezone, data.date, data.time);
+      item.appendChild(button);
+      importedEventList.appendChild(item);
+    });
+  }
 
-        // Update timezone offsets
-        updateTimezoneOffsets(data.date);
-        highlightActiveTimezone(lastEditedTimezone);
-      } else {
-        // Fallback to user's timezone local time (or Chile if not supported)
-        const now = new Date();
-        const currentDate = now.toISOString().split("T")[0];
-        const userTime = new Intl.DateTimeFormat("en-US", {
-          timeZone: lastEditedTimezone,
-          hour: "2-digit",
-          minute: "2-digit",
-          hour12: false,
-        }).format(now);
-
-        dateInput.value = currentDate;
-
-        const userTimezoneInput = document.querySelector(
-          `[data-timezone="${lastEditedTimezone}"]`,
-        );
-        if (userTimezoneInput) {
-          userTimezoneInput.value = userTime;
-          updateAmPmDisplay(lastEditedTimezone, userTime);
-        }
+  /**
+   * Load a clicked imported event into the converter, in the event's zone
+   */
+  function handleImportedEventClick(event) {
+    const button = event.target.closest(".imported-event");
+    if (!button) return;
+    const importedEvent = importedEvents[Number(button.dataset.index)];
+    if (!importedEvent) return;
 
-        currentDateTimeSpan.textContent = formatDateTime(
-          currentDate,
-          userTime,
-          lastEditedTimezone,
-        );
-        await convertTimes(lastEditedTimezone, currentDate, userTime);
-      }
-    } catch (error) {
-      console.error("Error loading initial times:", error);
+    const timezone = importedEvent.timezone;
+    if (!zones.includes(timezone)) {
+      zones.push(timezone);
+      saveZones();
+      renderTimezoneCards();
+    }
+    selectReferenceTime(
+      importedEvent.start.date,
+      importedEvent.start.time,
+      timezone,
+    );
+  }
+
+  /**
+   * Parse the free-text phrase and convert its most likely reading
+   */
+  async function handlePhraseSubmit(event) {
+    event.preventDefault();
+    const phrase = phraseInput.value.trim();
+    if (!phrase) return;
 
-      // Fallback to user's timezone local time (or Chile if not supported)
-      const now = new Date();
-      const currentDate = now.toISOString().split("T")[0];
-      const userTime = new Intl.DateTimeFormat("en-US", {
-        timeZone: lastEditedTimezone,
-        hour: "2-digit",
-        minute: "2-digit",
-        hour12: false,
-      }).format(now);
-
-      dateInput.value = currentDate;
-      const userTimezoneInput = document.querySelector(
-        `[data-timezone="${lastEditedTimezone}"]`,
+    try {
+      statusMessage.textContent = t("phrase.reading");
+      statusMessage.className = "status-message status-message--loading";
+
+      const response = await fetchFromServer(
+        `/parse?q=${encodeURIComponent(phrase)}&source=${encodeURIComponent(lastEditedTimezone)}&locale=${encodeURIComponent(locale)}`,
       );
-      if (userTimezoneInput) {
-        userTimezoneInput.value = userTime;
-        updateAmPmDisplay(lastEditedTimezone, userTime);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
       }
 
-      const timezoneName =
-        timezoneData[lastEditedTimezone]?.name || lastEditedTimezone;
-      statusMessage.textContent = `Using ${timezoneName} local time`;
-      statusMessage.className = "status-message status-message--warning";
+      phraseCandidates = data.candidates;
+      renderPhraseCandidates();
+      applyPhraseCandidate(phraseCandidates[0]);
+    } catch (error) {
+      console.error("Error parsing phrase:", error);
+      phraseCandidates = [];
+      renderPhraseCandidates();
+      statusMessage.textContent = t("status.error", { message: error.message });
+      statusMessage.className = "status-message status-message--error";
     }
   }
 
   /**
-   * Handle time input changes
+   * List the readings after the first, so a wrong guess is one click away
    */
-  function handleTimeInputChange(event) {
-    const input = event.target;
-    const timezone = input.getAttribute("data-timezone");
-    const time = input.value;
-    const date = dateInput.value;
+  function renderPhraseCandidates() {
+    phraseCandidateList.innerHTML = "";
+    phraseCandidateList.hidden = phraseCandidates.length < 2;
 
-    if (date && time && !isUpdating) {
-      lastEditedTimezone = timezone;
-      updateAmPmDisplay(timezone, time);
-      convertTimes(timezone, date, time);
-    }
+    phraseCandidates.forEach((candidate, index) => {
+      const item = document.createElement("li");
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "phrase-candidate";
+      button.dataset.index = index;
+      button.title = candidate.notes.join("; ");
+      button.textContent = `${candidate.label} (${Math.round(candidate.confidence * 100)}%)`;
+      item.appendChild(button);
+      phraseCandidateList.appendChild(item);
+    });
   }
 
   /**
-   * Handle date input changes
+   * Show a reading of the phrase on the cards, adding its zone if needed
    */
-  function handleDateChange() {
-    const date = dateInput.value;
-
-    if (date && !isUpdating) {
-      // Find the last edited time input and use it as source
-      const sourceInput = document.querySelector(
-        `[data-timezone="${lastEditedTimezone}"]`,
+  async function applyPhraseCandidate(candidate) {
+    let { date, time, timezone } = candidate;
+    if (!isValidTimeZone(timezone)) {
+      // A fixed offset ("EST" read as UTC-05:00) has no card; show the
+      // moment on the reference card instead
+      const data = await requestConversion(timezone, date, time);
+      ({ date, time } = data.conversions[lastEditedTimezone]);
+      timezone = lastEditedTimezone;
+    } else if (!zones.includes(timezone)) {
+      zones.push(timezone);
+      saveZones();
+      renderTimezoneCards();
+    }
+    phraseCandidateList
+      .querySelectorAll(".phrase-candidate")
+      .forEach((button) =>
+        button.classList.toggle(
+          "phrase-candidate--active",
+          phraseCandidates[Number(button.dataset.index)] === candidate,
+        ),
       );
-      const time = sourceInput ? sourceInput.value : "12:00";
+    await selectReferenceTime(date, time, timezone);
+    if (
+      candidate.notes.length > 0 &&
+      !statusMessage.classList.contains("status-message--error")
+    ) {
+      statusMessage.textContent = `${candidate.label}: ${candidate.notes.join("; ")}`;
+      statusMessage.className = "status-message status-message--warning";
+    }
+  }
 
-      if (time) {
-        convertTimes(lastEditedTimezone, date, time);
-      }
+  /**
+   * Route a dropped or chosen file: calendars are imported, anything else is
+   * converted as CSV
+   */
+  function handleFile(file) {
+    if (!file) return;
+    if (/\.ics$/i.test(file.name) || file.type === "text/calendar") {
+      importIcsFile(file);
+    } else {
+      convertCsvFile(file);
     }
   }
 
-  // Event listeners
-  timeInputs.forEach((input) => {
-    input.addEventListener("change", handleTimeInputChange);
-    input.addEventListener("input", handleTimeInputChange);
-  });
+  /**
+   * Handle dragging a file over, off and onto the drop area
+   */
+  function handleBatchDrag(event) {
+    event.preventDefault();
+    batchDrop.classList.toggle(
+      "batch-drop--active",
+      event.type === "dragover" || event.type === "dragenter",
+    );
+    if (event.type === "drop") {
+      handleFile(event.dataTransfer.files[0]);
+    }
+  }
 
-  dateInput.addEventListener("change", handleDateChange);
+  // Event listeners (delegated, since cards are re-rendered when zones change).
+  // `input` fires for every edit of a time input, so `change` is not needed.
+  timezoneGrid.addEventListener("input", (event) => {
+    if (event.target.classList.contains("time-input")) {
+      handleTimeInputChange(event);
+    }
+  });
+  timezoneGrid.addEventListener("click", handleCardAction);
 
-  // Update time displays every minute
-  function updateCurrentTime() {
-    const now = new Date();
-    const pad = (n) => n.toString().padStart(2, "0");
-    const currentDate = now.toISOString().split("T")[0];
-    const currentTime = `${pad(now.getHours())}:${pad(now.getMinutes())}`;
+  plannerGrid.addEventListener("click", handlePlannerClick);
+  timelineTracks.addEventListener("pointerdown", handleTimelinePointerDown);
+  timelineTracks.addEventListener("pointermove", handleTimelinePointerMove);
+  timelineTracks.addEventListener("pointerup", handleTimelinePointerUp);
+  timelineTracks.addEventListener("pointercancel", handleTimelinePointerUp);
+  timelineCursor.addEventListener("keydown", handleTimelineKeydown);
+  plannerGrid.addEventListener("change", handleWorkingHoursChange);
+  plannerWindows.addEventListener("click", handlePlannerClick);
+  recurringForm.addEventListener("submit", handleRecurringSubmit);
+  recurringFrequency.addEventListener("change", () => {
+    recurringWeekdays.hidden = recurringFrequency.value !== "weekly";
+  });
+  recurringTable.addEventListener("click", handleRecurringClick);
+  durationForm.addEventListener("submit", handleDurationSubmit);
+  elapsedForm.addEventListener("submit", handleElapsedSubmit);
+  elapsedForm.addEventListener("focusin", prefillElapsedForm);
 
-    // Only update if we're still showing "today" and haven't manually changed the date
-    if (dateInput.value === currentDate) {
-      // Update timezone offsets as they might change due to DST
-      updateTimezoneOffsets(currentDate);
+  dateInput.addEventListener("change", handleDateChange);
+  zoneForm.addEventListener("submit", handleZoneFormSubmit);
+  zoneInput.addEventListener("input", handleZoneInput);
+  zoneInput.addEventListener("keydown", handleZoneKeydown);
+  zoneInput.addEventListener("blur", closeZoneSuggestions);
+  // mousedown rather than click, so the input's blur does not close the
+  // list first
+  zoneSuggestions.addEventListener("mousedown", (event) => {
+    const option = event.target.closest(".zone-suggestion");
+    if (option) {
+      event.preventDefault();
+      pickZoneSuggestion(Number(option.dataset.index));
     }
-  }
+  });
+  eventForm.addEventListener("submit", handleEventFormSubmit);
+  shareButton.addEventListener("click", handleShareClick);
+  ["dragenter", "dragover", "dragleave", "drop"].forEach((type) => {
+    batchDrop.addEventListener(type, handleBatchDrag);
+  });
+  batchFile.addEventListener("change", () => {
+    handleFile(batchFile.files[0]);
+    batchFile.value = "";
+  });
+  importedEventList.addEventListener("click", handleImportedEventClick);
+  phraseForm.addEventListener("submit", handlePhraseSubmit);
+  nowButton.addEventListener("click", returnToNow);
+  // Timers are throttled or frozen in background tabs; catch up on return
+  document.addEventListener("visibilitychange", () => {
+    if (!document.hidden) {
+      tickClock();
+    }
+  });
+  languageSelect.addEventListener("change", handleLanguageChange);
+  clockSelect.addEventListener("change", handleClockChange);
+  phraseCandidateList.addEventListener("click", (event) => {
+    const button = event.target.closest(".phrase-candidate");
+    if (button) {
+      applyPhraseCandidate(phraseCandidates[Number(button.dataset.index)]);
+    }
+  });
 
   // Theme toggle functionality
   const themeToggle = document.getElementById("themeToggle");
@@ -416,12 +2546,30 @@ document.addEventListener("DOMContentLoaded", () => {
   // Theme toggle event listener
   themeToggle.addEventListener("click", toggleTheme);
 
-  // Insert flags into containers
-  insertFlags();
+  // Follow the connection; the service worker keeps the page usable offline
+  window.addEventListener("online", () => {
+    isOffline = false;
+    renderConnection();
+  });
+  window.addEventListener("offline", () => {
+    isOffline = true;
+    renderConnection();
+  });
+  if ("serviceWorker" in navigator) {
+    navigator.serviceWorker.register("/sw.js").catch((error) => {
+      console.warn("Could not register the service worker:", error);
+    });
+  }
 
-  // Load initial times when page loads
-  loadInitialTimes();
+  // Show the interface in the chosen language, then render the timezone cards
+  translatePage();
+  renderClockMode();
+  renderConnection();
+  renderRecurringWeekdays();
+  currentDateTimeSpan.textContent = t("header.loading");
+  statusMessage.textContent = t("status.loading");
+  renderTimezoneCards();
 
-  // Update displays every minute
-  setInterval(updateCurrentTime, 60000);
+  // Load initial times when page loads, then keep the clock running
+  loadInitialTimes().then(tickClock);
 });
@@ -0,0 +1,99 @@
+/*
+ * Service worker: keeps the application shell available offline.
+ *
+ * The page and the scripts it converts with (tz-core.js and the modules it
+ * loads beside it) are cached when the worker installs.  Shell requests go
+ * to the network first, refreshing the cache, and fall back to the cache
+ * when the server cannot be reached.  The page, whatever its query, falls
+ * back to the cached copy, which then converts in the browser.  API
+ * requests are never cached, so they fail offline and the page reports it.
+ */
+
+/**
+ * Cache holding the shell.  Change the version whenever `SHELL_FILES`
+ * changes, so installing the new worker starts from a fresh cache.
+ */
+const SHELL_CACHE = "tz-shell-v1";
+
+/**
+ * Everything the page needs to start and convert without the server.
+ */
+const SHELL_FILES = [
+  "/",
+  "/styles.css",
+  "/zone-data.js",
+  "/zones.js",
+  "/tz-core.js",
+  "/i18n.js",
+  "/holidays.js",
+  "/catalog.js",
+  "/script.js",
+  "/manifest.webmanifest",
+  "/icon.svg",
+  "/icon-maskable.svg",
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting()),
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter((name) => name !== SHELL_CACHE)
+            .map((name) => caches.delete(name)),
+        ),
+      )
+      .then(() => self.clients.claim()),
+  );
+});
+
+/**
+ * Fetch a shell file, storing the response for offline use; when the
+ * network fails, answer from the cache instead.
+ *
+ * @param {Request} request Request for a shell file or a page
+ * @param {string} cacheKey Cache entry the response is kept under
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request, cacheKey) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(cacheKey, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(cacheKey);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const requestUrl = new URL(request.url);
+  if (request.method !== "GET" || requestUrl.origin !== self.location.origin) {
+    return;
+  }
+
+  // A page URL (possibly with a shared state in its query) works from the
+  // cached page; the page reads its state from the URL itself
+  if (request.mode === "navigate" && requestUrl.pathname === "/") {
+    event.respondWith(networkFirst(request, "/"));
+    return;
+  }
+  if (SHELL_FILES.includes(requestUrl.pathname)) {
+    event.respondWith(networkFirst(request, requestUrl.pathname));
+  }
+});
@@ -0,0 +1,402 @@
+/*
+ * The <tz-converter> custom element: the converter's timezone cards, for
+ * embedding in other pages.
+ *
+ * Browser only.  Load zone-data.js, zones.js, tz-core.js and i18n.js before
+ * this file; the element converts with the same shared core as the page and
+ * the server, in its own Shadow DOM so the host page's styles do not leak
+ * in.  For example:
+ *
+ *   <tz-converter zones="America/Santiago,Asia/Tokyo" hour12="false"></tz-converter>
+ *
+ * Attributes (all optional):
+ *   zones   Zones shown as cards, comma separated, written any way `zones=`
+ *           accepts (default: the registry's default zones)
+ *   source  Zone `date` and `time` are read in (default: the first zone)
+ *   date    Reference date, 'YYYY-MM-DD' (default: today in `source`)
+ *   time    Reference time, 'HH:MM'.  Without it the cards follow the
+ *           current time, minute by minute, until one is edited.
+ *   locale  Interface language (default: the page's, else English)
+ *   hour12  "true" or "false" (default: the locale's own clock)
+ *   theme   "light" (default) or "dark"
+ *
+ * Editing a card's time makes that zone the source.  Whenever the reference
+ * moment changes the element fires `referencechange` (bubbling out of the
+ * shadow root), with the `/convert-multi` payload for the moment as its
+ * `detail`; the same payload is the element's `value`.
+ */
+
+(function (root) {
+  if (!root.customElements || !root.TimezoneCore) return;
+
+  const core = root.TimezoneCore;
+  const registry = root.TimezoneRegistry;
+  const i18n = root.TimezoneI18n;
+
+  const STYLES = `
+    :host {
+      display: block;
+      font-family: inherit;
+      color: #333333;
+    }
+    :host([hidden]) {
+      display: none;
+    }
+    .cards {
+      display: grid;
+      grid-template-columns: repeat(auto-fit, minmax(9rem, 1fr));
+      border: 1px solid #e8e8e8;
+      background-color: #ffffff;
+    }
+    .card {
+      padding: 0.8rem;
+      border-right: 1px solid #e8e8e8;
+      border-left: 3px solid transparent;
+    }
+    .card:last-child {
+      border-right: none;
+    }
+    .card--active {
+      background-color: #fff5f5;
+      border-left-color: #dc3545;
+    }
+    .name {
+      font-weight: 800;
+      color: #2d2d2d;
+    }
+    .location,
+    .date,
+    .offset {
+      font-size: 0.8rem;
+      color: #888888;
+    }
+    .time {
+      display: flex;
+      align-items: baseline;
+      gap: 0.3rem;
+      margin: 0.4rem 0;
+    }
+    input {
+      width: 100%;
+      min-width: 0;
+      border: none;
+      background: none;
+      color: inherit;
+      font: inherit;
+      font-size: 1.6rem;
+      font-weight: 900;
+    }
+    input:focus {
+      outline: 2px solid #dc3545;
+    }
+    .period {
+      font-size: 0.8rem;
+      font-weight: 800;
+      color: #dc3545;
+    }
+    .warning,
+    .error {
+      margin-top: 0.4rem;
+      font-size: 0.75rem;
+      color: #856404;
+    }
+    .error {
+      padding: 0.8rem;
+      color: #dc3545;
+    }
+    :host([theme="dark"]) {
+      color: #e0e0e0;
+    }
+    :host([theme="dark"]) .cards {
+      border-color: #404040;
+      background-color: #2d2d2d;
+    }
+    :host([theme="dark"]) .card {
+      border-right-color: #404040;
+    }
+    :host([theme="dark"]) .card--active {
+      background-color: #3d2d2d;
+    }
+    :host([theme="dark"]) .name {
+      color: #ffffff;
+    }
+    :host([theme="dark"]) .location,
+    :host([theme="dark"]) .date,
+    :host([theme="dark"]) .offset {
+      color: #aaaaaa;
+    }
+    :host([theme="dark"]) .warning {
+      color: #ffc107;
+    }
+  `;
+
+  /**
+   * Add the element's styles to a shadow root: as a constructed stylesheet
+   * where supported (allowed by a Content Security Policy without
+   * 'unsafe-inline'), else as a <style> element.
+   */
+  function applyStyles(shadowRoot) {
+    if (shadowRoot.adoptedStyleSheets && root.CSSStyleSheet) {
+      try {
+        const sheet = new CSSStyleSheet();
+        sheet.replaceSync(STYLES);
+        shadowRoot.adoptedStyleSheets = [sheet];
+        return;
+      } catch (error) {
+        // Constructable stylesheets are unsupported; use a <style> element
+      }
+    }
+    const style = document.createElement("style");
+    style.textContent = STYLES;
+    shadowRoot.appendChild(style);
+  }
+
+  class TimezoneConverterElement extends HTMLElement {
+    static get observedAttributes() {
+      return ["zones", "source", "date", "time", "locale", "hour12", "theme"];
+    }
+
+    #zones = []; // Zones shown, in order
+    #reference = null; // {date, time, timezone} the cards are converted from
+    #value = null; // Last conversion, as sent with `referencechange`
+    #timer = null; // Next minute's update while following the current time
+
+    constructor() {
+      super();
+      this.attachShadow({ mode: "open" });
+      applyStyles(this.shadowRoot);
+      this.shadowRoot.addEventListener("change", (event) =>
+        this.#handleTimeChange(event),
+      );
+    }
+
+    connectedCallback() {
+      this.#render();
+    }
+
+    disconnectedCallback() {
+      clearTimeout(this.#timer);
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+      // The theme is styling only
+      if (this.isConnected && name !== "theme" && oldValue !== newValue) {
+        this.#render();
+      }
+    }
+
+    /**
+     * Zones shown as cards (IANA identifiers, in order).
+     */
+    get zones() {
+      return [...this.#zones];
+    }
+
+    /**
+     * The conversion on display: the `/convert-multi` payload for the
+     * reference moment, or null before the first one.
+     */
+    get value() {
+      return this.#value;
+    }
+
+    /**
+     * Interface language: the `locale` attribute, else the page's.
+     */
+    get #locale() {
+      return (
+        i18n.resolveLocale(this.getAttribute("locale") || "") ||
+        i18n.resolveLocale(document.documentElement.lang || "") ||
+        i18n.DEFAULT_LOCALE
+      );
+    }
+
+    /**
+     * Whether times read on a 12-hour clock.
+     */
+    get #hour12() {
+      const value = this.getAttribute("hour12");
+      return value === null
+        ? i18n.uses12HourClock(this.#locale)
+        : value === "true";
+    }
+
+    /**
+     * Build one card per zone from the attributes, then convert.
+     */
+    #render() {
+      clearTimeout(this.#timer);
+      this.shadowRoot.querySelector(".cards, .error")?.remove();
+      const locale = this.#locale;
+
+      let source;
+      try {
+        this.#zones = registry.parseZoneList(
+          this.getAttribute("zones") || registry.DEFAULT_ZONES,
+        );
+        source = registry.resolveTimeZoneInput(
+          this.getAttribute("source") || this.#zones[0],
+        );
+      } catch (error) {
+        this.#showError(error);
+        return;
+      }
+
+      const cards = document.createElement("div");
+      cards.className = "cards";
+      cards.setAttribute("part", "cards");
+      this.#zones.forEach((timezone) => {
+        const info = i18n.localizeZoneInfo(
+          registry.getZoneInfo(timezone),
+          locale,
+        );
+        const card = document.createElement("div");
+        card.className = "card";
+        card.setAttribute("part", "card");
+        card.dataset.timezone = timezone;
+        card.innerHTML = `
+          <div class="name"></div>
+          <div class="location"></div>
+          <div class="time">
+            <input type="time" step="60" />
+            <span class="period"></span>
+          </div>
+          <div class="date"></div>
+          <div class="offset"></div>
+          <div class="warning" hidden></div>
+        `;
+        card.querySelector(".name").textContent = `${info.flag} ${info.name}`;
+        card.querySelector(".location").textContent = info.location;
+        card.querySelector("input").setAttribute("aria-label", info.location);
+        card.querySelector("input").dataset.timezone = timezone;
+        cards.appendChild(card);
+      });
+      this.shadowRoot.appendChild(cards);
+
+      const time = this.getAttribute("time");
+      if (time) {
+        this.#reference = {
+          date: this.getAttribute("date") || core.getZonedNowDate(source),
+          time,
+          timezone: source,
+        };
+        this.#convert();
+      } else {
+        this.#followNow(source);
+      }
+    }
+
+    /**
+     * Show the current time in `timezone` and keep it current, converting
+     * again at each minute boundary.
+     */
+    #followNow(timezone) {
+      const now = new Date();
+      const parts = core.getZonedParts(now, timezone);
+      this.#reference = {
+        date: core.getZonedNowDate(timezone, now),
+        time: `${parts.hour}:${parts.minute}`,
+        timezone,
+      };
+      this.#convert();
+      this.#timer = setTimeout(
+        () => this.#followNow(timezone),
+        60000 - (Date.now() % 60000),
+      );
+    }
+
+    /**
+     * Convert the reference moment into every zone, update the cards and
+     * announce the new moment.
+     */
+    #convert() {
+      const { date, time, timezone } = this.#reference;
+      let result;
+      try {
+        result = core.convertToZones(date, time, timezone, this.#zones);
+      } catch (error) {
+        this.#showError(error);
+        return;
+      }
+      const locale = this.#locale;
+      const hour12 = this.#hour12;
+
+      this.shadowRoot.querySelectorAll(".card").forEach((card) => {
+        const zone = card.dataset.timezone;
+        const local = result.conversions[zone];
+        card.classList.toggle("card--active", zone === timezone);
+        card.querySelector("input").value = local.time;
+        card.querySelector(".period").textContent = hour12
+          ? i18n.formatDayPeriod(local.time, locale)
+          : "";
+        card.querySelector(".date").textContent = i18n.formatDate(
+          local.date,
+          locale,
+          { weekday: "short", day: "numeric", month: "short" },
+        );
+        card.querySelector(".offset").textContent =
+          `${local.utcOffset} ${local.abbreviation}`;
+
+        const warning = card.querySelector(".warning");
+        const status = result.resolution.status;
+        warning.hidden = zone !== timezone || status === "valid";
+        warning.textContent = warning.hidden
+          ? ""
+          : i18n.translate(locale, `card.${status}`, {
+              time: i18n.formatTime(time, locale, hour12),
+              resolved: i18n.formatTime(
+                result.resolution.resolved.time,
+                locale,
+                hour12,
+              ),
+              offset: result.resolution.resolved.utcOffset,
+            });
+      });
+
+      const changed = !this.#value || this.#value.epoch !== result.epoch;
+      this.#value = result;
+      if (changed) {
+        this.dispatchEvent(
+          new CustomEvent("referencechange", {
+            detail: result,
+            bubbles: true,
+            composed: true,
+          }),
+        );
+      }
+    }
+
+    /**
+     * An edited card becomes the source, on the date it was showing.
+     */
+    #handleTimeChange(event) {
+      const input = event.target;
+      if (!input.matches("input[type=time]") || !input.value) return;
+      const timezone = input.dataset.timezone;
+      clearTimeout(this.#timer);
+      this.#reference = {
+        date: this.#value.conversions[timezone].date,
+        time: input.value,
+        timezone,
+      };
+      this.#convert();
+    }
+
+    /**
+     * Replace the cards with an error message, e.g. for an unknown zone.
+     */
+    #showError(error) {
+      this.shadowRoot.querySelector(".cards, .error")?.remove();
+      const message = document.createElement("p");
+      message.className = "error";
+      message.setAttribute("part", "error");
+      message.textContent = error.message;
+      this.shadowRoot.appendChild(message);
+    }
+  }
+
+  if (!root.customElements.get("tz-converter")) {
+    root.customElements.define("tz-converter", TimezoneConverterElement);
+  }
+  root.TimezoneConverterElement = TimezoneConverterElement;
+})(typeof self !== "undefined" ? self : this);
@@ -0,0 +1,686 @@
+/*
+ * Shared time zone conversion core.
+ *
+ * Like zones.js, this file is loaded by the Node server (through `require`)
+ * and by the browser (as a plain <script> that exposes `window.TimezoneCore`),
+ * so both sides convert times with exactly the same code.  Everything here is
+ * built on `Intl.DateTimeFormat`; there are no external dependencies.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TimezoneCore = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  /**
+   * Earliest year a calendar date may have: the first full year of the
+   * Gregorian calendar, which `Date` extends backwards.
+   */
+  const MIN_YEAR = 1583;
+
+  const zonedPartsFormatters = new Map();
+
+  /**
+   * Fixed UTC offsets usable wherever a zone is expected, e.g. 'UTC+05:30'
+   * (the form `formatUtcOffset` produces).  `Intl` does not accept them, so
+   * they are handled here.
+   */
+  const FIXED_OFFSET_PATTERN = /^UTC([+-])(\d{2}):(\d{2})$/;
+
+  /**
+   * An error caused by the caller's input rather than by this code, tagged
+   * with a machine-readable `code` such as 'invalid_date' and the `status`
+   * the server answers it with (400).  Untagged errors are bugs.
+   *
+   * @param {string} code Error code
+   * @param {string} message Human-readable explanation
+   * @returns {Error}
+   */
+  function inputError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = 400;
+    return error;
+  }
+
+  /**
+   * Read the offset of a fixed-offset zone such as 'UTC-04:00'.
+   *
+   * @param {string} timeZone Zone identifier
+   * @returns {number|null} Offset in minutes, or null for any other zone
+   */
+  function parseFixedOffset(timeZone) {
+    const match = FIXED_OFFSET_PATTERN.exec(timeZone);
+    if (!match) {
+      return null;
+    }
+    const minutes = Number(match[2]) * 60 + Number(match[3]);
+    return match[1] === "-" ? -minutes : minutes;
+  }
+
+  /**
+   * Break a moment down into the calendar and clock fields observed in a zone.
+   *
+   * Fields are returned as zero-padded strings exactly as `Intl.DateTimeFormat`
+   * produces them (`hourCycle: "h23"` keeps midnight as "00" rather than "24").
+   *
+   * @param {Date} date Moment in time
+   * @param {string} timeZone IANA time zone identifier, or a fixed offset such as 'UTC+05:30'
+   * @returns {{year: string, month: string, day: string, hour: string, minute: string, second: string, weekday: string, timeZoneName: string}}
+   */
+  function getZonedParts(date, timeZone) {
+    // A fixed offset is UTC with the clock moved
+    const fixedOffset = parseFixedOffset(timeZone);
+    if (fixedOffset !== null) {
+      return {
+        ...getZonedParts(new Date(date.getTime() + fixedOffset * 60000), "UTC"),
+        timeZoneName: timeZone,
+      };
+    }
+
+    // Formatters are expensive to build and transition scans call this
+    // thousands of times, so keep one per zone.
+    let dtf = zonedPartsFormatters.get(timeZone);
+    if (!dtf) {
+      try {
+        dtf = new Intl.DateTimeFormat("en-US", {
+          timeZone,
+          hourCycle: "h23",
+          year: "numeric",
+          month: "2-digit",
+          day: "2-digit",
+          hour: "2-digit",
+          minute: "2-digit",
+          second: "2-digit",
+          weekday: "long",
+          timeZoneName: "short",
+        });
+      } catch (error) {
+        // Intl's own RangeError does not say which zone it rejected
+        throw inputError("unknown_time_zone", `Unknown time zone: ${timeZone}`);
+      }
+      zonedPartsFormatters.set(timeZone, dtf);
+    }
+    const values = {};
+    for (const part of dtf.formatToParts(date)) {
+      if (part.type !== "literal") {
+        values[part.type] = part.value;
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Determine the time‑zone offset (in minutes) for a given moment and zone.
+   *
+   * This helper computes the difference between UTC and local time in the
+   * specified time zone at the provided moment.  The returned value is the
+   * conventional offset used in programming: negative numbers denote zones
+   * west of UTC (e.g. UTC‑5 → ‑300), while positive numbers denote zones
+   * east of UTC.  The calculation uses `Intl.DateTimeFormat` to format
+   * `date` in the target zone and then reconstructs an equivalent UTC date
+   * from its parts.
+   *
+   * @param {Date} date Moment in time (interpreted as absolute, not local)
+   * @param {string} timeZone IANA time zone identifier (e.g. 'America/Santiago')
+   * @returns {number} Offset in minutes relative to UTC
+   */
+  function getOffset(date, timeZone) {
+    const values = getZonedParts(date, timeZone);
+    // Construct a UTC timestamp for the same calendar components as observed in the
+    // target time zone.  For example, if the formatted time in the zone is
+    // 2025-09-04 11:00:00, this UTC date corresponds to 11:00 UTC.
+    const asUTC = Date.UTC(
+      Number(values.year),
+      Number(values.month) - 1,
+      Number(values.day),
+      Number(values.hour),
+      Number(values.minute),
+      Number(values.second),
+    );
+    // The difference between the supplied moment (in UTC) and the reconstructed
+    // UTC date yields the offset.  A negative result means the zone is behind UTC.
+    // Milliseconds are dropped because the formatted parts stop at seconds.
+    const seconds = Math.floor(date.getTime() / 1000) * 1000;
+    return -((seconds - asUTC) / 60000);
+  }
+
+  /**
+   * Format an offset in minutes the way the UI displays it, e.g. 'UTC-03:00'.
+   *
+   * @param {number} offsetMinutes Offset as returned by `getOffset`
+   * @returns {string} 'UTC' for a zero offset, otherwise 'UTC±HH:MM'
+   */
+  function formatUtcOffset(offsetMinutes) {
+    if (offsetMinutes === 0) {
+      return "UTC";
+    }
+    const sign = offsetMinutes < 0 ? "-" : "+";
+    const absolute = Math.abs(offsetMinutes);
+    const hours = String(Math.floor(absolute / 60)).padStart(2, "0");
+    const minutes = String(absolute % 60).padStart(2, "0");
+    return `UTC${sign}${hours}:${minutes}`;
+  }
+
+  /**
+   * Format an offset in minutes for an ISO 8601 timestamp, e.g. '-03:00'.
+   *
+   * @param {number} offsetMinutes Offset as returned by `getOffset`
+   * @returns {string} 'Z' for a zero offset, otherwise '±HH:MM'
+   */
+  function formatIsoOffset(offsetMinutes) {
+    return offsetMinutes === 0 ? "Z" : formatUtcOffset(offsetMinutes).slice(3);
+  }
+
+  /**
+   * Determine whether a zone is observing daylight saving time at a moment.
+   *
+   * The standard offset is taken to be the smaller of the offsets observed in
+   * January and July of the same year, which works for both hemispheres.  Zones
+   * without DST have equal offsets and always report false.
+   *
+   * @param {Date} date Moment in time
+   * @param {string} timeZone IANA time zone identifier
+   * @returns {boolean} True when the offset at `date` is ahead of standard time
+   */
+  function isDaylightSavingTime(date, timeZone) {
+    const year = date.getUTCFullYear();
+    const standardOffset = Math.min(
+      getOffset(new Date(Date.UTC(year, 0, 1)), timeZone),
+      getOffset(new Date(Date.UTC(year, 6, 1)), timeZone),
+    );
+    return getOffset(date, timeZone) > standardOffset;
+  }
+
+  /**
+   * Describe an absolute moment as observed in a zone.
+   *
+   * `dayOffset` is the number of calendar days between the local date in
+   * `timeZone` and `referenceDate` (normally the date entered in the source
+   * zone), so 22:00 in Santiago shown as 01:00 elsewhere yields `dayOffset: 1`.
+   * `iso` is the moment in ISO 8601 with the zone's offset, to the millisecond.
+   *
+   * @param {number} epochUTC UTC epoch timestamp in milliseconds
+   * @param {string} timeZone IANA time zone identifier, or a fixed offset such as 'UTC+05:30'
+   * @param {string} referenceDate Date in the form 'YYYY-MM-DD'
+   * @returns {{time: string, date: string, weekday: string, dayOffset: number, utcOffset: string, offsetMinutes: number, abbreviation: string, isDST: boolean, iso: string}}
+   */
+  function describeMoment(epochUTC, timeZone, referenceDate) {
+    const moment = new Date(epochUTC);
+    const parts = getZonedParts(moment, timeZone);
+    const date = `${parts.year}-${parts.month}-${parts.day}`;
+    const [refYear, refMonth, refDay] = referenceDate.split("-").map(Number);
+    const dayOffset = Math.round(
+      (Date.UTC(
+        Number(parts.year),
+        Number(parts.month) - 1,
+        Number(parts.day),
+      ) -
+        Date.UTC(refYear, refMonth - 1, refDay)) /
+        86400000,
+    );
+    const offsetMinutes = getOffset(moment, timeZone);
+    const milliseconds = String(((epochUTC % 1000) + 1000) % 1000).padStart(
+      3,
+      "0",
+    );
+
+    return {
+      time: `${parts.hour}:${parts.minute}`,
+      date,
+      weekday: parts.weekday,
+      dayOffset,
+      utcOffset: formatUtcOffset(offsetMinutes),
+      offsetMinutes,
+      abbreviation: parts.timeZoneName,
+      isDST: isDaylightSavingTime(moment, timeZone),
+      iso: `${date}T${parts.hour}:${parts.minute}:${parts.second}.${milliseconds}${formatIsoOffset(offsetMinutes)}`,
+    };
+  }
+
+  /**
+   * Today's calendar date as observed in a zone.
+   *
+   * @param {string} timeZone IANA time zone identifier
+   * @param {Date} now Moment to read the date at (default: the current time)
+   * @returns {string} Date in the form 'YYYY-MM-DD'
+   */
+  function getZonedNowDate(timeZone, now = new Date()) {
+    const parts = getZonedParts(now, timeZone);
+    return `${parts.year}-${parts.month}-${parts.day}`;
+  }
+
+  /**
+   * Shift a 'YYYY-MM-DD' calendar date by a number of days.
+   *
+   * @param {string} dateStr Date in the form 'YYYY-MM-DD'
+   * @param {number} days Days to add (may be negative)
+   * @returns {string} Shifted date in the form 'YYYY-MM-DD'
+   */
+  function addDays(dateStr, days) {
+    const [year, month, day] = dateStr.split("-").map(Number);
+    // `setUTCFullYear` takes years 0 to 99 as they are, unlike `Date.UTC`
+    const shifted = new Date(0);
+    shifted.setUTCFullYear(year, month - 1, day + days);
+    return shifted.toISOString().split("T")[0];
+  }
+
+  /**
+   * Ways of resolving a local time that falls in a DST gap or overlap, modeled
+   * on Temporal's `disambiguation` option:
+   *   • compatible – later instant for gaps, earlier instant for overlaps
+   *   • earlier    – the earlier of the two possible instants
+   *   • later      – the later of the two possible instants
+   *   • reject     – throw instead of guessing
+   */
+  const DISAMBIGUATION_MODES = ["compatible", "earlier", "later", "reject"];
+
+  /**
+   * Split a wall-clock time such as '14:30', '14:30:15' or '14:30:15.250'
+   * into numbers.
+   *
+   * @param {string} timeStr Time in 'HH:MM', 'HH:MM:SS' or 'HH:MM:SS.sss' format
+   * @returns {{hour: number, minute: number, second: number, millisecond: number}|null}
+   *   Null when the text is not a time, or not one a clock shows ('25:99')
+   */
+  function parseClock(timeStr) {
+    const match = /^(\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?$/.exec(
+      String(timeStr),
+    );
+    if (!match) {
+      return null;
+    }
+    const clock = {
+      hour: Number(match[1]),
+      minute: Number(match[2]),
+      second: Number(match[3] || 0),
+      millisecond: Number((match[4] || "0").padEnd(3, "0")),
+    };
+    if (clock.hour > 23 || clock.minute > 59 || clock.second > 59) {
+      return null;
+    }
+    return clock;
+  }
+
+  /**
+   * Split a calendar date such as '2025-03-09' into numbers.
+   *
+   * `Date.UTC` silently rolls '2025-02-31' over to March 3rd, so the date
+   * is checked against the month's length.  It also reads years 0 to 99 as
+   * 1900 to 1999, so years before `MIN_YEAR` are refused.
+   *
+   * @param {string} dateStr Date in 'YYYY-MM-DD' format
+   * @returns {{year: number, month: number, day: number}|null}
+   *   Null when the text is not a date, or names a day that does not exist
+   */
+  function parseCalendarDate(dateStr) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(dateStr));
+    if (!match) {
+      return null;
+    }
+    const [year, month, day] = match.slice(1).map(Number);
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    if (
+      year < MIN_YEAR ||
+      month < 1 ||
+      month > 12 ||
+      day < 1 ||
+      day > daysInMonth
+    ) {
+      return null;
+    }
+    return { year, month, day };
+  }
+
+  /**
+   * Resolve a local wall‑clock time in a zone to an absolute instant.
+   *
+   * A wall time normally maps to exactly one instant.  When clocks spring
+   * forward the skipped times map to none ("nonexistent"), and when they fall
+   * back the repeated times map to two ("ambiguous").  The candidate instants
+   * are found by trying the offsets in effect a day either side of the wall
+   * time and keeping those that round‑trip through `getOffset`.
+   *
+   * @param {string} dateStr Date in 'YYYY-MM-DD' format
+   * @param {string} timeStr Time in 'HH:MM' format, optionally with seconds and milliseconds ('HH:MM:SS.sss')
+   * @param {string} sourceTimezone IANA timezone identifier, or a fixed offset such as 'UTC+05:30'
+   * @param {string} disambiguation One of `DISAMBIGUATION_MODES` (default: 'compatible')
+   * @returns {{epoch: number, status: "valid"|"nonexistent"|"ambiguous", candidates: number[]}}
+   *   The chosen epoch (ms), how the wall time mapped, and every instant it could denote
+   * @throws {Error} On malformed input, or when `disambiguation` is 'reject' and
+   *   the wall time is nonexistent or ambiguous.  The error's `code` tells
+   *   which: 'invalid_date', 'invalid_time', 'invalid_disambiguation',
+   *   'unknown_time_zone', 'nonexistent_time' or 'ambiguous_time'
+   */
+  function resolveLocalDateTime(
+    dateStr,
+    timeStr,
+    sourceTimezone,
+    disambiguation = "compatible",
+  ) {
+    if (!DISAMBIGUATION_MODES.includes(disambiguation)) {
+      throw inputError(
+        "invalid_disambiguation",
+        `Invalid disambiguation: ${disambiguation} (expected one of ${DISAMBIGUATION_MODES.join(", ")})`,
+      );
+    }
+
+    const calendarDate = parseCalendarDate(dateStr);
+    if (!calendarDate) {
+      throw inputError(
+        "invalid_date",
+        `Invalid date: ${dateStr} (expected an existing YYYY-MM-DD date from ${MIN_YEAR} on)`,
+      );
+    }
+    const clock = parseClock(timeStr);
+    if (!clock) {
+      throw inputError(
+        "invalid_time",
+        `Invalid time: ${timeStr} (expected HH:MM from 00:00 to 23:59, optionally with seconds)`,
+      );
+    }
+    const { year, month, day } = calendarDate;
+
+    // The wall time expressed as if it were UTC.  Subtracting the zone's offset
+    // from it yields the real instant.
+    const wallTime = Date.UTC(
+      year,
+      month - 1,
+      day,
+      clock.hour,
+      clock.minute,
+      clock.second,
+      clock.millisecond,
+    );
+    const offsetBefore = getOffset(new Date(wallTime - DAY_MS), sourceTimezone);
+    const offsetAfter = getOffset(new Date(wallTime + DAY_MS), sourceTimezone);
+    const offsets = new Set([
+      offsetBefore,
+      getOffset(new Date(wallTime), sourceTimezone),
+      offsetAfter,
+    ]);
+    const candidates = [...offsets]
+      .map((offset) => wallTime - offset * 60 * 1000)
+      .filter(
+        (epoch) =>
+          getOffset(new Date(epoch), sourceTimezone) ===
+          (wallTime - epoch) / 60000,
+      )
+      .sort((a, b) => a - b);
+
+    if (candidates.length === 1) {
+      return { epoch: candidates[0], status: "valid", candidates };
+    }
+
+    const status = candidates.length > 1 ? "ambiguous" : "nonexistent";
+    if (disambiguation === "reject") {
+      throw inputError(
+        `${status}_time`,
+        status === "ambiguous"
+          ? `${dateStr} ${timeStr} is ambiguous in ${sourceTimezone} (clocks fall back)`
+          : `${dateStr} ${timeStr} does not exist in ${sourceTimezone} (clocks spring forward)`,
+      );
+    }
+
+    let epoch;
+    if (status === "ambiguous") {
+      epoch =
+        disambiguation === "later"
+          ? candidates[candidates.length - 1]
+          : candidates[0];
+    } else {
+      // Inside a gap: reading the wall time with the offset from after the
+      // transition lands before the gap, and with the offset from before it
+      // lands after the gap (Temporal's "compatible" behaviour).
+      epoch =
+        disambiguation === "earlier"
+          ? wallTime - offsetAfter * 60 * 1000
+          : wallTime - offsetBefore * 60 * 1000;
+    }
+    return { epoch, status, candidates };
+  }
+
+  /**
+   * Helper function to calculate UTC epoch from any timezone
+   * @param {string} dateStr Date in 'YYYY-MM-DD' format
+   * @param {string} timeStr Time in 'HH:MM' format (seconds and milliseconds optional)
+   * @param {string} sourceTimezone IANA timezone identifier, or a fixed offset such as 'UTC+05:30'
+   * @param {string} disambiguation How to resolve DST gaps and overlaps (see `resolveLocalDateTime`)
+   * @returns {number} UTC epoch timestamp in milliseconds
+   */
+  function calculateEpochFromTimezone(
+    dateStr,
+    timeStr,
+    sourceTimezone,
+    disambiguation = "compatible",
+  ) {
+    return resolveLocalDateTime(
+      dateStr,
+      timeStr,
+      sourceTimezone,
+      disambiguation,
+    ).epoch;
+  }
+
+  /**
+   * Convert a local date/time in a source zone into every requested zone.
+   *
+   * This is the `/convert-multi` payload: the requested moment, how its wall
+   * time was resolved (see `resolveLocalDateTime`) and a `describeMoment`
+   * entry per zone.
+   *
+   * The moment itself is also given as `epoch` (milliseconds), `epochSeconds`
+   * and `iso` (ISO 8601 in UTC).
+   *
+   * @param {string} dateStr Date in 'YYYY-MM-DD' format
+   * @param {string} timeStr Time in 'HH:MM' format, optionally with seconds and milliseconds ('HH:MM:SS.sss')
+   * @param {string} sourceTimezone IANA timezone identifier, or a fixed offset such as 'UTC+05:30'
+   * @param {string[]} zones IANA identifiers to convert into
+   * @param {string} disambiguation How to resolve DST gaps and overlaps (default: 'compatible')
+   * @returns {{date: string, time: string, timezone: string, epoch: number, epochSeconds: number, iso: string, resolution: object, conversions: Record<string, ReturnType<typeof describeMoment>>}}
+   */
+  function convertToZones(
+    dateStr,
+    timeStr,
+    sourceTimezone,
+    zones,
+    disambiguation = "compatible",
+  ) {
+    const resolved = resolveLocalDateTime(
+      dateStr,
+      timeStr,
+      sourceTimezone,
+      disambiguation,
+    );
+    const conversions = {};
+    for (const tz of zones) {
+      conversions[tz] = describeMoment(resolved.epoch, tz, dateStr);
+    }
+
+    return {
+      date: dateStr,
+      time: timeStr,
+      timezone: sourceTimezone,
+      ...describeInstant(resolved.epoch),
+      resolution: {
+        status: resolved.status,
+        disambiguation,
+        epoch: resolved.epoch,
+        resolved: describeMoment(resolved.epoch, sourceTimezone, dateStr),
+        candidates: resolved.candidates.map((epoch) =>
+          formatUtcOffset(getOffset(new Date(epoch), sourceTimezone)),
+        ),
+      },
+      conversions,
+    };
+  }
+
+  /**
+   * An instant as epoch milliseconds, epoch seconds and ISO 8601 in UTC.
+   *
+   * @param {number} epoch UTC epoch timestamp in milliseconds
+   * @returns {{epoch: number, epochSeconds: number, iso: string}}
+   */
+  function describeInstant(epoch) {
+    return {
+      epoch,
+      epochSeconds: epoch / 1000,
+      iso: new Date(epoch).toISOString(),
+    };
+  }
+
+  /**
+   * Read an instant written as epoch seconds (up to 11 digits, optionally
+   * with a fraction), epoch milliseconds (12 digits or more) or ISO 8601
+   * ('2025-06-01T14:30:00-04:00', '2025-06-01T18:30:00.250Z').  An ISO date
+   * and time without an offset is a wall time, whose zone the caller supplies.
+   *
+   * @param {string} value Text to read
+   * @returns {{epoch: number, offsetMinutes: number|null}|{date: string, time: string}}
+   *   The instant (with the ISO offset it was written with, if any), or the
+   *   wall date and time
+   * @throws {Error} When the text is neither, or names an impossible date
+   *   (code 'invalid_instant')
+   */
+  function parseInstant(value) {
+    const text = String(value).trim();
+
+    const epochMatch = /^(-?)(\d+)(?:\.(\d+))?$/.exec(text);
+    if (epochMatch) {
+      const isSeconds = epochMatch[2].length <= 11;
+      if (!isSeconds && epochMatch[3]) {
+        throw inputError(
+          "invalid_instant",
+          `Epoch milliseconds cannot have a fraction: ${text}`,
+        );
+      }
+      const epoch = isSeconds ? Math.round(Number(text) * 1000) : Number(text);
+      if (
+        !Number.isSafeInteger(epoch) ||
+        Number.isNaN(new Date(epoch).getTime())
+      ) {
+        throw inputError("invalid_instant", `Epoch out of range: ${text}`);
+      }
+      return { epoch, offsetMinutes: null };
+    }
+
+    const isoMatch =
+      /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:[.,](\d+))?)?(Z|[+-]\d{2}(?::?\d{2})?)?$/i.exec(
+        text,
+      );
+    if (!isoMatch) {
+      throw inputError(
+        "invalid_instant",
+        `Unrecognised date and time: ${text} (expected ISO 8601 or epoch seconds or milliseconds)`,
+      );
+    }
+    const [, year, month, day, hour, minute, second, fraction, offset] =
+      isoMatch;
+    const date = `${year}-${month}-${day}`;
+    if (
+      !parseCalendarDate(date) ||
+      !parseClock(`${hour}:${minute}:${second || "00"}`)
+    ) {
+      throw inputError("invalid_instant", `Invalid date or time: ${text}`);
+    }
+    // Milliseconds are the finest precision kept
+    const time =
+      `${hour}:${minute}` +
+      (second || fraction ? `:${second}` : "") +
+      (fraction ? `.${fraction.slice(0, 3).padEnd(3, "0")}` : "");
+    if (!offset) {
+      return { date, time };
+    }
+
+    let offsetMinutes = 0;
+    if (offset.toUpperCase() !== "Z") {
+      const digits = offset.slice(1).replace(":", "");
+      offsetMinutes =
+        (Number(digits.slice(0, 2)) * 60 + Number(digits.slice(2) || 0)) *
+        (offset[0] === "-" ? -1 : 1);
+    }
+    const clock = parseClock(time);
+    const epoch =
+      Date.UTC(
+        Number(year),
+        Number(month) - 1,
+        Number(day),
+        clock.hour,
+        clock.minute,
+        clock.second,
+        clock.millisecond,
+      ) -
+      offsetMinutes * 60000;
+    return { epoch, offsetMinutes };
+  }
+
+  /**
+   * Convert an absolute instant into every requested zone.  The result has
+   * the same shape as `convertToZones`, with the date and time read in
+   * `sourceTimezone`; the resolution is always exact.
+   *
+   * @param {number} epoch UTC epoch timestamp in milliseconds
+   * @param {string} sourceTimezone Zone the date and time are reported in (IANA or a fixed offset)
+   * @param {string[]} zones IANA identifiers to convert into
+   * @returns {ReturnType<typeof convertToZones>}
+   */
+  function convertInstantToZones(epoch, sourceTimezone, zones) {
+    const parts = getZonedParts(new Date(epoch), sourceTimezone);
+    const date = `${parts.year}-${parts.month}-${parts.day}`;
+    const milliseconds = ((epoch % 1000) + 1000) % 1000;
+    // Seconds and milliseconds only when the instant has them
+    let time = `${parts.hour}:${parts.minute}`;
+    if (parts.second !== "00" || milliseconds !== 0) {
+      time += `:${parts.second}`;
+    }
+    if (milliseconds !== 0) {
+      time += `.${String(milliseconds).padStart(3, "0")}`;
+    }
+
+    const conversions = {};
+    for (const tz of zones) {
+      conversions[tz] = describeMoment(epoch, tz, date);
+    }
+    const resolved = describeMoment(epoch, sourceTimezone, date);
+    return {
+      date,
+      time,
+      timezone: sourceTimezone,
+      ...describeInstant(epoch),
+      resolution: {
+        status: "valid",
+        disambiguation: "compatible",
+        epoch,
+        resolved,
+        candidates: [resolved.utcOffset],
+      },
+      conversions,
+    };
+  }
+
+  return {
+    DAY_MS,
+    MIN_YEAR,
+    DISAMBIGUATION_MODES,
+    inputError,
+    getZonedParts,
+    getOffset,
+    formatUtcOffset,
+    parseFixedOffset,
+    isDaylightSavingTime,
+    describeMoment,
+    getZonedNowDate,
+    addDays,
+    parseClock,
+    parseCalendarDate,
+    resolveLocalDateTime,
+    calculateEpochFromTimezone,
+    convertToZones,
+    parseInstant,
+    convertInstantToZones,
+  };
+});
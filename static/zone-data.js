@@ -0,0 +1,861 @@
+/*
+ * Bundled zone dataset.
+ *
+ * Loaded by the Node server (through `require`) and by the browser (as a
+ * plain <script> that exposes `window.TimezoneData`, before zones.js).  It
+ * is derived from the tz database's zone.tab, iso3166.tab and backward links
+ * (version 2025b), with better-known cities added for the most used zones, so
+ * the catalog does not depend on what the runtime's `Intl` data happens to
+ * include.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TimezoneData = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  /**
+   * Country names keyed by ISO 3166 alpha-2 code.
+   */
+  const COUNTRIES = {
+    AD: "Andorra",
+    AE: "United Arab Emirates",
+    AF: "Afghanistan",
+    AG: "Antigua & Barbuda",
+    AI: "Anguilla",
+    AL: "Albania",
+    AM: "Armenia",
+    AO: "Angola",
+    AQ: "Antarctica",
+    AR: "Argentina",
+    AS: "Samoa (American)",
+    AT: "Austria",
+    AU: "Australia",
+    AW: "Aruba",
+    AX: "Åland Islands",
+    AZ: "Azerbaijan",
+    BA: "Bosnia & Herzegovina",
+    BB: "Barbados",
+    BD: "Bangladesh",
+    BE: "Belgium",
+    BF: "Burkina Faso",
+    BG: "Bulgaria",
+    BH: "Bahrain",
+    BI: "Burundi",
+    BJ: "Benin",
+    BL: "St Barthelemy",
+    BM: "Bermuda",
+    BN: "Brunei",
+    BO: "Bolivia",
+    BQ: "Caribbean NL",
+    BR: "Brazil",
+    BS: "Bahamas",
+    BT: "Bhutan",
+    BV: "Bouvet Island",
+    BW: "Botswana",
+    BY: "Belarus",
+    BZ: "Belize",
+    CA: "Canada",
+    CC: "Cocos (Keeling) Islands",
+    CD: "Congo (Dem. Rep.)",
+    CF: "Central African Rep.",
+    CG: "Congo (Rep.)",
+    CH: "Switzerland",
+    CI: "Côte d'Ivoire",
+    CK: "Cook Islands",
+    CL: "Chile",
+    CM: "Cameroon",
+    CN: "China",
+    CO: "Colombia",
+    CR: "Costa Rica",
+    CU: "Cuba",
+    CV: "Cape Verde",
+    CW: "Curaçao",
+    CX: "Christmas Island",
+    CY: "Cyprus",
+    CZ: "Czech Republic",
+    DE: "Germany",
+    DJ: "Djibouti",
+    DK: "Denmark",
+    DM: "Dominica",
+    DO: "Dominican Republic",
+    DZ: "Algeria",
+    EC: "Ecuador",
+    EE: "Estonia",
+    EG: "Egypt",
+    EH: "Western Sahara",
+    ER: "Eritrea",
+    ES: "Spain",
+    ET: "Ethiopia",
+    FI: "Finland",
+    FJ: "Fiji",
+    FK: "Falkland Islands",
+    FM: "Micronesia",
+    FO: "Faroe Islands",
+    FR: "France",
+    GA: "Gabon",
+    GB: "United Kingdom",
+    GD: "Grenada",
+    GE: "Georgia",
+    GF: "French Guiana",
+    GG: "Guernsey",
+    GH: "Ghana",
+    GI: "Gibraltar",
+    GL: "Greenland",
+    GM: "Gambia",
+    GN: "Guinea",
+    GP: "Guadeloupe",
+    GQ: "Equatorial Guinea",
+    GR: "Greece",
+    GS: "South Georgia & the South Sandwich Islands",
+    GT: "Guatemala",
+    GU: "Guam",
+    GW: "Guinea-Bissau",
+    GY: "Guyana",
+    HK: "Hong Kong",
+    HM: "Heard Island & McDonald Islands",
+    HN: "Honduras",
+    HR: "Croatia",
+    HT: "Haiti",
+    HU: "Hungary",
+    ID: "Indonesia",
+    IE: "Ireland",
+    IL: "Israel",
+    IM: "Isle of Man",
+    IN: "India",
+    IO: "British Indian Ocean Territory",
+    IQ: "Iraq",
+    IR: "Iran",
+    IS: "Iceland",
+    IT: "Italy",
+    JE: "Jersey",
+    JM: "Jamaica",
+    JO: "Jordan",
+    JP: "Japan",
+    KE: "Kenya",
+    KG: "Kyrgyzstan",
+    KH: "Cambodia",
+    KI: "Kiribati",
+    KM: "Comoros",
+    KN: "St Kitts & Nevis",
+    KP: "North Korea",
+    KR: "South Korea",
+    KW: "Kuwait",
+    KY: "Cayman Islands",
+    KZ: "Kazakhstan",
+    LA: "Laos",
+    LB: "Lebanon",
+    LC: "St Lucia",
+    LI: "Liechtenstein",
+    LK: "Sri Lanka",
+    LR: "Liberia",
+    LS: "Lesotho",
+    LT: "Lithuania",
+    LU: "Luxembourg",
+    LV: "Latvia",
+    LY: "Libya",
+    MA: "Morocco",
+    MC: "Monaco",
+    MD: "Moldova",
+    ME: "Montenegro",
+    MF: "St Martin (French)",
+    MG: "Madagascar",
+    MH: "Marshall Islands",
+    MK: "North Macedonia",
+    ML: "Mali",
+    MM: "Myanmar (Burma)",
+    MN: "Mongolia",
+    MO: "Macau",
+    MP: "Northern Mariana Islands",
+    MQ: "Martinique",
+    MR: "Mauritania",
+    MS: "Montserrat",
+    MT: "Malta",
+    MU: "Mauritius",
+    MV: "Maldives",
+    MW: "Malawi",
+    MX: "Mexico",
+    MY: "Malaysia",
+    MZ: "Mozambique",
+    NA: "Namibia",
+    NC: "New Caledonia",
+    NE: "Niger",
+    NF: "Norfolk Island",
+    NG: "Nigeria",
+    NI: "Nicaragua",
+    NL: "Netherlands",
+    NO: "Norway",
+    NP: "Nepal",
+    NR: "Nauru",
+    NU: "Niue",
+    NZ: "New Zealand",
+    OM: "Oman",
+    PA: "Panama",
+    PE: "Peru",
+    PF: "French Polynesia",
+    PG: "Papua New Guinea",
+    PH: "Philippines",
+    PK: "Pakistan",
+    PL: "Poland",
+    PM: "St Pierre & Miquelon",
+    PN: "Pitcairn",
+    PR: "Puerto Rico",
+    PS: "Palestine",
+    PT: "Portugal",
+    PW: "Palau",
+    PY: "Paraguay",
+    QA: "Qatar",
+    RE: "Réunion",
+    RO: "Romania",
+    RS: "Serbia",
+    RU: "Russia",
+    RW: "Rwanda",
+    SA: "Saudi Arabia",
+    SB: "Solomon Islands",
+    SC: "Seychelles",
+    SD: "Sudan",
+    SE: "Sweden",
+    SG: "Singapore",
+    SH: "St Helena",
+    SI: "Slovenia",
+    SJ: "Svalbard & Jan Mayen",
+    SK: "Slovakia",
+    SL: "Sierra Leone",
+    SM: "San Marino",
+    SN: "Senegal",
+    SO: "Somalia",
+    SR: "Suriname",
+    SS: "South Sudan",
+    ST: "Sao Tome & Principe",
+    SV: "El Salvador",
+    SX: "St Maarten (Dutch)",
+    SY: "Syria",
+    SZ: "Eswatini (Swaziland)",
+    TC: "Turks & Caicos Is",
+    TD: "Chad",
+    TF: "French S. Terr.",
+    TG: "Togo",
+    TH: "Thailand",
+    TJ: "Tajikistan",
+    TK: "Tokelau",
+    TL: "East Timor",
+    TM: "Turkmenistan",
+    TN: "Tunisia",
+    TO: "Tonga",
+    TR: "Turkey",
+    TT: "Trinidad & Tobago",
+    TV: "Tuvalu",
+    TW: "Taiwan",
+    TZ: "Tanzania",
+    UA: "Ukraine",
+    UG: "Uganda",
+    UM: "US minor outlying islands",
+    US: "United States",
+    UY: "Uruguay",
+    UZ: "Uzbekistan",
+    VA: "Vatican City",
+    VC: "St Vincent",
+    VE: "Venezuela",
+    VG: "Virgin Islands (UK)",
+    VI: "Virgin Islands (US)",
+    VN: "Vietnam",
+    VU: "Vanuatu",
+    WF: "Wallis & Futuna",
+    WS: "Samoa (western)",
+    YE: "Yemen",
+    YT: "Mayotte",
+    ZA: "South Africa",
+    ZM: "Zambia",
+    ZW: "Zimbabwe",
+  };
+
+  /**
+   * Every zone tied to a country, keyed by IANA identifier, as
+   * "country|description|City, City": the country code, the tz database's
+   * note on which part of the country the zone covers (empty when it covers
+   * all of it) and representative cities, the main one first.
+   */
+  const ZONES = {
+    "Europe/Andorra": "AD||Andorra",
+    "Asia/Dubai": "AE||Dubai, Abu Dhabi",
+    "Asia/Kabul": "AF||Kabul",
+    "America/Antigua": "AG||Antigua",
+    "America/Anguilla": "AI||Anguilla",
+    "Europe/Tirane": "AL||Tirane",
+    "Asia/Yerevan": "AM||Yerevan",
+    "Africa/Luanda": "AO||Luanda",
+    "Antarctica/McMurdo": "AQ|New Zealand time - McMurdo, South Pole|McMurdo",
+    "Antarctica/Casey": "AQ|Casey|Casey",
+    "Antarctica/Davis": "AQ|Davis|Davis",
+    "Antarctica/DumontDUrville": "AQ|Dumont-d'Urville|DumontDUrville",
+    "Antarctica/Mawson": "AQ|Mawson|Mawson",
+    "Antarctica/Palmer": "AQ|Palmer|Palmer",
+    "Antarctica/Rothera": "AQ|Rothera|Rothera",
+    "Antarctica/Syowa": "AQ|Syowa|Syowa",
+    "Antarctica/Troll": "AQ|Troll|Troll",
+    "Antarctica/Vostok": "AQ|Vostok|Vostok",
+    "America/Argentina/Buenos_Aires":
+      "AR|Buenos Aires (BA, CF)|Buenos Aires, Rosario, La Plata, Mar del Plata",
+    "America/Argentina/Cordoba":
+      "AR|Argentina (most areas: CB, CC, CN, ER, FM, MN, SE, SF)|Córdoba",
+    "America/Argentina/Salta": "AR|Salta (SA, LP, NQ, RN)|Salta",
+    "America/Argentina/Jujuy": "AR|Jujuy (JY)|Jujuy",
+    "America/Argentina/Tucuman": "AR|Tucuman (TM)|Tucuman",
+    "America/Argentina/Catamarca": "AR|Catamarca (CT), Chubut (CH)|Catamarca",
+    "America/Argentina/La_Rioja": "AR|La Rioja (LR)|La Rioja",
+    "America/Argentina/San_Juan": "AR|San Juan (SJ)|San Juan",
+    "America/Argentina/Mendoza": "AR|Mendoza (MZ)|Mendoza",
+    "America/Argentina/San_Luis": "AR|San Luis (SL)|San Luis",
+    "America/Argentina/Rio_Gallegos": "AR|Santa Cruz (SC)|Rio Gallegos",
+    "America/Argentina/Ushuaia": "AR|Tierra del Fuego (TF)|Ushuaia",
+    "Pacific/Pago_Pago": "AS||Pago Pago",
+    "Europe/Vienna": "AT||Vienna",
+    "Australia/Lord_Howe": "AU|Lord Howe Island|Lord Howe",
+    "Antarctica/Macquarie": "AU|Macquarie Island|Macquarie",
+    "Australia/Hobart": "AU|Tasmania|Hobart",
+    "Australia/Melbourne": "AU|Victoria|Melbourne",
+    "Australia/Sydney": "AU|New South Wales (most areas)|Sydney, Canberra",
+    "Australia/Broken_Hill": "AU|New South Wales (Yancowinna)|Broken Hill",
+    "Australia/Brisbane": "AU|Queensland (most areas)|Brisbane",
+    "Australia/Lindeman": "AU|Queensland (Whitsunday Islands)|Lindeman",
+    "Australia/Adelaide": "AU|South Australia|Adelaide",
+    "Australia/Darwin": "AU|Northern Territory|Darwin",
+    "Australia/Perth": "AU|Western Australia (most areas)|Perth",
+    "Australia/Eucla": "AU|Western Australia (Eucla)|Eucla",
+    "America/Aruba": "AW||Aruba",
+    "Europe/Mariehamn": "AX||Mariehamn",
+    "Asia/Baku": "AZ||Baku",
+    "Europe/Sarajevo": "BA||Sarajevo",
+    "America/Barbados": "BB||Barbados",
+    "Asia/Dhaka": "BD||Dhaka",
+    "Europe/Brussels": "BE||Brussels, Antwerp",
+    "Africa/Ouagadougou": "BF||Ouagadougou",
+    "Europe/Sofia": "BG||Sofia",
+    "Asia/Bahrain": "BH||Bahrain",
+    "Africa/Bujumbura": "BI||Bujumbura",
+    "Africa/Porto-Novo": "BJ||Porto-Novo",
+    "America/St_Barthelemy": "BL||St Barthelemy",
+    "Atlantic/Bermuda": "BM||Bermuda",
+    "Asia/Brunei": "BN||Brunei",
+    "America/La_Paz": "BO||La Paz, Santa Cruz",
+    "America/Kralendijk": "BQ||Kralendijk",
+    "America/Noronha": "BR|Atlantic islands|Noronha",
+    "America/Belem": "BR|Para (east), Amapa|Belem",
+    "America/Fortaleza": "BR|Brazil (northeast: MA, PI, CE, RN, PB)|Fortaleza",
+    "America/Recife": "BR|Pernambuco|Recife",
+    "America/Araguaina": "BR|Tocantins|Araguaina",
+    "America/Maceio": "BR|Alagoas, Sergipe|Maceio",
+    "America/Bahia": "BR|Bahia|Bahia",
+    "America/Sao_Paulo":
+      "BR|Brazil (southeast: GO, DF, MG, ES, RJ, SP, PR, SC, RS)|São Paulo, Rio de Janeiro, Brasília, Belo Horizonte, Porto Alegre, Curitiba",
+    "America/Campo_Grande": "BR|Mato Grosso do Sul|Campo Grande",
+    "America/Cuiaba": "BR|Mato Grosso|Cuiaba",
+    "America/Santarem": "BR|Para (west)|Santarem",
+    "America/Porto_Velho": "BR|Rondonia|Porto Velho",
+    "America/Boa_Vista": "BR|Roraima|Boa Vista",
+    "America/Manaus": "BR|Amazonas (east)|Manaus",
+    "America/Eirunepe": "BR|Amazonas (west)|Eirunepe",
+    "America/Rio_Branco": "BR|Acre|Rio Branco",
+    "America/Nassau": "BS||Nassau",
+    "Asia/Thimphu": "BT||Thimphu",
+    "Africa/Gaborone": "BW||Gaborone",
+    "Europe/Minsk": "BY||Minsk",
+    "America/Belize": "BZ||Belize",
+    "America/St_Johns": "CA|Newfoundland, Labrador (SE)|St Johns",
+    "America/Halifax": "CA|Atlantic - NS (most areas), PE|Halifax",
+    "America/Glace_Bay": "CA|Atlantic - NS (Cape Breton)|Glace Bay",
+    "America/Moncton": "CA|Atlantic - New Brunswick|Moncton",
+    "America/Goose_Bay": "CA|Atlantic - Labrador (most areas)|Goose Bay",
+    "America/Blanc-Sablon": "CA|AST - QC (Lower North Shore)|Blanc-Sablon",
+    "America/Toronto":
+      "CA|Eastern - ON & QC (most areas)|Toronto, Ottawa, Montreal, Quebec City",
+    "America/Iqaluit": "CA|Eastern - NU (most areas)|Iqaluit",
+    "America/Atikokan": "CA|EST - ON (Atikokan), NU (Coral H)|Atikokan",
+    "America/Winnipeg": "CA|Central - ON (west), Manitoba|Winnipeg",
+    "America/Resolute": "CA|Central - NU (Resolute)|Resolute",
+    "America/Rankin_Inlet": "CA|Central - NU (central)|Rankin Inlet",
+    "America/Regina": "CA|CST - SK (most areas)|Regina",
+    "America/Swift_Current": "CA|CST - SK (midwest)|Swift Current",
+    "America/Edmonton": "CA|Mountain - AB, BC(E), NT(E), SK(W)|Edmonton",
+    "America/Cambridge_Bay": "CA|Mountain - NU (west)|Cambridge Bay",
+    "America/Inuvik": "CA|Mountain - NT (west)|Inuvik",
+    "America/Creston": "CA|MST - BC (Creston)|Creston",
+    "America/Dawson_Creek": "CA|MST - BC (Dawson Cr, Ft St John)|Dawson Creek",
+    "America/Fort_Nelson": "CA|MST - BC (Ft Nelson)|Fort Nelson",
+    "America/Whitehorse": "CA|MST - Yukon (east)|Whitehorse",
+    "America/Dawson": "CA|MST - Yukon (west)|Dawson",
+    "America/Vancouver": "CA|Pacific - BC (most areas)|Vancouver, Victoria",
+    "Indian/Cocos": "CC||Cocos",
+    "Africa/Kinshasa": "CD|Dem. Rep. of Congo (west)|Kinshasa",
+    "Africa/Lubumbashi": "CD|Dem. Rep. of Congo (east)|Lubumbashi",
+    "Africa/Bangui": "CF||Bangui",
+    "Africa/Brazzaville": "CG||Brazzaville",
+    "Europe/Zurich": "CH||Zurich, Geneva, Bern",
+    "Africa/Abidjan": "CI||Abidjan",
+    "Pacific/Rarotonga": "CK||Rarotonga",
+    "America/Santiago":
+      "CL|most of Chile|Santiago, Valparaíso, Concepción, Viña del Mar",
+    "America/Coyhaique": "CL|Aysen Region|Coyhaique",
+    "America/Punta_Arenas": "CL|Magallanes Region|Punta Arenas",
+    "Pacific/Easter": "CL|Easter Island|Easter",
+    "Africa/Douala": "CM||Douala",
+    "Asia/Shanghai":
+      "CN|Beijing Time|Shanghai, Beijing, Shenzhen, Guangzhou, Chengdu",
+    "Asia/Urumqi": "CN|Xinjiang Time|Urumqi",
+    "America/Bogota": "CO||Bogotá, Medellín, Cali, Barranquilla, Cartagena",
+    "America/Costa_Rica": "CR||San José",
+    "America/Havana": "CU||Havana",
+    "Atlantic/Cape_Verde": "CV||Cape Verde",
+    "America/Curacao": "CW||Curacao",
+    "Indian/Christmas": "CX||Christmas",
+    "Asia/Nicosia": "CY|most of Cyprus|Nicosia",
+    "Asia/Famagusta": "CY|Northern Cyprus|Famagusta",
+    "Europe/Prague": "CZ||Prague",
+    "Europe/Berlin":
+      "DE|most of Germany|Berlin, Munich, Hamburg, Frankfurt, Cologne",
+    "Europe/Busingen": "DE|Busingen|Busingen",
+    "Africa/Djibouti": "DJ||Djibouti",
+    "Europe/Copenhagen": "DK||Copenhagen",
+    "America/Dominica": "DM||Dominica",
+    "America/Santo_Domingo":
+      "DO||Santo Domingo, Santiago de los Caballeros, Punta Cana",
+    "Africa/Algiers": "DZ||Algiers",
+    "America/Guayaquil": "EC|Ecuador (mainland)|Guayaquil, Quito",
+    "Pacific/Galapagos": "EC|Galapagos Islands|Galapagos",
+    "Europe/Tallinn": "EE||Tallinn",
+    "Africa/Cairo": "EG||Cairo, Alexandria",
+    "Africa/El_Aaiun": "EH||El Aaiun",
+    "Africa/Asmara": "ER||Asmara",
+    "Europe/Madrid":
+      "ES|Spain (mainland)|Madrid, Barcelona, Valencia, Seville, Bilbao",
+    "Africa/Ceuta": "ES|Ceuta, Melilla|Ceuta",
+    "Atlantic/Canary": "ES|Canary Islands|Canary",
+    "Africa/Addis_Ababa": "ET||Addis Ababa",
+    "Europe/Helsinki": "FI||Helsinki",
+    "Pacific/Fiji": "FJ||Fiji",
+    "Atlantic/Stanley": "FK||Stanley",
+    "Pacific/Chuuk": "FM|Chuuk/Truk, Yap|Chuuk",
+    "Pacific/Pohnpei": "FM|Pohnpei/Ponape|Pohnpei",
+    "Pacific/Kosrae": "FM|Kosrae|Kosrae",
+    "Atlantic/Faroe": "FO||Faroe",
+    "Europe/Paris": "FR||Paris, Lyon, Marseille",
+    "Africa/Libreville": "GA||Libreville",
+    "Europe/London": "GB||London, Manchester, Birmingham, Edinburgh, Glasgow",
+    "America/Grenada": "GD||Grenada",
+    "Asia/Tbilisi": "GE||Tbilisi",
+    "America/Cayenne": "GF||Cayenne",
+    "Europe/Guernsey": "GG||Guernsey",
+    "Africa/Accra": "GH||Accra",
+    "Europe/Gibraltar": "GI||Gibraltar",
+    "America/Nuuk": "GL|most of Greenland|Nuuk",
+    "America/Danmarkshavn": "GL|National Park (east coast)|Danmarkshavn",
+    "America/Scoresbysund": "GL|Scoresbysund/Ittoqqortoormiit|Scoresbysund",
+    "America/Thule": "GL|Thule/Pituffik|Thule",
+    "Africa/Banjul": "GM||Banjul",
+    "Africa/Conakry": "GN||Conakry",
+    "America/Guadeloupe": "GP||Guadeloupe",
+    "Africa/Malabo": "GQ||Malabo",
+    "Europe/Athens": "GR||Athens",
+    "Atlantic/South_Georgia": "GS||South Georgia",
+    "America/Guatemala": "GT||Guatemala City",
+    "Pacific/Guam": "GU||Guam",
+    "Africa/Bissau": "GW||Bissau",
+    "America/Guyana": "GY||Guyana",
+    "Asia/Hong_Kong": "HK||Hong Kong",
+    "America/Tegucigalpa": "HN||Tegucigalpa, San Pedro Sula",
+    "Europe/Zagreb": "HR||Zagreb",
+    "America/Port-au-Prince": "HT||Port-au-Prince",
+    "Europe/Budapest": "HU||Budapest",
+    "Asia/Jakarta": "ID|Java, Sumatra|Jakarta",
+    "Asia/Pontianak": "ID|Borneo (west, central)|Pontianak",
+    "Asia/Makassar":
+      "ID|Borneo (east, south), Sulawesi/Celebes, Bali, Nusa Tengarra, Timor (west)|Makassar",
+    "Asia/Jayapura":
+      "ID|New Guinea (West Papua / Irian Jaya), Malukus/Moluccas|Jayapura",
+    "Europe/Dublin": "IE||Dublin, Cork",
+    "Asia/Jerusalem": "IL||Jerusalem, Tel Aviv",
+    "Europe/Isle_of_Man": "IM||Isle of Man",
+    "Asia/Kolkata":
+      "IN||Kolkata, Mumbai, New Delhi, Delhi, Bengaluru, Bangalore, Chennai, Hyderabad",
+    "Indian/Chagos": "IO||Chagos",
+    "Asia/Baghdad": "IQ||Baghdad",
+    "Asia/Tehran": "IR||Tehran",
+    "Atlantic/Reykjavik": "IS||Reykjavik",
+    "Europe/Rome": "IT||Rome, Milan, Naples, Turin",
+    "Europe/Jersey": "JE||Jersey",
+    "America/Jamaica": "JM||Jamaica",
+    "Asia/Amman": "JO||Amman",
+    "Asia/Tokyo": "JP||Tokyo, Osaka, Kyoto, Yokohama",
+    "Africa/Nairobi": "KE||Nairobi",
+    "Asia/Bishkek": "KG||Bishkek",
+    "Asia/Phnom_Penh": "KH||Phnom Penh",
+    "Pacific/Tarawa": "KI|Gilbert Islands|Tarawa",
+    "Pacific/Kanton": "KI|Phoenix Islands|Kanton",
+    "Pacific/Kiritimati": "KI|Line Islands|Kiritimati",
+    "Indian/Comoro": "KM||Comoro",
+    "America/St_Kitts": "KN||St Kitts",
+    "Asia/Pyongyang": "KP||Pyongyang",
+    "Asia/Seoul": "KR||Seoul, Busan",
+    "Asia/Kuwait": "KW||Kuwait",
+    "America/Cayman": "KY||Cayman",
+    "Asia/Almaty": "KZ|most of Kazakhstan|Almaty",
+    "Asia/Qyzylorda": "KZ|Qyzylorda/Kyzylorda/Kzyl-Orda|Qyzylorda",
+    "Asia/Qostanay": "KZ|Qostanay/Kostanay/Kustanay|Qostanay",
+    "Asia/Aqtobe": "KZ|Aqtobe/Aktobe|Aqtobe",
+    "Asia/Aqtau": "KZ|Mangghystau/Mankistau|Aqtau",
+    "Asia/Atyrau": "KZ|Atyrau/Atirau/Gur'yev|Atyrau",
+    "Asia/Oral": "KZ|West Kazakhstan|Oral",
+    "Asia/Vientiane": "LA||Vientiane",
+    "Asia/Beirut": "LB||Beirut",
+    "America/St_Lucia": "LC||St Lucia",
+    "Europe/Vaduz": "LI||Vaduz",
+    "Asia/Colombo": "LK||Colombo",
+    "Africa/Monrovia": "LR||Monrovia",
+    "Africa/Maseru": "LS||Maseru",
+    "Europe/Vilnius": "LT||Vilnius",
+    "Europe/Luxembourg": "LU||Luxembourg",
+    "Europe/Riga": "LV||Riga",
+    "Africa/Tripoli": "LY||Tripoli",
+    "Africa/Casablanca": "MA||Casablanca, Rabat",
+    "Europe/Monaco": "MC||Monaco",
+    "Europe/Chisinau": "MD||Chisinau",
+    "Europe/Podgorica": "ME||Podgorica",
+    "America/Marigot": "MF||Marigot",
+    "Indian/Antananarivo": "MG||Antananarivo",
+    "Pacific/Majuro": "MH|most of Marshall Islands|Majuro",
+    "Pacific/Kwajalein": "MH|Kwajalein|Kwajalein",
+    "Europe/Skopje": "MK||Skopje",
+    "Africa/Bamako": "ML||Bamako",
+    "Asia/Yangon": "MM||Yangon",
+    "Asia/Ulaanbaatar": "MN|most of Mongolia|Ulaanbaatar",
+    "Asia/Hovd": "MN|Bayan-Olgii, Hovd, Uvs|Hovd",
+    "Asia/Macau": "MO||Macau",
+    "Pacific/Saipan": "MP||Saipan",
+    "America/Martinique": "MQ||Martinique",
+    "Africa/Nouakchott": "MR||Nouakchott",
+    "America/Montserrat": "MS||Montserrat",
+    "Europe/Malta": "MT||Malta",
+    "Indian/Mauritius": "MU||Mauritius",
+    "Indian/Maldives": "MV||Maldives",
+    "Africa/Blantyre": "MW||Blantyre",
+    "America/Mexico_City":
+      "MX|Central Mexico|Mexico City, Ciudad de México, CDMX, Guadalajara, Monterrey, Puebla",
+    "America/Cancun": "MX|Quintana Roo|Cancun",
+    "America/Merida": "MX|Campeche, Yucatan|Merida",
+    "America/Monterrey":
+      "MX|Durango; Coahuila, Nuevo Leon, Tamaulipas (most areas)|Monterrey",
+    "America/Matamoros":
+      "MX|Coahuila, Nuevo Leon, Tamaulipas (US border)|Matamoros",
+    "America/Chihuahua": "MX|Chihuahua (most areas)|Chihuahua",
+    "America/Ciudad_Juarez": "MX|Chihuahua (US border - west)|Ciudad Juarez",
+    "America/Ojinaga": "MX|Chihuahua (US border - east)|Ojinaga",
+    "America/Mazatlan":
+      "MX|Baja California Sur, Nayarit (most areas), Sinaloa|Mazatlan",
+    "America/Bahia_Banderas": "MX|Bahia de Banderas|Bahia Banderas",
+    "America/Hermosillo": "MX|Sonora|Hermosillo",
+    "America/Tijuana": "MX|Baja California|Tijuana",
+    "Asia/Kuala_Lumpur": "MY|Malaysia (peninsula)|Kuala Lumpur",
+    "Asia/Kuching": "MY|Sabah, Sarawak|Kuching",
+    "Africa/Maputo": "MZ||Maputo",
+    "Africa/Windhoek": "NA||Windhoek",
+    "Pacific/Noumea": "NC||Noumea",
+    "Africa/Niamey": "NE||Niamey",
+    "Pacific/Norfolk": "NF||Norfolk",
+    "Africa/Lagos": "NG||Lagos, Abuja",
+    "America/Managua": "NI||Managua",
+    "Europe/Amsterdam": "NL||Amsterdam, Rotterdam",
+    "Europe/Oslo": "NO||Oslo",
+    "Asia/Kathmandu": "NP||Kathmandu",
+    "Pacific/Nauru": "NR||Nauru",
+    "Pacific/Niue": "NU||Niue",
+    "Pacific/Auckland":
+      "NZ|most of New Zealand|Auckland, Wellington, Christchurch",
+    "Pacific/Chatham": "NZ|Chatham Islands|Chatham",
+    "Asia/Muscat": "OM||Muscat",
+    "America/Panama": "PA||Panama City",
+    "America/Lima": "PE||Lima, Arequipa, Cusco",
+    "Pacific/Tahiti": "PF|Society Islands|Tahiti",
+    "Pacific/Marquesas": "PF|Marquesas Islands|Marquesas",
+    "Pacific/Gambier": "PF|Gambier Islands|Gambier",
+    "Pacific/Port_Moresby": "PG|most of Papua New Guinea|Port Moresby",
+    "Pacific/Bougainville": "PG|Bougainville|Bougainville",
+    "Asia/Manila": "PH||Manila",
+    "Asia/Karachi": "PK||Karachi, Lahore, Islamabad",
+    "Europe/Warsaw": "PL||Warsaw, Kraków",
+    "America/Miquelon": "PM||Miquelon",
+    "Pacific/Pitcairn": "PN||Pitcairn",
+    "America/Puerto_Rico": "PR||San Juan",
+    "Asia/Gaza": "PS|Gaza Strip|Gaza",
+    "Asia/Hebron": "PS|West Bank|Hebron",
+    "Europe/Lisbon": "PT|Portugal (mainland)|Lisbon, Porto",
+    "Atlantic/Madeira": "PT|Madeira Islands|Madeira",
+    "Atlantic/Azores": "PT|Azores|Azores",
+    "Pacific/Palau": "PW||Palau",
+    "America/Asuncion": "PY||Asunción",
+    "Asia/Qatar": "QA||Qatar",
+    "Indian/Reunion": "RE||Reunion",
+    "Europe/Bucharest": "RO||Bucharest",
+    "Europe/Belgrade": "RS||Belgrade",
+    "Europe/Kaliningrad": "RU|MSK-01 - Kaliningrad|Kaliningrad",
+    "Europe/Moscow": "RU|MSK+00 - Moscow area|Moscow, Saint Petersburg",
+    "Europe/Simferopol": "UA|Crimea|Simferopol",
+    "Europe/Kirov": "RU|MSK+00 - Kirov|Kirov",
+    "Europe/Volgograd": "RU|MSK+00 - Volgograd|Volgograd",
+    "Europe/Astrakhan": "RU|MSK+01 - Astrakhan|Astrakhan",
+    "Europe/Saratov": "RU|MSK+01 - Saratov|Saratov",
+    "Europe/Ulyanovsk": "RU|MSK+01 - Ulyanovsk|Ulyanovsk",
+    "Europe/Samara": "RU|MSK+01 - Samara, Udmurtia|Samara",
+    "Asia/Yekaterinburg": "RU|MSK+02 - Urals|Yekaterinburg",
+    "Asia/Omsk": "RU|MSK+03 - Omsk|Omsk",
+    "Asia/Novosibirsk": "RU|MSK+04 - Novosibirsk|Novosibirsk",
+    "Asia/Barnaul": "RU|MSK+04 - Altai|Barnaul",
+    "Asia/Tomsk": "RU|MSK+04 - Tomsk|Tomsk",
+    "Asia/Novokuznetsk": "RU|MSK+04 - Kemerovo|Novokuznetsk",
+    "Asia/Krasnoyarsk": "RU|MSK+04 - Krasnoyarsk area|Krasnoyarsk",
+    "Asia/Irkutsk": "RU|MSK+05 - Irkutsk, Buryatia|Irkutsk",
+    "Asia/Chita": "RU|MSK+06 - Zabaykalsky|Chita",
+    "Asia/Yakutsk": "RU|MSK+06 - Lena River|Yakutsk",
+    "Asia/Khandyga": "RU|MSK+06 - Tomponsky, Ust-Maysky|Khandyga",
+    "Asia/Vladivostok": "RU|MSK+07 - Amur River|Vladivostok",
+    "Asia/Ust-Nera": "RU|MSK+07 - Oymyakonsky|Ust-Nera",
+    "Asia/Magadan": "RU|MSK+08 - Magadan|Magadan",
+    "Asia/Sakhalin": "RU|MSK+08 - Sakhalin Island|Sakhalin",
+    "Asia/Srednekolymsk": "RU|MSK+08 - Sakha (E), N Kuril Is|Srednekolymsk",
+    "Asia/Kamchatka": "RU|MSK+09 - Kamchatka|Kamchatka",
+    "Asia/Anadyr": "RU|MSK+09 - Bering Sea|Anadyr",
+    "Africa/Kigali": "RW||Kigali",
+    "Asia/Riyadh": "SA||Riyadh, Jeddah, Mecca",
+    "Pacific/Guadalcanal": "SB||Guadalcanal",
+    "Indian/Mahe": "SC||Mahe",
+    "Africa/Khartoum": "SD||Khartoum",
+    "Europe/Stockholm": "SE||Stockholm",
+    "Asia/Singapore": "SG||Singapore",
+    "Atlantic/St_Helena": "SH||St Helena",
+    "Europe/Ljubljana": "SI||Ljubljana",
+    "Arctic/Longyearbyen": "SJ||Longyearbyen",
+    "Europe/Bratislava": "SK||Bratislava",
+    "Africa/Freetown": "SL||Freetown",
+    "Europe/San_Marino": "SM||San Marino",
+    "Africa/Dakar": "SN||Dakar",
+    "Africa/Mogadishu": "SO||Mogadishu",
+    "America/Paramaribo": "SR||Paramaribo",
+    "Africa/Juba": "SS||Juba",
+    "Africa/Sao_Tome": "ST||Sao Tome",
+    "America/El_Salvador": "SV||El Salvador",
+    "America/Lower_Princes": "SX||Lower Princes",
+    "Asia/Damascus": "SY||Damascus",
+    "Africa/Mbabane": "SZ||Mbabane",
+    "America/Grand_Turk": "TC||Grand Turk",
+    "Africa/Ndjamena": "TD||Ndjamena",
+    "Indian/Kerguelen": "TF||Kerguelen",
+    "Africa/Lome": "TG||Lome",
+    "Asia/Bangkok": "TH||Bangkok",
+    "Asia/Dushanbe": "TJ||Dushanbe",
+    "Pacific/Fakaofo": "TK||Fakaofo",
+    "Asia/Dili": "TL||Dili",
+    "Asia/Ashgabat": "TM||Ashgabat",
+    "Africa/Tunis": "TN||Tunis",
+    "Pacific/Tongatapu": "TO||Tongatapu",
+    "Europe/Istanbul": "TR||Istanbul, Ankara",
+    "America/Port_of_Spain": "TT||Port of Spain",
+    "Pacific/Funafuti": "TV||Funafuti",
+    "Asia/Taipei": "TW||Taipei",
+    "Africa/Dar_es_Salaam": "TZ||Dar es Salaam",
+    "Europe/Kyiv": "UA|most of Ukraine|Kyiv, Kiev",
+    "Africa/Kampala": "UG||Kampala",
+    "Pacific/Midway": "UM|Midway Islands|Midway",
+    "Pacific/Wake": "UM|Wake Island|Wake",
+    "America/New_York":
+      "US|Eastern (most areas)|New York, Washington, Boston, Philadelphia, Miami, Atlanta",
+    "America/Detroit": "US|Eastern - MI (most areas)|Detroit",
+    "America/Kentucky/Louisville":
+      "US|Eastern - KY (Louisville area)|Louisville",
+    "America/Kentucky/Monticello": "US|Eastern - KY (Wayne)|Monticello",
+    "America/Indiana/Indianapolis": "US|Eastern - IN (most areas)|Indianapolis",
+    "America/Indiana/Vincennes": "US|Eastern - IN (Da, Du, K, Mn)|Vincennes",
+    "America/Indiana/Winamac": "US|Eastern - IN (Pulaski)|Winamac",
+    "America/Indiana/Marengo": "US|Eastern - IN (Crawford)|Marengo",
+    "America/Indiana/Petersburg": "US|Eastern - IN (Pike)|Petersburg",
+    "America/Indiana/Vevay": "US|Eastern - IN (Switzerland)|Vevay",
+    "America/Chicago":
+      "US|Central (most areas)|Chicago, Houston, Dallas, San Antonio, Austin, Minneapolis, New Orleans",
+    "America/Indiana/Tell_City": "US|Central - IN (Perry)|Tell City",
+    "America/Indiana/Knox": "US|Central - IN (Starke)|Knox",
+    "America/Menominee": "US|Central - MI (Wisconsin border)|Menominee",
+    "America/North_Dakota/Center": "US|Central - ND (Oliver)|Center",
+    "America/North_Dakota/New_Salem":
+      "US|Central - ND (Morton rural)|New Salem",
+    "America/North_Dakota/Beulah": "US|Central - ND (Mercer)|Beulah",
+    "America/Denver":
+      "US|Mountain (most areas)|Denver, Salt Lake City, Albuquerque",
+    "America/Boise": "US|Mountain - ID (south), OR (east)|Boise",
+    "America/Phoenix": "US|MST - AZ (except Navajo)|Phoenix, Tucson",
+    "America/Los_Angeles":
+      "US|Pacific|Los Angeles, San Francisco, Seattle, San Diego, Las Vegas, Portland",
+    "America/Anchorage": "US|Alaska (most areas)|Anchorage",
+    "America/Juneau": "US|Alaska - Juneau area|Juneau",
+    "America/Sitka": "US|Alaska - Sitka area|Sitka",
+    "America/Metlakatla": "US|Alaska - Annette Island|Metlakatla",
+    "America/Yakutat": "US|Alaska - Yakutat|Yakutat",
+    "America/Nome": "US|Alaska (west)|Nome",
+    "America/Adak": "US|Alaska - western Aleutians|Adak",
+    "Pacific/Honolulu": "US|Hawaii|Honolulu",
+    "America/Montevideo": "UY||Montevideo",
+    "Asia/Samarkand": "UZ|Uzbekistan (west)|Samarkand",
+    "Asia/Tashkent": "UZ|Uzbekistan (east)|Tashkent",
+    "Europe/Vatican": "VA||Vatican",
+    "America/St_Vincent": "VC||St Vincent",
+    "America/Caracas": "VE||Caracas, Maracaibo",
+    "America/Tortola": "VG||Tortola",
+    "America/St_Thomas": "VI||St Thomas",
+    "Asia/Ho_Chi_Minh": "VN||Ho Chi Minh City, Saigon, Hanoi",
+    "Pacific/Efate": "VU||Efate",
+    "Pacific/Wallis": "WF||Wallis",
+    "Pacific/Apia": "WS||Apia",
+    "Asia/Aden": "YE||Aden",
+    "Indian/Mayotte": "YT||Mayotte",
+    "Africa/Johannesburg": "ZA||Johannesburg, Cape Town, Pretoria, Durban",
+    "Africa/Lusaka": "ZM||Lusaka",
+    "Africa/Harare": "ZW||Harare",
+  };
+
+  /**
+   * Older or alternative identifiers (some runtimes still list
+   * 'Asia/Calcutta' rather than 'Asia/Kolkata') and the zone in `ZONES`
+   * they stand for.
+   */
+  const LINKS = {
+    "Africa/Asmera": "Africa/Asmara",
+    "Africa/Timbuktu": "Africa/Abidjan",
+    "America/Argentina/ComodRivadavia": "America/Argentina/Catamarca",
+    "America/Atka": "America/Adak",
+    "America/Buenos_Aires": "America/Argentina/Buenos_Aires",
+    "America/Catamarca": "America/Argentina/Catamarca",
+    "America/Coral_Harbour": "America/Atikokan",
+    "America/Cordoba": "America/Argentina/Cordoba",
+    "America/Ensenada": "America/Tijuana",
+    "America/Fort_Wayne": "America/Indiana/Indianapolis",
+    "America/Godthab": "America/Nuuk",
+    "America/Indianapolis": "America/Indiana/Indianapolis",
+    "America/Jujuy": "America/Argentina/Jujuy",
+    "America/Knox_IN": "America/Indiana/Knox",
+    "America/Louisville": "America/Kentucky/Louisville",
+    "America/Mendoza": "America/Argentina/Mendoza",
+    "America/Montreal": "America/Toronto",
+    "America/Nipigon": "America/Toronto",
+    "America/Pangnirtung": "America/Iqaluit",
+    "America/Porto_Acre": "America/Rio_Branco",
+    "America/Rainy_River": "America/Winnipeg",
+    "America/Rosario": "America/Argentina/Cordoba",
+    "America/Santa_Isabel": "America/Tijuana",
+    "America/Shiprock": "America/Denver",
+    "America/Thunder_Bay": "America/Toronto",
+    "America/Virgin": "America/Puerto_Rico",
+    "America/Yellowknife": "America/Edmonton",
+    "Antarctica/South_Pole": "Pacific/Auckland",
+    "Asia/Ashkhabad": "Asia/Ashgabat",
+    "Asia/Calcutta": "Asia/Kolkata",
+    "Asia/Choibalsan": "Asia/Ulaanbaatar",
+    "Asia/Chongqing": "Asia/Shanghai",
+    "Asia/Chungking": "Asia/Shanghai",
+    "Asia/Dacca": "Asia/Dhaka",
+    "Asia/Harbin": "Asia/Shanghai",
+    "Asia/Istanbul": "Europe/Istanbul",
+    "Asia/Kashgar": "Asia/Urumqi",
+    "Asia/Katmandu": "Asia/Kathmandu",
+    "Asia/Macao": "Asia/Macau",
+    "Asia/Rangoon": "Asia/Yangon",
+    "Asia/Saigon": "Asia/Ho_Chi_Minh",
+    "Asia/Tel_Aviv": "Asia/Jerusalem",
+    "Asia/Thimbu": "Asia/Thimphu",
+    "Asia/Ujung_Pandang": "Asia/Makassar",
+    "Asia/Ulan_Bator": "Asia/Ulaanbaatar",
+    "Atlantic/Faeroe": "Atlantic/Faroe",
+    "Atlantic/Jan_Mayen": "Europe/Berlin",
+    "Australia/ACT": "Australia/Sydney",
+    "Australia/Canberra": "Australia/Sydney",
+    "Australia/Currie": "Australia/Hobart",
+    "Australia/LHI": "Australia/Lord_Howe",
+    "Australia/NSW": "Australia/Sydney",
+    "Australia/North": "Australia/Darwin",
+    "Australia/Queensland": "Australia/Brisbane",
+    "Australia/South": "Australia/Adelaide",
+    "Australia/Tasmania": "Australia/Hobart",
+    "Australia/Victoria": "Australia/Melbourne",
+    "Australia/West": "Australia/Perth",
+    "Australia/Yancowinna": "Australia/Broken_Hill",
+    "Brazil/Acre": "America/Rio_Branco",
+    "Brazil/DeNoronha": "America/Noronha",
+    "Brazil/East": "America/Sao_Paulo",
+    "Brazil/West": "America/Manaus",
+    "Canada/Atlantic": "America/Halifax",
+    "Canada/Central": "America/Winnipeg",
+    "Canada/Eastern": "America/Toronto",
+    "Canada/Mountain": "America/Edmonton",
+    "Canada/Newfoundland": "America/St_Johns",
+    "Canada/Pacific": "America/Vancouver",
+    "Canada/Saskatchewan": "America/Regina",
+    "Canada/Yukon": "America/Whitehorse",
+    "Chile/Continental": "America/Santiago",
+    "Chile/EasterIsland": "Pacific/Easter",
+    Cuba: "America/Havana",
+    Egypt: "Africa/Cairo",
+    Eire: "Europe/Dublin",
+    "Europe/Belfast": "Europe/London",
+    "Europe/Kiev": "Europe/Kyiv",
+    "Europe/Nicosia": "Asia/Nicosia",
+    "Europe/Tiraspol": "Europe/Chisinau",
+    "Europe/Uzhgorod": "Europe/Kyiv",
+    "Europe/Zaporozhye": "Europe/Kyiv",
+    GB: "Europe/London",
+    "GB-Eire": "Europe/London",
+    Hongkong: "Asia/Hong_Kong",
+    Iceland: "Africa/Abidjan",
+    Iran: "Asia/Tehran",
+    Israel: "Asia/Jerusalem",
+    Jamaica: "America/Jamaica",
+    Japan: "Asia/Tokyo",
+    Kwajalein: "Pacific/Kwajalein",
+    Libya: "Africa/Tripoli",
+    "Mexico/BajaNorte": "America/Tijuana",
+    "Mexico/BajaSur": "America/Mazatlan",
+    "Mexico/General": "America/Mexico_City",
+    NZ: "Pacific/Auckland",
+    "NZ-CHAT": "Pacific/Chatham",
+    Navajo: "America/Denver",
+    PRC: "Asia/Shanghai",
+    "Pacific/Enderbury": "Pacific/Kanton",
+    "Pacific/Johnston": "Pacific/Honolulu",
+    "Pacific/Ponape": "Pacific/Pohnpei",
+    "Pacific/Samoa": "Pacific/Pago_Pago",
+    "Pacific/Truk": "Pacific/Chuuk",
+    "Pacific/Yap": "Pacific/Chuuk",
+    Poland: "Europe/Warsaw",
+    Portugal: "Europe/Lisbon",
+    ROC: "Asia/Taipei",
+    ROK: "Asia/Seoul",
+    Singapore: "Asia/Singapore",
+    Turkey: "Europe/Istanbul",
+    "US/Alaska": "America/Anchorage",
+    "US/Aleutian": "America/Adak",
+    "US/Arizona": "America/Phoenix",
+    "US/Central": "America/Chicago",
+    "US/East-Indiana": "America/Indiana/Indianapolis",
+    "US/Eastern": "America/New_York",
+    "US/Hawaii": "Pacific/Honolulu",
+    "US/Indiana-Starke": "America/Indiana/Knox",
+    "US/Michigan": "America/Detroit",
+    "US/Mountain": "America/Denver",
+    "US/Pacific": "America/Los_Angeles",
+    "US/Samoa": "Pacific/Pago_Pago",
+    "W-SU": "Europe/Moscow",
+  };
+
+  return {
+    COUNTRIES,
+    ZONES,
+    LINKS,
+  };
+});
@@ -0,0 +1,385 @@
+/*
+ * Shared time zone registry.
+ *
+ * This file is loaded both by the Node server (through `require`) and by the
+ * browser (as a plain <script> that exposes `window.TimezoneRegistry`, after
+ * zone-data.js).  It is the single place that lists the zones shown by
+ * default and turns the bundled dataset into display metadata (country, city,
+ * flag).  Any other valid IANA zone can still be used; its labels are derived
+ * from the identifier.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./zone-data"));
+  } else {
+    root.TimezoneRegistry = factory(root.TimezoneData);
+  }
+})(typeof self !== "undefined" ? self : this, function (data) {
+  const { COUNTRIES, ZONES, LINKS } = data;
+
+  let availableZones = null; // Cached result of `listAvailableZones`
+  const countryZones = new Map(); // Cached results of `listCountryZones`
+
+  /**
+   * Zones displayed (and converted) when the caller does not ask for others.
+   */
+  const DEFAULT_ZONES = [
+    "America/Santiago",
+    "America/New_York",
+    "America/Argentina/Buenos_Aires",
+    "America/Bogota",
+    "America/Santo_Domingo",
+  ];
+
+  const DEFAULT_SOURCE = "America/Santiago";
+
+  /**
+   * Most zones a list may hold, so a single request cannot ask for a
+   * conversion into every zone there is, many times over.
+   */
+  const MAX_ZONES = 50;
+
+  /**
+   * An error caused by the caller's input, tagged with a `code` and a 400
+   * `status` as tz-core.js tags its own (that file loads after this one).
+   *
+   * @param {string} code Error code, e.g. 'unknown_time_zone'
+   * @param {string} message Human-readable explanation
+   * @returns {Error}
+   */
+  function inputError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = 400;
+    return error;
+  }
+
+  /**
+   * Common time zone abbreviations and the zones that use them, most likely
+   * first.  `offset` is the UTC offset the abbreviation stands for, in
+   * minutes, which is not always the offset the zone observes (EST in July).
+   */
+  const ZONE_ABBREVIATIONS = {
+    UTC: [{ zone: "UTC", offset: 0 }],
+    GMT: [{ zone: "UTC", offset: 0 }],
+    EST: [{ zone: "America/New_York", offset: -300 }],
+    EDT: [{ zone: "America/New_York", offset: -240 }],
+    CST: [
+      { zone: "America/Chicago", offset: -360 },
+      { zone: "Asia/Shanghai", offset: 480 },
+      { zone: "America/Havana", offset: -300 },
+    ],
+    CDT: [
+      { zone: "America/Chicago", offset: -300 },
+      { zone: "America/Havana", offset: -240 },
+    ],
+    MST: [
+      { zone: "America/Denver", offset: -420 },
+      { zone: "America/Phoenix", offset: -420 },
+    ],
+    MDT: [{ zone: "America/Denver", offset: -360 }],
+    PST: [{ zone: "America/Los_Angeles", offset: -480 }],
+    PDT: [{ zone: "America/Los_Angeles", offset: -420 }],
+    AKST: [{ zone: "America/Anchorage", offset: -540 }],
+    AKDT: [{ zone: "America/Anchorage", offset: -480 }],
+    HST: [{ zone: "Pacific/Honolulu", offset: -600 }],
+    AST: [
+      { zone: "America/Santo_Domingo", offset: -240 },
+      { zone: "America/Halifax", offset: -240 },
+      { zone: "Asia/Riyadh", offset: 180 },
+    ],
+    ADT: [{ zone: "America/Halifax", offset: -180 }],
+    CLT: [{ zone: "America/Santiago", offset: -240 }],
+    CLST: [{ zone: "America/Santiago", offset: -180 }],
+    ART: [{ zone: "America/Argentina/Buenos_Aires", offset: -180 }],
+    COT: [{ zone: "America/Bogota", offset: -300 }],
+    BRT: [{ zone: "America/Sao_Paulo", offset: -180 }],
+    PET: [{ zone: "America/Lima", offset: -300 }],
+    VET: [{ zone: "America/Caracas", offset: -240 }],
+    WET: [{ zone: "Europe/Lisbon", offset: 0 }],
+    WEST: [{ zone: "Europe/Lisbon", offset: 60 }],
+    BST: [
+      { zone: "Europe/London", offset: 60 },
+      { zone: "Asia/Dhaka", offset: 360 },
+    ],
+    IST: [
+      { zone: "Asia/Kolkata", offset: 330 },
+      { zone: "Europe/Dublin", offset: 60 },
+      { zone: "Asia/Jerusalem", offset: 120 },
+    ],
+    CET: [{ zone: "Europe/Madrid", offset: 60 }],
+    CEST: [{ zone: "Europe/Madrid", offset: 120 }],
+    EET: [{ zone: "Europe/Athens", offset: 120 }],
+    EEST: [{ zone: "Europe/Athens", offset: 180 }],
+    MSK: [{ zone: "Europe/Moscow", offset: 180 }],
+    JST: [{ zone: "Asia/Tokyo", offset: 540 }],
+    KST: [{ zone: "Asia/Seoul", offset: 540 }],
+    HKT: [{ zone: "Asia/Hong_Kong", offset: 480 }],
+    SGT: [{ zone: "Asia/Singapore", offset: 480 }],
+    AEST: [{ zone: "Australia/Sydney", offset: 600 }],
+    AEDT: [{ zone: "Australia/Sydney", offset: 660 }],
+    NZST: [{ zone: "Pacific/Auckland", offset: 720 }],
+    NZDT: [{ zone: "Pacific/Auckland", offset: 780 }],
+  };
+
+  /**
+   * Check whether the runtime recognises an IANA time zone identifier.
+   *
+   * @param {string} timeZone Candidate identifier
+   * @returns {boolean} True when `Intl.DateTimeFormat` accepts the zone
+   */
+  function isValidTimeZone(timeZone) {
+    if (typeof timeZone !== "string" || timeZone === "") {
+      return false;
+    }
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * The identifier the dataset knows a zone by, following links such as
+   * 'Asia/Calcutta' to 'Asia/Kolkata'.
+   *
+   * @param {string} timeZone IANA time zone identifier
+   * @returns {string} Canonical identifier (the input when it is not a link)
+   */
+  function canonicalZone(timeZone) {
+    return Object.hasOwn(LINKS, timeZone) ? LINKS[timeZone] : timeZone;
+  }
+
+  /**
+   * List the older or alternative identifiers that link to a zone.
+   *
+   * @param {string} timeZone IANA time zone identifier
+   * @returns {string[]} Link names, e.g. ['Asia/Calcutta'] for 'Asia/Kolkata'
+   */
+  function listZoneAliases(timeZone) {
+    const canonical = canonicalZone(timeZone);
+    return Object.keys(LINKS).filter((link) => LINKS[link] === canonical);
+  }
+
+  /**
+   * Flag emoji for an ISO 3166 country code, built from regional indicator
+   * symbols.
+   *
+   * @param {string|null} country Two-letter country code
+   * @returns {string} Flag, or a globe when there is no country
+   */
+  function countryFlag(country) {
+    if (!/^[A-Z]{2}$/.test(country || "")) {
+      return "🌐";
+    }
+    return String.fromCodePoint(
+      ...[...country].map((letter) => 0x1f1e6 + letter.charCodeAt(0) - 65),
+    );
+  }
+
+  /**
+   * Return display metadata for a zone from the bundled dataset.  Zones
+   * missing from it (UTC, 'Etc/GMT+5') get labels derived from their
+   * identifier, e.g. 'Etc/GMT+5' becomes "Etc" / "GMT+5".
+   *
+   * @param {string} timeZone IANA time zone identifier
+   * @returns {{name: string, location: string, country: string|null, flag: string, cities: string[], description: string}}
+   *   `name` is the country, `location` the main city and `description` the
+   *   part of the country the zone covers (empty when it covers all of it)
+   */
+  function getZoneInfo(timeZone) {
+    const canonical = canonicalZone(timeZone);
+    if (Object.hasOwn(ZONES, canonical)) {
+      const [country, description, cities] = ZONES[canonical].split("|");
+      const cityList = cities.split(", ");
+      return {
+        name: COUNTRIES[country] || country,
+        location: cityList[0],
+        country,
+        flag: countryFlag(country),
+        cities: cityList,
+        description,
+      };
+    }
+    const segments = timeZone.split("/");
+    const location = segments[segments.length - 1].replace(/_/g, " ");
+    return {
+      name: segments.length > 1 ? segments[0].replace(/_/g, " ") : location,
+      location,
+      country: null,
+      flag: "🌐",
+      cities: [location],
+      description: "",
+    };
+  }
+
+  /**
+   * List the zones of a country, the one covering most of it first.
+   *
+   * @param {string} country ISO 3166 alpha-2 code
+   * @returns {string[]} IANA identifiers, in the dataset's order
+   */
+  function listCountryZones(country) {
+    const code = String(country).toUpperCase();
+    if (!countryZones.has(code)) {
+      countryZones.set(
+        code,
+        Object.keys(ZONES).filter(
+          (zone) => ZONES[zone].startsWith(`${code}|`) && isValidTimeZone(zone),
+        ),
+      );
+    }
+    return [...countryZones.get(code)];
+  }
+
+  /**
+   * Resolve how a caller named a zone: an IANA identifier, a UTC offset
+   * ('UTC+05:30', 'GMT-3', '+0530') or an abbreviation from
+   * `ZONE_ABBREVIATIONS`.  Offsets and abbreviations become fixed-offset zones
+   * in the 'UTC±HH:MM' form the conversion core understands, since "EST"
+   * means UTC-05:00 even in July.
+   *
+   * @param {string} value Zone as written
+   * @returns {string} IANA identifier, 'UTC' or 'UTC±HH:MM'
+   * @throws {Error} When the zone is unknown, or the abbreviation stands for
+   *   several offsets; the error's `candidates` then lists the zones it may
+   *   mean.  Its `code` is 'unknown_time_zone', 'invalid_offset' or
+   *   'ambiguous_abbreviation'.
+   */
+  function resolveTimeZoneInput(value) {
+    const text = String(value).trim();
+
+    // Abbreviations first: some ('EST', 'CET') are also legacy IANA names
+    const abbreviation = text.toUpperCase();
+    if (
+      /^[A-Za-z]{2,5}$/.test(text) &&
+      Object.hasOwn(ZONE_ABBREVIATIONS, abbreviation)
+    ) {
+      const entries = ZONE_ABBREVIATIONS[abbreviation];
+      const offsets = new Set(entries.map((entry) => entry.offset));
+      if (offsets.size > 1) {
+        const error = inputError(
+          "ambiguous_abbreviation",
+          `Ambiguous abbreviation: ${abbreviation} could be ${entries
+            .map((entry) => `${entry.zone} (${formatOffset(entry.offset)})`)
+            .join(", ")}`,
+        );
+        error.candidates = entries.map((entry) => ({
+          zone: entry.zone,
+          utcOffset: formatOffset(entry.offset),
+        }));
+        throw error;
+      }
+      return formatOffset(entries[0].offset);
+    }
+
+    const offsetMatch = /^(?:UTC|GMT)?\s*([+-])(\d{1,2})(?::?(\d{2}))?$/i.exec(
+      text,
+    );
+    if (offsetMatch) {
+      const hours = Number(offsetMatch[2]);
+      const minutes = Number(offsetMatch[3] || 0);
+      if (hours > 14 || minutes > 59 || hours * 60 + minutes > 14 * 60) {
+        throw inputError("invalid_offset", `UTC offset out of range: ${text}`);
+      }
+      const offset = (hours * 60 + minutes) * (offsetMatch[1] === "-" ? -1 : 1);
+      return formatOffset(offset);
+    }
+
+    if (!isValidTimeZone(text)) {
+      throw inputError("unknown_time_zone", `Unknown time zone: ${text}`);
+    }
+    return text;
+  }
+
+  /**
+   * Name a fixed offset the way the conversion core expects, e.g.
+   * 'UTC-04:00' ('UTC' for a zero offset).  The registry loads before the
+   * core, so this cannot use its `formatUtcOffset`.
+   */
+  function formatOffset(offsetMinutes) {
+    if (offsetMinutes === 0) {
+      return "UTC";
+    }
+    const absolute = Math.abs(offsetMinutes);
+    return `UTC${offsetMinutes < 0 ? "-" : "+"}${String(Math.floor(absolute / 60)).padStart(2, "0")}:${String(absolute % 60).padStart(2, "0")}`;
+  }
+
+  /**
+   * Parse a list of zones given either as an array or as a comma separated
+   * string (the `zones=` query parameter).  Blank entries and duplicates are
+   * dropped while preserving order.
+   *
+   * @param {string|string[]} value Raw zone list
+   * @returns {string[]} Validated IANA identifiers
+   * @throws {Error} When any entry is not a recognised time zone (code
+   *   'unknown_time_zone', with the entry's position in `index`), the list
+   *   is empty (code 'empty_zone_list') or holds more than `MAX_ZONES` zones
+   *   (code 'out_of_range')
+   */
+  function parseZoneList(value) {
+    const entries = Array.isArray(value) ? value : String(value).split(",");
+    const zones = [];
+    entries.forEach((entry, index) => {
+      const timeZone = String(entry).trim();
+      if (!timeZone || zones.includes(timeZone)) {
+        return;
+      }
+      if (!isValidTimeZone(timeZone)) {
+        const error = inputError(
+          "unknown_time_zone",
+          `Unknown time zone: ${timeZone}`,
+        );
+        error.index = index;
+        throw error;
+      }
+      zones.push(timeZone);
+    });
+    if (zones.length > MAX_ZONES) {
+      throw inputError(
+        "out_of_range",
+        `At most ${MAX_ZONES} zones can be listed`,
+      );
+    }
+    if (zones.length === 0) {
+      throw inputError("empty_zone_list", "Zone list is empty");
+    }
+    return zones;
+  }
+
+  /**
+   * List every zone a user may pick from: the runtime's time zone database
+   * under the dataset's identifiers, plus UTC.  Falls back to the dataset
+   * when the runtime cannot enumerate its zones.
+   *
+   * @returns {string[]} IANA identifiers (a fresh copy; the list is cached)
+   */
+  function listAvailableZones() {
+    if (!availableZones) {
+      const zones =
+        typeof Intl.supportedValuesOf === "function"
+          ? Intl.supportedValuesOf("timeZone").map(canonicalZone)
+          : Object.keys(ZONES);
+      availableZones = [...new Set([...zones, "UTC"])].filter(isValidTimeZone);
+    }
+    return [...availableZones];
+  }
+
+  return {
+    DEFAULT_ZONES,
+    DEFAULT_SOURCE,
+    MAX_ZONES,
+    ZONE_ABBREVIATIONS,
+    isValidTimeZone,
+    canonicalZone,
+    listZoneAliases,
+    countryFlag,
+    getZoneInfo,
+    listCountryZones,
+    resolveTimeZoneInput,
+    parseZoneList,
+    listAvailableZones,
+  };
+});
@@ -0,0 +1,665 @@
+/*
+ * API tests: start the server on a free port, call each route and check the
+ * answers against openapi.json.  Run with `npm test`.
+ *
+ * Every response is checked for a status the operation documents, a content
+ * type it documents for that status and, for JSON, a body matching the
+ * documented schema (see `validate`, which covers the subset of JSON Schema
+ * openapi.json uses).  Short links go to a temporary file.
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "tz-api-test-"));
+process.env.SHORT_LINKS_FILE = path.join(dataDir, "short-links.json");
+
+const { server } = require("../server");
+const { MAX_ZONES, listAvailableZones } = require("../static/zones");
+const spec = require("../openapi.json");
+
+let baseUrl;
+
+before(async () => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+/**
+ * Follow a `$ref` such as '#/components/schemas/Error'.
+ */
+function resolveRef(node) {
+  while (node && node.$ref) {
+    node = node.$ref
+      .slice(2)
+      .split("/")
+      .reduce((parent, key) => parent[key.replace(/~1/g, "/")], spec);
+  }
+  return node;
+}
+
+function hasType(value, type) {
+  switch (type) {
+    case "null":
+      return value === null;
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return (
+        value !== null && typeof value === "object" && !Array.isArray(value)
+      );
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Check a value against a schema from openapi.json.
+ *
+ * @param {*} value Value to check
+ * @param {object} schema Schema (or `$ref` to one)
+ * @param {string} [where] Path of the value, for messages
+ * @returns {string[]} Problems found; empty when the value matches
+ */
+function validate(value, schema, where = "body") {
+  schema = resolveRef(schema);
+  const problems = [];
+  for (const part of schema.allOf || []) {
+    problems.push(...validate(value, part, where));
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(
+      (option) => validate(value, option, where).length === 0,
+    ).length;
+    if (matches !== 1) {
+      problems.push(`${where} matches ${matches} oneOf options, not 1`);
+    }
+  }
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => hasType(value, type))) {
+      return [
+        ...problems,
+        `${where} should be ${types.join(" or ")}, got ${JSON.stringify(value)}`,
+      ];
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push(`${where} should be one of ${schema.enum.join(", ")}`);
+  }
+  if (
+    schema.pattern &&
+    typeof value === "string" &&
+    !new RegExp(schema.pattern).test(value)
+  ) {
+    problems.push(`${where} should match ${schema.pattern}`);
+  }
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      problems.push(`${where} should be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      problems.push(`${where} should be at most ${schema.maximum}`);
+    }
+  }
+  if (hasType(value, "object")) {
+    for (const name of schema.required || []) {
+      if (!(name in value)) {
+        problems.push(`${where}.${name} is missing`);
+      }
+    }
+    for (const [name, property] of Object.entries(value)) {
+      const propertySchema =
+        (schema.properties && schema.properties[name]) ||
+        (typeof schema.additionalProperties === "object"
+          ? schema.additionalProperties
+          : null);
+      if (propertySchema) {
+        problems.push(
+          ...validate(property, propertySchema, `${where}.${name}`),
+        );
+      }
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      problems.push(...validate(item, schema.items, `${where}[${index}]`));
+    });
+  }
+  return problems;
+}
+
+/**
+ * Call the server and check the response against the operation `route`
+ * documents (e.g. '/s/{id}' for '/s/abc').
+ *
+ * @param {string} method HTTP method
+ * @param {string} target Path and query
+ * @param {{route?: string, headers?: Record<string, string>, body?: string}} [options]
+ * @returns {Promise<{status: number, headers: Headers, body: *}>} The body is
+ *   parsed when it is JSON
+ */
+async function call(method, target, options = {}) {
+  const response = await fetch(`${baseUrl}${target}`, {
+    method,
+    headers: options.headers,
+    body: options.body,
+    redirect: "manual",
+  });
+  const text = await response.text();
+  const contentType = (response.headers.get("content-type") || "")
+    .split(";")[0]
+    .trim();
+  const body = contentType === "application/json" ? JSON.parse(text) : text;
+
+  // A method the route does not answer is checked against the one it does
+  const route = options.route || new URL(target, baseUrl).pathname;
+  const operations = spec.paths[route];
+  assert.ok(operations, `openapi.json documents ${route}`);
+  const operation =
+    operations[method.toLowerCase()] || Object.values(operations)[0];
+  const documented = resolveRef(operation.responses[String(response.status)]);
+  assert.ok(
+    documented,
+    `${method} ${target} answered ${response.status}, which openapi.json does not document: ${text.slice(0, 200)}`,
+  );
+  if (documented.content) {
+    const media = documented.content[contentType];
+    assert.ok(
+      media,
+      `${method} ${target} answered ${contentType}, not one of ${Object.keys(documented.content).join(", ")}`,
+    );
+    if (contentType === "application/json" && media.schema) {
+      assert.deepEqual(validate(body, media.schema), []);
+    }
+  }
+  return { status: response.status, headers: response.headers, body };
+}
+
+/**
+ * Call a route expecting an error and check its status, code and field.
+ */
+async function expectError(method, target, status, code, field, options) {
+  const response = await call(method, target, options);
+  assert.equal(response.status, status, JSON.stringify(response.body));
+  assert.equal(response.body.code, code);
+  if (field !== undefined) {
+    assert.equal(response.body.field, field);
+  }
+  return response;
+}
+
+const json = (value) => ({
+  headers: { "Content-Type": "application/json" },
+  body: JSON.stringify(value),
+});
+
+test("GET /current", async () => {
+  const { status, body } = await call(
+    "GET",
+    "/current?source=Asia/Tokyo&zones=UTC,America/Bogota",
+  );
+  assert.equal(status, 200);
+  assert.equal(body.timezone, "Asia/Tokyo");
+  assert.deepEqual(Object.keys(body.conversions), ["UTC", "America/Bogota"]);
+  await expectError(
+    "GET",
+    "/current?source=Nowhere/City",
+    400,
+    "unknown_time_zone",
+    "source",
+  );
+});
+
+test("GET /stream", async () => {
+  const controller = new AbortController();
+  const response = await fetch(`${baseUrl}/stream?zones=UTC`, {
+    signal: controller.signal,
+  });
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get("content-type"), /^text\/event-stream/);
+  const reader = response.body.getReader();
+  let text = "";
+  while (!text.includes("\n\n")) {
+    const { value } = await reader.read();
+    text += Buffer.from(value).toString("utf8");
+  }
+  controller.abort();
+  assert.match(text, /^event: tick$/m);
+  const data = JSON.parse(/^data: (.*)$/m.exec(text)[1]);
+  assert.deepEqual(
+    validate(
+      data,
+      spec.paths["/current"].get.responses["200"].content["application/json"]
+        .schema,
+    ),
+    [],
+  );
+
+  await expectError(
+    "GET",
+    "/stream?zones=Nowhere/City",
+    400,
+    "unknown_time_zone",
+    "zones[0]",
+  );
+});
+
+test("GET /convert-multi", async () => {
+  const { status, body } = await call(
+    "GET",
+    "/convert-multi?date=2025-03-09&time=22:00&source=America/Santiago&zones=Asia/Tokyo,Europe/Madrid",
+  );
+  assert.equal(status, 200);
+  assert.equal(body.conversions["Asia/Tokyo"].time, "10:00");
+  assert.equal(body.conversions["Asia/Tokyo"].date, "2025-03-10");
+
+  await expectError(
+    "GET",
+    "/convert-multi?time=10:00",
+    400,
+    "missing_parameter",
+    "date",
+  );
+  await expectError(
+    "GET",
+    "/convert-multi?date=2025-02-31&time=10:00",
+    400,
+    "invalid_date",
+    "date",
+  );
+  await expectError(
+    "GET",
+    "/convert-multi?date=0050-06-01&time=10:00",
+    400,
+    "invalid_date",
+    "date",
+  );
+  await expectError(
+    "GET",
+    "/convert-multi?date=2025-03-09&time=25:00",
+    400,
+    "invalid_time",
+    "time",
+  );
+  await expectError(
+    "GET",
+    "/convert-multi?date=2025-03-09&time=10:00&zones=UTC,Nowhere/City",
+    400,
+    "unknown_time_zone",
+    "zones[1]",
+  );
+  const zones = listAvailableZones().slice(0, MAX_ZONES + 1);
+  await expectError(
+    "GET",
+    `/convert-multi?date=2025-03-09&time=10:00&zones=${zones.join(",")}`,
+    400,
+    "out_of_range",
+    "zones",
+  );
+});
+
+test("GET /convert", async () => {
+  const { status } = await call(
+    "GET",
+    "/convert?date=2025-03-09&time=22:00&source=America/Santiago",
+  );
+  assert.equal(status, 200);
+  await expectError(
+    "GET",
+    "/convert?time=10:00",
+    400,
+    "missing_parameter",
+    "date",
+  );
+});
+
+test("GET /zones", async () => {
+  const { status, body } = await call("GET", "/zones?q=tokyo&limit=5");
+  assert.equal(status, 200);
+  assert.ok(body.zones.some((zone) => zone.id === "Asia/Tokyo"));
+  await expectError("GET", "/zones?limit=0", 400, "out_of_range", "limit");
+});
+
+test("GET /parse", async () => {
+  const { status, body } = await call(
+    "GET",
+    "/parse?q=3pm%20EST%20next%20tuesday",
+  );
+  assert.equal(status, 200);
+  assert.equal(body.candidates[0].time, "15:00");
+  assert.equal(body.candidates[0].timezone, "UTC-05:00");
+  await expectError("GET", "/parse", 400, "missing_parameter", "q");
+  await expectError("GET", "/parse?q=zzz", 400, "invalid_parameter", "q");
+});
+
+test("GET /transitions", async () => {
+  const { status, body } = await call(
+    "GET",
+    "/transitions?zone=America/New_York&from=2025-01-01&to=2025-12-31",
+  );
+  assert.equal(status, 200);
+  assert.equal(body.transitions.length, 2);
+  await expectError("GET", "/transitions", 400, "missing_parameter", "zone");
+});
+
+test("GET /add and /subtract", async () => {
+  const added = await call(
+    "GET",
+    "/add?date=2025-03-08&time=12:00&source=America/New_York&duration=P1D",
+  );
+  assert.equal(added.status, 200);
+  assert.equal(added.body.resolution.resolved.time, "12:00");
+  const subtracted = await call(
+    "GET",
+    "/subtract?date=2025-03-09&time=12:00&source=America/New_York&duration=PT24H",
+  );
+  assert.equal(subtracted.status, 200);
+  assert.equal(subtracted.body.resolution.resolved.time, "11:00");
+
+  await expectError(
+    "GET",
+    "/add?date=2025-03-09&time=12:00",
+    400,
+    "missing_parameter",
+    "duration",
+  );
+  await expectError(
+    "GET",
+    "/add?date=2025-03-09&time=12:00&duration=P999999999D",
+    400,
+    "out_of_range",
+    "duration",
+  );
+  await expectError(
+    "GET",
+    "/subtract?date=2025-03-09&time=12:00&duration=PT99999999999999H",
+    400,
+    "out_of_range",
+    "duration",
+  );
+});
+
+test("GET /difference", async () => {
+  const { status, body } = await call(
+    "GET",
+    "/difference?from=2026-03-07T23:10&to=2026-03-08T07:45&fromZone=America/New_York&toZone=America/New_York",
+  );
+  assert.equal(status, 200);
+  assert.equal(body.milliseconds, (7 * 60 + 35) * 60000);
+  await expectError(
+    "GET",
+    "/difference?to=2026-03-08T07:45",
+    400,
+    "missing_parameter",
+    "from",
+  );
+});
+
+test("GET /holidays", async () => {
+  const { status, body } = await call("GET", "/holidays?country=CL&year=2025");
+  assert.equal(status, 200);
+  assert.ok(body.holidays.some((holiday) => holiday.date === "2025-09-18"));
+  await expectError(
+    "GET",
+    "/holidays?country=ZZ&year=2025",
+    400,
+    "invalid_parameter",
+    "country",
+  );
+});
+
+test("GET /meeting-planner", async () => {
+  const { status } = await call(
+    "GET",
+    "/meeting-planner?zones=America/New_York,Europe/Madrid&from=2025-03-10&to=2025-03-11",
+  );
+  assert.equal(status, 200);
+  const weekend = await call(
+    "GET",
+    "/meeting-planner?zones=America/Santiago,America/New_York&from=2025-05-30&to=2025-06-01",
+  );
+  assert.deepEqual(
+    weekend.body.windows.map((window) => window.local["America/New_York"].date),
+    ["2025-05-30", "2025-05-31", "2025-06-01"],
+  );
+  assert.ok(weekend.body.windows[1].score < weekend.body.windows[0].score);
+  await expectError(
+    "GET",
+    "/meeting-planner?zones=UTC,Asia/Tokyo&hours=9-5",
+    400,
+    "invalid_parameter",
+    "hours",
+  );
+});
+
+test("GET /recurring", async () => {
+  const { status, body } = await call(
+    "GET",
+    "/recurring?time=09:00&source=America/New_York&start=2025-03-03&weekdays=mon&count=3&zones=Europe/London",
+  );
+  assert.equal(status, 200);
+  assert.equal(body.occurrences.length, 3);
+  await expectError(
+    "GET",
+    "/recurring?time=09:00&weekdays=xx",
+    400,
+    "invalid_parameter",
+    "weekdays",
+  );
+});
+
+test("POST /convert-batch", async () => {
+  const { status, headers, body } = await call(
+    "POST",
+    "/convert-batch?zones=UTC",
+    json([
+      { date: "2025-03-09", time: "10:00", source: "America/Santiago" },
+      { date: "2025-02-31", time: "10:00" },
+    ]),
+  );
+  assert.equal(status, 200);
+  assert.match(headers.get("content-type"), /^application\/x-ndjson/);
+  const [converted, failed] = body.trim().split("\n").map(JSON.parse);
+  assert.equal(converted.conversions.UTC.time, "13:00");
+  assert.equal(failed.code, "invalid_date");
+  assert.equal(failed.field, "date");
+
+  await expectError(
+    "POST",
+    "/convert-batch",
+    415,
+    "unsupported_media_type",
+    undefined,
+    { headers: { "Content-Type": "text/plain" }, body: "x" },
+  );
+  await expectError("POST", "/convert-batch", 400, "invalid_json", undefined, {
+    headers: { "Content-Type": "application/json" },
+    body: "[",
+  });
+  await expectError(
+    "POST",
+    "/convert-batch",
+    413,
+    "payload_too_large",
+    undefined,
+    { headers: { "Content-Type": "text/csv" }, body: `"${"x".repeat(70000)}` },
+  );
+});
+
+test("GET /event.ics", async () => {
+  const { status, headers, body } = await call(
+    "GET",
+    "/event.ics?date=2025-03-09&time=22:00&source=America/Santiago",
+  );
+  assert.equal(status, 200);
+  assert.match(headers.get("content-type"), /^text\/calendar/);
+  assert.match(body, /^BEGIN:VCALENDAR/);
+  await expectError(
+    "GET",
+    "/event.ics?time=10:00",
+    400,
+    "missing_parameter",
+    "date",
+  );
+});
+
+test("POST /import-ics", async () => {
+  const calendar = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "BEGIN:VTIMEZONE",
+    "TZID:Company Eastern",
+    "BEGIN:STANDARD",
+    "DTSTART:19671029T020000",
+    "RRULE:FREQ=YEARLY;BYDAY=1SU;BYMONTH=11",
+    "TZOFFSETFROM:-0400",
+    "TZOFFSETTO:-0500",
+    "END:STANDARD",
+    "BEGIN:DAYLIGHT",
+    "DTSTART:19870405T020000",
+    "RRULE:FREQ=YEARLY;BYDAY=2SU;BYMONTH=3",
+    "TZOFFSETFROM:-0500",
+    "TZOFFSETTO:-0400",
+    "END:DAYLIGHT",
+    "END:VTIMEZONE",
+    "BEGIN:VEVENT",
+    "UID:standup",
+    "SUMMARY:Standup",
+    "DTSTART;TZID=Company Eastern:20251027T090000",
+    "DTEND;TZID=Company Eastern:20251027T093000",
+    "RRULE:FREQ=WEEKLY;COUNT=2",
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ].join("\r\n");
+  const { status, body } = await call(
+    "POST",
+    "/import-ics?zones=UTC&from=2025-10-20&to=2025-11-30",
+    { headers: { "Content-Type": "text/calendar" }, body: calendar },
+  );
+  assert.equal(status, 200);
+  assert.deepEqual(body.warnings, []);
+  // The custom zone follows its own rules across the change on November 2
+  assert.deepEqual(
+    body.events.map((event) => [
+      event.timezone,
+      event.start.conversions.UTC.time,
+    ]),
+    [
+      ["UTC-04:00", "13:00"],
+      ["UTC-05:00", "14:00"],
+    ],
+  );
+
+  await expectError("POST", "/import-ics", 400, "invalid_parameter", "body", {
+    headers: { "Content-Type": "text/calendar" },
+    body: "hello",
+  });
+});
+
+test("POST /import-ics skips events it cannot read", async () => {
+  const calendar = [
+    "BEGIN:VCALENDAR",
+    "METHOD:PUBLISH",
+    "BEGIN:VEVENT",
+    "SUMMARY:No start",
+    "END:VEVENT",
+    "BEGIN:VEVENT",
+    "SUMMARY:Bad date",
+    "DTSTART:2025XX01",
+    "END:VEVENT",
+    "BEGIN:VEVENT",
+    "SUMMARY:Lunch",
+    "DTSTART:20251101T120000Z",
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ].join("\r\n");
+  const { status, body } = await call(
+    "POST",
+    "/import-ics?zones=UTC&from=2025-10-20&to=2025-11-30",
+    { headers: { "Content-Type": "text/calendar" }, body: calendar },
+  );
+  assert.equal(status, 200);
+  assert.deepEqual(
+    body.events.map((event) => event.title),
+    ["Lunch"],
+  );
+  assert.equal(body.warnings.length, 2);
+  assert.match(body.warnings[0], /^"No start" skipped/);
+  assert.match(body.warnings[1], /^"Bad date" skipped/);
+});
+
+test("GET /embed", async () => {
+  const { status, headers, body } = await call(
+    "GET",
+    "/embed?zones=UTC,Asia/Tokyo&theme=dark",
+  );
+  assert.equal(status, 200);
+  assert.match(headers.get("content-type"), /^text\/html/);
+  assert.match(body, /<tz-converter [^>]*zones="UTC,Asia\/Tokyo"/);
+  await expectError(
+    "GET",
+    "/embed?theme=blue",
+    400,
+    "invalid_parameter",
+    "theme",
+  );
+});
+
+test("POST /s and GET /s/{id}", async () => {
+  const created = await call(
+    "POST",
+    "/s",
+    json({ date: "2025-03-09", time: "22:00", source: "America/Santiago" }),
+  );
+  assert.equal(created.status, 201);
+  assert.equal(created.body.url, `/s/${created.body.id}`);
+  const followed = await call("GET", created.body.url, { route: "/s/{id}" });
+  assert.equal(followed.status, 302);
+  assert.match(followed.headers.get("location"), /date=2025-03-09/);
+
+  await expectError(
+    "POST",
+    "/s",
+    400,
+    "missing_parameter",
+    "date",
+    json({ time: "10:00" }),
+  );
+  await expectError("POST", "/s", 400, "invalid_json", undefined, {
+    headers: { "Content-Type": "application/json" },
+    body: "{",
+  });
+  await expectError("GET", "/s/unknown", 404, "not_found", undefined, {
+    route: "/s/{id}",
+  });
+});
+
+test("GET /openapi.json", async () => {
+  const { status, body } = await call("GET", "/openapi.json");
+  assert.equal(status, 200);
+  assert.deepEqual(body, spec);
+});
+
+test("unsupported methods answer 405 with the allowed ones", async () => {
+  const { headers } = await expectError(
+    "DELETE",
+    "/convert-multi",
+    405,
+    "method_not_allowed",
+  );
+  assert.equal(headers.get("allow"), "GET");
+});